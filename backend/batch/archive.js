@@ -0,0 +1,350 @@
+/**
+ * Draft Archive
+ * Reads the drafts out of a zip of .txt and .docx files, one draft per
+ * file, named after the file. Only stored and deflated entries are
+ * supported, which covers the zip tools built into Windows and macOS.
+ */
+
+const zlib = require('zlib');
+
+const MAX_DOCX_BYTES = 10 * 1024 * 1024; // One .docx in the zip, unpacked (pictures included)
+const MAX_DOCUMENT_XML_BYTES = 5 * 1024 * 1024; // The text of one .docx with its markup, unpacked
+const MAX_ARCHIVE_BYTES = 64 * 1024 * 1024; // Everything unpacked from one zip, in total
+const DRAFT_EXTENSIONS = ['.txt', '.docx'];
+
+// Cleaning removes carriage returns, trailing spaces and extra blank lines,
+// so extracted text may be this much longer than the draft limit until then
+const RAW_TEXT_MARGIN = 1.25;
+
+const END_OF_DIRECTORY = 0x06054b50;
+const DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_HEADER = 0x04034b50;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+
+// Word elements whose text isn't part of the draft: deleted tracked
+// changes, field codes, run and paragraph properties, tables, drawings
+// and the fallback copy of alternate content
+const DOCX_SKIPPED = new Set([
+  'w:del', 'w:delText', 'w:instrText', 'w:rPr', 'w:pPr', 'w:tbl',
+  'w:drawing', 'w:pict', 'w:object', 'mc:Fallback',
+]);
+
+/**
+ * Lists the entries of a zip file from its central directory
+ * @param {Buffer} zip - Zip file contents
+ * @returns {Array<Object>} - { name, flags, method, compressedSize, size, localOffset }
+ * @throws {Error} - When the file is not a zip or its directory is damaged
+ */
+function readZipDirectory(zip) {
+  // The end record is the last 22 bytes, unless the zip has a comment (up to 64 KB)
+  let end = -1;
+  for (let i = zip.length - 22; i >= Math.max(0, zip.length - 22 - 0xFFFF); i--) {
+    if (zip.readUInt32LE(i) === END_OF_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('not a zip file');
+  }
+
+  const count = zip.readUInt16LE(end + 10);
+  let offset = zip.readUInt32LE(end + 16);
+  if (count === 0xFFFF || offset === 0xFFFFFFFF) {
+    throw new Error('zip files over 4 GB are not supported');
+  }
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > zip.length || zip.readUInt32LE(offset) !== DIRECTORY_ENTRY) {
+      throw new Error('the zip file is damaged');
+    }
+
+    const flags = zip.readUInt16LE(offset + 8);
+    const nameLength = zip.readUInt16LE(offset + 28);
+    entries.push({
+      // Bit 11 marks UTF-8 names; older tools write a legacy code page
+      name: zip.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength),
+      flags,
+      method: zip.readUInt16LE(offset + 10),
+      compressedSize: zip.readUInt32LE(offset + 20),
+      size: zip.readUInt32LE(offset + 24),
+      localOffset: zip.readUInt32LE(offset + 42),
+    });
+    offset += 46 + nameLength + zip.readUInt16LE(offset + 30) + zip.readUInt16LE(offset + 32);
+  }
+  return entries;
+}
+
+/**
+ * Unpacks one zip entry
+ * @param {Buffer} zip - Zip file contents
+ * @param {Object} entry - Entry from readZipDirectory()
+ * @param {number} maxBytes - Largest unpacked size allowed
+ * @param {{ left: number }} budget - Bytes the whole archive may still
+ *   unpack to; reduced by the size of the entry
+ * @returns {Buffer}
+ * @throws {Error} - When the entry is encrypted, damaged, too large or
+ *   compressed with an unsupported method
+ */
+function readZipEntry(zip, entry, maxBytes, budget) {
+  if (entry.flags & 0x1) {
+    throw new Error('password-protected files are not supported');
+  }
+
+  const header = entry.localOffset;
+  if (header + 30 > zip.length || zip.readUInt32LE(header) !== LOCAL_HEADER) {
+    throw new Error('the zip file is damaged');
+  }
+
+  const start = header + 30 + zip.readUInt16LE(header + 26) + zip.readUInt16LE(header + 28);
+  const data = zip.subarray(start, start + entry.compressedSize);
+  if (data.length < entry.compressedSize) {
+    throw new Error('the zip file is damaged');
+  }
+
+  const limit = Math.min(maxBytes, budget.left);
+  const tooLarge = limit < maxBytes ? 'the zip file unpacks to too much data' : 'the file is too large';
+  if (entry.size > limit) {
+    throw new Error(tooLarge);
+  }
+  if (entry.method !== 0 && entry.method !== 8) {
+    throw new Error('the file uses an unsupported compression method');
+  }
+
+  // The declared size can't be trusted, so the output is capped as well
+  let bytes = data;
+  if (entry.method === 8) {
+    try {
+      bytes = zlib.inflateRawSync(data, { maxOutputLength: limit });
+    } catch (error) {
+      throw new Error(error.code === 'ERR_BUFFER_TOO_LARGE' ? tooLarge : 'the zip file is damaged');
+    }
+  } else if (bytes.length > limit) {
+    throw new Error(tooLarge);
+  }
+
+  budget.left -= bytes.length;
+  return bytes;
+}
+
+/**
+ * @param {number} maxDraftLength - Longest draft allowed, in characters
+ * @returns {number} - Longest text to extract before it is cleaned
+ */
+function rawLengthLimit(maxDraftLength) {
+  return Math.ceil(maxDraftLength * RAW_TEXT_MARGIN);
+}
+
+/**
+ * @param {number} maxDraftLength - Longest draft allowed, in characters
+ * @returns {Error} - Why an entry was refused
+ */
+function tooLongError(maxDraftLength) {
+  return new Error(`the draft is longer than ${maxDraftLength} characters`);
+}
+
+/**
+ * Decodes a text file, honouring a UTF-8 or UTF-16 byte order mark
+ * @param {Buffer} bytes - File contents
+ * @returns {string}
+ */
+function decodeText(bytes) {
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return new TextDecoder('utf-16le').decode(bytes);
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return new TextDecoder('utf-16be').decode(bytes);
+  return new TextDecoder('utf-8').decode(bytes);
+}
+
+/**
+ * Replaces XML character and entity references
+ * @param {string} text - Text between XML tags
+ * @returns {string}
+ */
+function decodeXmlText(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (reference, name) => {
+    if (name[0] !== '#') {
+      return XML_ENTITIES[name] || reference;
+    }
+    const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return code <= 0x10FFFF ? String.fromCodePoint(code) : reference;
+  });
+}
+
+/**
+ * Reads the body text of a Word document, one paragraph per block,
+ * matching what the app's own file import keeps
+ * @param {Buffer} bytes - .docx file contents
+ * @param {Object} options
+ * @param {number} options.maxDraftLength - Longest draft allowed, in characters
+ * @param {{ left: number }} options.budget - See readZipEntry()
+ * @returns {string}
+ * @throws {Error} - When the file isn't a Word document or its text is too long
+ */
+function textFromDocx(bytes, { maxDraftLength, budget }) {
+  let entry;
+  try {
+    entry = readZipDirectory(bytes).find(item => item.name === 'word/document.xml');
+  } catch (error) {
+    entry = null;
+  }
+  if (!entry) {
+    throw new Error('not a Word document');
+  }
+
+  const xml = readZipEntry(bytes, entry, MAX_DOCUMENT_XML_BYTES, budget).toString('utf8');
+  const maxLength = rawLengthLimit(maxDraftLength);
+  const paragraphs = [];
+  let paragraph = '';
+  let length = 0; // Of the paragraphs read so far, with the breaks between them
+  let skipped = 0; // Depth inside DOCX_SKIPPED elements
+  let inText = false;
+
+  for (const [, closing, name, selfClosing, text] of xml.matchAll(/<(\/?)([^\s/>]+)[^>]*?(\/?)>|([^<]+)/g)) {
+    if (text !== undefined) {
+      if (inText && skipped === 0) paragraph += decodeXmlText(text);
+    } else if (DOCX_SKIPPED.has(name)) {
+      if (!selfClosing) skipped += closing ? -1 : 1;
+    } else if (skipped > 0) {
+      continue;
+    } else if (name === 'w:t') {
+      inText = !closing && !selfClosing;
+    } else if (name === 'w:tab' && !closing) {
+      paragraph += '\t';
+    } else if ((name === 'w:br' || name === 'w:cr') && !closing) {
+      paragraph += '\n';
+    } else if (name === 'w:p' && (closing || selfClosing)) {
+      paragraphs.push(paragraph);
+      length += paragraph.length + 2;
+      paragraph = '';
+    }
+
+    if (length + paragraph.length > maxLength) {
+      throw tooLongError(maxDraftLength);
+    }
+  }
+
+  return paragraphs.join('\n\n');
+}
+
+/**
+ * Tidies extracted text the same way as the app's file import
+ * @param {string} text - Extracted text
+ * @returns {string}
+ */
+function cleanText(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u00A0\u2007\u202F]/g, ' ') // No-break spaces
+    .replace(/[\u200B\u00AD\uFEFF]/g, '') // Zero-width spaces, soft hyphens, byte order marks
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * @param {string} name - Path of a zip entry
+ * @returns {string|null} - Its draft extension, or null for folders, hidden
+ *   files, macOS resource forks, Word lock files and other file types
+ */
+function draftExtensionOf(name) {
+  const parts = name.split('/');
+  const file = parts[parts.length - 1];
+  if (parts.some(part => part.startsWith('.') || part === '__MACOSX') || file.startsWith('~$')) {
+    return null;
+  }
+
+  const match = /\.[^.]+$/.exec(file);
+  const extension = match ? match[0].toLowerCase() : '';
+  return DRAFT_EXTENSIONS.includes(extension) ? extension : null;
+}
+
+/**
+ * Finds the folder every file in a zip is in, which zipping a folder adds
+ * @param {Array<string>} names - Paths of the zip entries
+ * @returns {string} - Folder path ending in '/', or '' if there is none
+ */
+function commonFolder(names) {
+  let folder = names[0].slice(0, names[0].lastIndexOf('/') + 1);
+  while (folder && !names.every(name => name.startsWith(folder))) {
+    folder = folder.slice(0, folder.lastIndexOf('/', folder.length - 2) + 1);
+  }
+  return folder;
+}
+
+/**
+ * Reads one draft out of a zip. Text is checked against the draft limit as
+ * it is read, so an oversized file is refused before it is all kept.
+ * @param {Buffer} zip - Zip file contents
+ * @param {Object} entry - Entry from readZipDirectory()
+ * @param {number} maxDraftLength - Longest draft allowed, in characters
+ * @param {{ left: number }} budget - See readZipEntry()
+ * @returns {string} - Cleaned draft text
+ * @throws {Error} - When the file can't be read or its draft is too long
+ */
+function readDraft(zip, entry, maxDraftLength, budget) {
+  let text;
+
+  if (draftExtensionOf(entry.name) === '.docx') {
+    text = textFromDocx(readZipEntry(zip, entry, MAX_DOCX_BYTES, budget), { maxDraftLength, budget });
+  } else {
+    const maxLength = rawLengthLimit(maxDraftLength);
+    // A UTF-8 character takes at most 3 bytes per UTF-16 unit, plus a byte order mark
+    text = decodeText(readZipEntry(zip, entry, maxLength * 3 + 3, budget));
+    if (text.length > maxLength) {
+      throw tooLongError(maxDraftLength);
+    }
+  }
+
+  const draft = cleanText(text);
+  if (draft.length > maxDraftLength) {
+    throw tooLongError(maxDraftLength);
+  }
+  return draft;
+}
+
+/**
+ * Reads every draft in a zip of .txt and .docx files
+ * @param {Buffer} zip - Zip file contents
+ * @param {Object} options
+ * @param {number} options.maxDrafts - Most drafts allowed in one zip
+ * @param {number} options.maxDraftLength - Longest draft allowed, in characters
+ * @returns {{ error: string }|{ drafts: Array<{ name: string, draft: string }> }} -
+ *   Error message, or the drafts sorted by name, each named after its path
+ *   in the zip without the extension or the folder they all share
+ */
+function readDraftArchive(zip, { maxDrafts, maxDraftLength }) {
+  let entries;
+  try {
+    entries = readZipDirectory(zip);
+  } catch (error) {
+    return { error: `The zip file could not be read: ${error.message}` };
+  }
+
+  const files = entries.filter(entry => draftExtensionOf(entry.name));
+  if (files.length === 0) {
+    return { error: 'The zip file has no .txt or .docx files' };
+  }
+  if (files.length > maxDrafts) {
+    return { error: `A batch can have at most ${maxDrafts} drafts; the zip file has ${files.length}` };
+  }
+
+  const folder = commonFolder(files.map(entry => entry.name));
+  const budget = { left: MAX_ARCHIVE_BYTES };
+  const drafts = [];
+  for (const entry of files) {
+    try {
+      const draft = readDraft(zip, entry, maxDraftLength, budget);
+      drafts.push({ name: entry.name.slice(folder.length).replace(/\.[^.]+$/, ''), draft });
+    } catch (error) {
+      return { error: `${entry.name} could not be read: ${error.message}` };
+    }
+  }
+
+  drafts.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' }));
+  return { drafts };
+}
+
+module.exports = {
+  readDraftArchive,
+};
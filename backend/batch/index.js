@@ -0,0 +1,72 @@
+/**
+ * Batch Runner Registry
+ * Builds the batch runner from environment configuration
+ *
+ *   BATCH_CONCURRENCY  Drafts analysed at once, across all batches (default 3)
+ *   BATCH_MAX_DRAFTS   Most drafts in one batch (default 50)
+ *   BATCH_TTL_SECONDS  How long a finished batch's results are kept (default 86400)
+ */
+
+const { createBatchRunner } = require('./runner');
+const { getRateLimiter } = require('../middleware/rateLimit');
+
+const DEFAULT_CONCURRENCY = 3;
+const DEFAULT_MAX_DRAFTS = 50;
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const MAX_ACTIVE_BATCHES_PER_TEACHER = 2;
+
+let activeRunner;
+
+/**
+ * Reads a positive whole number from the environment
+ * @param {string} value - Environment value
+ * @param {number} fallback - Used when the value is missing or invalid
+ * @returns {number}
+ */
+function positiveInteger(value, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) || number <= 0 ? fallback : number;
+}
+
+/**
+ * Reads the batch settings from environment configuration
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} - { concurrency, maxDrafts, ttlMs, maxActivePerTeacher }
+ */
+function readBatchConfig(env = process.env) {
+  return {
+    concurrency: positiveInteger(env.BATCH_CONCURRENCY, DEFAULT_CONCURRENCY),
+    maxDrafts: positiveInteger(env.BATCH_MAX_DRAFTS, DEFAULT_MAX_DRAFTS),
+    ttlMs: positiveInteger(env.BATCH_TTL_SECONDS, DEFAULT_TTL_SECONDS) * 1000,
+    maxActivePerTeacher: MAX_ACTIVE_BATCHES_PER_TEACHER,
+  };
+}
+
+/**
+ * Returns the batch runner, creating it on first use. Each draft counts
+ * against its teacher's rate limit and daily quota.
+ * @returns {Object} - Runner (see createBatchRunner())
+ */
+function getBatchRunner() {
+  if (!activeRunner) {
+    activeRunner = createBatchRunner({
+      ...readBatchConfig(),
+      admit: batch => getRateLimiter().consume({ teacherId: batch.teacherId }),
+    });
+  }
+  return activeRunner;
+}
+
+/**
+ * Replaces the active runner (pass undefined to rebuild from the environment)
+ * @param {Object|undefined} runner - Runner to use
+ */
+function setBatchRunner(runner) {
+  activeRunner = runner;
+}
+
+module.exports = {
+  readBatchConfig,
+  getBatchRunner,
+  setBatchRunner,
+};
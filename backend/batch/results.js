@@ -0,0 +1,84 @@
+/**
+ * Batch Results
+ * Turns a batch into one table with a row per draft and a column per
+ * criterion, and writes that table as CSV for a spreadsheet
+ */
+
+const { rollUpRating } = require('../utils/criteriaGroups');
+
+/**
+ * Builds the results table of a batch
+ * @param {Object} batch - Batch (see createBatchRunner())
+ * @returns {Object} - { criteria: [{ criterionNumber, text, group }],
+ *   rows: [{ name, status, overall, ratings, cached, error, errorCode }] },
+ *   rows in the order the drafts were sent. overall is the weighted
+ *   { rating, score } and ratings[i] the rating for criteria[i]; both are
+ *   null until the draft has been marked.
+ */
+function buildResultsTable(batch) {
+  const { layout } = batch;
+  const criteria = layout.criteria.map((text, index) => {
+    const group = layout.groups.find(g => g.criterionNumbers.includes(index + 1));
+    return { criterionNumber: index + 1, text, group: group ? group.name : null };
+  });
+
+  const rows = batch.items.map(item => {
+    const results = item.result ? item.result.criteria : [];
+    const ratings = new Map(results.map(entry => [entry.criterionNumber, entry.rating]));
+
+    return {
+      name: item.name,
+      status: item.status,
+      overall: item.result ? rollUpRating(results, layout.weights) : null,
+      ratings: item.result ? criteria.map(criterion => ratings.get(criterion.criterionNumber) || null) : null,
+      cached: item.result ? item.result.cached : false,
+      error: item.error,
+      errorCode: item.errorCode,
+    };
+  });
+
+  return { criteria, rows };
+}
+
+/**
+ * Quotes one CSV cell when needed (RFC 4180). Cells that a spreadsheet
+ * would run as a formula are prefixed with an apostrophe.
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes a results table as CSV: one row per draft, with its overall
+ * rating and score and then one column per criterion
+ * @param {Object} table - Result of buildResultsTable()
+ * @returns {string}
+ */
+function resultsToCsv({ criteria, rows }) {
+  const header = ['Name', 'Status', 'Overall rating', 'Overall score']
+    .concat(criteria.map(({ criterionNumber, text, group }) =>
+      `${criterionNumber}. ${group ? `${group}: ` : ''}${text}`))
+    .concat('Error');
+
+  const lines = [header].concat(rows.map(row => [
+    row.name,
+    row.status,
+    row.overall ? row.overall.rating : '',
+    row.overall ? row.overall.score : '',
+    ...(row.ratings || criteria.map(() => '')),
+    row.error || '',
+  ]));
+
+  return lines.map(line => line.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildResultsTable,
+  resultsToCsv,
+};
@@ -0,0 +1,242 @@
+/**
+ * Batch Runner
+ * Marks a batch of drafts against one set of criteria. Every draft becomes
+ * a job on a shared queue, so batches from several teachers take turns
+ * and only a few model requests run at once. Batches are kept in memory:
+ * they are lost on restart and dropped a while after they finish.
+ */
+
+const { analyzeWithCriteria } = require('../utils/openaiClient');
+const { applyGroups } = require('../utils/criteriaGroups');
+const { analysisCacheKey, readCachedAnalysis, writeCachedAnalysis } = require('../utils/analysisCache');
+const { createId } = require('../classroom/accounts');
+const { createJobQueue } = require('../utils/jobQueue');
+const { ERROR_CODES } = require('../utils/errors');
+
+const BATCH_ROUTE = '/api/batch';
+const MAX_DRAFT_ATTEMPTS = 3;
+const MAX_RETRY_WAIT_SECONDS = 60;
+
+// Failures that say when to try again. The draft is queued again after that
+// wait (at most MAX_RETRY_WAIT_SECONDS) rather than failing, so a busy
+// provider doesn't fail the rest of the batch. Drafts refused by the
+// teacher's rate limit wait the same way.
+const TRY_LATER_CODES = [ERROR_CODES.MODEL_RATE_LIMITED, ERROR_CODES.MODEL_UNAVAILABLE];
+
+/**
+ * Analyses one draft of a batch, reusing a cached analysis when there is one
+ * @param {string} draft - The student's draft text
+ * @param {Object} batch - Batch the draft belongs to (for its layout, profile and teacher)
+ * @returns {Promise<Object>} - Analysis with group ratings and `cached`
+ */
+async function analyseDraft(draft, { layout, profile, teacherId }) {
+  const cacheKey = analysisCacheKey({ draft, criteria: layout.criteria, groups: layout.groups, profile });
+  let result = await readCachedAnalysis(cacheKey, draft);
+  const cached = result !== null;
+
+  if (!cached) {
+    result = await analyzeWithCriteria(draft, layout.criteria, {
+      groups: layout.groups,
+      profile,
+      caller: { route: BATCH_ROUTE, classCode: null, teacherId },
+    });
+    await writeCachedAnalysis(cacheKey, draft, result);
+  }
+
+  return { ...applyGroups(result, layout), cached };
+}
+
+/**
+ * Counts a batch's drafts by status
+ * @param {Object} batch - Batch
+ * @returns {Object} - { total, queued, running, done, failed, cancelled }
+ */
+function progressOf(batch) {
+  const progress = { total: batch.items.length, queued: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+  batch.items.forEach(item => progress[item.status]++);
+  return progress;
+}
+
+/**
+ * Creates a batch runner
+ * @param {Object} options - Runner options (see readBatchConfig())
+ * @param {number} options.concurrency - Most drafts analysed at once, across all batches
+ * @param {number} options.ttlMs - How long a finished batch is kept
+ * @param {number} options.maxActivePerTeacher - Most unfinished batches one teacher can have
+ * @param {function(string, Object): Promise<Object>} [options.analyse] - Analyses
+ *   one draft of a batch (defaults to analyseDraft())
+ * @param {function(Object): Object|null} [options.admit] - Counts one draft of
+ *   a batch against the rate limits before it is analysed. Returns null, or
+ *   the limit that refused it: { daily, retryAfter }
+ * @param {function(): number} [options.now] - Clock, for tests
+ * @returns {Object} - Runner with start(), find(), cancel() and stats()
+ */
+function createBatchRunner({
+  concurrency,
+  ttlMs,
+  maxActivePerTeacher,
+  analyse = analyseDraft,
+  admit = () => null,
+  now = Date.now,
+}) {
+  const queue = createJobQueue({ concurrency });
+  const batches = new Map(); // id -> batch
+
+  // Finished batches are dropped once they have been kept for the TTL
+  function sweep() {
+    const time = now();
+    batches.forEach((batch, id) => {
+      if (batch.finishedAt !== null && batch.finishedAt + ttlMs <= time) batches.delete(id);
+    });
+  }
+
+  /**
+   * Marks a batch finished once none of its drafts are waiting or running
+   * @param {Object} batch - Batch
+   */
+  function finishIfDone(batch) {
+    if (batch.finishedAt === null && batch.items.every(item => item.status !== 'queued' && item.status !== 'running')) {
+      batch.finishedAt = now();
+    }
+  }
+
+  /**
+   * Queues a draft again after a wait. The wait happens outside the queue,
+   * so other drafts can use the slot.
+   * @param {Object} batch - Batch
+   * @param {Object} item - The draft's entry in batch.items
+   * @param {number} retryAfter - Seconds to wait (at most MAX_RETRY_WAIT_SECONDS is used)
+   */
+  function requeue(batch, item, retryAfter) {
+    item.status = 'queued';
+    setTimeout(() => queue.push(() => runItem(batch, item)), Math.min(retryAfter, MAX_RETRY_WAIT_SECONDS) * 1000);
+  }
+
+  /**
+   * Records why a draft couldn't be marked
+   * @param {Object} batch - Batch
+   * @param {Object} item - The draft's entry in batch.items
+   * @param {string} message - What went wrong
+   * @param {string} code - One of ERROR_CODES
+   */
+  function fail(batch, item, message, code) {
+    console.error(`Batch ${batch.id}, draft "${item.name}":`, message);
+    item.error = message;
+    item.errorCode = code;
+    item.status = 'failed';
+  }
+
+  /**
+   * Queue job: analyses one draft, unless its batch was cancelled first
+   * @param {Object} batch - Batch
+   * @param {Object} item - The draft's entry in batch.items
+   */
+  async function runItem(batch, item) {
+    if (item.status !== 'queued') return;
+
+    const refused = admit(batch);
+    if (refused && !refused.daily) {
+      // Waiting for the teacher's rate limit doesn't use up an attempt
+      requeue(batch, item, refused.retryAfter);
+      return;
+    }
+
+    if (refused) {
+      fail(batch, item, 'The daily limit of AI checks for your batches has been reached. It resets at midnight UTC.', ERROR_CODES.QUOTA_EXCEEDED);
+    } else {
+      item.status = 'running';
+      item.attempts++;
+
+      try {
+        item.result = await analyse(item.draft, batch);
+        item.status = 'done';
+      } catch (error) {
+        if (item.attempts < MAX_DRAFT_ATTEMPTS && TRY_LATER_CODES.includes(error.code) && error.retryAfter) {
+          requeue(batch, item, error.retryAfter);
+          return;
+        }
+        fail(batch, item, error.message || 'Failed to analyze draft', error.code || ERROR_CODES.INTERNAL_ERROR);
+      }
+    }
+
+    // The draft isn't needed once it has been marked
+    item.draft = null;
+    finishIfDone(batch);
+  }
+
+  return {
+    /**
+     * Queues a batch of drafts
+     * @param {Object} request - Validated batch request
+     * @param {string} request.teacherId - Teacher who sent it
+     * @param {Object} request.layout - Criteria layout (see resolveCriteria())
+     * @param {Object} [request.profile] - Feedback profile
+     * @param {Array<Object>} request.drafts - [{ name, draft }]
+     * @returns {{ error: string }|{ batch: Object }} - Error message when the
+     *   teacher already has too many unfinished batches, or the new batch
+     */
+    start({ teacherId, layout, profile, drafts }) {
+      sweep();
+
+      const active = Array.from(batches.values())
+        .filter(batch => batch.teacherId === teacherId && batch.finishedAt === null);
+      if (active.length >= maxActivePerTeacher) {
+        return { error: `You can have at most ${maxActivePerTeacher} batches being marked at once. Wait for one to finish or cancel it.` };
+      }
+
+      const batch = {
+        id: createId('batch'),
+        teacherId,
+        createdAt: now(),
+        finishedAt: null,
+        layout,
+        profile,
+        items: drafts.map(({ name, draft }) => ({ name, draft, status: 'queued', attempts: 0, result: null, error: null, errorCode: null })),
+      };
+      batches.set(batch.id, batch);
+
+      batch.items.forEach(item => queue.push(() => runItem(batch, item)));
+      return { batch };
+    },
+
+    /**
+     * Finds a batch sent by a teacher
+     * @param {string} id - Batch id
+     * @param {string} teacherId - Teacher asking for it
+     * @returns {Object|null} - Batch, or null if it is unknown, expired or
+     *   belongs to another teacher
+     */
+    find(id, teacherId) {
+      sweep();
+      const batch = batches.get(id);
+      return batch && batch.teacherId === teacherId ? batch : null;
+    },
+
+    /**
+     * Cancels the drafts of a batch that haven't started yet. Drafts already
+     * being analysed are left to finish.
+     * @param {Object} batch - Batch from find()
+     */
+    cancel(batch) {
+      batch.items.forEach(item => {
+        if (item.status === 'queued') {
+          item.status = 'cancelled';
+          item.draft = null;
+        }
+      });
+      finishIfDone(batch);
+    },
+
+    /**
+     * @returns {{ batches: number, queue: Object }} - Batches kept and queue stats
+     */
+    stats() {
+      return { batches: batches.size, queue: queue.stats() };
+    },
+  };
+}
+
+module.exports = {
+  progressOf,
+  createBatchRunner,
+};
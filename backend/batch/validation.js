@@ -0,0 +1,109 @@
+/**
+ * Batch Validation
+ * Checks a batch marking request: the criteria and feedback profile every
+ * draft is marked against, and the named drafts themselves
+ */
+
+const { resolveCriteria } = require('../utils/criteriaGroups');
+const { validateProfile } = require('../utils/feedbackProfile');
+const { readDraftArchive } = require('./archive');
+
+const MAX_DRAFT_NAME_LENGTH = 100;
+const MAX_DRAFT_LENGTH = 50000; // Same as the editor's maxlength
+const BASE64_PATTERN = /^[A-Za-z0-9+/\r\n]+={0,2}\s*$/;
+
+/**
+ * Checks the named drafts of a batch
+ * @param {Array<Object>} drafts - [{ name, draft }]
+ * @param {number} maxDrafts - Most drafts allowed
+ * @returns {string|null} - Error message, or null if they are valid
+ */
+function validateDrafts(drafts, maxDrafts) {
+  if (drafts.length === 0) {
+    return 'A batch needs at least one draft';
+  }
+  if (drafts.length > maxDrafts) {
+    return `A batch can have at most ${maxDrafts} drafts`;
+  }
+
+  const names = new Set();
+  for (let i = 0; i < drafts.length; i++) {
+    const item = drafts[i];
+    if (!item || typeof item !== 'object' || typeof item.name !== 'string' ||
+        !item.name.trim() || item.name.trim().length > MAX_DRAFT_NAME_LENGTH) {
+      return `Draft ${i + 1} needs a name of at most ${MAX_DRAFT_NAME_LENGTH} characters`;
+    }
+
+    const name = item.name.trim();
+    if (names.has(name.toLowerCase())) {
+      return `Two drafts are named "${name}"; each draft needs its own name`;
+    }
+    names.add(name.toLowerCase());
+
+    if (typeof item.draft !== 'string' || !item.draft.trim()) {
+      return `Draft "${name}" is empty`;
+    }
+    if (item.draft.length > MAX_DRAFT_LENGTH) {
+      return `Draft "${name}" is longer than ${MAX_DRAFT_LENGTH} characters`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validates the body of a batch request. Drafts are sent either as a list
+ * or as a base64-encoded zip of .txt and .docx files.
+ * @param {Object} body - Request body: { criteria, groups, profile, drafts } or
+ *   { criteria, groups, profile, archive }
+ * @param {Object} options
+ * @param {number} options.maxDrafts - Most drafts allowed in one batch
+ * @returns {{ error: string }|{ layout: Object, profile: Object|undefined,
+ *   drafts: Array<{ name: string, draft: string }> }} - Error message, or the
+ *   criteria layout (see resolveCriteria), the profile and the drafts with
+ *   trimmed names
+ */
+function readBatchRequest({ criteria, groups, profile, drafts, archive }, { maxDrafts }) {
+  const resolved = resolveCriteria(criteria, groups);
+  if (resolved.error) {
+    return resolved;
+  }
+
+  const profileError = validateProfile(profile);
+  if (profileError) {
+    return { error: profileError };
+  }
+
+  if ((drafts === undefined) === (archive === undefined)) {
+    return { error: 'Send either a list of drafts or a zip file, but not both' };
+  }
+
+  let items = drafts;
+  if (archive !== undefined) {
+    if (typeof archive !== 'string' || !BASE64_PATTERN.test(archive)) {
+      return { error: 'The zip file must be sent base64-encoded' };
+    }
+
+    const read = readDraftArchive(Buffer.from(archive, 'base64'), { maxDrafts, maxDraftLength: MAX_DRAFT_LENGTH });
+    if (read.error) {
+      return read;
+    }
+    items = read.drafts;
+  } else if (!Array.isArray(drafts)) {
+    return { error: 'Drafts must be a list of { name, draft }' };
+  }
+
+  const error = validateDrafts(items, maxDrafts);
+  if (error) {
+    return { error };
+  }
+
+  return {
+    layout: resolved.layout,
+    profile,
+    drafts: items.map(item => ({ name: item.name.trim(), draft: item.draft })),
+  };
+}
+
+module.exports = {
+  readBatchRequest,
+};
@@ -0,0 +1,82 @@
+/**
+ * File Store
+ * Same behaviour as the memory store, but saved to a JSON file so cached
+ * responses survive a server restart
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memoryStore');
+
+/**
+ * Reads the entries saved by a previous run
+ * @param {string} file - Path of the cache file
+ * @returns {Array<Array>} - [key, { value, expiresAt }] pairs
+ */
+function readEntries(file) {
+  try {
+    const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(entries)) {
+      console.error(`Ignoring cache file ${file}: expected a list of entries`);
+      return [];
+    }
+    return entries.filter(entry => Array.isArray(entry) && entry[1] && typeof entry[1] === 'object');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Ignoring unreadable cache file ${file}:`, error.message);
+    }
+    return [];
+  }
+}
+
+/**
+ * Creates a cache store backed by a JSON file
+ * @param {Object} options - Store options
+ * @param {string} options.file - Path of the cache file (created if missing)
+ * @param {number} options.ttlMs - How long an entry stays fresh, in milliseconds
+ * @param {number} options.maxEntries - Most entries kept at once
+ * @returns {Object} - Store with get(), set(), delete() and clear()
+ */
+function createFileStore({ file, ttlMs, maxEntries }) {
+  const memory = createMemoryStore({ ttlMs, maxEntries, entries: readEntries(file) });
+
+  // Writes are chained so an older snapshot never overwrites a newer one
+  let writing = Promise.resolve();
+
+  function save() {
+    writing = writing
+      .then(async () => {
+        const temporary = `${file}.tmp`;
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(temporary, JSON.stringify(memory.entries()));
+        await fs.promises.rename(temporary, file);
+      })
+      .catch(error => console.error(`Failed to write cache file ${file}:`, error.message));
+    return writing;
+  }
+
+  return {
+    name: 'file',
+
+    get: key => memory.get(key),
+
+    async set(key, value) {
+      await memory.set(key, value);
+      await save();
+    },
+
+    async delete(key) {
+      await memory.delete(key);
+      await save();
+    },
+
+    async clear() {
+      await memory.clear();
+      await save();
+    },
+  };
+}
+
+module.exports = {
+  createFileStore,
+};
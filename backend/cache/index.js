@@ -0,0 +1,85 @@
+/**
+ * Cache Store Registry
+ * Selects where cached analyses are kept from environment configuration
+ *
+ * CACHE_STORE:
+ *   - memory (default) In process memory, lost on restart
+ *   - file             A JSON file (CACHE_FILE), kept across restarts
+ *   - none             Caching disabled
+ *
+ * A store is any object with async get(key), set(key, value), delete(key)
+ * and clear(); pass one to setCache() to plug in another backend.
+ */
+
+const path = require('path');
+const { createMemoryStore } = require('./memoryStore');
+const { createFileStore } = require('./fileStore');
+
+const STORES = ['memory', 'file', 'none'];
+const DEFAULT_TTL_SECONDS = 3600;
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_CACHE_FILE = path.join(__dirname, '..', '.cache', 'analyses.json');
+
+let activeCache;
+
+/**
+ * Reads a positive whole number from the environment
+ * @param {string} value - Environment value
+ * @param {number} fallback - Used when the value is missing or invalid
+ * @returns {number}
+ */
+function positiveInteger(value, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) || number <= 0 ? fallback : number;
+}
+
+/**
+ * Builds a cache store from a configuration object
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object|null} - Store, or null when caching is disabled
+ */
+function createCache(env = process.env) {
+  const name = (env.CACHE_STORE || 'memory').trim().toLowerCase();
+  const ttlMs = positiveInteger(env.CACHE_TTL_SECONDS, DEFAULT_TTL_SECONDS) * 1000;
+  const maxEntries = positiveInteger(env.CACHE_MAX_ENTRIES, DEFAULT_MAX_ENTRIES);
+
+  switch (name) {
+    case 'memory':
+      return createMemoryStore({ ttlMs, maxEntries });
+
+    case 'file':
+      return createFileStore({ file: env.CACHE_FILE || DEFAULT_CACHE_FILE, ttlMs, maxEntries });
+
+    case 'none':
+      return null;
+
+    default:
+      throw new Error(`Unknown CACHE_STORE "${name}". Expected one of: ${STORES.join(', ')}`);
+  }
+}
+
+/**
+ * Returns the configured cache store, creating it on first use
+ * @returns {Object|null} - Active store, or null when caching is disabled
+ */
+function getCache() {
+  if (activeCache === undefined) {
+    activeCache = createCache();
+  }
+  return activeCache;
+}
+
+/**
+ * Replaces the active store (pass undefined to rebuild from the environment)
+ * @param {Object|null|undefined} store - Store to use, or null to disable caching
+ */
+function setCache(store) {
+  activeCache = store;
+}
+
+module.exports = {
+  createCache,
+  getCache,
+  setCache,
+  STORES,
+};
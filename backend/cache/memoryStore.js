@@ -0,0 +1,76 @@
+/**
+ * Memory Store
+ * Keeps cached responses in process memory. Entries expire after the TTL
+ * and the least recently used entry is dropped when the store is full.
+ */
+
+/**
+ * Creates an in-memory cache store
+ * @param {Object} options - Store options
+ * @param {number} options.ttlMs - How long an entry stays fresh, in milliseconds
+ * @param {number} options.maxEntries - Most entries kept at once
+ * @param {Array<Array>} [options.entries] - Initial [key, { value, expiresAt }] pairs, oldest first
+ * @returns {Object} - Store with get(), set(), delete() and clear()
+ */
+function createMemoryStore({ ttlMs, maxEntries, entries = [] }) {
+  // Map iteration order doubles as recency order: oldest first
+  const items = new Map(entries.filter(([, item]) => item.expiresAt > Date.now()));
+
+  return {
+    name: 'memory',
+
+    /**
+     * @param {string} key - Cache key
+     * @returns {Promise<*>} - Cached value, or undefined if missing or expired
+     */
+    async get(key) {
+      const item = items.get(key);
+      if (!item) {
+        return undefined;
+      }
+
+      items.delete(key);
+      if (item.expiresAt <= Date.now()) {
+        return undefined;
+      }
+
+      items.set(key, item);
+      return item.value;
+    },
+
+    /**
+     * @param {string} key - Cache key
+     * @param {*} value - JSON-serializable value
+     */
+    async set(key, value) {
+      items.delete(key);
+      items.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+      while (items.size > maxEntries) {
+        items.delete(items.keys().next().value);
+      }
+    },
+
+    /**
+     * @param {string} key - Cache key
+     */
+    async delete(key) {
+      items.delete(key);
+    },
+
+    async clear() {
+      items.clear();
+    },
+
+    /**
+     * @returns {Array<Array>} - [key, { value, expiresAt }] pairs, oldest first
+     */
+    entries() {
+      return Array.from(items.entries());
+    },
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+};
@@ -0,0 +1,102 @@
+/**
+ * Teacher Accounts
+ * Password hashing, sign-in session tokens, and ids and join codes for
+ * stored records
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const PASSWORD_KEY_LENGTH = 64;
+const SESSION_DAYS = 30;
+
+// Join codes avoid letters and digits that are easy to mix up (0/O, 1/I/L)
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 6;
+
+// Checked when no account matches, so a wrong email takes as long as a
+// wrong password and response times don't show which emails have accounts
+const NO_ACCOUNT_PASSWORD = { salt: crypto.randomBytes(16).toString('hex'), hash: '00'.repeat(PASSWORD_KEY_LENGTH) };
+
+/**
+ * Hashes a password with a new random salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<{ salt: string, hash: string }>} - Hex strings
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+  return { salt, hash: hash.toString('hex') };
+}
+
+/**
+ * Checks a password against a stored hash. Without a stored hash the
+ * same work is done and the password is refused.
+ * @param {string} password - Plain-text password
+ * @param {{ salt: string, hash: string }|null} stored - Result of hashPassword(),
+ *   or null when no account matches
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const { salt, hash } = stored || NO_ACCOUNT_PASSWORD;
+  const computed = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+  return crypto.timingSafeEqual(computed, Buffer.from(hash, 'hex')) && stored !== null;
+}
+
+/**
+ * Hashes a session token for storage, so a leaked data file can't be
+ * used to sign in
+ * @param {string} token - Session token
+ * @returns {string} - SHA-256 hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Starts a sign-in session for a teacher
+ * @param {string} teacherId - Teacher the session belongs to
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {{ token: string, session: Object }} - The token to give the
+ *   teacher, and the session to store: { tokenHash, teacherId, expiresAt }
+ */
+function createSession(teacherId, now = Date.now()) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return {
+    token,
+    session: {
+      tokenHash: hashToken(token),
+      teacherId,
+      expiresAt: new Date(now + SESSION_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    },
+  };
+}
+
+/**
+ * Generates an unguessable id for a stored record
+ * @param {string} prefix - e.g. 'teacher' or 'submission'
+ * @returns {string}
+ */
+function createId(prefix) {
+  return `${prefix}-${crypto.randomBytes(9).toString('base64url')}`;
+}
+
+/**
+ * Generates a class join code that students can type from the board. It
+ * also works as the class code for rate limits (3-32 letters, digits or hyphens).
+ * @returns {string} - e.g. 'K7QXM2'
+ */
+function createJoinCode() {
+  return Array.from(crypto.randomBytes(JOIN_CODE_LENGTH), byte => JOIN_CODE_ALPHABET[byte % JOIN_CODE_ALPHABET.length]).join('');
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  hashToken,
+  createSession,
+  createId,
+  createJoinCode,
+};
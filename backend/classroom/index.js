@@ -0,0 +1,36 @@
+/**
+ * Classroom Store Registry
+ * Keeps teacher accounts, classes and student submissions in a JSON file
+ * (CLASSROOM_FILE), so teachers can see work handed in from any browser
+ */
+
+const path = require('path');
+const { createClassroomStore } = require('./store');
+
+const DEFAULT_CLASSROOM_FILE = path.join(__dirname, '..', '.data', 'classroom.json');
+
+let activeStore;
+
+/**
+ * Returns the classroom store, creating it on first use
+ * @returns {Object} - Store (see createClassroomStore())
+ */
+function getClassroomStore() {
+  if (!activeStore) {
+    activeStore = createClassroomStore({ file: process.env.CLASSROOM_FILE || DEFAULT_CLASSROOM_FILE });
+  }
+  return activeStore;
+}
+
+/**
+ * Replaces the active store (pass undefined to rebuild from the environment)
+ * @param {Object|undefined} store - Store to use
+ */
+function setClassroomStore(store) {
+  activeStore = store;
+}
+
+module.exports = {
+  getClassroomStore,
+  setClassroomStore,
+};
@@ -0,0 +1,67 @@
+/**
+ * Result Tokens
+ * Signs each analysis the server sends, so a student handing a draft in
+ * can prove its feedback came from this server and wasn't edited. The key
+ * is RESULT_TOKEN_SECRET; without it a random key is made at startup, and
+ * feedback from before a restart has to be checked again to be handed in.
+ */
+
+const crypto = require('crypto');
+
+const fallbackSecret = crypto.randomBytes(32).toString('hex');
+
+/**
+ * The parts of an analysis a submission stores, in a fixed order
+ * @param {string} draft - The draft that was analysed
+ * @param {Object} results - Analysis: { criteria, summary }
+ * @returns {string} - JSON text to sign
+ */
+function signedText(draft, { criteria, summary }) {
+  return JSON.stringify({
+    draft,
+    criteria: criteria.map(({ criterionNumber, criterion, rating, feedback, evidence, group }) => ({
+      criterionNumber,
+      criterion,
+      rating,
+      feedback,
+      evidence: evidence.map(({ quote, start, end }) => ({ quote, start, end })),
+      group: typeof group === 'string' ? group : null,
+    })),
+    summary,
+  });
+}
+
+/**
+ * Signs an analysis of a draft
+ * @param {string} draft - The draft that was analysed
+ * @param {Object} results - Analysis as sent to the client: { criteria, summary }
+ * @returns {string} - Token to send with the analysis
+ */
+function signResults(draft, results) {
+  return crypto
+    .createHmac('sha256', process.env.RESULT_TOKEN_SECRET || fallbackSecret)
+    .update(signedText(draft, results))
+    .digest('base64url');
+}
+
+/**
+ * Checks that an analysis is one this server sent for the draft, unchanged
+ * @param {string} draft - The submitted draft
+ * @param {Object} results - The submitted analysis: { criteria, summary }
+ * @param {*} token - The token sent with the analysis
+ * @returns {boolean}
+ */
+function verifyResults(draft, results, token) {
+  if (typeof token !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(signResults(draft, results));
+  const actual = Buffer.from(token);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+  signResults,
+  verifyResults,
+};
@@ -0,0 +1,80 @@
+/**
+ * Class Roster
+ * Turns a class's submissions into the teacher's roster: who has handed
+ * work in, and their latest rating for each criterion of the class rubric
+ */
+
+/**
+ * Matches criterion text loosely, so results still line up after a
+ * student's copy of the rubric picks up a stray space or capital
+ * @param {string} text - Criterion text
+ * @returns {string}
+ */
+function criterionKey(text) {
+  return text.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * The class details students see when they enter its code
+ * @param {Object} classRecord - Stored class
+ * @param {Object|null} teacher - Stored teacher who owns it
+ * @returns {Object} - { code, name, teacherName, rubric }
+ */
+function publicClass(classRecord, teacher) {
+  return {
+    code: classRecord.code,
+    name: classRecord.name,
+    teacherName: teacher ? teacher.name : null,
+    rubric: classRecord.rubric,
+  };
+}
+
+/**
+ * Builds the roster of a class
+ * @param {Object} classRecord - Stored class with its rubric
+ * @param {Array<Object>} submissions - Every submission to the class
+ * @returns {Object} - { criteria: [{ criterionNumber, text, group }],
+ *   students: [{ studentName, submissions: [{ id, title, submittedAt }],
+ *   latest: { id, submittedAt, ratings } }] }, students sorted by name and
+ *   submissions newest first. ratings[i] is the rating for criteria[i], or
+ *   null if the submission wasn't assessed against it.
+ */
+function buildRoster(classRecord, submissions) {
+  const criteria = classRecord.rubric.criteria.map((criterion, index) => ({
+    criterionNumber: index + 1,
+    text: criterion.text,
+    group: criterion.group,
+  }));
+
+  // Students aren't accounts, so the same name (ignoring case) is the same student
+  const byStudent = new Map();
+  submissions.forEach(submission => {
+    const key = submission.studentName.toLowerCase();
+    if (!byStudent.has(key)) byStudent.set(key, []);
+    byStudent.get(key).push(submission);
+  });
+
+  const students = Array.from(byStudent.values()).map(list => {
+    const sorted = list.slice().sort((a, b) => b.submittedAt.localeCompare(a.submittedAt));
+    const latest = sorted[0];
+    const ratings = new Map(latest.results.criteria.map(result => [criterionKey(result.criterion), result.rating]));
+
+    return {
+      studentName: latest.studentName,
+      submissions: sorted.map(({ id, title, submittedAt }) => ({ id, title, submittedAt })),
+      latest: {
+        id: latest.id,
+        submittedAt: latest.submittedAt,
+        ratings: criteria.map(criterion => ratings.get(criterionKey(criterion.text)) || null),
+      },
+    };
+  });
+
+  students.sort((a, b) => a.studentName.localeCompare(b.studentName, undefined, { sensitivity: 'base' }));
+  return { criteria, students };
+}
+
+module.exports = {
+  publicClass,
+  buildRoster,
+};
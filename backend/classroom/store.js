@@ -0,0 +1,150 @@
+/**
+ * Classroom Store
+ * Teacher accounts, sign-in sessions, classes and submissions, held in
+ * memory and saved to a JSON file after every change
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const COLLECTIONS = ['teachers', 'sessions', 'classes', 'submissions'];
+
+/**
+ * Reads the data saved by a previous run
+ * @param {string} file - Path of the data file
+ * @returns {Object} - { teachers, sessions, classes, submissions }
+ */
+function readData(file) {
+  let saved = {};
+  try {
+    saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!saved || typeof saved !== 'object' || Array.isArray(saved)) {
+      throw new Error('it does not hold a JSON object');
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      // Starting empty would lose every class on the next save, so refuse to start
+      throw new Error(`Classroom data file ${file} is unreadable: ${error.message}`);
+    }
+  }
+
+  return Object.fromEntries(COLLECTIONS.map(name => [name, Array.isArray(saved[name]) ? saved[name] : []]));
+}
+
+/**
+ * Creates a classroom store backed by a JSON file
+ * @param {Object} options - Store options
+ * @param {string} options.file - Path of the data file (created if missing)
+ * @param {function(): number} [options.now] - Clock, for tests
+ * @returns {Object} - Store with async methods for each collection
+ */
+function createClassroomStore({ file, now = Date.now }) {
+  const data = readData(file);
+
+  // Writes are chained so an older snapshot never overwrites a newer one
+  let writing = Promise.resolve();
+
+  // Unlike the response cache, losing classroom data matters, so a failed
+  // save is reported to the caller; the chain itself carries on
+  function save() {
+    const saved = writing.then(async () => {
+      const temporary = `${file}.tmp`;
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(temporary, JSON.stringify(data));
+      await fs.promises.rename(temporary, file);
+    });
+    writing = saved.catch(error => console.error(`Failed to write classroom data ${file}:`, error.message));
+    return saved;
+  }
+
+  const isLive = session => Date.parse(session.expiresAt) > now();
+
+  return {
+    name: 'file',
+
+    async findTeacherByEmail(email) {
+      return data.teachers.find(teacher => teacher.email === email) || null;
+    },
+
+    async findTeacher(id) {
+      return data.teachers.find(teacher => teacher.id === id) || null;
+    },
+
+    async addTeacher(teacher) {
+      data.teachers.push(teacher);
+      await save();
+      return teacher;
+    },
+
+    async findSession(tokenHash) {
+      const session = data.sessions.find(item => item.tokenHash === tokenHash);
+      return session && isLive(session) ? session : null;
+    },
+
+    async addSession(session) {
+      // Expired sessions are dropped whenever a new one starts
+      data.sessions = data.sessions.filter(isLive);
+      data.sessions.push(session);
+      await save();
+      return session;
+    },
+
+    async removeSession(tokenHash) {
+      data.sessions = data.sessions.filter(item => item.tokenHash !== tokenHash);
+      await save();
+    },
+
+    async findClass(code) {
+      return data.classes.find(item => item.code === code) || null;
+    },
+
+    async listClasses(teacherId) {
+      return data.classes.filter(item => item.teacherId === teacherId);
+    },
+
+    async addClass(classRecord) {
+      data.classes.push(classRecord);
+      await save();
+      return classRecord;
+    },
+
+    async updateClass(code, changes) {
+      const classRecord = data.classes.find(item => item.code === code);
+      if (!classRecord) {
+        return null;
+      }
+      Object.assign(classRecord, changes);
+      await save();
+      return classRecord;
+    },
+
+    async listSubmissions(classCode) {
+      return data.submissions.filter(item => item.classCode === classCode);
+    },
+
+    async findSubmission(classCode, id) {
+      return data.submissions.find(item => item.classCode === classCode && item.id === id) || null;
+    },
+
+    /**
+     * @param {Object} submission - Submission to store
+     * @param {number} keepPerStudent - Most submissions kept for one student
+     *   of a class; their oldest are dropped to make room
+     */
+    async addSubmission(submission, keepPerStudent) {
+      const sameStudent = item => item.classCode === submission.classCode &&
+        item.studentName.toLowerCase() === submission.studentName.toLowerCase();
+      const earlier = data.submissions.filter(sameStudent);
+      const dropped = new Set(earlier.slice(0, Math.max(0, earlier.length - keepPerStudent + 1)));
+
+      data.submissions = data.submissions.filter(item => !dropped.has(item));
+      data.submissions.push(submission);
+      await save();
+      return submission;
+    },
+  };
+}
+
+module.exports = {
+  createClassroomStore,
+};
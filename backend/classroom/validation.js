@@ -0,0 +1,204 @@
+/**
+ * Classroom Validation
+ * Checks teacher sign-ups, class rubrics and student submissions, and
+ * copies out only the fields that are stored
+ */
+
+const { RATINGS } = require('../utils/responseSchema');
+const { resolveCriteria } = require('../utils/criteriaGroups');
+const { MAX_EVIDENCE_QUOTES } = require('../utils/evidence');
+
+const MAX_CRITERIA = 15;
+const MAX_NAME_LENGTH = 100;
+const MAX_STUDENT_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_CRITERION_LENGTH = 500;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DRAFT_LENGTH = 50000; // Same as the editor's maxlength
+const MAX_FEEDBACK_LENGTH = 2000; // One criterion's feedback or one summary point
+const MAX_SUMMARY_POINTS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Checks that a value is a string with something in it, no longer than a limit
+ * @param {*} value - Value to check
+ * @param {number} maxLength - Longest allowed length after trimming
+ * @returns {boolean}
+ */
+function isName(value, maxLength) {
+  return typeof value === 'string' && value.trim().length > 0 && value.trim().length <= maxLength;
+}
+
+/**
+ * Validates a teacher sign-up
+ * @param {Object} body - Request body: { name, email, password }
+ * @returns {{ error: string }|{ teacher: { name: string, email: string } }}
+ */
+function readSignup({ name, email, password }) {
+  if (!isName(name, MAX_NAME_LENGTH)) {
+    return { error: `Name is required and must be at most ${MAX_NAME_LENGTH} characters` };
+  }
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+    return { error: 'A valid email address is required' };
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+  }
+
+  return { teacher: { name: name.trim(), email: normalizeEmail(email) } };
+}
+
+/**
+ * @param {string} email - Email address as typed
+ * @returns {string} - Trimmed and lowercased, so sign-in ignores case
+ */
+function normalizeEmail(email) {
+  return email.trim().toLowerCase();
+}
+
+/**
+ * Validates the rubric assigned to a class: the same shape the app's rubric
+ * library exports, { name, description, criteria: [{ text, weight, group }] }
+ * @param {*} rubric - Rubric from the request body
+ * @returns {{ error: string }|{ rubric: Object }} - Error message, or the
+ *   rubric with only the stored fields
+ */
+function readRubric(rubric) {
+  if (!rubric || typeof rubric !== 'object' || !isName(rubric.name, MAX_NAME_LENGTH)) {
+    return { error: `The rubric needs a name of at most ${MAX_NAME_LENGTH} characters` };
+  }
+  if (rubric.description !== undefined &&
+      (typeof rubric.description !== 'string' || rubric.description.length > MAX_DESCRIPTION_LENGTH)) {
+    return { error: `The rubric description must be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+  }
+  if (!Array.isArray(rubric.criteria)) {
+    return { error: 'The rubric needs a list of criteria' };
+  }
+
+  const criteria = rubric.criteria.map(item => (typeof item === 'string' ? { text: item } : item));
+  if (criteria.some(item => !item || typeof item !== 'object' ||
+      (item.group !== undefined && typeof item.group !== 'string'))) {
+    return { error: 'Each rubric criterion must be text, or { text, weight, group }' };
+  }
+  if (criteria.some(item => typeof item.text === 'string' && item.text.trim().length > MAX_CRITERION_LENGTH)) {
+    return { error: `Each rubric criterion must be at most ${MAX_CRITERION_LENGTH} characters` };
+  }
+
+  // The same checks as an analyse request, which is what the rubric will be used for
+  const groupNames = [...new Set(criteria.map(item => (item.group || '').trim()).filter(Boolean))];
+  const { error } = resolveCriteria(
+    criteria.filter(item => !(item.group || '').trim()),
+    groupNames.map(name => ({ name, criteria: criteria.filter(item => (item.group || '').trim() === name) }))
+  );
+  if (error) {
+    return { error };
+  }
+
+  return {
+    rubric: {
+      name: rubric.name.trim(),
+      description: (rubric.description || '').trim(),
+      criteria: criteria.map(item => ({
+        text: item.text.trim(),
+        weight: item.weight === undefined ? 1 : item.weight,
+        group: (item.group || '').trim(),
+      })),
+    },
+  };
+}
+
+/**
+ * Checks that a value is a string no longer than a limit
+ * @param {*} value - Value to check
+ * @param {number} maxLength - Longest allowed length
+ * @returns {boolean}
+ */
+function isText(value, maxLength) {
+  return typeof value === 'string' && value.length <= maxLength;
+}
+
+/**
+ * Copies the stored fields of one criterion result
+ * @param {*} item - Criterion result from the request body
+ * @param {string} draft - The submitted draft, which evidence must quote
+ * @returns {Object|null} - Copy, or null if it is malformed
+ */
+function readCriterionResult(item, draft) {
+  if (!item || typeof item !== 'object' ||
+      !Number.isInteger(item.criterionNumber) || item.criterionNumber < 1 || item.criterionNumber > MAX_CRITERIA ||
+      !isText(item.criterion, MAX_CRITERION_LENGTH) ||
+      !RATINGS.includes(item.rating) ||
+      !isText(item.feedback, MAX_FEEDBACK_LENGTH) ||
+      (typeof item.group === 'string' && item.group.length > MAX_NAME_LENGTH)) {
+    return null;
+  }
+
+  // Evidence is copied from the draft, so each quote must be the text at its offsets
+  const evidence = Array.isArray(item.evidence) ? item.evidence : [];
+  if (evidence.length > MAX_EVIDENCE_QUOTES || evidence.some(quote => !quote ||
+      !Number.isInteger(quote.start) || !Number.isInteger(quote.end) ||
+      quote.start < 0 || quote.end > draft.length || quote.start >= quote.end ||
+      quote.quote !== draft.slice(quote.start, quote.end))) {
+    return null;
+  }
+
+  return {
+    criterionNumber: item.criterionNumber,
+    criterion: item.criterion,
+    rating: item.rating,
+    feedback: item.feedback,
+    evidence: evidence.map(({ quote, start, end }) => ({ quote, start, end })),
+    ...(typeof item.group === 'string' ? { group: item.group } : {}),
+  };
+}
+
+/**
+ * Validates a student's submission
+ * @param {Object} body - Request body: { studentName, title, draft, results }
+ * @returns {{ error: string }|{ submission: Object }} - Error message, or
+ *   { studentName, title, draft, results } with only the stored fields
+ */
+function readSubmission({ studentName, title, draft, results }) {
+  if (!isName(studentName, MAX_STUDENT_NAME_LENGTH)) {
+    return { error: `Your name is required and must be at most ${MAX_STUDENT_NAME_LENGTH} characters` };
+  }
+  if (title !== undefined && (typeof title !== 'string' || title.length > MAX_TITLE_LENGTH)) {
+    return { error: `Title must be at most ${MAX_TITLE_LENGTH} characters` };
+  }
+  if (typeof draft !== 'string' || !draft.trim() || draft.length > MAX_DRAFT_LENGTH) {
+    return { error: `Draft text is required and must be at most ${MAX_DRAFT_LENGTH} characters` };
+  }
+  if (!results || typeof results !== 'object' || !Array.isArray(results.criteria) || results.criteria.length === 0) {
+    return { error: 'Check your draft against the criteria before submitting it' };
+  }
+  if (results.criteria.length > MAX_CRITERIA) {
+    return { error: `Feedback can cover at most ${MAX_CRITERIA} criteria` };
+  }
+
+  const criteria = results.criteria.map(item => readCriterionResult(item, draft));
+  const summary = results.summary === undefined ? [] : results.summary;
+  if (criteria.includes(null) || !Array.isArray(summary) || summary.length > MAX_SUMMARY_POINTS ||
+      summary.some(point => !isText(point, MAX_FEEDBACK_LENGTH))) {
+    return { error: 'The feedback sent with the draft is malformed' };
+  }
+
+  const weights = Array.isArray(results.weights) && results.weights.length <= MAX_CRITERIA &&
+    results.weights.every(Number.isFinite) ? results.weights : [];
+
+  return {
+    submission: {
+      studentName: studentName.trim(),
+      title: (title || '').trim(),
+      draft,
+      results: { criteria, summary, weights },
+    },
+  };
+}
+
+module.exports = {
+  normalizeEmail,
+  readSignup,
+  readRubric,
+  readSubmission,
+};
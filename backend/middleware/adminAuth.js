@@ -0,0 +1,46 @@
+/**
+ * Admin Authentication
+ * Guards the admin-only endpoints with a shared token (ADMIN_TOKEN),
+ * sent as "Authorization: Bearer <token>". Without ADMIN_TOKEN the admin
+ * endpoints are turned off.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Express middleware: lets a request through only with the admin token
+ */
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return res.status(403).json({
+      error: 'Admin endpoints are disabled. Set ADMIN_TOKEN to enable them.',
+      success: false,
+    });
+  }
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  if (!match || !safeEqual(match[1].trim(), token)) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'A valid admin token is required', success: false });
+  }
+
+  next();
+}
+
+module.exports = {
+  safeEqual,
+  requireAdmin,
+};
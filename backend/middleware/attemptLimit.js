@@ -0,0 +1,112 @@
+/**
+ * Attempt Limits
+ * Fixed-window counters for the classroom endpoints: sign-ups, sign-ins
+ * and submissions. Like the AI rate limits, counters are kept in memory,
+ * so they reset on restart and are not shared between server processes.
+ */
+
+const { ERROR_CODES } = require('../utils/errors');
+
+/**
+ * Creates a set of counters, one per key, that each allow `max` attempts
+ * per window
+ * @param {Object} options - Limiter options
+ * @param {number} options.max - Attempts allowed per window
+ * @param {number} options.windowMs - Length of a window, in milliseconds
+ * @param {function(): number} [options.now] - Clock, for tests
+ * @returns {Object} - Limiter with retryAfter(), count() and reset()
+ */
+function createAttemptLimiter({ max, windowMs, now = Date.now }) {
+  const counters = new Map(); // key -> { count, resetAt }
+  let nextSweep = 0;
+
+  /**
+   * Reads a key's counter, dropping expired counters now and then so the
+   * map doesn't grow forever
+   * @param {string} key - e.g. an IP address or an email
+   * @param {number} time - Current time
+   * @returns {{ count: number, resetAt: number }|null}
+   */
+  function counterFor(key, time) {
+    if (time >= nextSweep) {
+      nextSweep = time + windowMs;
+      counters.forEach((counter, name) => {
+        if (counter.resetAt <= time) counters.delete(name);
+      });
+    }
+
+    const counter = counters.get(key);
+    return counter && counter.resetAt > time ? counter : null;
+  }
+
+  return {
+    /**
+     * @param {string} key - Who is trying
+     * @returns {number} - Seconds until the key may try again, or 0 if it may now
+     */
+    retryAfter(key) {
+      const time = now();
+      const counter = counterFor(key, time);
+      return counter && counter.count >= max ? Math.max(1, Math.ceil((counter.resetAt - time) / 1000)) : 0;
+    },
+
+    /**
+     * Counts one attempt
+     * @param {string} key - Who tried
+     */
+    count(key) {
+      const time = now();
+      const counter = counterFor(key, time) || { count: 0, resetAt: time + windowMs };
+      counters.set(key, { count: counter.count + 1, resetAt: counter.resetAt });
+    },
+
+    /**
+     * Forgets a key's attempts, e.g. after a successful sign-in
+     * @param {string} key - Who tried
+     */
+    reset(key) {
+      counters.delete(key);
+    },
+  };
+}
+
+/**
+ * Answers 429 with Retry-After
+ * @param {Object} res - Express response
+ * @param {number} retryAfter - Seconds until the client may try again
+ * @param {string} message - What was refused, e.g. "Too many sign-in attempts."
+ */
+function sendTooMany(res, retryAfter, message) {
+  const minutes = Math.ceil(retryAfter / 60);
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    error: `${message} Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    code: ERROR_CODES.RATE_LIMITED,
+    retryAfter,
+    success: false,
+  });
+}
+
+/**
+ * Express middleware that counts every request from an IP address and
+ * refuses it with 429 once the limiter's allowance is used up
+ * @param {Object} limiter - Result of createAttemptLimiter()
+ * @param {string} message - What is refused, e.g. "Too many submissions from your network."
+ * @returns {Function}
+ */
+function limitPerIp(limiter, message) {
+  return (req, res, next) => {
+    const retryAfter = limiter.retryAfter(req.ip);
+    if (retryAfter > 0) {
+      return sendTooMany(res, retryAfter, message);
+    }
+    limiter.count(req.ip);
+    next();
+  };
+}
+
+module.exports = {
+  createAttemptLimiter,
+  sendTooMany,
+  limitPerIp,
+};
@@ -0,0 +1,315 @@
+/**
+ * Rate Limiting
+ * Per-IP and per-class-code rate limits and daily quotas for the AI
+ * endpoints, and per-teacher ones for batch marking. Counters are kept in
+ * memory, so they reset on restart and are not shared between server
+ * processes.
+ */
+
+const { ERROR_CODES } = require('../utils/errors');
+const { getClassroomStore } = require('../classroom');
+
+const CLASS_CODE_HEADER = 'x-class-code';
+const CLASS_CODE_PATTERN = /^[A-Za-z0-9-]{3,32}$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let activeLimiter;
+
+/**
+ * Reads a non-negative whole number from the environment
+ * @param {string} value - Environment value
+ * @param {number} fallback - Used when the value is missing or invalid
+ * @returns {number}
+ */
+function nonNegativeInteger(value, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) || number < 0 ? fallback : number;
+}
+
+/**
+ * Reads the limits from environment configuration. A limit of 0 turns it off.
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} - Options for createRateLimiter()
+ */
+function readRateLimitConfig(env = process.env) {
+  return {
+    windowMs: Math.max(1, nonNegativeInteger(env.RATE_LIMIT_WINDOW_SECONDS, 60)) * 1000,
+    perIp: nonNegativeInteger(env.RATE_LIMIT_PER_IP, 10),
+    perClass: nonNegativeInteger(env.RATE_LIMIT_PER_CLASS, 60),
+    dailyPerIp: nonNegativeInteger(env.DAILY_QUOTA_PER_IP, 100),
+    dailyPerClass: nonNegativeInteger(env.DAILY_QUOTA_PER_CLASS, 1000),
+    perTeacher: nonNegativeInteger(env.RATE_LIMIT_PER_TEACHER, 30),
+    dailyPerTeacher: nonNegativeInteger(env.DAILY_QUOTA_PER_TEACHER, 500),
+  };
+}
+
+/**
+ * Reads and checks the class code a request was sent with. Only the codes
+ * of classes in the classroom store are accepted, so made-up codes can't
+ * be used to get fresh class limits.
+ * @param {Object} req - Express request
+ * @returns {Promise<{ classCode: string|null }|{ error: string }>}
+ */
+async function readClassCode(req) {
+  const header = req.get(CLASS_CODE_HEADER);
+  if (header === undefined || header.trim() === '') {
+    return { classCode: null };
+  }
+
+  if (!CLASS_CODE_PATTERN.test(header.trim())) {
+    return { error: 'Class code must be 3-32 letters, digits or hyphens' };
+  }
+
+  const classCode = header.trim().toUpperCase();
+  if (!(await getClassroomStore().findClass(classCode))) {
+    return { error: 'No class has that class code. Please check the code from your teacher.' };
+  }
+
+  return { classCode };
+}
+
+/**
+ * Start of the next UTC day, when daily quotas reset
+ * @param {number} now - Current time in milliseconds
+ * @returns {number}
+ */
+function nextUtcMidnight(now) {
+  return Math.floor(now / DAY_MS) * DAY_MS + DAY_MS;
+}
+
+/**
+ * Creates the limiter for the AI endpoints
+ * @param {Object} options - Limits (see readRateLimitConfig())
+ * @param {number} options.windowMs - Length of a rate limit window
+ * @param {number} options.perIp - Requests per window from one IP (0 = no limit)
+ * @param {number} options.perClass - Requests per window with one class code (0 = no limit)
+ * @param {number} options.dailyPerIp - Requests per UTC day from one IP (0 = no limit)
+ * @param {number} options.dailyPerClass - Requests per UTC day with one class code (0 = no limit)
+ * @param {number} options.perTeacher - Batch drafts per window for one teacher (0 = no limit)
+ * @param {number} options.dailyPerTeacher - Batch drafts per UTC day for one teacher (0 = no limit)
+ * @param {function(): number} [options.now] - Clock, for tests
+ * @returns {Object} - Limiter with middleware(), usage(), consume() and dailyQuota()
+ */
+function createRateLimiter({
+  windowMs,
+  perIp,
+  perClass,
+  dailyPerIp,
+  dailyPerClass,
+  perTeacher = 0,
+  dailyPerTeacher = 0,
+  now = Date.now,
+}) {
+  const counters = new Map(); // "<limit>:<client>" -> { count, resetAt }
+  let nextSweep = 0;
+
+  /**
+   * Lists the limits that apply to a client
+   * @param {Object} client - Who is asking; each field is optional
+   * @param {string} [client.ip] - Client IP address
+   * @param {string|null} [client.classCode] - Normalized class code
+   * @param {string} [client.teacherId] - Teacher marking a batch
+   * @returns {Array<Object>} - { name, key, max, resetAt(time) }
+   */
+  function limitsFor({ ip, classCode, teacherId }) {
+    const windowEnd = time => time + windowMs;
+    const limits = [];
+
+    if (ip) {
+      limits.push(
+        { name: 'ip-rate', key: `ip-rate:${ip}`, max: perIp, resetAt: windowEnd },
+        { name: 'ip-daily', key: `ip-daily:${ip}`, max: dailyPerIp, resetAt: nextUtcMidnight }
+      );
+    }
+    if (classCode) {
+      limits.push(
+        { name: 'class-rate', key: `class-rate:${classCode}`, max: perClass, resetAt: windowEnd },
+        { name: 'class-daily', key: `class-daily:${classCode}`, max: dailyPerClass, resetAt: nextUtcMidnight }
+      );
+    }
+    if (teacherId) {
+      limits.push(
+        { name: 'teacher-rate', key: `teacher-rate:${teacherId}`, max: perTeacher, resetAt: windowEnd },
+        { name: 'teacher-daily', key: `teacher-daily:${teacherId}`, max: dailyPerTeacher, resetAt: nextUtcMidnight }
+      );
+    }
+
+    return limits.filter(limit => limit.max > 0);
+  }
+
+  /**
+   * Reads a counter, starting a new one if it has expired
+   * @param {Object} limit - Entry from limitsFor()
+   * @param {number} time - Current time
+   * @returns {{ count: number, resetAt: number }}
+   */
+  function counterFor(limit, time) {
+    const counter = counters.get(limit.key);
+    return counter && counter.resetAt > time
+      ? counter
+      : { count: 0, resetAt: limit.resetAt(time) };
+  }
+
+  // Expired counters are dropped now and then so the map doesn't grow forever
+  function sweep(time) {
+    if (time < nextSweep) return;
+    nextSweep = time + windowMs;
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= time) counters.delete(key);
+    });
+  }
+
+  /**
+   * Reports the daily quota left for a client, without using any of it
+   * @param {Object} client - Who is asking (see limitsFor())
+   * @returns {Object|null} - { limit, remaining, resetAt } of the tightest
+   *   daily quota, or null when there is none
+   */
+  function dailyQuota(client) {
+    const time = now();
+    const quotas = limitsFor(client)
+      .filter(limit => limit.name.endsWith('-daily'))
+      .map(limit => {
+        const counter = counterFor(limit, time);
+        return { limit: limit.max, remaining: Math.max(0, limit.max - counter.count), resetAt: counter.resetAt };
+      });
+
+    if (quotas.length === 0) {
+      return null;
+    }
+    return quotas.reduce((tightest, quota) => quota.remaining < tightest.remaining ? quota : tightest);
+  }
+
+  /**
+   * Adds the quota headers the frontend reads
+   * @param {Object} res - Express response
+   * @param {Object|null} quota - Result of dailyQuota()
+   */
+  function setQuotaHeaders(res, quota) {
+    if (!quota) return;
+    res.set({
+      'X-Quota-Limit': String(quota.limit),
+      'X-Quota-Remaining': String(quota.remaining),
+      'X-Quota-Reset': new Date(quota.resetAt).toISOString(),
+    });
+  }
+
+  /**
+   * Counts one request against every limit that applies to a client, or
+   * counts nothing if one of them is used up
+   * @param {Object} client - Who is asking (see limitsFor())
+   * @returns {Object|null} - null when counted, else the limit that refused
+   *   it: { name, daily, retryAfter }
+   */
+  function consume(client) {
+    const time = now();
+    sweep(time);
+
+    const limits = limitsFor(client);
+    const exceeded = limits
+      .map(limit => ({ limit, counter: counterFor(limit, time) }))
+      .filter(({ limit, counter }) => counter.count >= limit.max);
+
+    if (exceeded.length > 0) {
+      // The client has to wait for the last of the used-up limits to reset
+      const blocking = exceeded.reduce((latest, item) => item.counter.resetAt > latest.counter.resetAt ? item : latest);
+      return {
+        name: blocking.limit.name,
+        daily: blocking.limit.name.endsWith('-daily'),
+        retryAfter: Math.max(1, Math.ceil((blocking.counter.resetAt - time) / 1000)),
+      };
+    }
+
+    limits.forEach(limit => {
+      const counter = counterFor(limit, time);
+      counters.set(limit.key, { count: counter.count + 1, resetAt: counter.resetAt });
+    });
+    return null;
+  }
+
+  /**
+   * Express middleware: counts the request against every limit that
+   * applies, or rejects it with 429 and Retry-After if one is used up
+   */
+  async function middleware(req, res, next) {
+    let classCode;
+    try {
+      const read = await readClassCode(req);
+      if (read.error) {
+        return res.status(400).json({ error: read.error, code: ERROR_CODES.INVALID_REQUEST, success: false });
+      }
+      classCode = read.classCode;
+    } catch (error) {
+      return next(error);
+    }
+
+    const client = { ip: req.ip, classCode };
+    const refused = consume(client);
+    setQuotaHeaders(res, dailyQuota(client));
+
+    if (refused) {
+      const { name, daily, retryAfter } = refused;
+      const byClass = name.startsWith('class-');
+
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: daily
+          ? `The daily limit of AI checks ${byClass ? 'for your class ' : ''}has been reached. It resets at midnight UTC.`
+          : `Too many AI checks ${byClass ? 'from your class ' : ''}in a short time. Please wait ${retryAfter} seconds.`,
+        code: daily ? ERROR_CODES.QUOTA_EXCEEDED : ERROR_CODES.RATE_LIMITED,
+        limit: name,
+        retryAfter,
+        success: false,
+      });
+    }
+
+    req.classCode = classCode;
+    next();
+  }
+
+  /**
+   * Reports a client's daily quota for GET /api/quota
+   * @param {Object} req - Express request
+   * @returns {Promise<{ error: string }|{ quota: Object|null }>} - quota is
+   *   { limit, remaining, resetAt } with resetAt as an ISO timestamp
+   */
+  async function usage(req) {
+    const { classCode, error } = await readClassCode(req);
+    if (error) {
+      return { error };
+    }
+
+    const quota = dailyQuota({ ip: req.ip, classCode });
+    return { quota: quota && { ...quota, resetAt: new Date(quota.resetAt).toISOString() } };
+  }
+
+  return { middleware, usage, consume, dailyQuota };
+}
+
+/**
+ * Returns the rate limiter, creating it on first use
+ * @returns {Object} - Limiter (see createRateLimiter())
+ */
+function getRateLimiter() {
+  if (!activeLimiter) {
+    activeLimiter = createRateLimiter(readRateLimitConfig());
+  }
+  return activeLimiter;
+}
+
+/**
+ * Replaces the active limiter (pass undefined to rebuild from the environment)
+ * @param {Object|undefined} limiter - Limiter to use
+ */
+function setRateLimiter(limiter) {
+  activeLimiter = limiter;
+}
+
+module.exports = {
+  CLASS_CODE_HEADER,
+  readRateLimitConfig,
+  createRateLimiter,
+  getRateLimiter,
+  setRateLimiter,
+};
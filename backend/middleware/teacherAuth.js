@@ -0,0 +1,46 @@
+/**
+ * Teacher Authentication
+ * Guards the teacher endpoints with the session token returned at sign-in,
+ * sent as "Authorization: Bearer <token>"
+ */
+
+const { getClassroomStore } = require('../classroom');
+const { hashToken } = require('../classroom/accounts');
+
+/**
+ * Reads the bearer token of a request
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function bearerToken(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Express middleware: lets a request through only with a live teacher
+ * session, and sets req.teacher and req.sessionTokenHash
+ */
+async function requireTeacher(req, res, next) {
+  try {
+    const token = bearerToken(req);
+    const store = getClassroomStore();
+    const session = token && await store.findSession(hashToken(token));
+    const teacher = session && await store.findTeacher(session.teacherId);
+
+    if (!teacher) {
+      return res.status(401).json({ error: 'Please sign in again', success: false });
+    }
+
+    req.teacher = teacher;
+    req.sessionTokenHash = session.tokenHash;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  bearerToken,
+  requireTeacher,
+};
@@ -0,0 +1,106 @@
+/**
+ * LLM Provider Registry
+ * Selects the model provider from environment configuration
+ *
+ * LLM_PROVIDER:
+ *   - openai            (default) OpenAI API, requires OPENAI_API_KEY
+ *   - openai-compatible Local server such as Ollama, llama.cpp or vLLM,
+ *                       requires LLM_BASE_URL and LLM_MODEL
+ *   - mock              Deterministic canned responses, no network
+ */
+
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createMockProvider } = require('./mockProvider');
+
+const DEFAULT_OPENAI_MODEL = 'gpt-5-nano';
+const PROVIDERS = ['openai', 'openai-compatible', 'mock'];
+
+let activeProvider = null;
+
+/**
+ * Builds a provider from a configuration object
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} - Provider with name, label, model and complete()
+ */
+function createProvider(env = process.env) {
+  const name = (env.LLM_PROVIDER || 'openai').trim().toLowerCase();
+
+  switch (name) {
+    case 'openai':
+      return createOpenAIProvider({
+        name,
+        label: 'OpenAI',
+        model: env.LLM_MODEL || DEFAULT_OPENAI_MODEL,
+        apiKey: env.OPENAI_API_KEY,
+      });
+
+    case 'openai-compatible':
+      if (!env.LLM_BASE_URL) {
+        throw new Error('LLM_BASE_URL is required when LLM_PROVIDER is "openai-compatible"');
+      }
+      if (!env.LLM_MODEL) {
+        throw new Error('LLM_MODEL is required when LLM_PROVIDER is "openai-compatible"');
+      }
+      return createOpenAIProvider({
+        name,
+        label: 'LLM server',
+        model: env.LLM_MODEL,
+        // Local servers ignore the key but the SDK refuses to start without one
+        apiKey: env.LLM_API_KEY || 'not-needed',
+        baseURL: env.LLM_BASE_URL,
+      });
+
+    case 'mock':
+      return createMockProvider({ model: env.LLM_MODEL || 'mock' });
+
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${PROVIDERS.join(', ')}`);
+  }
+}
+
+/**
+ * Returns the configured provider, creating it on first use
+ * @returns {Object} - Active provider
+ */
+function getProvider() {
+  if (!activeProvider) {
+    activeProvider = createProvider();
+  }
+  return activeProvider;
+}
+
+/**
+ * Replaces the active provider (pass null to rebuild from the environment)
+ * @param {Object|null} provider - Provider to use
+ */
+function setProvider(provider) {
+  activeProvider = provider;
+}
+
+/**
+ * Names the setting the configured provider needs but doesn't have
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {string|null} - e.g. "OPENAI_API_KEY", or null if nothing is missing
+ */
+function missingCredentials(env = process.env) {
+  const name = (env.LLM_PROVIDER || 'openai').trim().toLowerCase();
+  return name === 'openai' && !env.OPENAI_API_KEY ? 'OPENAI_API_KEY' : null;
+}
+
+/**
+ * Reports whether the configured provider has the credentials it needs
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {boolean}
+ */
+function hasCredentials(env = process.env) {
+  return missingCredentials(env) === null;
+}
+
+module.exports = {
+  createProvider,
+  getProvider,
+  setProvider,
+  hasCredentials,
+  missingCredentials,
+  PROVIDERS,
+};
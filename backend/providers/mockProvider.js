@@ -0,0 +1,129 @@
+/**
+ * Mock Provider
+ * Returns deterministic, canned rubric JSON without any network access.
+ * Used by offline lab machines and automated tests.
+ */
+
+const { RATINGS } = require('../utils/responseSchema');
+
+/**
+ * Picks a stable rating for a criterion so the same input always
+ * produces the same output
+ * @param {string} criterion - Criterion text
+ * @returns {string} - One of the four allowed ratings
+ */
+function pickRating(criterion) {
+  let hash = 0;
+  for (let i = 0; i < criterion.length; i++) {
+    hash = (hash * 31 + criterion.charCodeAt(i)) >>> 0;
+  }
+  return RATINGS[hash % RATINGS.length];
+}
+
+/**
+ * Picks a passage to quote as evidence: the draft's first sentence,
+ * cut to a reasonable length
+ * @param {string} draft - The student's draft text
+ * @returns {string}
+ */
+function pickEvidence(draft) {
+  const firstSentence = draft.trim().split(/(?<=[.!?])\s+/)[0];
+  return firstSentence.slice(0, 120).trim();
+}
+
+function buildAnalysis(criteria, draft) {
+  return {
+    criteria: criteria.map((criterion, index) => {
+      const rating = pickRating(criterion);
+      return {
+        criterionNumber: index + 1,
+        criterion,
+        rating,
+        feedback: `Mock feedback for "${criterion}".`,
+        evidence: rating === 'Not Evident' ? [] : [pickEvidence(draft)],
+      };
+    }),
+    summary: [
+      'This is mock feedback generated without contacting an AI model.',
+      'Switch LLM_PROVIDER to "openai" or "openai-compatible" for real feedback.',
+    ],
+  };
+}
+
+function buildQuickFeedback() {
+  return {
+    impression: 'This is mock feedback generated without contacting an AI model.',
+    strengths: [
+      'Mock strength one',
+      'Mock strength two',
+      'Mock strength three',
+    ],
+    improvements: [
+      'Mock improvement one',
+      'Mock improvement two',
+      'Mock improvement three',
+    ],
+  };
+}
+
+// Size of each streamed piece, small enough to exercise incremental parsing
+const STREAM_CHUNK_SIZE = 24;
+
+/**
+ * Creates a provider that answers every request with canned JSON
+ * @param {Object} options - Provider options
+ * @param {string} [options.model] - Model name reported to callers
+ * @returns {Object} - Provider with complete() and stream() methods
+ */
+function createMockProvider({ model = 'mock' } = {}) {
+  return {
+    name: 'mock',
+    label: 'Mock provider',
+    model,
+
+    /**
+     * Returns canned JSON for the requested task
+     * @param {Object} request - Completion request
+     * @param {string} request.task - 'analyse' or 'quick-check'
+     * @param {Array<string>} [request.criteria] - Criteria being assessed
+     * @param {string} [request.draft] - Draft being assessed, quoted as evidence
+     * @returns {Promise<Object>} - The response text and token usage
+     */
+    async complete({ task, criteria = [], draft = '' }) {
+      const body = task === 'analyse'
+        ? buildAnalysis(criteria, draft)
+        : buildQuickFeedback();
+
+      return {
+        content: JSON.stringify(body),
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+      };
+    },
+
+    /**
+     * Yields the canned JSON in small pieces, like a streamed completion
+     * @param {Object} request - Completion request (same fields as complete())
+     * @param {AbortSignal} [request.signal] - Stops the stream early
+     * @param {function(Object)} [request.onUsage] - Receives the token usage
+     * @returns {AsyncGenerator<string>} - Text deltas
+     */
+    async *stream(request) {
+      const { content, usage } = await this.complete(request);
+      if (request.onUsage) {
+        request.onUsage(usage);
+      }
+
+      for (let i = 0; i < content.length; i += STREAM_CHUNK_SIZE) {
+        if (request.signal && request.signal.aborted) {
+          return;
+        }
+        await new Promise(resolve => setImmediate(resolve));
+        yield content.slice(i, i + STREAM_CHUNK_SIZE);
+      }
+    },
+  };
+}
+
+module.exports = {
+  createMockProvider,
+};
@@ -0,0 +1,97 @@
+/**
+ * OpenAI Provider
+ * Sends chat completions to OpenAI or any OpenAI-compatible server
+ * (Ollama, llama.cpp, vLLM) through the official SDK
+ */
+
+const OpenAI = require('openai');
+
+/**
+ * Creates a provider backed by the OpenAI Chat Completions API
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Provider name reported to callers
+ * @param {string} options.label - Provider name used in error messages
+ * @param {string} options.model - Model identifier sent with each request
+ * @param {string} [options.apiKey] - API key (local servers usually ignore it)
+ * @param {string} [options.baseURL] - Base URL of an OpenAI-compatible server
+ * @returns {Object} - Provider with complete() and stream() methods
+ */
+function createOpenAIProvider({ name, label, model, apiKey, baseURL }) {
+  // Created on first use so the server can start (and report a missing
+  // key through /api/health) before any credentials are configured
+  let client = null;
+
+  function getClient() {
+    if (!client) {
+      client = new OpenAI({
+        apiKey,
+        ...(baseURL ? { baseURL } : {}),
+        // Retries and timeouts are handled by utils/modelCalls.js
+        maxRetries: 0,
+      });
+    }
+    return client;
+  }
+
+  return {
+    name,
+    label,
+    model,
+
+    /**
+     * Runs a single chat completion
+     * @param {Object} request - Completion request
+     * @param {Array<Object>} request.messages - Chat messages
+     * @param {number} [request.temperature] - Sampling temperature
+     * @param {number} [request.maxTokens] - Maximum tokens to generate
+     * @param {AbortSignal} [request.signal] - Aborts the upstream request
+     * @returns {Promise<Object>} - The response text and token usage
+     */
+    async complete({ messages, temperature, maxTokens, signal }) {
+      const completion = await getClient().chat.completions.create({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+      }, { signal });
+
+      return {
+        content: completion.choices[0].message.content.trim(),
+        usage: completion.usage || null,
+      };
+    },
+
+    /**
+     * Runs a chat completion and yields the response text as it arrives
+     * @param {Object} request - Completion request (same fields as complete())
+     * @param {AbortSignal} [request.signal] - Aborts the upstream request
+     * @param {function(Object)} [request.onUsage] - Receives the token usage sent at the end
+     * @returns {AsyncGenerator<string>} - Text deltas
+     */
+    async *stream({ messages, temperature, maxTokens, signal, onUsage }) {
+      const stream = await getClient().chat.completions.create({
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        stream: true,
+        stream_options: { include_usage: true },
+      }, { signal });
+
+      for await (const chunk of stream) {
+        // The last chunk has no choices, only the usage of the whole stream
+        if (chunk.usage && onUsage) {
+          onUsage(chunk.usage);
+        }
+        const delta = chunk.choices[0] && chunk.choices[0].delta.content;
+        if (delta) {
+          yield delta;
+        }
+      }
+    },
+  };
+}
+
+module.exports = {
+  createOpenAIProvider,
+};
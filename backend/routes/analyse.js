@@ -5,7 +5,90 @@
 
 const express = require('express');
 const router = express.Router();
-const { analyzeWithCriteria, getQuickFeedback } = require('../utils/openaiClient');
+const {
+  analyzeWithCriteria,
+  streamAnalysisWithCriteria,
+  getQuickFeedback,
+} = require('../utils/openaiClient');
+const { ERROR_CODES, errorResponse } = require('../utils/errors');
+const { validateMetrics } = require('../utils/readabilityMetrics');
+const { resolveCriteria, withGroup, applyGroups } = require('../utils/criteriaGroups');
+const { validateProfile } = require('../utils/feedbackProfile');
+const { analysisCacheKey, readCachedAnalysis, writeCachedAnalysis } = require('../utils/analysisCache');
+const { signResults } = require('../classroom/resultToken');
+
+/**
+ * Validates the body of an analyse request
+ * @param {Object} body - Request body
+ * @param {*} body.draft - Draft text
+ * @param {*} body.criteria - Ungrouped criteria
+ * @param {*} body.groups - Criterion groups
+ * @param {*} [body.metrics] - Optional readability metrics
+ * @param {*} [body.profile] - Optional feedback profile
+ * @param {*} [body.refresh] - Optional flag to skip the cache
+ * @returns {{ error: string }|{ layout: Object }} - Error message, or the
+ *   flattened criteria layout (see resolveCriteria)
+ */
+function validateAnalyseRequest({ draft, criteria, groups, metrics, profile, refresh }) {
+  if (!draft || typeof draft !== 'string' || !draft.trim()) {
+    return { error: 'Draft text is required and must be a non-empty string' };
+  }
+
+  if (refresh !== undefined && typeof refresh !== 'boolean') {
+    return { error: 'Refresh must be true or false' };
+  }
+
+  const resolved = resolveCriteria(criteria, groups);
+  if (resolved.error) {
+    return resolved;
+  }
+
+  const error = validateMetrics(metrics) || validateProfile(profile);
+  return error ? { error } : resolved;
+}
+
+/**
+ * Identifies a request for the usage log
+ * @param {Object} req - Express request
+ * @returns {{ route: string, classCode: string|null }}
+ */
+function callerOf(req) {
+  return { route: req.baseUrl + req.path, classCode: req.classCode || null };
+}
+
+/**
+ * Answers a request that failed with the error's status and JSON body,
+ * adding Retry-After when the error says when to try again
+ * @param {Object} res - Express response
+ * @param {Error} error - Thrown error
+ * @param {string} fallbackMessage - Used when the error has no message
+ */
+function sendError(res, error, fallbackMessage) {
+  const { status, body } = errorResponse(error, fallbackMessage);
+  if (body.retryAfter) {
+    res.set('Retry-After', String(body.retryAfter));
+  }
+  res.status(status).json(body);
+}
+
+/**
+ * Answers a request that failed validation
+ * @param {Object} res - Express response
+ * @param {string} error - Error message
+ */
+function sendInvalid(res, error) {
+  res.status(400).json({ error, code: ERROR_CODES.INVALID_REQUEST, success: false });
+}
+
+/**
+ * Writes one Server-Sent Event to the response
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
 
 /**
  * POST /api/analyse
@@ -13,55 +96,116 @@ const { analyzeWithCriteria, getQuickFeedback } = require('../utils/openaiClient
  */
 router.post('/analyse', async (req, res) => {
   try {
-    const { draft, criteria } = req.body;
+    const { draft, metrics, profile, refresh } = req.body;
 
     // Validation
-    if (!draft || typeof draft !== 'string' || !draft.trim()) {
-      return res.status(400).json({
-        error: 'Draft text is required and must be a non-empty string'
-      });
+    const { error: validationError, layout } = validateAnalyseRequest(req.body);
+    if (validationError) {
+      return sendInvalid(res, validationError);
     }
 
-    if (!criteria || !Array.isArray(criteria) || criteria.length === 0) {
-      return res.status(400).json({
-        error: 'At least one success criterion is required'
-      });
-    }
+    // Reuse the analysis of an unchanged draft unless a fresh one is asked for
+    const cacheKey = analysisCacheKey({ draft, criteria: layout.criteria, groups: layout.groups, metrics, profile });
+    let result = refresh ? null : await readCachedAnalysis(cacheKey, draft);
+    const cached = result !== null;
 
-    // Limit criteria to prevent overlong prompts
-    if (criteria.length > 15) {
-      return res.status(400).json({
-        error: 'Maximum 15 success criteria allowed'
+    if (!cached) {
+      // Call OpenAI
+      result = await analyzeWithCriteria(draft, layout.criteria, {
+        metrics,
+        groups: layout.groups,
+        profile,
+        caller: callerOf(req),
       });
+      await writeCachedAnalysis(cacheKey, draft, result);
     }
 
-    // Validate each criterion
-    for (let i = 0; i < criteria.length; i++) {
-      if (typeof criteria[i] !== 'string' || !criteria[i].trim()) {
-        return res.status(400).json({
-          error: `Criterion ${i + 1} must be a non-empty string`
-        });
-      }
-    }
-
-    // Call OpenAI
-    const result = await analyzeWithCriteria(draft, criteria);
-
-    // Return results
+    // Return results, signed so they can be handed in to a class
+    const grouped = applyGroups(result, layout);
     res.json({
       success: true,
-      data: result
+      data: { ...grouped, cached, resultToken: signResults(draft, grouped) }
     });
 
   } catch (error) {
     console.error('Analysis error:', error);
-    
-    // Send appropriate error response
-    res.status(500).json({
-      error: error.message || 'Failed to analyze draft',
-      success: false
-    });
+    sendError(res, error, 'Failed to analyze draft');
+  }
+});
+
+/**
+ * POST /api/analyse/stream
+ * Same as /api/analyse, but streams results as Server-Sent Events:
+ *   chunk     - a long draft is analysed in chunks; one of them finished
+ *   criterion - one criterion result, sent as soon as it is ready
+ *   summary   - the overall summary, sent after all criteria
+ *   done      - the complete result
+ *   error     - the analysis failed ({ error, code, ... } as in a JSON error
+ *               response); no further events follow
+ * Closing the connection cancels the model request. A cached analysis is
+ * sent straight away as the same events.
+ */
+router.post('/analyse/stream', async (req, res) => {
+  const { draft, metrics, profile, refresh } = req.body;
+
+  // Validation happens before the stream opens so errors stay plain JSON
+  const { error: validationError, layout } = validateAnalyseRequest(req.body);
+  if (validationError) {
+    return sendInvalid(res, validationError);
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // Stop reverse proxies from buffering events
+  });
+  res.flushHeaders();
+
+  // Cancel the upstream request if the browser goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  try {
+    const sendCriterion = entry => sendEvent(res, 'criterion', withGroup(entry, layout));
+    const cacheKey = analysisCacheKey({ draft, criteria: layout.criteria, groups: layout.groups, metrics, profile });
+    let analysis = refresh ? null : await readCachedAnalysis(cacheKey, draft);
+    const cached = analysis !== null;
+
+    if (cached) {
+      analysis.criteria.forEach(sendCriterion);
+    } else {
+      analysis = await streamAnalysisWithCriteria(draft, layout.criteria, {
+        metrics,
+        groups: layout.groups,
+        profile,
+        signal: controller.signal,
+        onCriterion: sendCriterion,
+        onChunk: progress => sendEvent(res, 'chunk', progress),
+        caller: callerOf(req),
+      });
+
+      if (!analysis) {
+        return; // Client cancelled
+      }
+
+      await writeCachedAnalysis(cacheKey, draft, analysis);
+    }
+
+    const grouped = applyGroups(analysis, layout);
+    sendEvent(res, 'summary', { summary: grouped.summary });
+    sendEvent(res, 'done', { ...grouped, cached, resultToken: signResults(draft, grouped) });
+  } catch (error) {
+    console.error('Streaming analysis error:', error);
+
+    sendEvent(res, 'error', errorResponse(error, 'Failed to analyze draft').body);
   }
+
+  res.end();
 });
 
 /**
@@ -70,17 +214,20 @@ router.post('/analyse', async (req, res) => {
  */
 router.post('/quick-check', async (req, res) => {
   try {
-    const { draft } = req.body;
+    const { draft, profile } = req.body;
 
     // Validation
     if (!draft || typeof draft !== 'string' || !draft.trim()) {
-      return res.status(400).json({
-        error: 'Draft text is required and must be a non-empty string'
-      });
+      return sendInvalid(res, 'Draft text is required and must be a non-empty string');
+    }
+
+    const profileError = validateProfile(profile);
+    if (profileError) {
+      return sendInvalid(res, profileError);
     }
 
     // Call OpenAI
-    const result = await getQuickFeedback(draft);
+    const result = await getQuickFeedback(draft, { profile, caller: callerOf(req) });
 
     // Return results
     res.json({
@@ -90,11 +237,7 @@ router.post('/quick-check', async (req, res) => {
 
   } catch (error) {
     console.error('Quick check error:', error);
-    
-    res.status(500).json({
-      error: error.message || 'Failed to get quick feedback',
-      success: false
-    });
+    sendError(res, error, 'Failed to get quick feedback');
   }
 });
 
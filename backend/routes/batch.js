@@ -0,0 +1,143 @@
+/**
+ * Batch Route
+ * Lets a teacher mark many drafts against one set of criteria: send the
+ * drafts, poll for progress, then read or download the results table
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getBatchRunner, readBatchConfig } = require('../batch');
+const { progressOf } = require('../batch/runner');
+const { readBatchRequest } = require('../batch/validation');
+const { buildResultsTable, resultsToCsv } = require('../batch/results');
+const { requireTeacher } = require('../middleware/teacherAuth');
+const { getRateLimiter } = require('../middleware/rateLimit');
+const { ERROR_CODES } = require('../utils/errors');
+
+const { maxDrafts } = readBatchConfig();
+
+/**
+ * The batch details returned while polling
+ * @param {Object} batch - Batch
+ * @returns {Object} - { id, status, createdAt, finishedAt, progress, results }
+ */
+function batchView(batch) {
+  const progress = progressOf(batch);
+  let status = 'running';
+  if (batch.finishedAt !== null) {
+    status = progress.cancelled > 0 ? 'cancelled' : 'complete';
+  }
+
+  return {
+    id: batch.id,
+    status,
+    createdAt: new Date(batch.createdAt).toISOString(),
+    finishedAt: batch.finishedAt === null ? null : new Date(batch.finishedAt).toISOString(),
+    progress,
+    results: buildResultsTable(batch),
+  };
+}
+
+/**
+ * Finds a batch sent by the signed-in teacher, answering 404 if there is none
+ * @param {Object} req - Express request (after requireTeacher)
+ * @param {Object} res - Express response
+ * @returns {Object|null} - Batch, or null once 404 has been sent
+ */
+function findOwnedBatch(req, res) {
+  // Another teacher's batch is reported as missing, so ids can't be probed
+  const batch = getBatchRunner().find(req.params.id, req.teacher.id);
+  if (!batch) {
+    res.status(404).json({ error: 'Batch not found', success: false });
+  }
+  return batch;
+}
+
+/**
+ * POST /api/batch
+ * Queues drafts for marking. Body: { criteria, groups, profile } and either
+ * drafts: [{ name, draft }] or archive: a base64-encoded zip of .txt and
+ * .docx files
+ */
+router.post('/batch', requireTeacher, (req, res) => {
+  const { error: validationError, layout, profile, drafts } = readBatchRequest(req.body, { maxDrafts });
+  if (validationError) {
+    return res.status(400).json({ error: validationError, code: ERROR_CODES.INVALID_REQUEST, success: false });
+  }
+
+  // A batch that can't finish today is refused rather than half marked
+  const quota = getRateLimiter().dailyQuota({ teacherId: req.teacher.id });
+  if (quota && quota.remaining < drafts.length) {
+    return res.status(429).json({
+      error: `Your daily limit of AI checks has ${quota.remaining} left, but the batch has ${drafts.length} drafts. It resets at midnight UTC.`,
+      code: ERROR_CODES.QUOTA_EXCEEDED,
+      success: false,
+    });
+  }
+
+  const { error, batch } = getBatchRunner().start({ teacherId: req.teacher.id, layout, profile, drafts });
+  if (error) {
+    return res.status(429).json({ error, code: ERROR_CODES.RATE_LIMITED, success: false });
+  }
+
+  res.status(202).json({ success: true, data: batchView(batch) });
+});
+
+/**
+ * GET /api/batch/:id
+ * Progress so far, and the ratings of every draft marked so far
+ */
+router.get('/batch/:id', requireTeacher, (req, res) => {
+  const batch = findOwnedBatch(req, res);
+  if (!batch) return;
+
+  res.json({ success: true, data: batchView(batch) });
+});
+
+/**
+ * GET /api/batch/:id/results.csv
+ * The results table as a CSV download
+ */
+router.get('/batch/:id/results.csv', requireTeacher, (req, res) => {
+  const batch = findOwnedBatch(req, res);
+  if (!batch) return;
+
+  const day = new Date(batch.createdAt).toISOString().slice(0, 10);
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="batch-results_${day}.csv"`,
+  });
+  // A byte order mark so spreadsheet programs read the file as UTF-8
+  res.send(`\uFEFF${resultsToCsv(buildResultsTable(batch))}`);
+});
+
+/**
+ * GET /api/batch/:id/drafts/:number
+ * The full feedback for one draft, numbered from 1 in the order sent
+ */
+router.get('/batch/:id/drafts/:number', requireTeacher, (req, res) => {
+  const batch = findOwnedBatch(req, res);
+  if (!batch) return;
+
+  const item = /^\d+$/.test(req.params.number) ? batch.items[Number(req.params.number) - 1] : undefined;
+  if (!item) {
+    return res.status(404).json({ error: 'Draft not found', success: false });
+  }
+
+  const { name, status, result, error, errorCode } = item;
+  res.json({ success: true, data: { name, status, result, error, errorCode } });
+});
+
+/**
+ * DELETE /api/batch/:id
+ * Cancels the drafts that haven't started; drafts being marked still finish
+ */
+router.delete('/batch/:id', requireTeacher, (req, res) => {
+  const batch = findOwnedBatch(req, res);
+  if (!batch) return;
+
+  getBatchRunner().cancel(batch);
+  res.json({ success: true, data: batchView(batch) });
+});
+
+module.exports = router;
@@ -0,0 +1,323 @@
+/**
+ * Classes Route
+ * Teacher accounts, classes with a join code and an assigned rubric, and
+ * the drafts students hand in
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getClassroomStore } = require('../classroom');
+const {
+  hashPassword,
+  verifyPassword,
+  createSession,
+  createId,
+  createJoinCode,
+} = require('../classroom/accounts');
+const { normalizeEmail, readSignup, readRubric, readSubmission } = require('../classroom/validation');
+const { publicClass, buildRoster } = require('../classroom/roster');
+const { verifyResults } = require('../classroom/resultToken');
+const { requireTeacher } = require('../middleware/teacherAuth');
+const { safeEqual } = require('../middleware/adminAuth');
+const { createAttemptLimiter, sendTooMany, limitPerIp } = require('../middleware/attemptLimit');
+
+const MAX_CLASS_NAME_LENGTH = 100;
+const MAX_SUBMISSIONS_PER_STUDENT = 10; // Older ones are dropped
+const MAX_SUBMISSIONS_PER_CLASS = 1000;
+
+// A class often shares one IP address, so this only stops floods
+const submissionLimiter = createAttemptLimiter({ max: 60, windowMs: 10 * 60 * 1000 });
+
+// Every password check runs scrypt, which is slow on purpose, so sign-ups
+// and wrong passwords are limited to stop guessing and CPU exhaustion
+const signupLimiter = createAttemptLimiter({ max: 10, windowMs: 60 * 60 * 1000 });
+const loginFailuresByIp = createAttemptLimiter({ max: 20, windowMs: 15 * 60 * 1000 });
+const loginFailuresByEmail = createAttemptLimiter({ max: 5, windowMs: 15 * 60 * 1000 });
+
+/**
+ * The teacher details returned to the teacher
+ * @param {Object} teacher - Stored teacher
+ * @returns {{ id: string, name: string, email: string }}
+ */
+function teacherView({ id, name, email }) {
+  return { id, name, email };
+}
+
+/**
+ * Signs a teacher in
+ * @param {Object} teacher - Stored teacher
+ * @returns {Promise<Object>} - { teacher, token, expiresAt }
+ */
+async function startSession(teacher) {
+  const { token, session } = createSession(teacher.id);
+  await getClassroomStore().addSession(session);
+  return { teacher: teacherView(teacher), token, expiresAt: session.expiresAt };
+}
+
+/**
+ * Finds a class owned by the signed-in teacher, answering 404 if there is none
+ * @param {Object} req - Express request (after requireTeacher)
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} - Stored class, or null once 404 has been sent
+ */
+async function findOwnedClass(req, res) {
+  const classRecord = await getClassroomStore().findClass(req.params.code.toUpperCase());
+
+  // Another teacher's class is reported as missing, so codes can't be probed
+  if (!classRecord || classRecord.teacherId !== req.teacher.id) {
+    res.status(404).json({ error: 'Class not found', success: false });
+    return null;
+  }
+  return classRecord;
+}
+
+/**
+ * Wraps an async route handler so its errors reach the error handler
+ * @param {Function} handler - Async (req, res) handler
+ * @returns {Function}
+ */
+function route(handler) {
+  return (req, res, next) => handler(req, res).catch(next);
+}
+
+/**
+ * POST /api/teachers
+ * Creates a teacher account and signs it in. When TEACHER_SIGNUP_CODE is
+ * set, the body must carry it as signupCode.
+ */
+router.post('/teachers', limitPerIp(signupLimiter, 'Too many accounts created from your network.'), route(async (req, res) => {
+  const signupCode = process.env.TEACHER_SIGNUP_CODE;
+  if (signupCode && (typeof req.body.signupCode !== 'string' || !safeEqual(req.body.signupCode.trim(), signupCode))) {
+    return res.status(403).json({ error: 'A valid sign-up code is required. Ask whoever runs this server for it.', success: false });
+  }
+
+  const { error, teacher } = readSignup(req.body);
+  if (error) {
+    return res.status(400).json({ error, success: false });
+  }
+
+  const store = getClassroomStore();
+  if (await store.findTeacherByEmail(teacher.email)) {
+    return res.status(409).json({ error: 'An account with that email already exists', success: false });
+  }
+
+  const stored = await store.addTeacher({
+    id: createId('teacher'),
+    ...teacher,
+    password: await hashPassword(req.body.password),
+    createdAt: new Date().toISOString(),
+  });
+
+  res.status(201).json({ success: true, data: await startSession(stored) });
+}));
+
+/**
+ * POST /api/teachers/login
+ * Signs a teacher in with their email and password
+ */
+router.post('/teachers/login', route(async (req, res) => {
+  const { email, password } = req.body;
+  if (typeof email !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'Email and password are required', success: false });
+  }
+
+  const emailKey = normalizeEmail(email);
+  const retryAfter = Math.max(loginFailuresByIp.retryAfter(req.ip), loginFailuresByEmail.retryAfter(emailKey));
+  if (retryAfter > 0) {
+    return sendTooMany(res, retryAfter, 'Too many failed sign-in attempts.');
+  }
+
+  const teacher = await getClassroomStore().findTeacherByEmail(emailKey);
+  // The password is checked even for an unknown email, so both take as long
+  const passwordMatches = await verifyPassword(password, teacher ? teacher.password : null);
+  if (!teacher || !passwordMatches) {
+    loginFailuresByIp.count(req.ip);
+    loginFailuresByEmail.count(emailKey);
+    return res.status(401).json({ error: 'Wrong email or password', success: false });
+  }
+
+  loginFailuresByEmail.reset(emailKey);
+  res.json({ success: true, data: await startSession(teacher) });
+}));
+
+/**
+ * POST /api/teachers/logout
+ * Ends the current session
+ */
+router.post('/teachers/logout', requireTeacher, route(async (req, res) => {
+  await getClassroomStore().removeSession(req.sessionTokenHash);
+  res.json({ success: true });
+}));
+
+/**
+ * GET /api/teachers/me
+ * The signed-in teacher
+ */
+router.get('/teachers/me', requireTeacher, (req, res) => {
+  res.json({ success: true, data: teacherView(req.teacher) });
+});
+
+/**
+ * GET /api/classes
+ * The signed-in teacher's classes, with how many students have submitted
+ */
+router.get('/classes', requireTeacher, route(async (req, res) => {
+  const store = getClassroomStore();
+  const classes = await store.listClasses(req.teacher.id);
+
+  const data = await Promise.all(classes.map(async classRecord => {
+    const submissions = await store.listSubmissions(classRecord.code);
+    return {
+      ...publicClass(classRecord, req.teacher),
+      createdAt: classRecord.createdAt,
+      submissionCount: submissions.length,
+      studentCount: new Set(submissions.map(submission => submission.studentName.toLowerCase())).size,
+    };
+  }));
+
+  res.json({ success: true, data });
+}));
+
+/**
+ * POST /api/classes
+ * Creates a class with a new join code and assigns it a rubric
+ */
+router.post('/classes', requireTeacher, route(async (req, res) => {
+  const { name } = req.body;
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_CLASS_NAME_LENGTH) {
+    return res.status(400).json({
+      error: `Class name is required and must be at most ${MAX_CLASS_NAME_LENGTH} characters`,
+      success: false
+    });
+  }
+
+  const { error, rubric } = readRubric(req.body.rubric);
+  if (error) {
+    return res.status(400).json({ error, success: false });
+  }
+
+  const store = getClassroomStore();
+  let code;
+  do {
+    code = createJoinCode();
+  } while (await store.findClass(code));
+
+  const classRecord = await store.addClass({
+    code,
+    name: name.trim(),
+    teacherId: req.teacher.id,
+    rubric,
+    createdAt: new Date().toISOString(),
+  });
+
+  res.status(201).json({ success: true, data: publicClass(classRecord, req.teacher) });
+}));
+
+/**
+ * PUT /api/classes/:code/rubric
+ * Assigns a different rubric to a class
+ */
+router.put('/classes/:code/rubric', requireTeacher, route(async (req, res) => {
+  const classRecord = await findOwnedClass(req, res);
+  if (!classRecord) return;
+
+  const { error, rubric } = readRubric(req.body.rubric);
+  if (error) {
+    return res.status(400).json({ error, success: false });
+  }
+
+  const updated = await getClassroomStore().updateClass(classRecord.code, { rubric });
+  res.json({ success: true, data: publicClass(updated, req.teacher) });
+}));
+
+/**
+ * GET /api/classes/:code
+ * The class name and rubric, for students joining with the code
+ */
+router.get('/classes/:code', route(async (req, res) => {
+  const store = getClassroomStore();
+  const classRecord = await store.findClass(req.params.code.toUpperCase());
+  if (!classRecord) {
+    return res.status(404).json({ error: 'No class has that code', success: false });
+  }
+
+  res.json({ success: true, data: publicClass(classRecord, await store.findTeacher(classRecord.teacherId)) });
+}));
+
+/**
+ * POST /api/classes/:code/submissions
+ * Hands in a student's draft together with its AI feedback and the
+ * resultToken the analysis came with
+ */
+router.post('/classes/:code/submissions', limitPerIp(submissionLimiter, 'Too many drafts handed in from your network.'), route(async (req, res) => {
+  const store = getClassroomStore();
+  const classRecord = await store.findClass(req.params.code.toUpperCase());
+  if (!classRecord) {
+    return res.status(404).json({ error: 'No class has that code', success: false });
+  }
+
+  const { error, submission } = readSubmission(req.body);
+  if (error) {
+    return res.status(400).json({ error, success: false });
+  }
+
+  // Teachers see the ratings as the AI's, so they must be the ones this server sent
+  if (!verifyResults(submission.draft, submission.results, req.body.resultToken)) {
+    return res.status(400).json({
+      error: 'This feedback could not be checked. Please check your draft with AI again, then hand it in.',
+      success: false
+    });
+  }
+
+  if ((await store.listSubmissions(classRecord.code)).length >= MAX_SUBMISSIONS_PER_CLASS) {
+    return res.status(409).json({
+      error: `This class already has ${MAX_SUBMISSIONS_PER_CLASS} submissions, the most it can hold. Please tell your teacher.`,
+      success: false
+    });
+  }
+
+  const stored = await store.addSubmission({
+    id: createId('submission'),
+    classCode: classRecord.code,
+    ...submission,
+    submittedAt: new Date().toISOString(),
+  }, MAX_SUBMISSIONS_PER_STUDENT);
+
+  res.status(201).json({ success: true, data: { id: stored.id, submittedAt: stored.submittedAt } });
+}));
+
+/**
+ * GET /api/classes/:code/roster
+ * Who has submitted, with their latest rating for each rubric criterion
+ */
+router.get('/classes/:code/roster', requireTeacher, route(async (req, res) => {
+  const classRecord = await findOwnedClass(req, res);
+  if (!classRecord) return;
+
+  const submissions = await getClassroomStore().listSubmissions(classRecord.code);
+  res.json({
+    success: true,
+    data: {
+      class: publicClass(classRecord, req.teacher),
+      ...buildRoster(classRecord, submissions),
+    },
+  });
+}));
+
+/**
+ * GET /api/classes/:code/submissions/:id
+ * One submitted draft with its feedback
+ */
+router.get('/classes/:code/submissions/:id', requireTeacher, route(async (req, res) => {
+  const classRecord = await findOwnedClass(req, res);
+  if (!classRecord) return;
+
+  const submission = await getClassroomStore().findSubmission(classRecord.code, req.params.id);
+  if (!submission) {
+    return res.status(404).json({ error: 'Submission not found', success: false });
+  }
+
+  res.json({ success: true, data: submission });
+}));
+
+module.exports = router;
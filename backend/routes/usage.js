@@ -0,0 +1,52 @@
+/**
+ * Usage Route
+ * Admin-only report of model token usage and estimated cost
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAdmin } = require('../middleware/adminAuth');
+const { DAY_PATTERN, summarizeUsage } = require('../utils/usageLog');
+
+/**
+ * Checks an optional YYYY-MM-DD query parameter
+ * @param {*} value - Query value
+ * @returns {boolean}
+ */
+function isValidDay(value) {
+  return value === undefined ||
+    (typeof value === 'string' && DAY_PATTERN.test(value) && !Number.isNaN(Date.parse(value)));
+}
+
+/**
+ * GET /api/usage?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Totals token usage and estimated cost by day, route and class code
+ */
+router.get('/usage', requireAdmin, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    // Validation
+    if (!isValidDay(from) || !isValidDay(to)) {
+      return res.status(400).json({ error: 'from and to must be dates in YYYY-MM-DD format', success: false });
+    }
+    if (from && to && from > to) {
+      return res.status(400).json({ error: 'from must not be after to', success: false });
+    }
+
+    res.json({
+      success: true,
+      data: await summarizeUsage({ from, to }),
+    });
+
+  } catch (error) {
+    console.error('Usage report error:', error);
+
+    res.status(500).json({
+      error: error.message || 'Failed to build usage report',
+      success: false
+    });
+  }
+});
+
+module.exports = router;
@@ -8,12 +8,38 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const analyseRouter = require('./routes/analyse');
+const usageRouter = require('./routes/usage');
+const classesRouter = require('./routes/classes');
+const batchRouter = require('./routes/batch');
+const { getProvider, hasCredentials, missingCredentials } = require('./providers');
+const { getCache } = require('./cache');
+const { getClassroomStore } = require('./classroom');
+const { getModelCaller } = require('./utils/modelCalls');
+const { CLASS_CODE_HEADER, getRateLimiter } = require('./middleware/rateLimit');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Fail fast on a misconfigured LLM_PROVIDER or CACHE_STORE, or unreadable
+// classroom data, rather than on the first request
+const provider = getProvider();
+const cache = getCache();
+getClassroomStore();
+
+// Behind a reverse proxy, req.ip must come from X-Forwarded-For for per-IP limits to work
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
+// The frontend is served from this server; other origins must be listed in CORS_ORIGINS
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
 // Middleware
-app.use(cors());
+app.use(cors({
+  origin: corsOrigins.includes('*') ? '*' : corsOrigins,
+  allowedHeaders: ['Content-Type', 'Authorization', CLASS_CODE_HEADER],
+  exposedHeaders: ['Retry-After', 'X-Quota-Limit', 'X-Quota-Remaining', 'X-Quota-Reset'],
+}));
 app.use(express.json({ limit: '10mb' })); // Support larger draft texts
 app.use(express.urlencoded({ extended: true }));
 
@@ -23,8 +49,28 @@ app.use((req, res, next) => {
   next();
 });
 
+// Rate limits and daily quotas on the endpoints that call the model
+const rateLimiter = getRateLimiter();
+app.post(['/api/analyse', '/api/analyse/stream', '/api/quick-check'], rateLimiter.middleware);
+
+// Daily quota left for this client, without using any of it
+app.get('/api/quota', async (req, res, next) => {
+  try {
+    const { error, quota } = await rateLimiter.usage(req);
+    if (error) {
+      return res.status(400).json({ error, success: false });
+    }
+    res.json({ success: true, data: quota });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // API Routes
 app.use('/api', analyseRouter);
+app.use('/api', usageRouter);
+app.use('/api', classesRouter);
+app.use('/api', batchRouter);
 
 // Serve static frontend files from parent directory
 app.use(express.static(path.join(__dirname, '..')));
@@ -34,7 +80,11 @@ app.get('/api/health', (req, res) => {
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    hasApiKey: !!process.env.OPENAI_API_KEY
+    hasApiKey: hasCredentials(),
+    provider: provider.name,
+    model: provider.model,
+    cache: cache ? cache.name : 'none',
+    modelCalls: getModelCaller().stats()
   });
 });
 
@@ -52,9 +102,10 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`
+// Start server, unless a test has loaded the app to run on a port of its own
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`
 ╔════════════════════════════════════════════════════════╗
 ║   Student English Checker - Backend Server            ║
 ╚════════════════════════════════════════════════════════╝
@@ -63,17 +114,23 @@ Server running on: http://localhost:${PORT}
 
 API Endpoints:
   - POST /api/analyse       (Draft analysis with criteria)
+  - POST /api/analyse/stream (Streaming analysis, Server-Sent Events)
   - POST /api/quick-check   (Quick feedback)
   - GET  /api/health        (Server health check)
+  - GET  /api/usage         (Token usage and cost, admin only)
+  - /api/teachers, /api/classes (Teacher accounts, classes and submissions)
+  - /api/batch              (Batch marking, teachers only)
 
 Frontend: http://localhost:${PORT}
 
 Environment:
-  - OpenAI API Key: ${process.env.OPENAI_API_KEY ? '✓ Configured' : '✗ Missing'}
+  - LLM Provider: ${provider.name} (${provider.model})
+  - API Key: ${hasCredentials() ? '✓ Configured' : '✗ Missing'}
   
-${!process.env.OPENAI_API_KEY ? '⚠️  WARNING: OPENAI_API_KEY not set in .env file\n' : ''}
+${missingCredentials() ? `⚠️  WARNING: ${missingCredentials()} not set in .env file (needed by LLM_PROVIDER=${provider.name})\n` : ''}
 Press Ctrl+C to stop the server
 `);
-});
+  });
+}
 
 module.exports = app;
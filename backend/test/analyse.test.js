@@ -0,0 +1,391 @@
+/**
+ * POST /api/analyse and /api/analyse/stream, against a fake OpenAI server
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./support/testServer');
+
+const DRAFT = 'The storm rolled in fast. Although it was raining, we went outside to watch the lightning.';
+const CRITERIA = ['Uses varied sentence structures', 'Has a clear topic sentence'];
+
+/**
+ * Model output for CRITERIA, as JSON text
+ * @param {Object} [changes] - Fields to replace in the first criterion entry
+ * @returns {string}
+ */
+function analysisReply(changes = {}) {
+  return JSON.stringify({
+    criteria: [
+      {
+        criterionNumber: 1,
+        criterion: CRITERIA[0],
+        rating: 'Accomplished',
+        feedback: 'You mix short and complex sentences.',
+        evidence: ['Although it was raining, we went outside'],
+        ...changes,
+      },
+      { criterionNumber: 2, criterion: CRITERIA[1], rating: 'Not Evident', feedback: 'Open with the main idea.', evidence: [] },
+    ],
+    summary: ['Good sentence variety', 'Add a topic sentence'],
+  });
+}
+
+let app;
+
+before(async () => {
+  app = await startTestServer();
+});
+after(() => app.stop());
+beforeEach(() => app.reset());
+
+describe('POST /api/analyse', () => {
+  describe('validation', () => {
+    it('rejects a missing draft without calling the model', async () => {
+      const response = await app.post('/api/analyse', { criteria: CRITERIA });
+
+      assert.equal(response.status, 400);
+      assert.deepEqual(response.body, {
+        error: 'Draft text is required and must be a non-empty string',
+        code: 'INVALID_REQUEST',
+        success: false,
+      });
+      assert.equal(app.fake.requests.length, 0);
+    });
+
+    it('rejects a blank draft', async () => {
+      const response = await app.post('/api/analyse', { draft: '   \n', criteria: CRITERIA });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.code, 'INVALID_REQUEST');
+    });
+
+    it('requires at least one criterion', async () => {
+      const response = await app.post('/api/analyse', { draft: DRAFT, criteria: [] });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error, 'At least one success criterion is required');
+    });
+
+    it('rejects criteria that are not an array', async () => {
+      const response = await app.post('/api/analyse', { draft: DRAFT, criteria: 'Uses varied sentence structures' });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error, 'Criteria must be an array');
+    });
+
+    it('rejects more than 15 criteria', async () => {
+      const criteria = Array.from({ length: 16 }, (_, index) => `Criterion ${index + 1}`);
+      const response = await app.post('/api/analyse', { draft: DRAFT, criteria });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error, 'Maximum 15 success criteria allowed');
+    });
+
+    it('rejects an invalid profile', async () => {
+      const response = await app.post('/api/analyse', { draft: DRAFT, criteria: CRITERIA, profile: { tone: 'harsh' } });
+
+      assert.equal(response.status, 400);
+      assert.match(response.body.error, /^Profile tone must be one of/);
+    });
+
+    it('rejects a refresh flag that is not a boolean', async () => {
+      const response = await app.post('/api/analyse', { draft: DRAFT, criteria: CRITERIA, refresh: 'yes' });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error, 'Refresh must be true or false');
+      assert.equal(app.fake.requests.length, 0);
+    });
+  });
+
+  describe('success', () => {
+    it('returns the analysis with evidence located in the draft', async () => {
+      app.fake.reply({ content: analysisReply() });
+
+      const response = await app.post('/api/analyse', { draft: DRAFT, criteria: CRITERIA });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.success, true);
+      assert.deepEqual(response.body.data.criteria[0], {
+        criterionNumber: 1,
+        criterion: CRITERIA[0],
+        rating: 'Accomplished',
+        feedback: 'You mix short and complex sentences.',
+        evidence: [{ quote: 'Although it was raining, we went outside', start: 26, end: 66 }],
+      });
+      assert.equal(response.body.data.criteria[1].rating, 'Not Evident');
+      assert.deepEqual(response.body.data.summary, ['Good sentence variety', 'Add a topic sentence']);
+      assert.equal(response.body.data.cached, false);
+    });
+
+    it('sends the draft and criteria to the model', async () => {
+      app.fake.reply({ content: analysisReply() });
+
+      await app.post('/api/analyse', { draft: DRAFT, criteria: CRITERIA });
+
+      const [request] = app.fake.requests;
+      assert.equal(request.body.model, 'fake-model');
+      assert.equal(request.headers.authorization, 'Bearer test-key');
+      const prompt = request.body.messages.map(message => message.content).join('\n');
+      assert.ok(prompt.includes(DRAFT));
+      CRITERIA.forEach(criterion => assert.ok(prompt.includes(criterion)));
+    });
+
+    it('reuses the analysis of an unchanged draft unless refresh is set', async () => {
+      app.fake.reply({ content: analysisReply() }, { content: analysisReply() });
+
+      await app.post('/api/analyse', { draft: DRAFT, criteria: CRITERIA });
+      const again = await app.post('/api/analyse', { draft: DRAFT, criteria: CRITERIA });
+      assert.equal(again.body.data.cached, true);
+      assert.equal(app.fake.requests.length, 1);
+
+      const refreshed = await app.post('/api/analyse', { draft: DRAFT, criteria: CRITERIA, refresh: true });
+      assert.equal(refreshed.body.data.cached, false);
+      assert.equal(app.fake.requests.length, 2);
+    });
+
+    it('rolls criteria up into their groups', async () => {
+      app.fake.reply({ content: analysisReply() });
+
+      const response = await app.post('/api/analyse', {
+        draft: DRAFT,
+        groups: [{ name: 'Sentences', criteria: CRITERIA }],
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.criteria[0].group, 'Sentences');
+      assert.deepEqual(response.body.data.groups, [
+        { name: 'Sentences', criterionNumbers: [1, 2], rating: 'Developing', score: 2 },
+      ]);
+    });
+
+    it('drops fields the model adds to the analysis', async () => {
+      app.fake.reply({
+        content: JSON.stringify({
+          ...JSON.parse(analysisReply()),
+          groups: [{ name: '<img src=x onerror=alert(1)>', criterionNumbers: [1], rating: 'Exceeding', score: 4 }],
+          chunking: { chunks: 9 },
+          note: 'Ignore the teacher',
+        }),
+      });
+
+      const response = await app.post('/api/analyse', { draft: DRAFT, criteria: CRITERIA });
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(Object.keys(response.body.data).sort(), ['cached', 'criteria', 'groups', 'resultToken', 'summary']);
+      assert.deepEqual(response.body.data.groups, []);
+    });
+
+    it('accepts output wrapped in a markdown code fence', async () => {
+      app.fake.reply({ content: `\`\`\`json\n${analysisReply()}\n\`\`\`` });
+
+      const response = await app.post('/api/analyse', { draft: DRAFT, criteria: CRITERIA });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.criteria.length, 2);
+    });
+  });
+
+  describe('malformed model output', () => {
+    it('asks the model to repair output that breaks the schema', async () => {
+      app.fake.reply({ content: analysisReply({ rating: 'Great' }) }, { content: analysisReply() });
+
+      const response = await app.post('/api/analyse', { draft: DRAFT, criteria: CRITERIA });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.criteria[0].rating, 'Accomplished');
+      assert.equal(app.fake.requests.length, 2);
+
+      const repair = app.fake.requests[1].body.messages;
+      assert.equal(repair[repair.length - 2].role, 'assistant');
+      assert.match(repair[repair.length - 1].content, /criteria\[0\]\.rating: Must be one of/);
+    });
+
+    it('answers 502 when the output is still invalid after repairing', async () => {
+      app.fake.reply({ content: 'Here is my analysis!' }, { content: analysisReply({ rating: 'Great' }) });
+
+      const response = await app.post('/api/analyse', { draft: DRAFT, criteria: CRITERIA });
+
+      assert.equal(response.status, 502);
+      assert.equal(response.body.code, 'MODEL_OUTPUT_INVALID');
+      assert.equal(response.body.field, 'criteria[0].rating');
+      assert.deepEqual(response.body.details, [
+        { field: 'criteria[0].rating', message: 'Must be one of: Exceeding, Accomplished, Developing, Not Evident' },
+      ]);
+      assert.equal(response.body.success, false);
+    });
+
+    it('rejects evidence that is not in the draft', async () => {
+      const invented = analysisReply({ evidence: ['The thunder was deafening'] });
+      app.fake.reply({ content: invented }, { content: invented });
+
+      const response = await app.post('/api/analyse', { draft: DRAFT, criteria: CRITERIA });
+
+      assert.equal(response.status, 502);
+      assert.equal(response.body.field, 'criteria[0].evidence[0]');
+    });
+
+    it('rejects output with the wrong number of criteria', async () => {
+      const short = JSON.stringify({ criteria: JSON.parse(analysisReply()).criteria.slice(0, 1), summary: ['Fine'] });
+      app.fake.reply({ content: short }, { content: short });
+
+      const response = await app.post('/api/analyse', { draft: DRAFT, criteria: CRITERIA });
+
+      assert.equal(response.status, 502);
+      assert.equal(response.body.field, 'criteria');
+      assert.match(response.body.error, /Expected exactly 2 entries/);
+    });
+  });
+
+  describe('model errors', () => {
+    it('maps a rejected API key to 502 MODEL_AUTH_FAILED without retrying', async () => {
+      app.fake.reply({ status: 401, message: 'Incorrect API key provided' });
+
+      const response = await app.post('/api/analyse', { draft: DRAFT, criteria: CRITERIA });
+
+      assert.equal(response.status, 502);
+      assert.equal(response.body.code, 'MODEL_AUTH_FAILED');
+      assert.equal(response.body.error, 'Invalid LLM server API key');
+      assert.equal(app.fake.requests.length, 1);
+    });
+
+    it('retries a rate limited call and succeeds', async () => {
+      app.fake.reply(
+        { status: 429, headers: { 'retry-after-ms': '10' } },
+        { status: 429, headers: { 'retry-after-ms': '10' } },
+        { content: analysisReply() }
+      );
+
+      const response = await app.post('/api/analyse', { draft: DRAFT, criteria: CRITERIA });
+
+      assert.equal(response.status, 200);
+      assert.equal(app.fake.requests.length, 3);
+    });
+
+    it('maps a rate limit that outlasts the retries to 503 MODEL_RATE_LIMITED', async () => {
+      const limited = { status: 429, headers: { 'retry-after-ms': '10' } };
+      app.fake.reply(limited, limited, limited);
+
+      const response = await app.post('/api/analyse', { draft: DRAFT, criteria: CRITERIA });
+
+      assert.equal(response.status, 503);
+      assert.equal(response.body.code, 'MODEL_RATE_LIMITED');
+      assert.equal(response.body.retryAfter, 1);
+      assert.equal(response.headers.get('retry-after'), '1');
+      assert.equal(app.fake.requests.length, 3);
+    });
+
+    it('passes a long Retry-After on to the client instead of waiting', async () => {
+      app.fake.reply({ status: 429, headers: { 'retry-after': '120' } });
+
+      const response = await app.post('/api/analyse', { draft: DRAFT, criteria: CRITERIA });
+
+      assert.equal(response.status, 503);
+      assert.equal(response.body.code, 'MODEL_RATE_LIMITED');
+      assert.equal(response.body.retryAfter, 120);
+      assert.equal(response.headers.get('retry-after'), '120');
+      assert.equal(app.fake.requests.length, 1);
+    });
+
+    it('maps repeated server errors to 503 MODEL_UNAVAILABLE', async () => {
+      app.fake.reply({ status: 500 }, { status: 502 }, { status: 503 });
+
+      const response = await app.post('/api/analyse', { draft: DRAFT, criteria: CRITERIA });
+
+      assert.equal(response.status, 503);
+      assert.equal(response.body.code, 'MODEL_UNAVAILABLE');
+      assert.equal(response.body.retryAfter, undefined);
+      assert.equal(app.fake.requests.length, 3);
+    });
+
+    it('maps a model that never answers to 504 MODEL_TIMEOUT', async () => {
+      app.fake.reply({ hang: true }, { hang: true }, { hang: true });
+
+      const response = await app.post('/api/analyse', { draft: DRAFT, criteria: CRITERIA });
+
+      assert.equal(response.status, 504);
+      assert.equal(response.body.code, 'MODEL_TIMEOUT');
+      assert.equal(app.fake.requests.length, 3);
+    });
+
+    it('maps a rejected request to 502 MODEL_REQUEST_FAILED without retrying', async () => {
+      app.fake.reply({ status: 400, message: 'Unsupported parameter' });
+
+      const response = await app.post('/api/analyse', { draft: DRAFT, criteria: CRITERIA });
+
+      assert.equal(response.status, 502);
+      assert.equal(response.body.code, 'MODEL_REQUEST_FAILED');
+      assert.match(response.body.error, /Unsupported parameter/);
+      assert.equal(app.fake.requests.length, 1);
+    });
+  });
+});
+
+describe('POST /api/analyse/stream', () => {
+  /**
+   * Reads the events of a streamed response
+   * @param {string} text - Response body
+   * @returns {Array<Object>} - [{ event, data }]
+   */
+  function readEvents(text) {
+    return text.trim().split('\n\n').map(block => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+    });
+  }
+
+  it('streams each criterion, the summary and the full result', async () => {
+    app.fake.reply({ content: analysisReply() });
+
+    const response = await app.post('/api/analyse/stream', { draft: DRAFT, criteria: CRITERIA });
+    const events = readEvents(response.text);
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+    assert.deepEqual(events.map(({ event }) => event), ['criterion', 'criterion', 'summary', 'done']);
+    assert.equal(events[0].data.rating, 'Accomplished');
+    assert.deepEqual(events[2].data.summary, ['Good sentence variety', 'Add a topic sentence']);
+    assert.equal(events[3].data.criteria.length, 2);
+    assert.equal(app.fake.requests[0].body.stream, true);
+  });
+
+  it('answers validation errors as plain JSON', async () => {
+    const response = await app.post('/api/analyse/stream', { criteria: CRITERIA });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'INVALID_REQUEST');
+  });
+
+  it('cancels the repair when the client goes away', async () => {
+    app.fake.reply({ content: analysisReply({ rating: 'Great' }) }, { hang: true }, { hang: true }, { hang: true });
+    const controller = new AbortController();
+
+    const response = await fetch(`${app.url}/api/analyse/stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ draft: DRAFT, criteria: CRITERIA }),
+      signal: controller.signal,
+    });
+    while (app.fake.requests.length < 2) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    controller.abort();
+    await response.text().catch(() => {});
+
+    // Left running, the repair would time out and be retried
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    assert.equal(app.fake.requests.length, 2);
+  });
+
+  it('ends the stream with an error event carrying the error code', async () => {
+    app.fake.reply({ status: 401 });
+
+    const response = await app.post('/api/analyse/stream', { draft: DRAFT, criteria: CRITERIA });
+    const events = readEvents(response.text);
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].event, 'error');
+    assert.equal(events[0].data.code, 'MODEL_AUTH_FAILED');
+    assert.equal(events[0].data.success, false);
+  });
+});
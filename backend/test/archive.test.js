@@ -0,0 +1,99 @@
+/**
+ * Draft archives: reading drafts out of a zip without unpacking more than
+ * a draft can use
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { readDraftArchive } = require('../batch/archive');
+
+/**
+ * Builds a zip with deflated entries. CRCs are left as 0, which the reader
+ * doesn't check.
+ * @param {Object} files - File contents (Buffer or string) by path
+ * @returns {Buffer}
+ */
+function zipOf(files) {
+  const locals = [];
+  const directory = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, contents]) => {
+    const nameBytes = Buffer.from(name, 'utf8');
+    const raw = Buffer.from(contents);
+    const data = zlib.deflateRawSync(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(0x800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(0x800, 8);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(data.length, 20);
+    entry.writeUInt32LE(raw.length, 24);
+    entry.writeUInt16LE(nameBytes.length, 28);
+    entry.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBytes, data);
+    directory.push(entry, nameBytes);
+    offset += local.length + nameBytes.length + data.length;
+  });
+
+  const directoryBytes = Buffer.concat(directory);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directoryBytes.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directoryBytes, end]);
+}
+
+const OPTIONS = { maxDrafts: 5, maxDraftLength: 100 };
+
+describe('readDraftArchive', () => {
+  it('reads each text file as a draft named after it', () => {
+    const zip = zipOf({ 'class/b.txt': 'Second draft.\r\n', 'class/a.txt': 'First draft.' });
+
+    assert.deepEqual(readDraftArchive(zip, OPTIONS), {
+      drafts: [{ name: 'a', draft: 'First draft.' }, { name: 'b', draft: 'Second draft.' }],
+    });
+  });
+
+  it('stops unpacking a file at the size of the longest draft', () => {
+    const zip = zipOf({ 'a.txt': Buffer.alloc(10 * 1024 * 1024, 'a') });
+
+    assert.deepEqual(readDraftArchive(zip, OPTIONS), { error: 'a.txt could not be read: the file is too large' });
+  });
+
+  it('refuses a draft that is too long once decoded', () => {
+    const zip = zipOf({ 'a.txt': 'word '.repeat(40) });
+
+    assert.deepEqual(readDraftArchive(zip, OPTIONS), {
+      error: 'a.txt could not be read: the draft is longer than 100 characters',
+    });
+  });
+
+  it('stops reading a Word document once its text is too long', () => {
+    const paragraphs = Array.from({ length: 20 }, () => '<w:p><w:r><w:t>Ten chars.</w:t></w:r></w:p>').join('');
+    const docx = zipOf({ 'word/document.xml': `<w:document><w:body>${paragraphs}</w:body></w:document>` });
+
+    assert.deepEqual(readDraftArchive(zipOf({ 'a.docx': docx }), OPTIONS), {
+      error: 'a.docx could not be read: the draft is longer than 100 characters',
+    });
+  });
+
+  it('allows for the spaces and line endings that cleaning removes', () => {
+    const zip = zipOf({ 'a.txt': `${'x'.repeat(90)}   \r\n\r\n\r\n\r\n` });
+
+    assert.equal(readDraftArchive(zip, OPTIONS).drafts[0].draft, 'x'.repeat(90));
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Batch runner: drafts that the provider or the rate limits ask to try
+ * again later
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBatchRunner } = require('../batch/runner');
+const { ModelCallError, ERROR_CODES } = require('../utils/errors');
+
+const LAYOUT = { criteria: [{ criterionNumber: 1, criterion: 'Uses paragraphs' }], groups: [], weights: [1] };
+const { error: logError } = console;
+
+before(() => {
+  // Failed drafts are logged, which would bury the test report
+  console.error = () => {};
+});
+after(() => {
+  console.error = logError;
+});
+
+/**
+ * Waits until every draft of a batch has finished
+ * @param {Object} batch - Batch from start()
+ * @returns {Promise<void>}
+ */
+async function finished(batch) {
+  while (batch.finishedAt === null) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * A runner that marks drafts one at a time with the given analyse()
+ * @param {function(string): Promise<Object>} analyse - Analyses one draft
+ * @param {Object} [options] - More runner options, e.g. admit()
+ * @returns {Object}
+ */
+function createRunner(analyse, options = {}) {
+  return createBatchRunner({ concurrency: 1, ttlMs: 60000, maxActivePerTeacher: 2, analyse, ...options });
+}
+
+describe('createBatchRunner', () => {
+  it('lets other drafts use the slot while a draft waits to be tried again', async () => {
+    const order = [];
+    const runner = createRunner(async draft => {
+      order.push(draft);
+      if (draft === 'first' && order.length === 1) {
+        throw new ModelCallError(ERROR_CODES.MODEL_RATE_LIMITED, 'Slow down', { retryAfter: 1 });
+      }
+      return { criteria: [] };
+    });
+
+    const { batch } = runner.start({ teacherId: 'teacher-1', layout: LAYOUT, drafts: [
+      { name: 'a.txt', draft: 'first' },
+      { name: 'b.txt', draft: 'second' },
+    ] });
+    await finished(batch);
+
+    assert.deepEqual(order, ['first', 'second', 'first']);
+    assert.deepEqual(batch.items.map(item => item.status), ['done', 'done']);
+  });
+
+  it('fails the draft after three attempts', async () => {
+    let calls = 0;
+    const runner = createRunner(async () => {
+      calls++;
+      throw new ModelCallError(ERROR_CODES.MODEL_UNAVAILABLE, 'Down', { retryAfter: 0.01 });
+    });
+
+    const { batch } = runner.start({ teacherId: 'teacher-1', layout: LAYOUT, drafts: [{ name: 'a.txt', draft: 'first' }] });
+    await finished(batch);
+
+    assert.equal(calls, 3);
+    assert.equal(batch.items[0].status, 'failed');
+    assert.equal(batch.items[0].errorCode, 'MODEL_UNAVAILABLE');
+  });
+
+  it('does not try a cancelled draft again', async () => {
+    let calls = 0;
+    const runner = createRunner(async () => {
+      calls++;
+      throw new ModelCallError(ERROR_CODES.MODEL_RATE_LIMITED, 'Slow down', { retryAfter: 0.05 });
+    });
+
+    const { batch } = runner.start({ teacherId: 'teacher-1', layout: LAYOUT, drafts: [{ name: 'a.txt', draft: 'first' }] });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    runner.cancel(batch);
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    assert.equal(calls, 1);
+    assert.equal(batch.items[0].status, 'cancelled');
+  });
+
+  it('waits out the teacher rate limit without using an attempt', async () => {
+    const refusals = [{ daily: false, retryAfter: 0.01 }, { daily: false, retryAfter: 0.01 }, { daily: false, retryAfter: 0.01 }];
+    const teachers = [];
+    const runner = createRunner(async () => ({ criteria: [] }), {
+      admit: batch => {
+        teachers.push(batch.teacherId);
+        return refusals.shift() || null;
+      },
+    });
+
+    const { batch } = runner.start({ teacherId: 'teacher-1', layout: LAYOUT, drafts: [{ name: 'a.txt', draft: 'first' }] });
+    await finished(batch);
+
+    assert.deepEqual(teachers, ['teacher-1', 'teacher-1', 'teacher-1', 'teacher-1']);
+    assert.equal(batch.items[0].status, 'done');
+    assert.equal(batch.items[0].attempts, 1);
+  });
+
+  it('fails drafts without analysing them once the daily quota is used up', async () => {
+    let calls = 0;
+    let allowed = 1;
+    const runner = createRunner(async () => {
+      calls++;
+      return { criteria: [] };
+    }, { admit: () => (allowed-- > 0 ? null : { daily: true, retryAfter: 3600 }) });
+
+    const { batch } = runner.start({ teacherId: 'teacher-1', layout: LAYOUT, drafts: [
+      { name: 'a.txt', draft: 'first' },
+      { name: 'b.txt', draft: 'second' },
+    ] });
+    await finished(batch);
+
+    assert.equal(calls, 1);
+    assert.deepEqual(batch.items.map(item => item.status), ['done', 'failed']);
+    assert.equal(batch.items[1].errorCode, 'QUOTA_EXCEEDED');
+  });
+});
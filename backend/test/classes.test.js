@@ -0,0 +1,184 @@
+/**
+ * Classes and submissions
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./support/testServer');
+
+const DRAFT = 'We went to the beach.\n\nThe sand was hot and the sea was cold.';
+
+const MALFORMED = 'The feedback sent with the draft is malformed';
+
+let app;
+let teacher;
+let classCode;
+let analysis;
+
+/**
+ * A submission of DRAFT with the feedback the server sent for it
+ * @param {Object} [changes] - Fields to replace
+ * @returns {Object}
+ */
+function submission(changes = {}) {
+  const { resultToken, ...results } = structuredClone(analysis);
+  return {
+    studentName: 'Sam Lee',
+    title: 'The Beach',
+    draft: DRAFT,
+    results: { ...results, weights: [1] },
+    resultToken,
+    ...changes,
+  };
+}
+
+/**
+ * @param {Object} [changes] - Fields of the criterion result to replace
+ * @returns {Object} - A submission whose one criterion result has those changes
+ */
+function submissionWithResult(changes) {
+  const body = submission();
+  body.results.criteria[0] = { ...body.results.criteria[0], ...changes };
+  return body;
+}
+
+before(async () => {
+  app = await startTestServer();
+
+  const signup = await app.post('/api/teachers', { name: 'Ms Rivera', email: 'rivera@example.com', password: 'correct horse' });
+  teacher = { Authorization: `Bearer ${signup.body.data.token}` };
+  const created = await app.post('/api/classes', {
+    name: '8B English',
+    rubric: { name: 'Recount', criteria: ['Uses paragraphs'] },
+  }, teacher);
+  classCode = created.body.data.code;
+
+  app.fake.reply({
+    content: JSON.stringify({
+      criteria: [{
+        criterionNumber: 1,
+        criterion: 'Uses paragraphs',
+        rating: 'Accomplished',
+        feedback: 'Two clear paragraphs.',
+        evidence: ['The sand was hot'],
+      }],
+      summary: ['A clear start.'],
+    }),
+  });
+  analysis = (await app.post('/api/analyse', { draft: DRAFT, criteria: ['Uses paragraphs'] })).body.data;
+});
+after(() => app.stop());
+
+describe('POST /api/classes/:code/submissions', () => {
+  it('stores the draft with its feedback', async () => {
+    const response = await app.post(`/api/classes/${classCode}/submissions`, submission());
+
+    assert.equal(response.status, 201);
+
+    const stored = await app.get(`/api/classes/${classCode}/submissions/${response.body.data.id}`, teacher);
+    assert.equal(stored.body.data.draft, DRAFT);
+    assert.equal(stored.body.data.results.criteria[0].rating, 'Accomplished');
+  });
+
+  it('refuses feedback without the token it came with', async () => {
+    const response = await app.post(`/api/classes/${classCode}/submissions`, submission({ resultToken: undefined }));
+
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /could not be checked/);
+  });
+
+  it('refuses feedback whose ratings were changed', async () => {
+    const response = await app.post(`/api/classes/${classCode}/submissions`, submissionWithResult({ rating: 'Exceeding' }));
+
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /could not be checked/);
+  });
+
+  it('refuses feedback for a different draft', async () => {
+    const response = await app.post(`/api/classes/${classCode}/submissions`, submission({ draft: `${DRAFT} The end.` }));
+
+    assert.equal(response.status, 400);
+  });
+
+  it('rejects evidence that is not the text of the draft at its offsets', async () => {
+    const response = await app.post(`/api/classes/${classCode}/submissions`,
+      submissionWithResult({ evidence: [{ quote: 'The sea was warm', start: 23, end: 39 }] }));
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, MALFORMED);
+  });
+
+  it('rejects more than three evidence quotes', async () => {
+    const quote = { quote: 'The sand was hot', start: 23, end: 39 };
+    const response = await app.post(`/api/classes/${classCode}/submissions`,
+      submissionWithResult({ evidence: [quote, quote, quote, quote] }));
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, MALFORMED);
+  });
+
+  it('rejects feedback and summaries that are too long', async () => {
+    const longFeedback = await app.post(`/api/classes/${classCode}/submissions`,
+      submissionWithResult({ feedback: 'x'.repeat(2001) }));
+    const manyPoints = submission();
+    manyPoints.results.summary = Array.from({ length: 11 }, () => 'Good.');
+
+    assert.equal(longFeedback.body.error, MALFORMED);
+    assert.equal((await app.post(`/api/classes/${classCode}/submissions`, manyPoints)).body.error, MALFORMED);
+  });
+
+  it("keeps a student's ten latest submissions", async () => {
+    for (let count = 0; count < 12; count++) {
+      const response = await app.post(`/api/classes/${classCode}/submissions`, submission({ studentName: 'Alex Kim', title: `Draft ${count}` }));
+      assert.equal(response.status, 201);
+    }
+
+    const roster = await app.get(`/api/classes/${classCode}/roster`, teacher);
+    const alex = roster.body.data.students.find(student => student.studentName === 'Alex Kim');
+
+    assert.equal(alex.submissions.length, 10);
+    assert.ok(!alex.submissions.some(item => item.title === 'Draft 0' || item.title === 'Draft 1'));
+  });
+});
+
+describe('teacher accounts', () => {
+  it('requires the sign-up code when one is set', async () => {
+    process.env.TEACHER_SIGNUP_CODE = 'staff-only';
+    try {
+      const details = { name: 'Mr Okafor', email: 'okafor@example.com', password: 'correct horse' };
+
+      const without = await app.post('/api/teachers', details);
+      const wrong = await app.post('/api/teachers', { ...details, signupCode: 'guess' });
+      const right = await app.post('/api/teachers', { ...details, signupCode: 'staff-only' });
+
+      assert.equal(without.status, 403);
+      assert.equal(wrong.status, 403);
+      assert.equal(right.status, 201);
+    } finally {
+      delete process.env.TEACHER_SIGNUP_CODE;
+    }
+  });
+
+  it('answers an unknown email the same as a wrong password', async () => {
+    const unknown = await app.post('/api/teachers/login', { email: 'nobody@example.com', password: 'correct horse' });
+    const wrong = await app.post('/api/teachers/login', { email: 'okafor@example.com', password: 'wrong password' });
+
+    assert.equal(unknown.status, 401);
+    assert.deepEqual(unknown.body, wrong.body);
+  });
+
+  it('refuses sign-ins for an email after five wrong passwords', async () => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const response = await app.post('/api/teachers/login', { email: 'rivera@example.com', password: 'wrong password' });
+      assert.equal(response.status, 401);
+    }
+
+    const refused = await app.post('/api/teachers/login', { email: 'Rivera@example.com', password: 'correct horse' });
+    const other = await app.post('/api/teachers/login', { email: 'okafor@example.com', password: 'correct horse' });
+
+    assert.equal(refused.status, 429);
+    assert.equal(refused.body.code, 'RATE_LIMITED');
+    assert.ok(Number(refused.headers.get('retry-after')) > 0);
+    assert.equal(other.status, 200);
+  });
+});
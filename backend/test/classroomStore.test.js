@@ -0,0 +1,44 @@
+/**
+ * Classroom store: reading the data file a previous run left behind
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createClassroomStore } = require('../classroom/store');
+
+let dataDir;
+
+before(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'english-checker-classroom-'));
+});
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Opens a store on a data file with the given contents
+ * @param {string} contents - Text of the data file
+ * @returns {Object}
+ */
+function openStore(contents) {
+  const file = path.join(dataDir, 'classroom.json');
+  fs.writeFileSync(file, contents);
+  return createClassroomStore({ file });
+}
+
+describe('createClassroomStore', () => {
+  it('keeps the teachers from the file', async () => {
+    const store = openStore(JSON.stringify({ teachers: [{ id: 'teacher-1', email: 'rivera@example.com' }] }));
+
+    assert.equal((await store.findTeacher('teacher-1')).email, 'rivera@example.com');
+  });
+
+  it('refuses to start from a file that does not hold an object', () => {
+    ['null', '[]', '"classes"'].forEach(contents => {
+      assert.throws(() => openStore(contents), /^Error: Classroom data file .* is unreadable: it does not hold a JSON object$/);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * File cache store: reading the file a previous run left behind
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStore } = require('../cache/fileStore');
+
+let dataDir;
+const { error: logError } = console;
+
+before(() => {
+  // Unreadable files are logged, which would bury the test report
+  console.error = () => {};
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'english-checker-cache-'));
+});
+after(() => {
+  console.error = logError;
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * A store opened on a cache file with the given contents
+ * @param {string} contents - Text of the cache file
+ * @returns {Object}
+ */
+function openStore(contents) {
+  const file = path.join(dataDir, 'cache.json');
+  fs.writeFileSync(file, contents);
+  return createFileStore({ file, ttlMs: 60000, maxEntries: 10 });
+}
+
+describe('createFileStore', () => {
+  it('keeps the fresh entries from the file', async () => {
+    const store = openStore(JSON.stringify([
+      ['fresh', { value: 'kept', expiresAt: Date.now() + 60000 }],
+      ['stale', { value: 'dropped', expiresAt: Date.now() - 1 }],
+    ]));
+
+    assert.equal(await store.get('fresh'), 'kept');
+    assert.equal(await store.get('stale'), undefined);
+  });
+
+  it('starts empty when the file is not valid JSON', async () => {
+    assert.equal(await openStore('{"fresh":').get('fresh'), undefined);
+  });
+
+  it('starts empty when the file holds JSON that is not a list', async () => {
+    assert.equal(await openStore('{}').get('fresh'), undefined);
+    assert.equal(await openStore('null').get('fresh'), undefined);
+  });
+
+  it('skips entries that are not [key, item] pairs', async () => {
+    const store = openStore(JSON.stringify([1, ['empty', null], ['fresh', { value: 'kept', expiresAt: Date.now() + 60000 }]]));
+
+    assert.equal(await store.get('fresh'), 'kept');
+  });
+});
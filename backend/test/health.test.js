@@ -0,0 +1,38 @@
+/**
+ * GET /api/health
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./support/testServer');
+
+let app;
+
+before(async () => {
+  app = await startTestServer();
+});
+after(() => app.stop());
+
+describe('GET /api/health', () => {
+  it('reports the provider, cache and model call queue', async () => {
+    const response = await app.get('/api/health');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'healthy');
+    assert.equal(response.body.hasApiKey, true);
+    assert.equal(response.body.provider, 'openai-compatible');
+    assert.equal(response.body.model, 'fake-model');
+    assert.equal(response.body.cache, 'memory');
+    assert.deepEqual(response.body.modelCalls, {
+      queue: { concurrency: 4, running: 0, waiting: 0 },
+      breaker: 'closed',
+    });
+    assert.ok(!Number.isNaN(Date.parse(response.body.timestamp)));
+  });
+
+  it('does not call the model', async () => {
+    await app.get('/api/health');
+
+    assert.equal(app.fake.requests.length, 0);
+  });
+});
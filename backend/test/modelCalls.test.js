@@ -0,0 +1,254 @@
+/**
+ * Model call queue: retries, backoff, timeouts and the circuit breaker,
+ * through the OpenAI provider against a fake OpenAI server
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeOpenAI } = require('./support/fakeOpenAI');
+const { createOpenAIProvider } = require('../providers/openaiProvider');
+const { createModelCaller } = require('../utils/modelCalls');
+
+const REQUEST = { messages: [{ role: 'user', content: 'Say hello' }], temperature: 0, maxTokens: 20 };
+
+let fake;
+let provider;
+const { error: logError } = console;
+
+before(async () => {
+  // Each retry and breaker change is logged, which would bury the test report
+  console.error = () => {};
+  fake = createFakeOpenAI();
+  await fake.start();
+  provider = createOpenAIProvider({ name: 'openai-compatible', label: 'LLM server', model: 'fake-model', apiKey: 'test-key', baseURL: fake.url });
+});
+after(async () => {
+  await fake.stop();
+  console.error = logError;
+});
+beforeEach(() => fake.reset());
+
+/**
+ * A model caller with test-sized settings
+ * @param {Object} [options] - Settings to change
+ * @returns {Object}
+ */
+function createCaller(options = {}) {
+  return createModelCaller({
+    concurrency: 2,
+    maxRetries: 2,
+    baseDelayMs: 5,
+    maxDelayMs: 2000,
+    timeoutMs: 300,
+    breakerThreshold: 0,
+    breakerCooldownMs: 1000,
+    ...options,
+  });
+}
+
+describe('createModelCaller', () => {
+  describe('retries', () => {
+    it('retries server errors and returns the first success', async () => {
+      fake.reply({ status: 500 }, { status: 503 }, { content: 'Hello' });
+
+      const response = await createCaller().complete(provider, { ...REQUEST });
+
+      assert.equal(response.content, 'Hello');
+      assert.equal(fake.requests.length, 3);
+    });
+
+    it('does not retry a rejected API key', async () => {
+      fake.reply({ status: 401 }, { content: 'Hello' });
+
+      await assert.rejects(createCaller().complete(provider, { ...REQUEST }), {
+        name: 'ModelCallError',
+        code: 'MODEL_AUTH_FAILED',
+        message: 'Invalid LLM server API key',
+      });
+      assert.equal(fake.requests.length, 1);
+    });
+
+    it('waits as long as the provider asks', async () => {
+      fake.reply({ status: 429, headers: { 'retry-after-ms': '150' } }, { content: 'Hello' });
+
+      const started = Date.now();
+      await createCaller({ random: () => 0 }).complete(provider, { ...REQUEST });
+
+      assert.ok(Date.now() - started >= 150);
+    });
+
+    it('doubles the backoff after each failure', async () => {
+      fake.reply({ status: 500 }, { status: 500 }, { content: 'Hello' });
+
+      // With the jitter at its top, the waits are the full 60 then 120 ms
+      const started = Date.now();
+      await createCaller({ baseDelayMs: 60, random: () => 0.999 }).complete(provider, { ...REQUEST });
+
+      assert.ok(Date.now() - started >= 180);
+    });
+
+    it('gives up at once when the provider asks for a longer wait than allowed', async () => {
+      fake.reply({ status: 429, headers: { 'retry-after': '60' } }, { content: 'Hello' });
+
+      await assert.rejects(createCaller().complete(provider, { ...REQUEST }), {
+        code: 'MODEL_RATE_LIMITED',
+        message: 'LLM server rate limit exceeded. Please try again later.',
+        retryAfter: 60,
+      });
+      assert.equal(fake.requests.length, 1);
+    });
+
+    it('times out an attempt that gets no answer', async () => {
+      fake.reply({ hang: true }, { hang: true });
+
+      await assert.rejects(createCaller({ maxRetries: 1, timeoutMs: 100 }).complete(provider, { ...REQUEST }), {
+        code: 'MODEL_TIMEOUT',
+      });
+      assert.equal(fake.requests.length, 2);
+    });
+
+    it('stops retrying when the caller cancels', async () => {
+      fake.reply({ status: 500 }, { content: 'Hello' });
+      const controller = new AbortController();
+
+      const call = createCaller({ baseDelayMs: 1000, random: () => 0.999 }).complete(provider, { ...REQUEST, signal: controller.signal });
+      setTimeout(() => controller.abort(), 50);
+
+      await assert.rejects(call);
+      assert.equal(fake.requests.length, 1);
+    });
+  });
+
+  describe('queue', () => {
+    it('runs at most the configured number of calls at once', async () => {
+      fake.reply({ hang: true }, { content: 'Hello' });
+      const caller = createCaller({ concurrency: 1, maxRetries: 0, timeoutMs: 100 });
+
+      const first = caller.complete(provider, { ...REQUEST });
+      const second = caller.complete(provider, { ...REQUEST });
+      await new Promise(resolve => setTimeout(resolve, 30));
+
+      assert.deepEqual(caller.stats().queue, { concurrency: 1, running: 1, waiting: 1 });
+      assert.equal(fake.requests.length, 1);
+
+      await assert.rejects(first, { code: 'MODEL_TIMEOUT' });
+      assert.equal((await second).content, 'Hello');
+    });
+
+    it('takes a cancelled call out of the queue', async () => {
+      fake.reply({ hang: true }, { content: 'Hello' });
+      const caller = createCaller({ concurrency: 1, maxRetries: 0, timeoutMs: 100 });
+      const controller = new AbortController();
+
+      const first = caller.complete(provider, { ...REQUEST });
+      const cancelled = caller.complete(provider, { ...REQUEST, signal: controller.signal });
+      const third = caller.complete(provider, { ...REQUEST });
+      await new Promise(resolve => setTimeout(resolve, 30));
+      controller.abort();
+
+      await assert.rejects(cancelled, { name: 'AbortError' });
+      assert.deepEqual(caller.stats().queue, { concurrency: 1, running: 1, waiting: 1 });
+
+      await assert.rejects(first, { code: 'MODEL_TIMEOUT' });
+      assert.equal((await third).content, 'Hello');
+      assert.equal(fake.requests.length, 2);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    let time;
+    let caller;
+
+    beforeEach(() => {
+      time = 0;
+      caller = createCaller({ maxRetries: 0, breakerThreshold: 2, now: () => time });
+    });
+
+    /**
+     * Makes calls that fail with an outage until the breaker opens
+     */
+    async function openBreaker() {
+      fake.reply({ status: 500 }, { status: 500 });
+      for (let call = 0; call < 2; call++) {
+        await assert.rejects(caller.complete(provider, { ...REQUEST }), { code: 'MODEL_UNAVAILABLE' });
+      }
+    }
+
+    it('refuses calls without sending them once it opens', async () => {
+      await openBreaker();
+
+      await assert.rejects(caller.complete(provider, { ...REQUEST }), {
+        code: 'MODEL_UNAVAILABLE',
+        retryAfter: 1,
+      });
+      assert.equal(fake.requests.length, 2);
+      assert.equal(caller.stats().breaker, 'open');
+    });
+
+    it('closes again when the trial call after the cooldown succeeds', async () => {
+      await openBreaker();
+      time += 1000;
+      fake.reply({ content: 'Hello' });
+
+      const response = await caller.complete(provider, { ...REQUEST });
+
+      assert.equal(response.content, 'Hello');
+      assert.equal(caller.stats().breaker, 'closed');
+    });
+
+    it('opens again when the trial call fails', async () => {
+      await openBreaker();
+      time += 1000;
+      fake.reply({ status: 502 });
+
+      await assert.rejects(caller.complete(provider, { ...REQUEST }), { code: 'MODEL_UNAVAILABLE' });
+
+      assert.equal(caller.stats().breaker, 'open');
+      assert.equal(fake.requests.length, 3);
+    });
+
+    it('ignores failures that say nothing about the provider', async () => {
+      fake.reply({ status: 400 }, { status: 400 }, { content: 'Hello' });
+
+      for (let call = 0; call < 2; call++) {
+        await assert.rejects(caller.complete(provider, { ...REQUEST }), { code: 'MODEL_REQUEST_FAILED' });
+      }
+
+      assert.equal(caller.stats().breaker, 'closed');
+      assert.equal((await caller.complete(provider, { ...REQUEST })).content, 'Hello');
+    });
+  });
+
+  describe('stream', () => {
+    /**
+     * Joins the text a stream yields
+     * @param {AsyncGenerator<string>} stream - Text deltas
+     * @returns {Promise<string>}
+     */
+    async function readAll(stream) {
+      let text = '';
+      for await (const delta of stream) {
+        text += delta;
+      }
+      return text;
+    }
+
+    it('retries opening the stream, then yields the text', async () => {
+      const content = 'A reply long enough to arrive in more than one chunk of the stream.';
+      fake.reply({ status: 429, headers: { 'retry-after-ms': '10' } }, { content });
+
+      const text = await readAll(createCaller().stream(provider, { ...REQUEST }));
+
+      assert.equal(text, content);
+      assert.equal(fake.requests.length, 2);
+      assert.equal(fake.requests[1].body.stream, true);
+    });
+
+    it('fails with the error code once the retries run out', async () => {
+      fake.reply({ status: 500 }, { status: 500 }, { status: 500 });
+
+      await assert.rejects(readAll(createCaller().stream(provider, { ...REQUEST })), { code: 'MODEL_UNAVAILABLE' });
+      assert.equal(fake.requests.length, 3);
+    });
+  });
+});
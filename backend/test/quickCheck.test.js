@@ -0,0 +1,141 @@
+/**
+ * POST /api/quick-check, against a fake OpenAI server
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./support/testServer');
+
+const DRAFT = 'My summer holiday was the best one yet. We went camping by the lake and I learned to fish.';
+
+/**
+ * Model output for a quick check, as JSON text
+ * @param {Object} [changes] - Fields to replace
+ * @returns {string}
+ */
+function quickCheckReply(changes = {}) {
+  return JSON.stringify({
+    impression: 'A lively, well-organised recount.',
+    strengths: ['Clear opening', 'Vivid setting', 'Personal voice'],
+    improvements: ['Vary sentence openings', 'Add more detail about the fishing', 'Finish with a reflection'],
+    ...changes,
+  });
+}
+
+let app;
+
+before(async () => {
+  app = await startTestServer();
+});
+after(() => app.stop());
+beforeEach(() => app.reset());
+
+describe('POST /api/quick-check', () => {
+  describe('validation', () => {
+    it('rejects a missing draft without calling the model', async () => {
+      const response = await app.post('/api/quick-check', {});
+
+      assert.equal(response.status, 400);
+      assert.deepEqual(response.body, {
+        error: 'Draft text is required and must be a non-empty string',
+        code: 'INVALID_REQUEST',
+        success: false,
+      });
+      assert.equal(app.fake.requests.length, 0);
+    });
+
+    it('rejects a draft that is not a string', async () => {
+      const response = await app.post('/api/quick-check', { draft: 42 });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.code, 'INVALID_REQUEST');
+    });
+
+    it('rejects a year level out of range', async () => {
+      const response = await app.post('/api/quick-check', { draft: DRAFT, profile: { yearLevel: 20 } });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error, 'Profile yearLevel must be a whole number from 1 to 13');
+    });
+  });
+
+  describe('success', () => {
+    it('returns the impression, strengths and improvements', async () => {
+      app.fake.reply({ content: quickCheckReply() });
+
+      const response = await app.post('/api/quick-check', { draft: DRAFT });
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body, { success: true, data: JSON.parse(quickCheckReply()) });
+    });
+
+    it('pitches the prompt at the profile', async () => {
+      app.fake.reply({ content: quickCheckReply() });
+
+      await app.post('/api/quick-check', { draft: DRAFT, profile: { yearLevel: 5, maxFeedbackWords: 20 } });
+
+      const prompt = app.fake.requests[0].body.messages.map(message => message.content).join('\n');
+      assert.ok(prompt.includes(DRAFT));
+      assert.match(prompt, /Year 5/);
+      assert.match(prompt, /at most 20 words/);
+    });
+  });
+
+  describe('malformed model output', () => {
+    it('repairs output with the wrong number of strengths', async () => {
+      app.fake.reply(
+        { content: quickCheckReply({ strengths: ['Clear opening'] }) },
+        { content: quickCheckReply() }
+      );
+
+      const response = await app.post('/api/quick-check', { draft: DRAFT });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.strengths.length, 3);
+      assert.equal(app.fake.requests.length, 2);
+    });
+
+    it('answers 502 when the output is still invalid after repairing', async () => {
+      app.fake.reply({ content: 'Nice work!' }, { content: quickCheckReply({ impression: '' }) });
+
+      const response = await app.post('/api/quick-check', { draft: DRAFT });
+
+      assert.equal(response.status, 502);
+      assert.equal(response.body.code, 'MODEL_OUTPUT_INVALID');
+      assert.equal(response.body.field, 'impression');
+      assert.equal(response.body.success, false);
+    });
+  });
+
+  describe('model errors', () => {
+    it('maps a rejected API key to 502 MODEL_AUTH_FAILED', async () => {
+      app.fake.reply({ status: 401 });
+
+      const response = await app.post('/api/quick-check', { draft: DRAFT });
+
+      assert.equal(response.status, 502);
+      assert.equal(response.body.code, 'MODEL_AUTH_FAILED');
+      assert.equal(app.fake.requests.length, 1);
+    });
+
+    it('retries after a rate limit and succeeds', async () => {
+      app.fake.reply({ status: 429, headers: { 'retry-after-ms': '10' } }, { content: quickCheckReply() });
+
+      const response = await app.post('/api/quick-check', { draft: DRAFT });
+
+      assert.equal(response.status, 200);
+      assert.equal(app.fake.requests.length, 2);
+    });
+
+    it('maps a rate limit that outlasts the retries to 503 MODEL_RATE_LIMITED', async () => {
+      const limited = { status: 429, headers: { 'retry-after': '1' } };
+      app.fake.reply(limited, limited, limited);
+
+      const response = await app.post('/api/quick-check', { draft: DRAFT });
+
+      assert.equal(response.status, 503);
+      assert.equal(response.body.code, 'MODEL_RATE_LIMITED');
+      assert.equal(response.headers.get('retry-after'), '1');
+    });
+  });
+});
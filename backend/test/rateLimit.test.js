@@ -0,0 +1,72 @@
+/**
+ * Rate limits on the AI endpoints, per class code and per teacher
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./support/testServer');
+
+const DRAFT = 'My summer holiday was the best one yet. We went camping by the lake and I learned to fish.';
+const QUICK_CHECK_REPLY = JSON.stringify({
+  impression: 'A lively, well-organised recount.',
+  strengths: ['Clear opening', 'Vivid setting', 'Personal voice'],
+  improvements: ['Vary sentence openings', 'Add more detail about the fishing', 'Finish with a reflection'],
+});
+
+let app;
+let classCode;
+let teacherAuth;
+
+before(async () => {
+  app = await startTestServer({ RATE_LIMIT_PER_CLASS: '1', DAILY_QUOTA_PER_TEACHER: '2' });
+
+  const signup = await app.post('/api/teachers', { name: 'Ms Rivera', email: 'rivera@example.com', password: 'correct horse' });
+  teacherAuth = { Authorization: `Bearer ${signup.body.data.token}` };
+  const created = await app.post('/api/classes', {
+    name: '8B English',
+    rubric: { name: 'Recount', criteria: ['Uses paragraphs'] },
+  }, teacherAuth);
+  classCode = created.body.data.code;
+});
+after(() => app.stop());
+beforeEach(() => app.reset());
+
+describe('class code limits', () => {
+  it('refuses a class code that no class has, without calling the model', async () => {
+    const response = await app.post('/api/quick-check', { draft: DRAFT }, { 'X-Class-Code': 'MADE-UP-1' });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'INVALID_REQUEST');
+    assert.equal(app.fake.requests.length, 0);
+  });
+
+  it('refuses an unknown class code when reporting the quota', async () => {
+    const response = await app.get('/api/quota', { 'X-Class-Code': 'MADE-UP-1' });
+
+    assert.equal(response.status, 400);
+  });
+
+  it('limits requests sent with the code of a real class, whatever its case', async () => {
+    app.fake.reply({ content: QUICK_CHECK_REPLY });
+
+    const first = await app.post('/api/quick-check', { draft: DRAFT }, { 'X-Class-Code': classCode.toLowerCase() });
+    const second = await app.post('/api/quick-check', { draft: DRAFT }, { 'X-Class-Code': classCode });
+
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 429);
+    assert.equal(second.body.limit, 'class-rate');
+  });
+});
+
+describe('teacher limits', () => {
+  it('refuses a batch with more drafts than the daily quota has left', async () => {
+    const response = await app.post('/api/batch', {
+      criteria: ['Uses paragraphs'],
+      drafts: ['a', 'b', 'c'].map(name => ({ name, draft: DRAFT })),
+    }, teacherAuth);
+
+    assert.equal(response.status, 429);
+    assert.equal(response.body.code, 'QUOTA_EXCEEDED');
+    assert.equal(app.fake.requests.length, 0);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Fake OpenAI Server
+ * A local stand-in for the Chat Completions endpoint, so tests run the real
+ * SDK, retries and error mapping without a network or an API key. Tests
+ * queue the replies it gives, in order, and read back the requests it got.
+ */
+
+const http = require('http');
+
+/**
+ * A completion reply in the Chat Completions format
+ * @param {string} content - Message content
+ * @returns {Object}
+ */
+function completionBody(content) {
+  return {
+    id: 'chatcmpl-fake',
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: 'fake-model',
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 120, completion_tokens: 40, total_tokens: 160 },
+  };
+}
+
+/**
+ * Writes a reply as a stream of Server-Sent Events, a few characters per
+ * chunk, ending with the usage chunk the SDK asks for
+ * @param {Object} res - HTTP response
+ * @param {string} content - Message content
+ */
+function streamContent(res, content) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  for (let index = 0; index < content.length; index += 40) {
+    const delta = { content: content.slice(index, index + 40) };
+    res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta }] })}\n\n`);
+  }
+  res.write(`data: ${JSON.stringify({ choices: [], usage: completionBody('').usage })}\n\n`);
+  res.end('data: [DONE]\n\n');
+}
+
+/**
+ * Creates a fake Chat Completions server. Each request takes the next
+ * queued reply:
+ *   { content }                    - 200 with that message (streamed when asked)
+ *   { status, message, headers }   - an API error with that status
+ *   { hang: true }                 - never answers, for timeouts
+ * A request with nothing queued gets a 500, so a missing reply fails loudly.
+ * @returns {Object} - Server with start(), stop(), reply(), reset(),
+ *   requests and url
+ */
+function createFakeOpenAI() {
+  const replies = [];
+  const requests = [];
+  const hanging = new Set();
+  let server = null;
+
+  function handle(req, res) {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+
+      if (req.method !== 'POST' || req.url !== '/v1/chat/completions') {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: { message: `Unknown endpoint ${req.method} ${req.url}` } }));
+      }
+
+      const reply = replies.shift() || { status: 500, message: 'The test queued no reply for this request' };
+
+      if (reply.hang) {
+        hanging.add(res);
+        res.on('close', () => hanging.delete(res));
+        return;
+      }
+      if (reply.status) {
+        res.writeHead(reply.status, { 'Content-Type': 'application/json', ...reply.headers });
+        return res.end(JSON.stringify({ error: { message: reply.message || `Fake error ${reply.status}`, type: 'fake_error' } }));
+      }
+      if (body.stream) {
+        return streamContent(res, reply.content);
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(completionBody(reply.content)));
+    });
+  }
+
+  return {
+    requests,
+
+    /**
+     * Base URL of the server, for LLM_BASE_URL
+     * @returns {string}
+     */
+    get url() {
+      return `http://127.0.0.1:${server.address().port}/v1`;
+    },
+
+    /**
+     * Starts listening on a free port
+     * @returns {Promise<void>}
+     */
+    start() {
+      server = http.createServer(handle);
+      return new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    },
+
+    /**
+     * Stops the server, dropping any requests left hanging
+     * @returns {Promise<void>}
+     */
+    stop() {
+      hanging.forEach(res => res.destroy());
+      return new Promise(resolve => server.close(resolve));
+    },
+
+    /**
+     * Queues replies for the next requests
+     * @param {...Object} next - Replies, in order
+     */
+    reply(...next) {
+      replies.push(...next);
+    },
+
+    /**
+     * Forgets the queued replies and the requests received
+     */
+    reset() {
+      replies.length = 0;
+      requests.length = 0;
+    },
+
+    /**
+     * @returns {number} - Replies queued but not yet used
+     */
+    pending() {
+      return replies.length;
+    },
+  };
+}
+
+module.exports = {
+  createFakeOpenAI,
+};
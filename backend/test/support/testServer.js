@@ -0,0 +1,127 @@
+/**
+ * Test Server
+ * Runs the app on a free port with its model provider pointed at a fake
+ * OpenAI server. The settings are fixed here, so a developer's .env
+ * doesn't change what the tests see.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeOpenAI } = require('./fakeOpenAI');
+
+const TEST_ENV = {
+  LLM_PROVIDER: 'openai-compatible',
+  LLM_MODEL: 'fake-model',
+  LLM_API_KEY: 'test-key',
+  LLM_REPAIR_ATTEMPTS: '1',
+  LLM_MAX_PROMPT_TOKENS: '8000',
+  CACHE_STORE: 'memory',
+  RATE_LIMIT_PER_IP: '0',
+  RATE_LIMIT_PER_CLASS: '0',
+  DAILY_QUOTA_PER_IP: '0',
+  DAILY_QUOTA_PER_CLASS: '0',
+  RATE_LIMIT_PER_TEACHER: '0',
+  DAILY_QUOTA_PER_TEACHER: '0',
+};
+
+// Retries and timeouts short enough for a test, with the breaker off so one
+// test's failures can't refuse the next test's calls
+const TEST_MODEL_CALLS = {
+  concurrency: 4,
+  maxRetries: 2,
+  baseDelayMs: 5,
+  maxDelayMs: 2000,
+  timeoutMs: 300,
+  breakerThreshold: 0,
+  breakerCooldownMs: 1000,
+};
+
+/**
+ * Sends a request to the test server
+ * @param {string} baseUrl - Server URL
+ * @param {string} method - HTTP method
+ * @param {string} route - Path, e.g. "/api/analyse"
+ * @param {Object} [body] - JSON body
+ * @param {Object} [headers] - Extra request headers
+ * @returns {Promise<Object>} - { status, headers, body, text }; body is the
+ *   parsed JSON, or null for other responses
+ */
+async function send(baseUrl, method, route, body, headers = {}) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await response.text();
+  const isJson = (response.headers.get('content-type') || '').includes('application/json');
+
+  return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : null, text };
+}
+
+/**
+ * Starts the fake OpenAI server and the app. Call once per test file: the
+ * app reads its settings when it is first loaded.
+ * @param {Object} [env] - Settings to use instead of TEST_ENV
+ * @returns {Promise<Object>} - { fake, url, post(), get(), reset(), stop() }
+ */
+async function startTestServer(env = {}) {
+  const fake = createFakeOpenAI();
+  await fake.start();
+
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'english-checker-test-'));
+  Object.assign(process.env, TEST_ENV, {
+    LLM_BASE_URL: fake.url,
+    USAGE_LOG_FILE: path.join(dataDir, 'usage.jsonl'),
+    CLASSROOM_FILE: path.join(dataDir, 'classroom.json'),
+  }, env);
+
+  const { setModelCaller, createModelCaller } = require('../../utils/modelCalls');
+  const { getCache } = require('../../cache');
+  const { flushUsageLog } = require('../../utils/usageLog');
+  setModelCaller(createModelCaller(TEST_MODEL_CALLS));
+
+  // Request and error logging would bury the test report
+  const { log, error } = console;
+  console.log = () => {};
+  console.error = () => {};
+
+  const app = require('../../server');
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    fake,
+    url: baseUrl,
+    post: (route, body, headers) => send(baseUrl, 'POST', route, body, headers),
+    get: (route, headers) => send(baseUrl, 'GET', route, undefined, headers),
+
+    /**
+     * Clears the fake server and the analysis cache between tests
+     * @returns {Promise<void>}
+     */
+    async reset() {
+      fake.reset();
+      await getCache().clear();
+    },
+
+    /**
+     * Stops both servers and removes the test data
+     * @returns {Promise<void>}
+     */
+    async stop() {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      await fake.stop();
+      await flushUsageLog();
+      Object.assign(console, { log, error });
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = {
+  startTestServer,
+};
@@ -0,0 +1,147 @@
+/**
+ * Analysis Cache
+ * Reuses the analysis of an unchanged draft instead of asking the model
+ * again. Entries are keyed on the normalized draft, the criteria, the
+ * prompt options, the model and the prompt version.
+ */
+
+const crypto = require('crypto');
+const { getCache } = require('../cache');
+const { getProvider } = require('../providers');
+const { PROMPT_VERSION } = require('./openaiClient');
+const { createOffsetMapper } = require('./evidence');
+
+/**
+ * Normalizes a draft so copies that differ only in line endings, trailing
+ * spaces or surrounding blank lines share a cache entry
+ * @param {string} draft - The student's draft text
+ * @returns {string}
+ */
+function normalizeDraft(draft) {
+  return draft.replace(/\r\n?/g, '\n').replace(/[ \t]+$/gm, '').trim();
+}
+
+/**
+ * Serializes a value with object keys sorted, so key order in the request
+ * body doesn't change the cache key
+ * @param {*} value - JSON-serializable value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  return JSON.stringify(value, (key, item) =>
+    item && typeof item === 'object' && !Array.isArray(item)
+      ? Object.fromEntries(Object.keys(item).sort().map(name => [name, item[name]]))
+      : item);
+}
+
+/**
+ * Builds the cache key of an analysis request
+ * @param {Object} request - Validated analysis request
+ * @param {string} request.draft - The student's draft text
+ * @param {Array<string>} request.criteria - Flattened criteria
+ * @param {Array<Object>} request.groups - Criterion groups: [{ name, criterionNumbers }]
+ * @param {Object} [request.metrics] - Readability metrics
+ * @param {Object} [request.profile] - Feedback profile
+ * @returns {string} - SHA-256 hex digest
+ */
+function analysisCacheKey({ draft, criteria, groups, metrics, profile }) {
+  const provider = getProvider();
+
+  return crypto
+    .createHash('sha256')
+    .update(canonicalJson({
+      promptVersion: PROMPT_VERSION,
+      provider: provider.name,
+      model: provider.model,
+      draft: normalizeDraft(draft),
+      criteria,
+      groups,
+      metrics: metrics || null,
+      profile: profile || null,
+    }))
+    .digest('hex');
+}
+
+/**
+ * Moves the evidence offsets and chunk ranges of an analysis from one copy
+ * of a draft into another
+ * @param {Object} result - Normalized analysis
+ * @param {string} fromDraft - Draft the offsets refer to
+ * @param {string} toDraft - Draft to move them into
+ * @returns {Object} - Analysis with offsets (and quotes) for toDraft
+ */
+function moveOffsets(result, fromDraft, toDraft) {
+  if (fromDraft === toDraft) {
+    return result;
+  }
+
+  const map = createOffsetMapper(fromDraft, toDraft);
+  const moved = {
+    ...result,
+    criteria: result.criteria.map(entry => ({
+      ...entry,
+      evidence: entry.evidence.map(item => {
+        const start = map.start(item.start);
+        const end = map.end(item.end);
+        return { quote: toDraft.slice(start, end), start, end };
+      }),
+    })),
+  };
+
+  if (result.chunking) {
+    moved.chunking = {
+      ...result.chunking,
+      ranges: result.chunking.ranges.map(range => ({ start: map.start(range.start), end: map.end(range.end) })),
+    };
+  }
+
+  return moved;
+}
+
+/**
+ * Looks up a cached analysis. Cache failures are logged, never thrown.
+ * @param {string} key - Result of analysisCacheKey()
+ * @param {string} draft - The draft being analysed, which offsets will refer to
+ * @returns {Promise<Object|null>} - Cached analysis, or null on a miss
+ */
+async function readCachedAnalysis(key, draft) {
+  const store = getCache();
+  if (!store) {
+    return null;
+  }
+
+  try {
+    const result = await store.get(key);
+    return result ? moveOffsets(result, normalizeDraft(draft), draft) : null;
+  } catch (error) {
+    console.error('Analysis cache read failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Saves an analysis for reuse. Cache failures are logged, never thrown.
+ * Offsets are stored against the normalized draft, so the draft itself
+ * doesn't need to be kept.
+ * @param {string} key - Result of analysisCacheKey()
+ * @param {string} draft - The draft that was analysed
+ * @param {Object} result - Normalized analysis
+ */
+async function writeCachedAnalysis(key, draft, result) {
+  const store = getCache();
+  if (!store) {
+    return;
+  }
+
+  try {
+    await store.set(key, moveOffsets(result, draft, normalizeDraft(draft)));
+  } catch (error) {
+    console.error('Analysis cache write failed:', error);
+  }
+}
+
+module.exports = {
+  analysisCacheKey,
+  readCachedAnalysis,
+  writeCachedAnalysis,
+};
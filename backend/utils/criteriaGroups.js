@@ -0,0 +1,185 @@
+/**
+ * Criteria Groups
+ * Reads flat or grouped success criteria from an analyse request and rolls
+ * criterion ratings up into one rating per group
+ */
+
+const { RATINGS } = require('./responseSchema');
+
+const MAX_CRITERIA = 15;
+const MAX_GROUP_NAME_LENGTH = 100;
+const MAX_CRITERION_WEIGHT = 10;
+
+/**
+ * Reads one criterion: a string, or { text, weight }
+ * @param {*} item - Criterion from the request body
+ * @param {string} label - How to refer to it in error messages
+ * @returns {{ criterion?: Object, error?: string }}
+ */
+function readCriterion(item, label) {
+  const entry = typeof item === 'string' ? { text: item } : item;
+
+  if (!entry || typeof entry !== 'object' || typeof entry.text !== 'string' || !entry.text.trim()) {
+    return { error: `${label} must be a non-empty string` };
+  }
+
+  const weight = entry.weight === undefined ? 1 : entry.weight;
+  if (!Number.isFinite(weight) || weight <= 0 || weight > MAX_CRITERION_WEIGHT) {
+    return { error: `${label} needs a weight greater than 0 and at most ${MAX_CRITERION_WEIGHT}` };
+  }
+
+  return { criterion: { text: entry.text, weight } };
+}
+
+/**
+ * Flattens the criteria of an analyse request into one numbered list.
+ * Ungrouped criteria come first, then each group in order.
+ * @param {*} criteria - Ungrouped criteria from the request body
+ * @param {*} groups - Groups from the request body: [{ name, criteria }]
+ * @returns {{ error: string }|{ layout: Object }} - An error message, or the
+ *   layout: { criteria, weights, groups: [{ name, criterionNumbers }] }
+ */
+function resolveCriteria(criteria, groups) {
+  if (criteria !== undefined && !Array.isArray(criteria)) {
+    return { error: 'Criteria must be an array' };
+  }
+
+  if (groups !== undefined && !Array.isArray(groups)) {
+    return { error: 'Groups must be an array' };
+  }
+
+  const entries = [];
+  const layoutGroups = [];
+
+  for (const item of criteria || []) {
+    const { criterion, error } = readCriterion(item, `Criterion ${entries.length + 1}`);
+    if (error) return { error };
+    entries.push(criterion);
+  }
+
+  const names = new Set();
+  for (let i = 0; i < (groups || []).length; i++) {
+    const group = groups[i];
+
+    if (!group || typeof group !== 'object' || typeof group.name !== 'string' || !group.name.trim()) {
+      return { error: `Group ${i + 1} must have a name` };
+    }
+
+    const name = group.name.trim();
+    if (name.length > MAX_GROUP_NAME_LENGTH) {
+      return { error: `Group "${name}" has a name longer than ${MAX_GROUP_NAME_LENGTH} characters` };
+    }
+    if (names.has(name.toLowerCase())) {
+      return { error: `Group "${name}" appears more than once` };
+    }
+    if (!Array.isArray(group.criteria) || group.criteria.length === 0) {
+      return { error: `Group "${name}" must contain at least one criterion` };
+    }
+    names.add(name.toLowerCase());
+
+    const criterionNumbers = [];
+    for (const item of group.criteria) {
+      const { criterion, error } = readCriterion(item, `Criterion ${entries.length + 1} (group "${name}")`);
+      if (error) return { error };
+      entries.push(criterion);
+      criterionNumbers.push(entries.length);
+    }
+
+    layoutGroups.push({ name, criterionNumbers });
+  }
+
+  if (entries.length === 0) {
+    return { error: 'At least one success criterion is required' };
+  }
+
+  // Limit criteria to prevent overlong prompts
+  if (entries.length > MAX_CRITERIA) {
+    return { error: `Maximum ${MAX_CRITERIA} success criteria allowed` };
+  }
+
+  return {
+    layout: {
+      criteria: entries.map(entry => entry.text),
+      weights: entries.map(entry => entry.weight),
+      groups: layoutGroups,
+    },
+  };
+}
+
+/**
+ * Finds the group a criterion belongs to
+ * @param {Object} layout - Result of resolveCriteria()
+ * @param {number} criterionNumber - 1-based criterion number
+ * @returns {string|null} - Group name, or null for ungrouped criteria
+ */
+function groupOf(layout, criterionNumber) {
+  const group = layout.groups.find(g => g.criterionNumbers.includes(criterionNumber));
+  return group ? group.name : null;
+}
+
+/**
+ * Averages criterion ratings (weighted) into one rating
+ * Exceeding = 4 ... Not Evident = 1; halves round up
+ * @param {Array<Object>} entries - Criterion results
+ * @param {Array<number>} weights - Weight of each criterion, by criterion number
+ * @returns {{ rating: string, score: number }}
+ */
+function rollUpRating(entries, weights) {
+  let total = 0;
+  let weightSum = 0;
+
+  entries.forEach(entry => {
+    const weight = weights[entry.criterionNumber - 1];
+    total += (RATINGS.length - RATINGS.indexOf(entry.rating)) * weight;
+    weightSum += weight;
+  });
+
+  const score = Math.round(total / weightSum * 10) / 10;
+  return { rating: RATINGS[RATINGS.length - Math.round(score)], score };
+}
+
+/**
+ * Adds group names to a criterion result
+ * @param {Object} entry - Normalized criterion result
+ * @param {Object} layout - Result of resolveCriteria()
+ * @returns {Object}
+ */
+function withGroup(entry, layout) {
+  return layout.groups.length > 0
+    ? { ...entry, group: groupOf(layout, entry.criterionNumber) }
+    : entry;
+}
+
+/**
+ * Adds group names to each criterion and a rolled-up rating for each group.
+ * `groups` is always set from the layout (empty for requests without
+ * groups), so it never comes from model output.
+ * @param {Object} result - Normalized analysis
+ * @param {Object} layout - Result of resolveCriteria()
+ * @returns {Object}
+ */
+function applyGroups(result, layout) {
+  if (layout.groups.length === 0) {
+    return { ...result, groups: [] };
+  }
+
+  return {
+    ...result,
+    criteria: result.criteria.map(entry => withGroup(entry, layout)),
+    groups: layout.groups.map(group => ({
+      name: group.name,
+      criterionNumbers: group.criterionNumbers,
+      ...rollUpRating(
+        result.criteria.filter(entry => group.criterionNumbers.includes(entry.criterionNumber)),
+        layout.weights
+      ),
+    })),
+  };
+}
+
+module.exports = {
+  resolveCriteria,
+  rollUpRating,
+  withGroup,
+  applyGroups,
+};
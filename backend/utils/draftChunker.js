@@ -0,0 +1,205 @@
+/**
+ * Draft Chunker
+ * Splits drafts too long for one prompt into parts at paragraph boundaries
+ * and merges the analyses of the parts into one result
+ */
+
+const { RATINGS } = require('./responseSchema');
+const { MAX_EVIDENCE_QUOTES } = require('./evidence');
+
+// Rough size of a token in English text; good enough to size prompts
+const CHARS_PER_TOKEN = 4;
+
+const MAX_SUMMARY_POINTS = 3;
+
+/**
+ * Estimates how many tokens a text uses
+ * @param {string} text - Text to measure
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Cuts a range of the draft into pieces that end where the pattern matches
+ * (each piece keeps the separator that follows it)
+ * @param {string} draft - The student's draft text
+ * @param {number} start - Start of the range
+ * @param {number} end - End of the range (exclusive)
+ * @param {RegExp} pattern - Global pattern matching the separators
+ * @returns {Array<{ start: number, end: number }>}
+ */
+function cutRange(draft, start, end, pattern) {
+  const pieces = [];
+  const text = draft.slice(start, end);
+  let pieceStart = 0;
+
+  for (const match of text.matchAll(pattern)) {
+    const pieceEnd = match.index + match[0].length;
+    if (pieceEnd > pieceStart && pieceEnd < text.length) {
+      pieces.push({ start: start + pieceStart, end: start + pieceEnd });
+      pieceStart = pieceEnd;
+    }
+  }
+
+  pieces.push({ start: start + pieceStart, end });
+  return pieces;
+}
+
+/**
+ * Cuts the draft into pieces of at most maxChars: whole paragraphs where
+ * possible, then sentences, then words
+ * @param {string} draft - The student's draft text
+ * @param {number} maxChars - Largest piece size
+ * @returns {Array<{ start: number, end: number }>}
+ */
+function cutPieces(draft, maxChars) {
+  const separators = [/\n\s*\n/g, /(?<=[.!?]["'”’)]?)\s+/g, /\s+/g];
+
+  let pieces = [{ start: 0, end: draft.length }];
+  for (const separator of separators) {
+    pieces = pieces.flatMap(piece => piece.end - piece.start > maxChars
+      ? cutRange(draft, piece.start, piece.end, separator)
+      : [piece]);
+  }
+
+  // A single word longer than a chunk is cut wherever it has to be
+  return pieces.flatMap(piece => {
+    const cut = [];
+    for (let start = piece.start; start < piece.end; start += maxChars) {
+      cut.push({ start, end: Math.min(start + maxChars, piece.end) });
+    }
+    return cut;
+  });
+}
+
+/**
+ * Splits a draft into chunks that each fit the token budget, breaking at
+ * paragraph boundaries where possible
+ * @param {string} draft - The student's draft text
+ * @param {number} maxTokens - Largest chunk size in estimated tokens
+ * @returns {Array<{ text: string, start: number, end: number }>} - Chunks in
+ *   draft order; start/end are offsets in the draft (end is exclusive)
+ */
+function splitDraft(draft, maxTokens) {
+  const maxChars = Math.max(1, maxTokens * CHARS_PER_TOKEN);
+  const chunks = [];
+  let current = null;
+
+  cutPieces(draft, maxChars).forEach(piece => {
+    if (current && piece.end - current.start <= maxChars) {
+      current.end = piece.end;
+    } else {
+      current = { start: piece.start, end: piece.end };
+      chunks.push(current);
+    }
+  });
+
+  return chunks
+    .map(chunk => ({ text: draft.slice(chunk.start, chunk.end), ...chunk }))
+    .filter(chunk => chunk.text.trim());
+}
+
+/**
+ * Scores a rating: Exceeding = 4 ... Not Evident = 1
+ * @param {string} rating
+ * @returns {number}
+ */
+function ratingScore(rating) {
+  return RATINGS.length - RATINGS.indexOf(rating);
+}
+
+/**
+ * Merges one criterion's results from every chunk. The rating is the
+ * average over the chunks that show the criterion, weighted by chunk length
+ * (a criterion only needs to be shown somewhere in the draft); feedback
+ * comes from the chunk closest to that rating.
+ * @param {Array<Object>} entries - The criterion's result from each chunk
+ * @param {Array<Object>} chunks - The chunks, in the same order
+ * @returns {Object} - Merged criterion result
+ */
+function mergeCriterion(entries, chunks) {
+  const candidates = entries
+    .map((entry, index) => ({ entry, chunk: chunks[index], order: index }))
+    .filter(({ entry }) => entry.rating !== 'Not Evident');
+
+  if (candidates.length === 0) {
+    return { ...entries[0], evidence: [] };
+  }
+
+  let total = 0;
+  let length = 0;
+  candidates.forEach(({ entry, chunk }) => {
+    total += ratingScore(entry.rating) * (chunk.end - chunk.start);
+    length += chunk.end - chunk.start;
+  });
+  const score = total / length;
+  const rating = RATINGS[RATINGS.length - Math.round(score)];
+
+  candidates.sort((a, b) =>
+    Math.abs(ratingScore(a.entry.rating) - score) - Math.abs(ratingScore(b.entry.rating) - score) ||
+    a.order - b.order);
+
+  // Evidence offsets are relative to each chunk; move them into the draft
+  const evidence = candidates
+    .flatMap(({ entry, chunk }) => entry.evidence.map(item => ({
+      quote: item.quote,
+      start: item.start + chunk.start,
+      end: item.end + chunk.start,
+    })))
+    .slice(0, MAX_EVIDENCE_QUOTES);
+
+  return { ...candidates[0].entry, rating, evidence };
+}
+
+/**
+ * Merges the summaries of every chunk, taking points from each chunk in
+ * turn and skipping repeats
+ * @param {Array<Array<string>>} summaries - Summary points of each chunk
+ * @param {number} maxPoints - Most points to keep
+ * @returns {Array<string>}
+ */
+function mergeSummaries(summaries, maxPoints) {
+  const merged = [];
+  const seen = new Set();
+  const longest = Math.max(...summaries.map(summary => summary.length));
+
+  for (let i = 0; i < longest && merged.length < maxPoints; i++) {
+    summaries.forEach(summary => {
+      const point = summary[i];
+      if (point && !seen.has(point.toLowerCase()) && merged.length < maxPoints) {
+        seen.add(point.toLowerCase());
+        merged.push(point);
+      }
+    });
+  }
+
+  return merged;
+}
+
+/**
+ * Merges the normalized analyses of every chunk into one analysis of the
+ * whole draft, with one rating per criterion and a combined summary
+ * @param {Array<Object>} results - Normalized analysis of each chunk
+ * @param {Array<Object>} chunks - Result of splitDraft()
+ * @param {number} [maxSummaryPoints] - Most summary points to keep
+ * @returns {Object} - Merged analysis, with a `chunking` report
+ */
+function mergeChunkResults(results, chunks, maxSummaryPoints = MAX_SUMMARY_POINTS) {
+  return {
+    criteria: results[0].criteria.map((entry, index) =>
+      mergeCriterion(results.map(result => result.criteria[index]), chunks)),
+    summary: mergeSummaries(results.map(result => result.summary), maxSummaryPoints),
+    chunking: {
+      chunks: chunks.length,
+      ranges: chunks.map(chunk => ({ start: chunk.start, end: chunk.end })),
+    },
+  };
+}
+
+module.exports = {
+  estimateTokens,
+  splitDraft,
+  mergeChunkResults,
+};
@@ -0,0 +1,104 @@
+/**
+ * Error Types
+ * Errors that carry extra detail for API responses, and the stable error
+ * codes those responses are sent with
+ */
+
+/**
+ * Error codes sent as `code` in API error responses. The wording of an
+ * error may change; these don't, so the frontend acts on them instead.
+ */
+const ERROR_CODES = {
+  INVALID_REQUEST: 'INVALID_REQUEST', // The request body or headers are malformed
+  RATE_LIMITED: 'RATE_LIMITED', // Too many AI checks from this client in a short time
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED', // This client's daily AI checks are used up
+  MODEL_RATE_LIMITED: 'MODEL_RATE_LIMITED', // The model provider kept refusing for its own rate limit
+  MODEL_UNAVAILABLE: 'MODEL_UNAVAILABLE', // The model provider is down, or failing so often calls are paused
+  MODEL_TIMEOUT: 'MODEL_TIMEOUT', // The model took too long to respond
+  MODEL_AUTH_FAILED: 'MODEL_AUTH_FAILED', // The server's API key was rejected
+  MODEL_REQUEST_FAILED: 'MODEL_REQUEST_FAILED', // The model provider rejected the request
+  MODEL_OUTPUT_INVALID: 'MODEL_OUTPUT_INVALID', // The model's answer kept breaking the response schema
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+};
+
+// HTTP status sent with each code
+const ERROR_STATUSES = {
+  INVALID_REQUEST: 400,
+  RATE_LIMITED: 429,
+  QUOTA_EXCEEDED: 429,
+  MODEL_RATE_LIMITED: 503,
+  MODEL_UNAVAILABLE: 503,
+  MODEL_TIMEOUT: 504,
+  MODEL_AUTH_FAILED: 502,
+  MODEL_REQUEST_FAILED: 502,
+  MODEL_OUTPUT_INVALID: 502,
+  INTERNAL_ERROR: 500,
+};
+
+/**
+ * Thrown when the model's output cannot be parsed or does not match the
+ * expected response schema, even after repair attempts
+ */
+class ModelOutputError extends Error {
+  /**
+   * @param {string} message - Human-readable description
+   * @param {Array<Object>} errors - Schema errors as { field, message }
+   */
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ModelOutputError';
+    this.code = ERROR_CODES.MODEL_OUTPUT_INVALID;
+    this.errors = errors;
+    this.field = errors.length > 0 ? errors[0].field : null;
+  }
+}
+
+/**
+ * Thrown when a call to the model provider fails for good: it was not
+ * worth retrying, the retries ran out, or calls are paused by the circuit
+ * breaker
+ */
+class ModelCallError extends Error {
+  /**
+   * @param {string} code - One of the MODEL_* ERROR_CODES
+   * @param {string} message - Human-readable description
+   * @param {Object} [options]
+   * @param {number|null} [options.retryAfter] - Seconds to wait before trying again, if known
+   */
+  constructor(code, message, { retryAfter = null } = {}) {
+    super(message);
+    this.name = 'ModelCallError';
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Builds the API error response for an error thrown while handling a request
+ * @param {Error} error - Thrown error
+ * @param {string} fallbackMessage - Used when the error has no message
+ * @returns {{ status: number, body: Object }} - HTTP status and JSON body:
+ *   { error, code, success: false }, plus retryAfter (seconds) when trying
+ *   again later may work, or field and details for invalid model output
+ */
+function errorResponse(error, fallbackMessage) {
+  const code = ERROR_STATUSES[error.code] ? error.code : ERROR_CODES.INTERNAL_ERROR;
+  const body = { error: error.message || fallbackMessage, code };
+
+  if (error instanceof ModelCallError && error.retryAfter !== null) {
+    body.retryAfter = error.retryAfter;
+  }
+  if (error instanceof ModelOutputError) {
+    body.field = error.field;
+    body.details = error.errors;
+  }
+
+  return { status: ERROR_STATUSES[code], body: { ...body, success: false } };
+}
+
+module.exports = {
+  ERROR_CODES,
+  ModelOutputError,
+  ModelCallError,
+  errorResponse,
+};
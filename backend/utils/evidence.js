@@ -0,0 +1,134 @@
+/**
+ * Evidence Quotes
+ * Finds the passages the model quotes as evidence in the student's draft
+ * and maps them to character offsets
+ */
+
+// Most quotes the model may give for one criterion
+const MAX_EVIDENCE_QUOTES = 3;
+
+// Characters the model often swaps when copying text: curly quotes,
+// apostrophes and dashes are compared as their plain equivalents
+const EQUIVALENT_CHARACTERS = {
+  '‘': "'", '’': "'", 'ʼ': "'",
+  '“': '"', '”': '"',
+  '–': '-', '—': '-',
+};
+
+/**
+ * Reduces text to a comparable form: lower case, plain punctuation and
+ * single spaces, remembering where each character came from
+ * @param {string} text - Text to fold
+ * @returns {{ text: string, offsets: Array<number> }} - Folded text and, for
+ *   each of its characters, the index of the original character
+ */
+function foldText(text) {
+  let folded = '';
+  const offsets = [];
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      if (folded.length > 0 && folded[folded.length - 1] !== ' ') {
+        folded += ' ';
+        offsets.push(i);
+      }
+      continue;
+    }
+
+    folded += (EQUIVALENT_CHARACTERS[char] || char).toLowerCase();
+    offsets.push(i);
+  }
+
+  return { text: folded, offsets };
+}
+
+/**
+ * Strips what the model tends to wrap a quote in: surrounding quotation
+ * marks, leading/trailing ellipses and whitespace
+ * @param {string} quote - Quote from the model
+ * @returns {string}
+ */
+function cleanQuote(quote) {
+  return quote
+    .trim()
+    .replace(/^(?:\.\.\.|…|["'‘’“”\s])+/, '')
+    .replace(/(?:\.\.\.|…|["'‘’“”\s])+$/, '');
+}
+
+/**
+ * Finds a quote in the draft, ignoring differences in case, whitespace and
+ * curly vs straight punctuation
+ * @param {string} draft - The student's draft text
+ * @param {string} quote - Quote from the model
+ * @returns {{ quote: string, start: number, end: number }|null} - The passage
+ *   exactly as written in the draft and its offsets (end is exclusive), or
+ *   null if the draft doesn't contain it
+ */
+function locateQuote(draft, quote) {
+  const needle = foldText(cleanQuote(quote)).text.trim();
+  if (!needle) {
+    return null;
+  }
+
+  const haystack = foldText(draft);
+  const index = haystack.text.indexOf(needle);
+  if (index === -1) {
+    return null;
+  }
+
+  const start = haystack.offsets[index];
+  const end = haystack.offsets[index + needle.length - 1] + 1;
+  return { quote: draft.slice(start, end), start, end };
+}
+
+/**
+ * Finds the first position whose original offset is at or after an offset
+ * @param {Array<number>} offsets - Original offsets, in increasing order
+ * @param {number} offset - Offset to look up
+ * @returns {number} - Index into offsets (offsets.length if none)
+ */
+function firstAtOrAfter(offsets, offset) {
+  let low = 0;
+  let high = offsets.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (offsets[middle] < offset) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+/**
+ * Maps character offsets between two copies of a draft that differ only in
+ * whitespace (line endings, trailing spaces, blank lines at either end)
+ * @param {string} fromDraft - Draft the offsets refer to
+ * @param {string} toDraft - Draft to move them into
+ * @returns {{ start: function(number): number, end: function(number): number }} -
+ *   Maps a start offset, or an exclusive end offset
+ */
+function createOffsetMapper(fromDraft, toDraft) {
+  const from = foldText(fromDraft).offsets;
+  const to = foldText(toDraft).offsets;
+
+  return {
+    start: offset => {
+      const index = firstAtOrAfter(from, offset);
+      return index < to.length ? to[index] : toDraft.length;
+    },
+    end: offset => {
+      const index = Math.min(firstAtOrAfter(from, offset), to.length) - 1;
+      return index < 0 ? 0 : to[index] + 1;
+    },
+  };
+}
+
+module.exports = {
+  MAX_EVIDENCE_QUOTES,
+  locateQuote,
+  createOffsetMapper,
+};
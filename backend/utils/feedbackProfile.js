@@ -0,0 +1,125 @@
+/**
+ * Feedback Profile
+ * Validates the optional profile sent with analyse and quick-check requests
+ * (year level, tone, output language and feedback length) and turns it into
+ * prompt instructions
+ */
+
+const MIN_YEAR_LEVEL = 1;
+const MAX_YEAR_LEVEL = 13;
+const MIN_FEEDBACK_WORDS = 10;
+const MAX_FEEDBACK_WORDS = 100;
+
+// Letters, spaces, hyphens and brackets only, e.g. "Spanish" or "Chinese (Simplified)"
+const LANGUAGE_PATTERN = /^[\p{L}][\p{L} ()-]{0,39}$/u;
+
+const DEFAULT_PERSONA = 'an experienced English teacher';
+
+const FEEDBACK_TONES = {
+  encouraging: {
+    persona: 'a supportive English teacher who builds students\' confidence',
+    instruction: 'Be warm and encouraging: start from what the student does well and phrase every improvement as a next step.',
+  },
+  'exam-strict': {
+    persona: 'an experienced English examiner',
+    instruction: 'Mark like a strict exam assessor: be precise and direct, judge against exam standards and do not inflate ratings.',
+  },
+};
+
+/**
+ * Validates the optional profile of an analyse or quick-check request
+ * @param {*} profile - Profile from the request body
+ * @returns {string|null} - Error message, or null when valid or absent
+ */
+function validateProfile(profile) {
+  if (profile === undefined || profile === null) {
+    return null;
+  }
+
+  if (typeof profile !== 'object' || Array.isArray(profile)) {
+    return 'Profile must be an object';
+  }
+
+  const { yearLevel, tone, language, maxFeedbackWords } = profile;
+
+  if (yearLevel !== undefined &&
+      (!Number.isInteger(yearLevel) || yearLevel < MIN_YEAR_LEVEL || yearLevel > MAX_YEAR_LEVEL)) {
+    return `Profile yearLevel must be a whole number from ${MIN_YEAR_LEVEL} to ${MAX_YEAR_LEVEL}`;
+  }
+
+  if (tone !== undefined && !Object.prototype.hasOwnProperty.call(FEEDBACK_TONES, tone)) {
+    return `Profile tone must be one of: ${Object.keys(FEEDBACK_TONES).join(', ')}`;
+  }
+
+  if (language !== undefined && (typeof language !== 'string' || !LANGUAGE_PATTERN.test(language.trim()))) {
+    return 'Profile language must be a language name of up to 40 letters, e.g. "Spanish"';
+  }
+
+  if (maxFeedbackWords !== undefined &&
+      (!Number.isInteger(maxFeedbackWords) || maxFeedbackWords < MIN_FEEDBACK_WORDS || maxFeedbackWords > MAX_FEEDBACK_WORDS)) {
+    return `Profile maxFeedbackWords must be a whole number from ${MIN_FEEDBACK_WORDS} to ${MAX_FEEDBACK_WORDS}`;
+  }
+
+  return null;
+}
+
+/**
+ * Describes who the feedback is written as
+ * @param {Object|null} profile - Validated profile
+ * @returns {string} - e.g. "an experienced English examiner"
+ */
+function profilePersona(profile) {
+  const tone = profile && FEEDBACK_TONES[profile.tone];
+  return tone ? tone.persona : DEFAULT_PERSONA;
+}
+
+/**
+ * Suggests language suited to a year level (UK years; Year 1 is age 5-6)
+ * @param {number} yearLevel - Validated year level
+ * @returns {string}
+ */
+function readingLevelInstruction(yearLevel) {
+  const age = `age ${yearLevel + 4}-${yearLevel + 5}`;
+
+  if (yearLevel <= 6) {
+    return `The student is in Year ${yearLevel} (${age}). Judge the work against what is expected at that age, and use short sentences and simple, everyday words they can read on their own.`;
+  }
+  if (yearLevel <= 9) {
+    return `The student is in Year ${yearLevel} (${age}). Judge the work against what is expected at that age, and use clear, plain language, explaining any technical terms.`;
+  }
+  return `The student is in Year ${yearLevel} (${age}) and working towards exams. Judge the work against exam-level expectations; subject terminology is fine.`;
+}
+
+/**
+ * Formats the profile as prompt instructions, ignoring unset fields
+ * @param {Object|null} profile - Validated profile
+ * @returns {string} - One "- instruction" line per setting, or '' if none
+ */
+function formatProfile(profile) {
+  if (!profile) {
+    return '';
+  }
+
+  const lines = [];
+
+  if (profile.yearLevel !== undefined) {
+    lines.push(readingLevelInstruction(profile.yearLevel));
+  }
+
+  if (profile.tone !== undefined) {
+    lines.push(FEEDBACK_TONES[profile.tone].instruction);
+  }
+
+  if (profile.language !== undefined) {
+    lines.push(`Write all feedback in ${profile.language.trim()}. Keep JSON keys and rating names in English, and copy quotes from the draft exactly as written.`);
+  }
+
+  return lines.map(line => `- ${line}`).join('\n');
+}
+
+module.exports = {
+  FEEDBACK_TONES,
+  validateProfile,
+  profilePersona,
+  formatProfile,
+};
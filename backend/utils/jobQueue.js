@@ -0,0 +1,77 @@
+/**
+ * Job Queue
+ * Runs async jobs in the order they were added, no more than a set number
+ * at a time, so a large batch can't flood the model provider
+ */
+
+/**
+ * Creates a job queue
+ * @param {Object} options - Queue options
+ * @param {number} options.concurrency - Most jobs running at once
+ * @returns {Object} - Queue with push() and stats()
+ */
+function createJobQueue({ concurrency }) {
+  const waiting = []; // { job, resolve, reject, started }, oldest first
+  let running = 0;
+
+  // Starts waiting jobs until every slot is busy
+  function startJobs() {
+    while (running < concurrency && waiting.length > 0) {
+      const { job, resolve, reject, started } = waiting.shift();
+      started();
+      running++;
+
+      Promise.resolve()
+        .then(job)
+        .then(resolve, reject)
+        .finally(() => {
+          running--;
+          startJobs();
+        });
+    }
+  }
+
+  return {
+    /**
+     * Adds a job to the end of the queue
+     * @param {function(): Promise<*>} job - Started when a slot is free
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Takes the job out of the queue
+     *   if it hasn't started yet; a started job is left to finish
+     * @returns {Promise<*>} - Settles with the job's outcome, or rejects with
+     *   the abort reason if the job was taken out
+     */
+    push(job, { signal } = {}) {
+      return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+          reject(signal.reason);
+          return;
+        }
+
+        const waiter = { job, resolve, reject, started: () => {} };
+        if (signal) {
+          const onAbort = () => {
+            waiting.splice(waiting.indexOf(waiter), 1);
+            reject(signal.reason);
+          };
+          signal.addEventListener('abort', onAbort, { once: true });
+          waiter.started = () => signal.removeEventListener('abort', onAbort);
+        }
+
+        waiting.push(waiter);
+        startJobs();
+      });
+    },
+
+    /**
+     * @returns {{ concurrency: number, running: number, waiting: number }}
+     */
+    stats() {
+      return { concurrency, running, waiting: waiting.length };
+    },
+  };
+}
+
+module.exports = {
+  createJobQueue,
+};
@@ -0,0 +1,499 @@
+/**
+ * Model Calls
+ * Every request to the model provider goes through here:
+ *   - a queue keeps no more than LLM_CONCURRENCY requests running at once
+ *   - attempts that may work later (rate limits, server errors, timeouts,
+ *     dropped connections) are retried with exponential backoff and
+ *     jitter, waiting at least as long as the provider's Retry-After
+ *   - each attempt is cancelled after LLM_TIMEOUT_SECONDS
+ *   - after LLM_BREAKER_THRESHOLD calls in a row fail, a circuit breaker
+ *     refuses calls for LLM_BREAKER_COOLDOWN_SECONDS, then lets one
+ *     through to see whether the provider has recovered
+ * Failures are thrown as ModelCallError with a stable code.
+ */
+
+const { createJobQueue } = require('./jobQueue');
+const { ERROR_CODES, ModelCallError } = require('./errors');
+
+// Failures that count towards the circuit breaker
+const OUTAGE_CODES = [ERROR_CODES.MODEL_RATE_LIMITED, ERROR_CODES.MODEL_UNAVAILABLE, ERROR_CODES.MODEL_TIMEOUT];
+
+// Errors from Node and its fetch when a connection drops or can't be made
+const CONNECTION_ERROR_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT',
+];
+
+let activeCaller;
+
+/**
+ * Reads a positive whole number from the environment
+ * @param {string} value - Environment value
+ * @param {number} fallback - Used when the value is missing or invalid
+ * @returns {number}
+ */
+function positiveInteger(value, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) || number <= 0 ? fallback : number;
+}
+
+/**
+ * Reads a non-negative whole number from the environment
+ * @param {string} value - Environment value
+ * @param {number} fallback - Used when the value is missing or invalid
+ * @returns {number}
+ */
+function nonNegativeInteger(value, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) || number < 0 ? fallback : number;
+}
+
+/**
+ * Reads the queue, retry, timeout and circuit breaker settings
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} - Options for createModelCaller()
+ */
+function readModelCallConfig(env = process.env) {
+  return {
+    concurrency: positiveInteger(env.LLM_CONCURRENCY, 4),
+    maxRetries: nonNegativeInteger(env.LLM_MAX_RETRIES, 3),
+    baseDelayMs: positiveInteger(env.LLM_RETRY_BASE_MS, 500),
+    maxDelayMs: positiveInteger(env.LLM_RETRY_MAX_SECONDS, 30) * 1000,
+    timeoutMs: positiveInteger(env.LLM_TIMEOUT_SECONDS, 120) * 1000,
+    breakerThreshold: nonNegativeInteger(env.LLM_BREAKER_THRESHOLD, 5),
+    breakerCooldownMs: positiveInteger(env.LLM_BREAKER_COOLDOWN_SECONDS, 30) * 1000,
+  };
+}
+
+/**
+ * Reads a response header from a provider error. The OpenAI SDK gives
+ * headers as a plain object; fetch-based clients give a Headers object.
+ * @param {Error} error - Provider error
+ * @param {string} name - Lowercase header name
+ * @returns {string|null}
+ */
+function errorHeader(error, name) {
+  const headers = error.headers;
+  if (!headers) return null;
+  const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+  return value === undefined || value === null ? null : String(value);
+}
+
+/**
+ * Reads how long the provider asked us to wait before trying again
+ * @param {Error} error - Provider error
+ * @param {number} time - Current time in milliseconds
+ * @returns {number|null} - Milliseconds, or null if it didn't say
+ */
+function retryAfterMs(error, time) {
+  const milliseconds = Number(errorHeader(error, 'retry-after-ms'));
+  if (milliseconds > 0) {
+    return milliseconds;
+  }
+
+  const retryAfter = errorHeader(error, 'retry-after');
+  if (retryAfter === null || retryAfter.trim() === '') {
+    return null;
+  }
+
+  // Either a number of seconds or an HTTP date
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - time);
+}
+
+/**
+ * Reports whether an error means the connection to the provider failed
+ * @param {Error} error - Provider error
+ * @returns {boolean}
+ */
+function isConnectionError(error) {
+  const codes = [error.code, error.cause && error.cause.code];
+  return error.name === 'APIConnectionError' ||
+    codes.some(code => CONNECTION_ERROR_CODES.includes(code)) ||
+    (error.name === 'TypeError' && error.message === 'fetch failed');
+}
+
+/**
+ * @param {Object} provider - Provider with a name and, usually, a label
+ * @returns {string} - Name to use in error messages, e.g. "OpenAI"
+ */
+function labelOf(provider) {
+  return provider.label || provider.name;
+}
+
+/**
+ * Converts a provider error into the error reported to callers
+ * @param {Error} error - Error thrown by the provider
+ * @param {Object} context
+ * @param {string} context.label - Provider name for the message, e.g. "OpenAI"
+ * @param {boolean} context.timedOut - The attempt was cancelled by the timeout
+ * @param {number} context.timeoutMs - The timeout, for the message
+ * @param {number} context.time - Current time in milliseconds
+ * @returns {{ failure: ModelCallError, retryable: boolean, waitMs: number|null }} -
+ *   The error, whether another attempt may work, and the provider's Retry-After
+ */
+function describeFailure(error, { label, timedOut, timeoutMs, time }) {
+  const waitMs = retryAfterMs(error, time);
+  const retryAfter = waitMs === null ? null : Math.max(1, Math.ceil(waitMs / 1000));
+  const fail = (code, message, retryable) => ({
+    failure: new ModelCallError(code, message, { retryAfter }),
+    retryable,
+    waitMs,
+  });
+
+  if (timedOut) {
+    return fail(ERROR_CODES.MODEL_TIMEOUT, `The AI service did not respond within ${Math.round(timeoutMs / 1000)} seconds`, true);
+  }
+  if (error.status === 401 || error.status === 403) {
+    return fail(ERROR_CODES.MODEL_AUTH_FAILED, `Invalid ${label} API key`, false);
+  }
+  if (error.status === 429) {
+    return fail(ERROR_CODES.MODEL_RATE_LIMITED, `${label} rate limit exceeded. Please try again later.`, true);
+  }
+  if (error.status === 408 || error.status === 409 || error.status >= 500 || (!error.status && isConnectionError(error))) {
+    return fail(ERROR_CODES.MODEL_UNAVAILABLE, `The AI service is unavailable: ${error.message}`, true);
+  }
+  return fail(ERROR_CODES.MODEL_REQUEST_FAILED, `${label} API error: ${error.message}`, false);
+}
+
+/**
+ * Waits, giving up early if the request is cancelled
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Cancels the wait
+ * @returns {Promise<void>} - Rejects with the abort reason when cancelled
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Creates the gate every model call goes through
+ * @param {Object} options - Settings (see readModelCallConfig())
+ * @param {number} options.concurrency - Most calls running at once
+ * @param {number} options.maxRetries - Retries after the first attempt
+ * @param {number} options.baseDelayMs - Backoff before the first retry, doubled for each retry after it
+ * @param {number} options.maxDelayMs - Longest wait between attempts. A
+ *   longer Retry-After ends the call straight away.
+ * @param {number} options.timeoutMs - Time allowed for one attempt
+ * @param {number} options.breakerThreshold - Failed calls in a row that open the breaker (0 = no breaker)
+ * @param {number} options.breakerCooldownMs - How long the breaker stays open
+ * @param {function(): number} [options.random] - Random number in [0, 1), for tests
+ * @param {function(): number} [options.now] - Clock, for tests
+ * @returns {Object} - Caller with complete(), stream() and stats()
+ */
+function createModelCaller({
+  concurrency,
+  maxRetries,
+  baseDelayMs,
+  maxDelayMs,
+  timeoutMs,
+  breakerThreshold,
+  breakerCooldownMs,
+  random = Math.random,
+  now = Date.now,
+}) {
+  const queue = createJobQueue({ concurrency });
+  const breaker = { state: 'closed', failures: 0, openUntil: 0, trialRunning: false };
+
+  /**
+   * @param {number} waitMs - Time until calls are let through again
+   * @returns {ModelCallError}
+   */
+  function breakerOpenError(waitMs) {
+    const retryAfter = Math.max(1, Math.ceil(waitMs / 1000));
+    return new ModelCallError(
+      ERROR_CODES.MODEL_UNAVAILABLE,
+      `The AI service is not responding. Please try again in ${retryAfter} seconds.`,
+      { retryAfter }
+    );
+  }
+
+  /**
+   * Lets a call through unless the breaker is open. Once the cooldown has
+   * passed, one trial call is let through while the others are refused.
+   * @returns {boolean} - Whether this is the trial call
+   * @throws {ModelCallError} - MODEL_UNAVAILABLE while calls are refused
+   */
+  function admit() {
+    if (breakerThreshold === 0) return false;
+
+    if (breaker.state === 'open') {
+      if (breaker.openUntil > now()) {
+        throw breakerOpenError(breaker.openUntil - now());
+      }
+      breaker.state = 'half-open';
+    }
+
+    if (breaker.state === 'half-open') {
+      if (breaker.trialRunning) {
+        throw breakerOpenError(breakerCooldownMs);
+      }
+      breaker.trialRunning = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Updates the breaker once a call has finished
+   * @param {boolean} trial - Result of admit()
+   * @param {string} outcome - 'ok', 'outage' (a failure in OUTAGE_CODES) or
+   *   'other' (cancelled, or a failure that says nothing about the provider's health)
+   */
+  function settle(trial, outcome) {
+    if (breakerThreshold === 0) return;
+    if (trial) breaker.trialRunning = false;
+
+    if (outcome === 'ok') {
+      breaker.state = 'closed';
+      breaker.failures = 0;
+    } else if (outcome === 'outage') {
+      breaker.failures++;
+      if (trial || breaker.failures >= breakerThreshold) {
+        if (breaker.state !== 'open') {
+          console.error(`Model calls paused for ${breakerCooldownMs / 1000} seconds after ${breaker.failures} failures in a row`);
+        }
+        breaker.state = 'open';
+        breaker.openUntil = now() + breakerCooldownMs;
+      }
+    }
+  }
+
+  /**
+   * Waits for a free slot in the queue. A caller that cancels while waiting
+   * leaves the queue, so it doesn't hold up the calls behind it.
+   * @param {AbortSignal} [signal] - The caller's cancel signal
+   * @returns {Promise<function(): void>} - Frees the slot again
+   */
+  async function takeSlot(signal) {
+    const release = await new Promise((resolve, reject) => {
+      queue.push(() => new Promise(done => resolve(done)), { signal }).catch(reject);
+    });
+
+    if (signal && signal.aborted) {
+      release();
+      throw signal.reason;
+    }
+    return release;
+  }
+
+  /**
+   * Starts one attempt's timeout, linked to the caller's cancel signal
+   * @param {AbortSignal} [callerSignal] - The caller's cancel signal
+   * @returns {Object} - { signal, timedOut(), end() }; end() stops the timer
+   *   and cancels anything the attempt left open
+   */
+  function startAttempt(callerSignal) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+
+    const onAbort = () => controller.abort();
+    if (callerSignal) {
+      if (callerSignal.aborted) controller.abort();
+      callerSignal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    return {
+      signal: controller.signal,
+      timedOut: () => timedOut,
+      end() {
+        clearTimeout(timer);
+        if (callerSignal) callerSignal.removeEventListener('abort', onAbort);
+        controller.abort();
+      },
+    };
+  }
+
+  /**
+   * How long to wait before the next attempt: full jitter on an exponential
+   * backoff, but never less than the provider's Retry-After
+   * @param {number} retry - Retries made so far
+   * @param {number|null} waitMs - The provider's Retry-After
+   * @returns {number|null} - Milliseconds, or null if the wait would be too long
+   */
+  function backoff(retry, waitMs) {
+    if (waitMs !== null) {
+      return waitMs > maxDelayMs ? null : waitMs + Math.round(random() * baseDelayMs);
+    }
+    return Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** retry));
+  }
+
+  /**
+   * Runs attempts until one succeeds or retrying is no longer worth it
+   * @param {Object} provider - Provider being called, named in error messages
+   * @param {Object} request - Provider request
+   * @param {boolean} trial - The breaker's trial call, which gets one attempt
+   * @param {function(AbortSignal): Promise<*>} attempt - Makes one attempt
+   * @returns {Promise<{ value: *, timing: Object }>} - The attempt's result,
+   *   and its timeout from startAttempt(), still running
+   * @throws {ModelCallError|Error} - The final failure, or the abort reason
+   *   if the caller cancelled
+   */
+  async function attemptUntilDone(provider, request, trial, attempt) {
+    const retries = trial ? 0 : maxRetries;
+
+    for (let retry = 0; ; retry++) {
+      if (retry > 0 && breaker.state === 'open') {
+        throw breakerOpenError(breaker.openUntil - now());
+      }
+
+      const timing = startAttempt(request.signal);
+      try {
+        return { value: await attempt(timing.signal), timing };
+      } catch (error) {
+        timing.end();
+        if (request.signal && request.signal.aborted) {
+          throw error;
+        }
+
+        const { failure, retryable, waitMs } = describeFailure(error, { label: labelOf(provider), timedOut: timing.timedOut(), timeoutMs, time: now() });
+        const delay = retryable && retry < retries ? backoff(retry, waitMs) : null;
+        if (delay === null) {
+          throw failure;
+        }
+
+        console.error(`Model call failed (${failure.code}), retry ${retry + 1} of ${retries} in ${delay} ms:`, error.message);
+        await sleep(delay, request.signal);
+      }
+    }
+  }
+
+  /**
+   * @param {Error} error - Error a call ended with
+   * @param {AbortSignal} [signal] - The caller's cancel signal
+   * @returns {string} - Outcome for settle()
+   */
+  function outcomeOf(error, signal) {
+    return !(signal && signal.aborted) && OUTAGE_CODES.includes(error.code) ? 'outage' : 'other';
+  }
+
+  return {
+    /**
+     * Runs a chat completion through the queue, retrying as configured
+     * @param {Object} provider - Provider with complete()
+     * @param {Object} request - Provider request; request.signal cancels the call
+     * @returns {Promise<Object>} - The provider's response: { content, usage }
+     * @throws {ModelCallError} - When the call fails for good
+     */
+    async complete(provider, request) {
+      const trial = admit();
+      let outcome = 'other';
+      let release = null;
+
+      try {
+        release = await takeSlot(request.signal);
+        const { value, timing } = await attemptUntilDone(provider, request, trial, signal => provider.complete({ ...request, signal }));
+        timing.end();
+        outcome = 'ok';
+        return value;
+      } catch (error) {
+        outcome = outcomeOf(error, request.signal);
+        throw error;
+      } finally {
+        if (release) release();
+        settle(trial, outcome);
+      }
+    },
+
+    /**
+     * Streams a chat completion through the queue. Opening the stream is
+     * retried as configured; once text has arrived a failure ends the call,
+     * since the text already passed on can't be taken back.
+     * @param {Object} provider - Provider with stream()
+     * @param {Object} request - Provider request; request.signal cancels the call
+     * @returns {AsyncGenerator<string>} - Text deltas
+     * @throws {ModelCallError} - When the call fails for good
+     */
+    async *stream(provider, request) {
+      const trial = admit();
+      let outcome = 'other';
+      let release = null;
+      let timing = null;
+
+      try {
+        release = await takeSlot(request.signal);
+        const opened = await attemptUntilDone(provider, request, trial, async signal => {
+          const iterator = provider.stream({ ...request, signal })[Symbol.asyncIterator]();
+          return { iterator, first: await iterator.next() };
+        });
+        timing = opened.timing;
+
+        const { iterator, first } = opened.value;
+        let item = first;
+        while (!item.done) {
+          yield item.value;
+          try {
+            item = await iterator.next();
+          } catch (error) {
+            if (request.signal && request.signal.aborted) throw error;
+            throw describeFailure(error, { label: labelOf(provider), timedOut: timing.timedOut(), timeoutMs, time: now() }).failure;
+          }
+        }
+        outcome = 'ok';
+      } catch (error) {
+        outcome = outcomeOf(error, request.signal);
+        throw error;
+      } finally {
+        if (timing) timing.end();
+        if (release) release();
+        settle(trial, outcome);
+      }
+    },
+
+    /**
+     * @returns {Object} - { queue: { concurrency, running, waiting }, breaker: 'closed'|'open'|'half-open' }
+     */
+    stats() {
+      return { queue: queue.stats(), breaker: breaker.state };
+    },
+  };
+}
+
+/**
+ * Returns the model caller, creating it on first use
+ * @returns {Object} - Caller (see createModelCaller())
+ */
+function getModelCaller() {
+  if (!activeCaller) {
+    activeCaller = createModelCaller(readModelCallConfig());
+  }
+  return activeCaller;
+}
+
+/**
+ * Replaces the active caller (pass undefined to rebuild from the environment)
+ * @param {Object|undefined} caller - Caller to use
+ */
+function setModelCaller(caller) {
+  activeCaller = caller;
+}
+
+module.exports = {
+  readModelCallConfig,
+  createModelCaller,
+  getModelCaller,
+  setModelCaller,
+};
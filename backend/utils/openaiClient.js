@@ -1,22 +1,95 @@
 /**
  * OpenAI Client Wrapper
- * Handles all interactions with the OpenAI API using gpt-5-nano
+ * Builds prompts and sends them to the configured LLM provider
+ * (OpenAI by default, see providers/index.js)
  */
 
-const OpenAI = require('openai');
+const { getProvider } = require('../providers');
+const { ModelOutputError } = require('./errors');
+const { createCriteriaStreamParser } = require('./streamParser');
+const { formatMetrics } = require('./readabilityMetrics');
+const { MAX_EVIDENCE_QUOTES } = require('./evidence');
+const { profilePersona, formatProfile } = require('./feedbackProfile');
+const { estimateTokens, splitDraft, mergeChunkResults } = require('./draftChunker');
+const { recordUsage } = require('./usageLog');
+const { getModelCaller } = require('./modelCalls');
+const {
+  RATINGS,
+  parseModelJson,
+  validateCriterion,
+  validateAnalysis,
+  normalizeCriterion,
+  normalizeAnalysis,
+  QUICK_FEEDBACK_POINTS,
+  validateQuickFeedback,
+  normalizeQuickFeedback,
+} = require('./responseSchema');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Bump whenever the prompts change, so cached analyses from older prompts are not reused
+const PROMPT_VERSION = 1;
+
+// How many times to ask the model to fix output that breaks the schema
+const repairAttempts = parseInt(process.env.LLM_REPAIR_ATTEMPTS, 10);
+const MAX_REPAIR_ATTEMPTS = Number.isNaN(repairAttempts) ? 2 : Math.max(0, repairAttempts);
+
+// Estimated prompt size above which a draft is analysed in chunks
+const maxPromptTokens = parseInt(process.env.LLM_MAX_PROMPT_TOKENS, 10);
+const MAX_PROMPT_TOKENS = Number.isNaN(maxPromptTokens) ? 8000 : Math.max(1000, maxPromptTokens);
+
+// Smallest share of a chunked prompt left for the draft itself
+const MIN_CHUNK_TOKENS = 500;
+
+/**
+ * Analyzes a student draft against success criteria using the configured provider
+ * @param {string} draft - The student's draft text
+ * @param {Array<string>} criteria - Array of success criteria
+ * @param {Object} [options] - Analysis options
+ * @param {Object} [options.metrics] - Readability metrics computed in the browser
+ * @param {Array<Object>} [options.groups] - Criterion groups: [{ name, criterionNumbers }]
+ * @param {Object} [options.profile] - Feedback profile: year level, tone, language, length
+ * @param {Object} [options.caller] - Who asked, for the usage log: { route, classCode }
+ * @returns {Promise<Object>} - Analysis results with ratings and feedback; drafts
+ *   too long for one prompt are analysed in chunks, reported in `chunking`
+ * @throws {ModelOutputError} - When the output still breaks the schema after repair attempts
+ * @throws {ModelCallError} - When the model call fails for good, after any retries
+ */
+async function analyzeWithCriteria(draft, criteria, { metrics, groups, profile, caller } = {}) {
+  if (!draft || !draft.trim()) {
+    throw new Error('Draft text is required');
+  }
+
+  if (!criteria || criteria.length === 0) {
+    throw new Error('At least one success criterion is required');
+  }
+
+  const promptOptions = { metrics, groups, profile };
+  const chunks = planChunks(draft, criteria, promptOptions);
+  if (chunks) {
+    return analyzeInChunks(chunks, criteria, promptOptions, { caller });
+  }
+
+  return runAnalysis(buildAnalysisMessages(draft, criteria, promptOptions), criteria, draft, { caller });
+}
 
 /**
- * Analyzes a student draft against success criteria using OpenAI
+ * Streams an analysis, reporting each criterion as soon as the model has
+ * produced it. Resolves with the complete, schema-checked result.
  * @param {string} draft - The student's draft text
  * @param {Array<string>} criteria - Array of success criteria
- * @returns {Promise<Object>} - Analysis results with ratings and feedback
+ * @param {Object} options - Streaming options
+ * @param {Object} [options.metrics] - Readability metrics computed in the browser
+ * @param {Array<Object>} [options.groups] - Criterion groups: [{ name, criterionNumbers }]
+ * @param {Object} [options.profile] - Feedback profile: year level, tone, language, length
+ * @param {function(Object): void} options.onCriterion - Called with each finished criterion result
+ * @param {function(Object): void} [options.onChunk] - Called as each chunk of a
+ *   long draft finishes, with { chunk, chunks }; criteria follow once all are merged
+ * @param {AbortSignal} [options.signal] - Cancels the model request
+ * @param {Object} [options.caller] - Who asked, for the usage log: { route, classCode }
+ * @returns {Promise<Object|null>} - Analysis results, or null if aborted
+ * @throws {ModelOutputError} - When the output still breaks the schema after repair attempts
+ * @throws {ModelCallError} - When the model call fails for good, after any retries
  */
-async function analyzeWithCriteria(draft, criteria) {
+async function streamAnalysisWithCriteria(draft, criteria, { metrics, groups, profile, onCriterion, onChunk, signal, caller } = {}) {
   if (!draft || !draft.trim()) {
     throw new Error('Draft text is required');
   }
@@ -25,34 +98,218 @@ async function analyzeWithCriteria(draft, criteria) {
     throw new Error('At least one success criterion is required');
   }
 
+  const promptOptions = { metrics, groups, profile };
+  const chunks = planChunks(draft, criteria, promptOptions);
+  if (chunks) {
+    let result;
+    try {
+      result = await analyzeInChunks(chunks, criteria, promptOptions, { onChunk, signal, caller });
+    } catch (error) {
+      if (signal && signal.aborted) {
+        return null;
+      }
+      throw error;
+    }
+    if (result) {
+      result.criteria.forEach(onCriterion);
+    }
+    return result;
+  }
+
+  const messages = buildAnalysisMessages(draft, criteria, promptOptions);
+  const parser = createCriteriaStreamParser();
+  const sent = new Map(); // criterionNumber -> entry already sent to the client
+  let responseText = '';
+
+  const provider = getProvider();
+  const request = {
+    task: 'analyse',
+    criteria,
+    draft,
+    messages,
+    temperature: 0.7,
+    maxTokens: 3000,
+    signal,
+    caller,
+  };
+  let usage = null;
+  let status = 'ok';
+  const started = Date.now();
+
+  try {
+    const stream = getModelCaller().stream(provider, { ...request, onUsage: reported => { usage = reported; } });
+
+    for await (const delta of stream) {
+      responseText += delta;
+
+      parser.push(delta).forEach(item => {
+        const invalid = validateCriterion(item, 'criteria[]', criteria.length, draft).length > 0;
+        if (invalid || sent.has(item.criterionNumber)) {
+          return;
+        }
+        const entry = normalizeCriterion(item, criteria, draft);
+        sent.set(entry.criterionNumber, entry);
+        onCriterion(entry);
+      });
+    }
+  } catch (error) {
+    status = 'error';
+    if (!(signal && signal.aborted)) {
+      throw error;
+    }
+  } finally {
+    recordUsage({
+      request,
+      provider,
+      usage,
+      latencyMs: Date.now() - started,
+      status: signal && signal.aborted ? 'aborted' : status,
+    });
+  }
+
+  if (signal && signal.aborted) {
+    return null;
+  }
+
+  // Check the whole response (repairing it if needed), then send any
+  // entries the stream missed or that the repair changed. A client that
+  // goes away during a repair cancels it too.
+  let result;
+  try {
+    result = await runAnalysis(messages, criteria, draft, { initialResponse: responseText, signal, caller });
+  } catch (error) {
+    if (signal && signal.aborted) {
+      return null;
+    }
+    throw error;
+  }
+
+  result.criteria.forEach(entry => {
+    const previous = sent.get(entry.criterionNumber);
+    if (!previous || JSON.stringify(previous) !== JSON.stringify(entry)) {
+      onCriterion(entry);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Decides whether a draft is too long for one analysis prompt
+ * @param {string} draft - The student's draft text
+ * @param {Array<string>} criteria - Array of success criteria
+ * @param {Object} promptOptions - Options for buildAnalysisMessages()
+ * @returns {Array<Object>|null} - Chunks from splitDraft(), or null when the
+ *   whole draft fits in one prompt
+ */
+function planChunks(draft, criteria, promptOptions) {
+  const promptTokens = messages => estimateTokens(messages.map(message => message.content).join('\n'));
+
+  if (promptTokens(buildAnalysisMessages(draft, criteria, promptOptions)) <= MAX_PROMPT_TOKENS) {
+    return null;
+  }
+
+  // Everything but the draft is repeated in every chunk's prompt
+  const overhead = promptTokens(buildAnalysisMessages('', criteria, {
+    ...promptOptions,
+    chunk: { number: 99, count: 99 },
+  }));
+  const chunks = splitDraft(draft, Math.max(MAX_PROMPT_TOKENS - overhead, MIN_CHUNK_TOKENS));
+
+  return chunks.length > 1 ? chunks : null;
+}
+
+/**
+ * Analyses each chunk of a long draft in turn and merges the results
+ * @param {Array<Object>} chunks - Result of splitDraft()
+ * @param {Array<string>} criteria - Array of success criteria
+ * @param {Object} promptOptions - Options for buildAnalysisMessages()
+ * @param {Object} [options]
+ * @param {function(Object): void} [options.onChunk] - Called with { chunk, chunks } as each chunk finishes
+ * @param {AbortSignal} [options.signal] - Cancels the model requests
+ * @param {Object} [options.caller] - Who asked, for the usage log: { route, classCode }
+ * @returns {Promise<Object|null>} - Merged analysis (offsets refer to the
+ *   whole draft), or null if aborted
+ * @throws {ModelOutputError} - When a chunk's output still breaks the schema after repair attempts
+ */
+async function analyzeInChunks(chunks, criteria, promptOptions, { onChunk, signal, caller } = {}) {
+  const results = [];
+
+  for (let i = 0; i < chunks.length; i++) {
+    if (signal && signal.aborted) {
+      return null;
+    }
+
+    const messages = buildAnalysisMessages(chunks[i].text, criteria, {
+      ...promptOptions,
+      chunk: { number: i + 1, count: chunks.length },
+    });
+    results.push(await runAnalysis(messages, criteria, chunks[i].text, { signal, caller }));
+
+    if (onChunk) {
+      onChunk({ chunk: i + 1, chunks: chunks.length });
+    }
+  }
+
+  return mergeChunkResults(results, chunks, criteria.length > 10 ? 2 : 3);
+}
+
+/**
+ * Builds the chat messages for a criteria analysis
+ * @param {string} draft - The student's draft text, or one chunk of it
+ * @param {Array<string>} criteria - Array of success criteria
+ * @param {Object} [options] - Prompt options
+ * @param {Object} [options.metrics] - Readability metrics to include in the prompt
+ * @param {Array<Object>} [options.groups] - Criterion groups: [{ name, criterionNumbers }]
+ * @param {Object} [options.profile] - Feedback profile: year level, tone, language, length
+ * @param {Object} [options.chunk] - Which chunk of a long draft this is: { number, count }
+ * @returns {Array<Object>} - Chat messages
+ */
+function buildAnalysisMessages(draft, criteria, { metrics, groups = [], profile, chunk } = {}) {
   // Build the criteria list for the prompt
-  const criteriaList = criteria
-    .map((criterion, index) => `${index + 1}. ${criterion}`)
-    .join('\n');
+  const criteriaList = formatCriteriaList(criteria, groups);
 
-  // Adjust instructions based on number of criteria
-  const feedbackLength = criteria.length > 10 
-    ? 'Keep each feedback sentence extremely short (max 20 words).'
-    : 'Provide 1 short sentence of feedback (max 30 words).';
+  // Adjust instructions based on the profile, or else the number of criteria
+  let feedbackLength;
+  if (profile && profile.maxFeedbackWords !== undefined) {
+    feedbackLength = `Provide short feedback of at most ${profile.maxFeedbackWords} words.`;
+  } else {
+    feedbackLength = criteria.length > 10
+      ? 'Keep each feedback sentence extremely short (max 20 words).'
+      : 'Provide 1 short sentence of feedback (max 30 words).';
+  }
   
   const summaryLength = criteria.length > 10
     ? 'Provide exactly 2 bullet points for the summary.'
     : 'Provide 2-3 bullet points for the summary.';
 
-  // Construct the prompt
-  const prompt = `You are an English teacher assessing a student's draft against success criteria.
+  const metricsList = formatMetrics(metrics);
+  const metricsSection = metricsList
+    ? `\nReadability metrics (computed automatically; refer to them where relevant, e.g. for criteria about sentence length, vocabulary or audience):\n${metricsList}\n`
+    : '';
 
-Student draft:
+  const profileList = formatProfile(profile);
+  const profileSection = profileList ? `\nAbout the student and how to write the feedback:\n${profileList}\n` : '';
+
+  const chunkNote = chunk
+    ? `\nThe draft is too long to assess at once, so this is part ${chunk.number} of ${chunk.count}, split at paragraph breaks. Assess this part only; the parts' ratings are combined afterwards. Rate a criterion "Not Evident" if this part gives no evidence for it.\n`
+    : '';
+
+  // Construct the prompt
+  const prompt = `You are ${profilePersona(profile)}, assessing a student's draft against success criteria.
+${chunkNote}
+Student draft${chunk ? ` (part ${chunk.number} of ${chunk.count})` : ''}:
 """
 ${draft}
 """
 
-Success criteria (numbered):
+Success criteria (numbered${groups.length > 0 ? ', under group headings' : ''}):
 ${criteriaList}
-
+${metricsSection}${profileSection}
 For each criterion:
 - Rate it using exactly one of: "Exceeding", "Accomplished", "Developing", "Not Evident"
 - ${feedbackLength}
+- Quote 1-${MAX_EVIDENCE_QUOTES} short passages from the draft that the rating is based on. Copy each one word for word (a phrase or a sentence, not a whole paragraph). Use an empty list only when the rating is "Not Evident".${groups.length > 0 ? '\n- Rate every numbered criterion separately; group ratings are calculated from them.' : ''}
 
 After all criteria:
 - ${summaryLength}
@@ -65,7 +322,8 @@ Output strictly in JSON with this exact schema:
       "criterionNumber": number,
       "criterion": string,
       "rating": "Exceeding" | "Accomplished" | "Developing" | "Not Evident",
-      "feedback": string
+      "feedback": string,
+      "evidence": [string]
     }
   ],
   "summary": [
@@ -77,80 +335,175 @@ Output strictly in JSON with this exact schema:
 
 Ensure valid JSON formatting.`;
 
-  try {
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-5-nano',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are an experienced English teacher providing constructive feedback on student writing. Always respond with valid JSON.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      temperature: 0.7,
-      max_tokens: 2000,
-    });
+  return [
+    {
+      role: 'system',
+      content: `You are ${profilePersona(profile)}, providing constructive feedback on student writing. Always respond with valid JSON.`
+    },
+    {
+      role: 'user',
+      content: prompt
+    }
+  ];
+}
 
-    const responseText = completion.choices[0].message.content.trim();
-    
-    // Try to parse JSON response
-    let result;
-    try {
-      // Remove markdown code blocks if present
-      const cleanedResponse = responseText
-        .replace(/```json\n?/g, '')
-        .replace(/```\n?/g, '')
-        .trim();
-      
-      result = JSON.parse(cleanedResponse);
-    } catch (parseError) {
-      console.error('Failed to parse OpenAI response:', responseText);
-      throw new Error('Invalid JSON response from OpenAI');
+/**
+ * Numbers the criteria for the prompt, listing grouped criteria under
+ * their group name (ungrouped criteria come first)
+ * @param {Array<string>} criteria - Array of success criteria
+ * @param {Array<Object>} groups - Criterion groups: [{ name, criterionNumbers }]
+ * @returns {string}
+ */
+function formatCriteriaList(criteria, groups) {
+  const numbered = number => `${number}. ${criteria[number - 1]}`;
+  const grouped = new Set(groups.flatMap(group => group.criterionNumbers));
+
+  const lines = criteria
+    .map((criterion, index) => index + 1)
+    .filter(number => !grouped.has(number))
+    .map(numbered);
+
+  groups.forEach(group => {
+    lines.push(`${group.name}:`, ...group.criterionNumbers.map(number => `  ${numbered(number)}`));
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Gets an analysis from the model and checks it against the schema,
+ * asking the model to repair invalid output a bounded number of times
+ * @param {Array<Object>} messages - Chat messages; repair turns are appended
+ * @param {Array<string>} criteria - Array of success criteria
+ * @param {string} draft - The student's draft text, which evidence must quote
+ * @param {Object} [options]
+ * @param {string} [options.initialResponse] - Already-received output to check first
+ * @param {AbortSignal} [options.signal] - Cancels the model request
+ * @param {Object} [options.caller] - Who asked, for the usage log: { route, classCode }
+ * @returns {Promise<Object>} - Normalized analysis
+ * @throws {ModelOutputError} - When the output still breaks the schema after repair attempts
+ */
+function runAnalysis(messages, criteria, draft, { initialResponse = null, signal, caller } = {}) {
+  return completeWithRepair(
+    { task: 'analyse', criteria, draft, messages, temperature: 0.7, maxTokens: 3000, signal, caller },
+    {
+      name: 'an invalid analysis',
+      validate: value => validateAnalysis(value, criteria, draft),
+      normalize: value => normalizeAnalysis(value, criteria, draft),
+      repairInstructions: `It must contain exactly ${criteria.length} entries in "criteria", numbered 1 to ${criteria.length}, each with a "rating" of exactly one of: ${RATINGS.map(r => `"${r}"`).join(', ')}, and an "evidence" array of up to ${MAX_EVIDENCE_QUOTES} passages copied word for word from the draft.`,
+    },
+    initialResponse
+  );
+}
+
+/**
+ * Sends a request to the provider and checks the JSON it returns,
+ * asking the model to repair invalid output a bounded number of times
+ * @param {Object} request - Provider request; repair turns are appended to request.messages
+ * @param {Object} schema - How to check the output
+ * @param {string} schema.name - What invalid output is called in errors, e.g. "an invalid analysis"
+ * @param {function(*): Array<Object>} schema.validate - Returns schema errors for parsed output
+ * @param {function(*): Object} schema.normalize - Puts valid output into canonical form
+ * @param {string} schema.repairInstructions - Reminder of the schema for the repair prompt
+ * @param {string} [initialResponse] - Already-received output to check first
+ * @returns {Promise<Object>} - Normalized output
+ * @throws {ModelOutputError} - When the output still breaks the schema after repair attempts
+ */
+async function completeWithRepair(request, schema, initialResponse = null) {
+  // One initial attempt plus a bounded number of repair attempts
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    let responseText = attempt === 0 ? initialResponse : null;
+
+    if (responseText === null) {
+      responseText = await completeAndRecord(request);
     }
 
-    // Validate the structure
-    if (!result.criteria || !Array.isArray(result.criteria)) {
-      throw new Error('Invalid response structure: missing criteria array');
+    const { value, errors: parseErrors } = parseModelJson(responseText);
+    const errors = parseErrors.length > 0 ? parseErrors : schema.validate(value);
+
+    if (errors.length === 0) {
+      return schema.normalize(value);
     }
 
-    if (!result.summary || !Array.isArray(result.summary)) {
-      throw new Error('Invalid response structure: missing summary array');
+    console.error(`Model output failed schema check (${request.task}, attempt ${attempt + 1}):`, errors);
+
+    if (attempt === MAX_REPAIR_ATTEMPTS) {
+      throw new ModelOutputError(
+        `Model returned ${schema.name}: ${errors[0].field} - ${errors[0].message}`,
+        errors
+      );
     }
 
-    return result;
+    // Show the model its own output and ask for a corrected version
+    request.messages.push(
+      { role: 'assistant', content: responseText },
+      { role: 'user', content: buildRepairPrompt(errors, schema.repairInstructions) }
+    );
+  }
+}
+
+/**
+ * Runs one completion, queued and retried by the model caller, and records
+ * its token usage and latency
+ * @param {Object} request - Provider request
+ * @returns {Promise<string>} - Response text
+ * @throws {ModelCallError} - When the call fails for good
+ */
+async function completeAndRecord(request) {
+  const provider = getProvider();
+  const started = Date.now();
+
+  try {
+    const { content, usage } = await getModelCaller().complete(provider, request);
+    recordUsage({ request, provider, usage, latencyMs: Date.now() - started, status: 'ok' });
+    return content;
   } catch (error) {
-    console.error('OpenAI API Error:', error);
-    
-    if (error.message.includes('Invalid JSON')) {
-      throw error;
-    }
-    
-    if (error.status === 401) {
-      throw new Error('Invalid OpenAI API key');
-    }
-    
-    if (error.status === 429) {
-      throw new Error('OpenAI API rate limit exceeded. Please try again later.');
-    }
-    
-    throw new Error(`OpenAI API error: ${error.message}`);
+    const status = request.signal && request.signal.aborted ? 'aborted' : 'error';
+    recordUsage({ request, provider, usage: null, latencyMs: Date.now() - started, status });
+    throw error;
   }
 }
 
 /**
- * Provides quick overall feedback on a draft
+ * Builds a follow-up prompt asking the model to fix schema errors
+ * @param {Array<Object>} errors - Schema errors as { field, message }
+ * @param {string} instructions - Reminder of what the schema requires
+ * @returns {string} - Repair prompt
+ */
+function buildRepairPrompt(errors, instructions) {
+  const problems = errors
+    .slice(0, 10)
+    .map(error => `- ${error.field}: ${error.message}`)
+    .join('\n');
+
+  return `Your previous response did not match the required schema:
+${problems}
+
+Return the complete corrected JSON only. ${instructions}`;
+}
+
+/**
+ * Provides quick overall feedback on a draft, without success criteria
  * @param {string} draft - The student's draft text
- * @returns {Promise<Object>} - Quick feedback
+ * @param {Object} [options]
+ * @param {Object} [options.profile] - Feedback profile: year level, tone, language, length
+ * @param {Object} [options.caller] - Who asked, for the usage log: { route, classCode }
+ * @returns {Promise<Object>} - Quick feedback: { impression, strengths, improvements }
+ * @throws {ModelOutputError} - When the output still breaks the schema after repair attempts
+ * @throws {ModelCallError} - When the model call fails for good, after any retries
  */
-async function getQuickFeedback(draft) {
+async function getQuickFeedback(draft, { profile, caller } = {}) {
   if (!draft || !draft.trim()) {
     throw new Error('Draft text is required');
   }
 
-  const prompt = `You are an English teacher providing quick feedback on a student's draft.
+  const profileList = formatProfile(profile);
+  const profileSection = profileList ? `\nAbout the student and how to write the feedback:\n${profileList}\n` : '';
+  const pointLength = profile && profile.maxFeedbackWords !== undefined
+    ? `\nKeep the impression and each strength or improvement to at most ${profile.maxFeedbackWords} words.\n`
+    : '';
+
+  const prompt = `You are ${profilePersona(profile)}, giving quick feedback on a student's draft.
 
 Student draft:
 """
@@ -161,7 +514,7 @@ Provide:
 1. Overall impression (1-2 sentences)
 2. Top 3 strengths
 3. Top 3 areas for improvement
-
+${profileSection}${pointLength}
 Output in JSON:
 {
   "impression": string,
@@ -169,13 +522,13 @@ Output in JSON:
   "improvements": [string, string, string]
 }`;
 
-  try {
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-5-nano',
+  return completeWithRepair(
+    {
+      task: 'quick-check',
       messages: [
         {
           role: 'system',
-          content: 'You are an experienced English teacher. Always respond with valid JSON.'
+          content: `You are ${profilePersona(profile)}. Always respond with valid JSON.`
         },
         {
           role: 'user',
@@ -183,25 +536,21 @@ Output in JSON:
         }
       ],
       temperature: 0.7,
-      max_tokens: 500,
-    });
-
-    const responseText = completion.choices[0].message.content.trim();
-    
-    // Clean and parse JSON
-    const cleanedResponse = responseText
-      .replace(/```json\n?/g, '')
-      .replace(/```\n?/g, '')
-      .trim();
-    
-    return JSON.parse(cleanedResponse);
-  } catch (error) {
-    console.error('OpenAI API Error:', error);
-    throw new Error(`Failed to get quick feedback: ${error.message}`);
-  }
+      maxTokens: 500,
+      caller,
+    },
+    {
+      name: 'invalid quick feedback',
+      validate: validateQuickFeedback,
+      normalize: normalizeQuickFeedback,
+      repairInstructions: `It must have a non-empty "impression" string and exactly ${QUICK_FEEDBACK_POINTS} non-empty strings in each of "strengths" and "improvements".`,
+    }
+  );
 }
 
 module.exports = {
+  PROMPT_VERSION,
   analyzeWithCriteria,
+  streamAnalysisWithCriteria,
   getQuickFeedback,
 };
@@ -0,0 +1,67 @@
+/**
+ * Readability Metrics
+ * Checks the readability scores the browser sends with an analysis request
+ * and formats them for the prompt
+ */
+
+// Metrics accepted from the client, with the labels used in the prompt
+const READABILITY_METRICS = {
+  words: 'Words',
+  sentences: 'Sentences',
+  fleschReadingEase: 'Flesch Reading Ease (0-100, higher is easier)',
+  fleschKincaidGrade: 'Flesch-Kincaid Grade (US grade level)',
+  gunningFog: 'Gunning Fog (years of schooling)',
+  smog: 'SMOG (US grade level)',
+  colemanLiau: 'Coleman-Liau (US grade level)',
+};
+
+/**
+ * Validates the optional metrics object of an analyse request
+ * @param {*} metrics - Metrics from the request body
+ * @returns {string|null} - Error message, or null when valid or absent
+ */
+function validateMetrics(metrics) {
+  if (metrics === undefined || metrics === null) {
+    return null;
+  }
+
+  if (typeof metrics !== 'object' || Array.isArray(metrics)) {
+    return 'Metrics must be an object';
+  }
+
+  for (const key of Object.keys(READABILITY_METRICS)) {
+    if (metrics[key] !== undefined && !Number.isFinite(metrics[key])) {
+      return `Metric "${key}" must be a number`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Formats the known metrics as prompt lines, ignoring anything else
+ * @param {Object|null} metrics - Validated metrics
+ * @returns {string} - One "- Label: value" line per metric, or '' if none
+ */
+function formatMetrics(metrics) {
+  if (!metrics) {
+    return '';
+  }
+
+  return Object.entries(READABILITY_METRICS)
+    .filter(([key]) => Number.isFinite(metrics[key]))
+    .map(([key, label]) => {
+      // SMOG is unreliable on short texts; say so rather than let the model lean on it
+      const note = key === 'smog' && metrics.smogReliable === false
+        ? ' (rough: fewer than 30 sentences)'
+        : '';
+      return `- ${label}: ${metrics[key]}${note}`;
+    })
+    .join('\n');
+}
+
+module.exports = {
+  READABILITY_METRICS,
+  validateMetrics,
+  formatMetrics,
+};
@@ -0,0 +1,283 @@
+/**
+ * Response Schema
+ * Parses and validates the JSON the model returns for an analysis or a
+ * quick check
+ */
+
+const { MAX_EVIDENCE_QUOTES, locateQuote } = require('./evidence');
+
+const RATINGS = ['Exceeding', 'Accomplished', 'Developing', 'Not Evident'];
+
+// Strengths and improvements asked for in a quick check
+const QUICK_FEEDBACK_POINTS = 3;
+
+/**
+ * Parses model output as JSON, tolerating markdown code fences
+ * @param {string} text - Raw model output
+ * @returns {{ value: *, errors: Array<Object> }} - Parsed value or a parse error
+ */
+function parseModelJson(text) {
+  const cleaned = String(text || '')
+    .replace(/```json\n?/g, '')
+    .replace(/```\n?/g, '')
+    .trim();
+
+  try {
+    return { value: JSON.parse(cleaned), errors: [] };
+  } catch (error) {
+    return {
+      value: null,
+      errors: [{ field: '$', message: `Output is not valid JSON (${error.message})` }],
+    };
+  }
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Validates the evidence quotes of a criterion entry: up to
+ * MAX_EVIDENCE_QUOTES passages copied from the draft, and at least one
+ * unless the criterion is rated "Not Evident"
+ * @param {Object} item - Entry from the model output
+ * @param {string} path - Field path of the entry
+ * @param {string} draft - The student's draft text
+ * @returns {Array<Object>} - Schema errors as { field, message }
+ */
+function validateEvidence(item, path, draft) {
+  const field = `${path}.evidence`;
+  const evidence = item.evidence;
+
+  if (!Array.isArray(evidence)) {
+    return [{ field, message: 'Must be an array of quotes from the draft' }];
+  }
+
+  const errors = [];
+
+  if (evidence.length > MAX_EVIDENCE_QUOTES) {
+    errors.push({ field, message: `Must contain at most ${MAX_EVIDENCE_QUOTES} quotes` });
+  }
+
+  if (evidence.length === 0 && item.rating !== 'Not Evident') {
+    errors.push({ field, message: 'Must quote at least one passage unless the rating is "Not Evident"' });
+  }
+
+  evidence.forEach((quote, index) => {
+    if (!isNonEmptyString(quote)) {
+      errors.push({ field: `${field}[${index}]`, message: 'Must be a non-empty string' });
+    } else if (!locateQuote(draft, quote)) {
+      errors.push({ field: `${field}[${index}]`, message: 'Must be copied word for word from the draft' });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validates a single entry of the criteria array
+ * @param {*} item - Entry from the model output
+ * @param {string} path - Field path used in error messages, e.g. "criteria[0]"
+ * @param {number} criteriaCount - Number of submitted criteria
+ * @param {string} draft - The student's draft text, which evidence must quote
+ * @returns {Array<Object>} - Schema errors as { field, message }; empty when valid
+ */
+function validateCriterion(item, path, criteriaCount, draft) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return [{ field: path, message: 'Must be an object' }];
+  }
+
+  const errors = [];
+  const number = item.criterionNumber;
+
+  if (!Number.isInteger(number) || number < 1 || number > criteriaCount) {
+    errors.push({
+      field: `${path}.criterionNumber`,
+      message: `Must be an integer from 1 to ${criteriaCount}`,
+    });
+  }
+
+  if (!RATINGS.includes(item.rating)) {
+    errors.push({
+      field: `${path}.rating`,
+      message: `Must be one of: ${RATINGS.join(', ')}`,
+    });
+  }
+
+  if (!isNonEmptyString(item.feedback)) {
+    errors.push({ field: `${path}.feedback`, message: 'Must be a non-empty string' });
+  }
+
+  errors.push(...validateEvidence(item, path, draft));
+
+  return errors;
+}
+
+/**
+ * Puts a valid criterion entry into canonical form. Evidence quotes become
+ * { quote, start, end }: the passage exactly as written in the draft and
+ * its character offsets (end is exclusive).
+ * @param {Object} item - Entry that passed validateCriterion()
+ * @param {Array<string>} criteria - Criteria that were submitted
+ * @param {string} draft - The student's draft text
+ * @returns {Object} - Normalized entry
+ */
+function normalizeCriterion(item, criteria, draft) {
+  return {
+    criterionNumber: item.criterionNumber,
+    criterion: criteria[item.criterionNumber - 1],
+    rating: item.rating,
+    feedback: item.feedback.trim(),
+    evidence: item.evidence.map(quote => locateQuote(draft, quote)),
+  };
+}
+
+/**
+ * Validates an analysis result against the submitted criteria
+ * @param {*} result - Parsed model output
+ * @param {Array<string>} criteria - Criteria that were submitted
+ * @param {string} draft - The student's draft text, which evidence must quote
+ * @returns {Array<Object>} - Schema errors as { field, message }; empty when valid
+ */
+function validateAnalysis(result, criteria, draft) {
+  const errors = [];
+
+  if (!result || typeof result !== 'object' || Array.isArray(result)) {
+    return [{ field: '$', message: 'Output must be a JSON object' }];
+  }
+
+  if (!Array.isArray(result.criteria)) {
+    errors.push({ field: 'criteria', message: 'Must be an array' });
+  } else {
+    if (result.criteria.length !== criteria.length) {
+      errors.push({
+        field: 'criteria',
+        message: `Expected exactly ${criteria.length} entries, one per criterion, but got ${result.criteria.length}`,
+      });
+    }
+
+    const seen = new Set();
+    result.criteria.forEach((item, index) => {
+      const path = `criteria[${index}]`;
+      const itemErrors = validateCriterion(item, path, criteria.length, draft);
+      errors.push(...itemErrors);
+
+      if (itemErrors.some(error => error.field === `${path}.criterionNumber` || error.field === path)) {
+        return;
+      }
+
+      if (seen.has(item.criterionNumber)) {
+        errors.push({
+          field: `${path}.criterionNumber`,
+          message: `Criterion ${item.criterionNumber} appears more than once`,
+        });
+      } else {
+        seen.add(item.criterionNumber);
+      }
+    });
+
+    for (let number = 1; number <= criteria.length; number++) {
+      if (!seen.has(number) && result.criteria.length === criteria.length) {
+        errors.push({ field: 'criteria', message: `Criterion ${number} is missing` });
+      }
+    }
+  }
+
+  if (!Array.isArray(result.summary) || result.summary.length === 0) {
+    errors.push({ field: 'summary', message: 'Must be a non-empty array of strings' });
+  } else {
+    result.summary.forEach((point, index) => {
+      if (!isNonEmptyString(point)) {
+        errors.push({ field: `summary[${index}]`, message: 'Must be a non-empty string' });
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Puts a valid analysis into canonical form: entries ordered by number
+ * and criterion text restored to exactly what the student submitted.
+ * Fields the model added beyond the schema are dropped.
+ * @param {Object} result - Analysis that passed validateAnalysis()
+ * @param {Array<string>} criteria - Criteria that were submitted
+ * @param {string} draft - The student's draft text
+ * @returns {Object} - Normalized analysis: { criteria, summary }
+ */
+function normalizeAnalysis(result, criteria, draft) {
+  return {
+    criteria: result.criteria
+      .slice()
+      .sort((a, b) => a.criterionNumber - b.criterionNumber)
+      .map(item => normalizeCriterion(item, criteria, draft)),
+    summary: result.summary.map(point => point.trim()),
+  };
+}
+
+/**
+ * Validates a quick check result: an impression plus exactly
+ * QUICK_FEEDBACK_POINTS strengths and improvements
+ * @param {*} result - Parsed model output
+ * @returns {Array<Object>} - Schema errors as { field, message }; empty when valid
+ */
+function validateQuickFeedback(result) {
+  if (!result || typeof result !== 'object' || Array.isArray(result)) {
+    return [{ field: '$', message: 'Output must be a JSON object' }];
+  }
+
+  const errors = [];
+
+  if (!isNonEmptyString(result.impression)) {
+    errors.push({ field: 'impression', message: 'Must be a non-empty string' });
+  }
+
+  ['strengths', 'improvements'].forEach(field => {
+    const points = result[field];
+
+    if (!Array.isArray(points)) {
+      errors.push({ field, message: 'Must be an array of strings' });
+      return;
+    }
+
+    if (points.length !== QUICK_FEEDBACK_POINTS) {
+      errors.push({
+        field,
+        message: `Expected exactly ${QUICK_FEEDBACK_POINTS} entries, but got ${points.length}`,
+      });
+    }
+
+    points.forEach((point, index) => {
+      if (!isNonEmptyString(point)) {
+        errors.push({ field: `${field}[${index}]`, message: 'Must be a non-empty string' });
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Puts a valid quick check into canonical form, dropping any extra fields
+ * @param {Object} result - Quick check that passed validateQuickFeedback()
+ * @returns {{ impression: string, strengths: Array<string>, improvements: Array<string> }}
+ */
+function normalizeQuickFeedback(result) {
+  return {
+    impression: result.impression.trim(),
+    strengths: result.strengths.map(point => point.trim()),
+    improvements: result.improvements.map(point => point.trim()),
+  };
+}
+
+module.exports = {
+  RATINGS,
+  QUICK_FEEDBACK_POINTS,
+  parseModelJson,
+  validateCriterion,
+  validateAnalysis,
+  normalizeCriterion,
+  normalizeAnalysis,
+  validateQuickFeedback,
+  normalizeQuickFeedback,
+};
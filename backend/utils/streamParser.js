@@ -0,0 +1,101 @@
+/**
+ * Streaming JSON Parser
+ * Pulls complete entries out of the "criteria" array while the model's
+ * JSON response is still arriving, so each rating can be sent to the
+ * browser as soon as it has been generated
+ */
+
+/**
+ * Creates a parser that is fed text deltas and returns finished entries
+ * @returns {{ push: function(string): Array<Object> }}
+ */
+function createCriteriaStreamParser() {
+  let buffer = '';
+  let position = 0;
+
+  // Scanner state
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let lastKey = '';
+  let stringStart = -1;
+  let criteriaDepth = -1; // Depth of the criteria array, -1 until found
+  let entryStart = -1;
+
+  /**
+   * Feeds the next chunk of model output
+   * @param {string} delta - Newly received text
+   * @returns {Array<Object>} - Criteria entries completed by this chunk
+   */
+  function push(delta) {
+    buffer += delta;
+    const entries = [];
+
+    for (; position < buffer.length; position++) {
+      const char = buffer[position];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+          lastKey = buffer.slice(stringStart + 1, position);
+        }
+        continue;
+      }
+
+      switch (char) {
+        case '"':
+          inString = true;
+          stringStart = position;
+          break;
+
+        case '[':
+          depth++;
+          if (criteriaDepth === -1 && depth === 2 && lastKey === 'criteria') {
+            criteriaDepth = depth;
+          }
+          break;
+
+        case '{':
+          depth++;
+          if (criteriaDepth !== -1 && depth === criteriaDepth + 1) {
+            entryStart = position;
+          }
+          break;
+
+        case '}':
+          if (entryStart !== -1 && depth === criteriaDepth + 1) {
+            try {
+              entries.push(JSON.parse(buffer.slice(entryStart, position + 1)));
+            } catch (error) {
+              // Malformed entry; the full-response validation reports it
+            }
+            entryStart = -1;
+          }
+          depth--;
+          break;
+
+        case ']':
+          if (depth === criteriaDepth) {
+            criteriaDepth = -2; // Array finished, stop looking
+          }
+          depth--;
+          break;
+
+        default:
+          break;
+      }
+    }
+
+    return entries;
+  }
+
+  return { push };
+}
+
+module.exports = {
+  createCriteriaStreamParser,
+};
@@ -0,0 +1,238 @@
+/**
+ * Usage Log
+ * Records the tokens, model and latency of every model call in an
+ * append-only JSON Lines file and totals them up, with estimated costs,
+ * for the usage report
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const DEFAULT_USAGE_LOG_FILE = path.join(__dirname, '..', '.usage', 'usage.jsonl');
+const DEFAULT_PRICE_TABLE_FILE = path.join(__dirname, '..', 'pricing.json');
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Appends are chained so lines are written whole and in order
+let writing = Promise.resolve();
+
+/**
+ * @returns {string} - Path of the usage log
+ */
+function usageLogFile() {
+  return process.env.USAGE_LOG_FILE || DEFAULT_USAGE_LOG_FILE;
+}
+
+/**
+ * Appends one model call to the usage log. Failures are logged, never thrown.
+ * @param {Object} call - The call to record
+ * @param {Object} call.request - Provider request (task and caller are recorded)
+ * @param {Object} call.provider - Provider that handled it (name and model are recorded)
+ * @param {Object|null} call.usage - Token usage reported by the provider, if any
+ * @param {number} call.latencyMs - Time the call took
+ * @param {string} call.status - 'ok', 'error' or 'aborted'
+ * @returns {Promise<void>} - Resolves once the line is written
+ */
+function recordUsage({ request, provider, usage, latencyMs, status }) {
+  const caller = request.caller || {};
+  const entry = {
+    time: new Date().toISOString(),
+    route: caller.route || null,
+    classCode: caller.classCode || null,
+    teacherId: caller.teacherId || null,
+    task: request.task,
+    provider: provider.name,
+    model: provider.model,
+    promptTokens: usage ? usage.prompt_tokens : null,
+    completionTokens: usage ? usage.completion_tokens : null,
+    latencyMs,
+    status,
+  };
+
+  const file = usageLogFile();
+  writing = writing
+    .then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`);
+    })
+    .catch(error => console.error(`Failed to write usage log ${file}:`, error.message));
+  return writing;
+}
+
+/**
+ * Waits for the calls recorded so far to be written to the usage log
+ * @returns {Promise<void>}
+ */
+function flushUsageLog() {
+  return writing;
+}
+
+/**
+ * Loads the price table: prices in the table's currency per million tokens,
+ * by model name
+ * @returns {{ currency: string, models: Object }}
+ */
+function loadPriceTable() {
+  const file = process.env.PRICE_TABLE_FILE || DEFAULT_PRICE_TABLE_FILE;
+  try {
+    const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { currency: table.currency || 'USD', models: table.models || {} };
+  } catch (error) {
+    console.error(`Failed to read price table ${file}:`, error.message);
+    return { currency: 'USD', models: {} };
+  }
+}
+
+/**
+ * Estimates what one call cost
+ * @param {Object} entry - Usage log entry
+ * @param {Object} models - Price table models
+ * @returns {number|null} - Cost, or null if the model has no price
+ */
+function estimateCost(entry, models) {
+  const price = models[entry.model];
+  if (!price) {
+    return null;
+  }
+  return ((entry.promptTokens || 0) * price.inputPerMillion +
+    (entry.completionTokens || 0) * price.outputPerMillion) / 1e6;
+}
+
+function emptyTotals() {
+  return {
+    calls: 0,
+    failedCalls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    estimatedCost: 0,
+    totalLatencyMs: 0,
+  };
+}
+
+/**
+ * Adds one call to a running total
+ * @param {Object} totals - Result of emptyTotals()
+ * @param {Object} entry - Usage log entry
+ * @param {number|null} cost - Result of estimateCost()
+ */
+function addCall(totals, entry, cost) {
+  totals.calls++;
+  if (entry.status !== 'ok') totals.failedCalls++;
+  totals.promptTokens += entry.promptTokens || 0;
+  totals.completionTokens += entry.completionTokens || 0;
+  totals.totalTokens += (entry.promptTokens || 0) + (entry.completionTokens || 0);
+  totals.estimatedCost += cost || 0;
+  totals.totalLatencyMs += entry.latencyMs || 0;
+}
+
+/**
+ * Turns a running total into its reported form
+ * @param {Object} totals - Result of emptyTotals()
+ * @returns {Object}
+ */
+function finishTotals({ totalLatencyMs, ...totals }) {
+  return {
+    ...totals,
+    estimatedCost: Math.round(totals.estimatedCost * 1e6) / 1e6,
+    averageLatencyMs: totals.calls > 0 ? Math.round(totalLatencyMs / totals.calls) : 0,
+  };
+}
+
+/**
+ * Totals usage log entries overall and by day, route, class code and teacher
+ * @param {Iterable<Object>|AsyncIterable<Object>} entries - Usage log entries
+ * @param {{ currency: string, models: Object }} prices - Result of loadPriceTable()
+ * @returns {Promise<Object>} - { currency, totals, byDay, byRoute, byClass, byTeacher, unpricedModels }
+ */
+async function aggregateUsage(entries, prices) {
+  const totals = emptyTotals();
+  const groupings = { byDay: new Map(), byRoute: new Map(), byClass: new Map(), byTeacher: new Map() };
+  const unpriced = new Set();
+
+  for await (const entry of entries) {
+    const cost = estimateCost(entry, prices.models);
+    if (cost === null) unpriced.add(entry.model);
+
+    addCall(totals, entry, cost);
+    [
+      [groupings.byDay, entry.time.slice(0, 10)],
+      [groupings.byRoute, entry.route],
+      [groupings.byClass, entry.classCode],
+      // Entries logged before teachers were recorded have no teacherId
+      [groupings.byTeacher, entry.teacherId || null],
+    ].forEach(([groups, key]) => {
+      if (!groups.has(key)) groups.set(key, emptyTotals());
+      addCall(groups.get(key), entry, cost);
+    });
+  }
+
+  const report = (groups, name) => Array.from(groups.entries())
+    .sort(([a], [b]) => String(a).localeCompare(String(b)))
+    .map(([key, groupTotals]) => ({ [name]: key, ...finishTotals(groupTotals) }));
+
+  return {
+    currency: prices.currency,
+    totals: finishTotals(totals),
+    byDay: report(groupings.byDay, 'day'),
+    byRoute: report(groupings.byRoute, 'route'),
+    byClass: report(groupings.byClass, 'classCode'),
+    byTeacher: report(groupings.byTeacher, 'teacherId'),
+    unpricedModels: Array.from(unpriced).sort(),
+  };
+}
+
+/**
+ * Reads the usage log, keeping calls made between two UTC days
+ * @param {Object} [range]
+ * @param {string} [range.from] - First day to include, YYYY-MM-DD
+ * @param {string} [range.to] - Last day to include, YYYY-MM-DD
+ * @returns {AsyncGenerator<Object>} - Usage log entries, oldest first
+ */
+async function* readUsage({ from, to } = {}) {
+  let input;
+  try {
+    input = fs.createReadStream(usageLogFile(), { encoding: 'utf8' });
+    await new Promise((resolve, reject) => input.once('open', resolve).once('error', reject));
+  } catch (error) {
+    if (error.code === 'ENOENT') return; // Nothing recorded yet
+    throw error;
+  }
+
+  for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+    if (!line.trim()) continue;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      continue; // A line cut short by a crash
+    }
+
+    const day = entry.time.slice(0, 10);
+    if ((from && day < from) || (to && day > to)) continue;
+    yield entry;
+  }
+}
+
+/**
+ * Builds the usage report for GET /api/usage
+ * @param {Object} [range] - { from, to } as YYYY-MM-DD UTC days, both optional
+ * @returns {Promise<Object>} - See aggregateUsage()
+ */
+async function summarizeUsage(range = {}) {
+  return {
+    from: range.from || null,
+    to: range.to || null,
+    ...(await aggregateUsage(readUsage(range), loadPriceTable())),
+  };
+}
+
+module.exports = {
+  DAY_PATTERN,
+  recordUsage,
+  flushUsageLog,
+  aggregateUsage,
+  summarizeUsage,
+};
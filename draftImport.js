@@ -0,0 +1,795 @@
+/**
+ * Student English Checker - Draft Import
+ * Converts uploaded or dropped files (.txt, .md, .html, .rtf, .docx, .odt)
+ * to plain text in the browser, keeping paragraph breaks and counting the
+ * tables, images and equations that can't be carried over
+ */
+
+const MAX_IMPORT_FILE_BYTES = 10 * 1024 * 1024;
+const MAX_UNZIPPED_BYTES = 20 * 1024 * 1024; // For one part of a .docx or .odt
+
+// File extensions by format
+const IMPORT_FORMATS = {
+    txt: ['txt'],
+    markdown: ['md', 'markdown'],
+    html: ['html', 'htm'],
+    rtf: ['rtf'],
+    docx: ['docx'],
+    odt: ['odt'],
+};
+
+const WORD_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const MARKUP_COMPATIBILITY_NAMESPACE = 'http://schemas.openxmlformats.org/markup-compatibility/2006';
+const OFFICE_MATH_NAMESPACE = 'http://schemas.openxmlformats.org/officeDocument/2006/math';
+const ODF_NAMESPACES = {
+    text: 'urn:oasis:names:tc:opendocument:xmlns:text:1.0',
+    table: 'urn:oasis:names:tc:opendocument:xmlns:table:1.0',
+    draw: 'urn:oasis:names:tc:opendocument:xmlns:drawing:1.0',
+    office: 'urn:oasis:names:tc:opendocument:xmlns:office:1.0',
+};
+
+/**
+ * Finds the format of a file from its name
+ * @param {string} fileName - File name
+ * @returns {string|null} - Key of IMPORT_FORMATS, or null if unsupported
+ */
+function importFormatOf(fileName) {
+    const extension = (/\.([^.]+)$/.exec(fileName) || [])[1];
+    if (!extension) return null;
+
+    return Object.keys(IMPORT_FORMATS).find(format => IMPORT_FORMATS[format].includes(extension.toLowerCase())) || null;
+}
+
+/**
+ * Lists the file extensions that can be imported, for a file input's accept attribute
+ * @returns {string} - e.g. ".txt,.md,..."
+ */
+function importAcceptList() {
+    return Object.values(IMPORT_FORMATS).flat().map(extension => `.${extension}`).join(',');
+}
+
+/**
+ * Tidies converted text: normal spaces and line endings, no trailing
+ * spaces, and paragraphs separated by exactly one blank line
+ * @param {string} text - Converted text
+ * @returns {string}
+ */
+function cleanImportedText(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/[\u00A0\u2007\u202F]/g, ' ') // No-break spaces
+        .replace(/[\u200B\u00AD\uFEFF]/g, '') // Zero-width spaces, soft hyphens, byte order marks
+        .replace(/[ \t]+$/gm, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Decodes a text file, honouring a UTF-8 or UTF-16 byte order mark
+ * @param {Uint8Array} bytes - File contents
+ * @returns {string}
+ */
+function decodeText(bytes) {
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return new TextDecoder('utf-16le').decode(bytes);
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return new TextDecoder('utf-16be').decode(bytes);
+    return new TextDecoder('utf-8').decode(bytes);
+}
+
+/**
+ * Parses XML from a document package
+ * @param {string} xml - XML text
+ * @returns {Document}
+ * @throws {Error} - When the XML is malformed
+ */
+function parseXml(xml) {
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('The document is damaged and could not be read');
+    }
+    return doc;
+}
+
+/**
+ * Counts what an import left out
+ * @returns {{tables: number, images: number, equations: number}}
+ */
+function emptyDropped() {
+    return { tables: 0, images: 0, equations: 0 };
+}
+
+// ============================================================================
+// ZIP (DOCX AND ODT PACKAGES)
+// ============================================================================
+
+/**
+ * Lists the files in a ZIP archive from its central directory
+ * @param {Uint8Array} bytes - Archive contents
+ * @returns {Map<string, Object>} - Entries by name: { method, compressedSize, size, localOffset }
+ * @throws {Error} - When the file isn't a ZIP archive
+ */
+function readZipDirectory(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder('utf-8');
+
+    // The end record is the last thing in the file, followed by a comment of up to 64 KB
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) {
+        throw new Error('The file is damaged or is not really a Word or OpenDocument file');
+    }
+
+    const entries = new Map();
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > bytes.length || view.getUint32(offset, true) !== 0x02014b50) {
+            throw new Error('The file is damaged and could not be read');
+        }
+
+        const nameLength = view.getUint16(offset + 28, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        entries.set(name, {
+            method: view.getUint16(offset + 10, true),
+            compressedSize: view.getUint32(offset + 20, true),
+            size: view.getUint32(offset + 24, true),
+            localOffset: view.getUint32(offset + 42, true),
+        });
+        offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    }
+
+    return entries;
+}
+
+/**
+ * Reads one text file out of a ZIP archive
+ * @param {Uint8Array} bytes - Archive contents
+ * @param {Map<string, Object>} entries - Result of readZipDirectory()
+ * @param {string} name - Path of the file in the archive
+ * @returns {Promise<string>} - File contents, decoded as UTF-8
+ * @throws {Error} - When the file is missing, too large or can't be decompressed
+ */
+async function readZipText(bytes, entries, name) {
+    const entry = entries.get(name);
+    if (!entry) {
+        throw new Error('The file is damaged or is not really a Word or OpenDocument file');
+    }
+    if (entry.size > MAX_UNZIPPED_BYTES || entry.compressedSize === 0xFFFFFFFF) {
+        throw new Error('The document is too large to import');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const start = entry.localOffset + 30 + view.getUint16(entry.localOffset + 26, true) + view.getUint16(entry.localOffset + 28, true);
+    const data = bytes.subarray(start, start + entry.compressedSize);
+
+    if (entry.method === 0) {
+        return decodeText(data);
+    }
+    if (entry.method !== 8) {
+        throw new Error('The document uses a compression method that can\'t be read');
+    }
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser can\'t open Word or OpenDocument files. Update it, or save the file as .txt and upload that instead');
+    }
+
+    // The sizes in the directory can't be trusted, so the output is counted as it comes
+    const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+    const chunks = [];
+    let size = 0;
+    for (let result = await reader.read(); !result.done; result = await reader.read()) {
+        size += result.value.length;
+        if (size > MAX_UNZIPPED_BYTES) {
+            reader.cancel();
+            throw new Error('The document is too large to import');
+        }
+        chunks.push(result.value);
+    }
+
+    const content = new Uint8Array(size);
+    chunks.reduce((offset, chunk) => {
+        content.set(chunk, offset);
+        return offset + chunk.length;
+    }, 0);
+    return decodeText(content);
+}
+
+// ============================================================================
+// WORD (.DOCX)
+// ============================================================================
+
+/**
+ * Reads the text of a Word paragraph (or a part of one)
+ * @param {Element} node - w:p or an element inside one
+ * @param {Object} dropped - Result of emptyDropped(), updated in place
+ * @returns {string}
+ */
+function docxInlineText(node, dropped) {
+    let text = '';
+
+    Array.from(node.children).forEach(child => {
+        if (child.namespaceURI === MARKUP_COMPATIBILITY_NAMESPACE && child.localName === 'AlternateContent') {
+            // The choices are alternative copies of the same content
+            if (child.firstElementChild) text += docxInlineText(child.firstElementChild, dropped);
+            return;
+        }
+        if (child.namespaceURI === OFFICE_MATH_NAMESPACE) {
+            if (child.localName === 'oMath' || child.localName === 'oMathPara') dropped.equations++;
+            return;
+        }
+        if (child.namespaceURI !== WORD_NAMESPACE) return;
+
+        switch (child.localName) {
+            case 't':
+                text += child.textContent;
+                break;
+            case 'tab':
+                text += '\t';
+                break;
+            case 'br':
+            case 'cr':
+                text += '\n';
+                break;
+            case 'noBreakHyphen':
+                text += '-';
+                break;
+            case 'drawing':
+            case 'pict':
+            case 'object':
+                dropped.images++;
+                break;
+            case 'pPr':
+            case 'rPr':
+            case 'del':
+            case 'moveFrom':
+            case 'instrText':
+                break;
+            default:
+                // Runs, hyperlinks, fields, tracked insertions and content controls
+                text += docxInlineText(child, dropped);
+        }
+    });
+
+    return text;
+}
+
+/**
+ * Reads the paragraphs of a Word document body, leaving tables out
+ * @param {Element} node - w:body or a block-level element inside it
+ * @param {Array<string>} paragraphs - Paragraph text, appended to
+ * @param {Object} dropped - Result of emptyDropped(), updated in place
+ */
+function docxBlocks(node, paragraphs, dropped) {
+    Array.from(node.children).forEach(child => {
+        if (child.namespaceURI !== WORD_NAMESPACE) return;
+
+        if (child.localName === 'p') {
+            paragraphs.push(docxInlineText(child, dropped));
+        } else if (child.localName === 'tbl') {
+            dropped.tables++;
+        } else if (child.localName !== 'sectPr') {
+            // Content controls and custom XML wrap ordinary paragraphs
+            docxBlocks(child, paragraphs, dropped);
+        }
+    });
+}
+
+/**
+ * Converts a Word document to text
+ * @param {Uint8Array} bytes - .docx file contents
+ * @returns {Promise<{text: string, dropped: Object}>}
+ */
+async function textFromDocx(bytes) {
+    const doc = parseXml(await readZipText(bytes, readZipDirectory(bytes), 'word/document.xml'));
+    const body = doc.getElementsByTagNameNS(WORD_NAMESPACE, 'body')[0];
+    const paragraphs = [];
+    const dropped = emptyDropped();
+
+    if (body) docxBlocks(body, paragraphs, dropped);
+    return { text: paragraphs.join('\n\n'), dropped };
+}
+
+// ============================================================================
+// OPENDOCUMENT (.ODT)
+// ============================================================================
+
+/**
+ * Reads the text of an OpenDocument paragraph or heading
+ * @param {Element} node - text:p, text:h or an element inside one
+ * @param {Object} dropped - Result of emptyDropped(), updated in place
+ * @returns {string}
+ */
+function odtInlineText(node, dropped) {
+    let text = '';
+
+    Array.from(node.childNodes).forEach(child => {
+        if (child.nodeType === 3) {
+            // OpenDocument collapses white space; real spaces are text:s elements
+            text += child.nodeValue.replace(/[ \t\r\n]+/g, ' ');
+            return;
+        }
+        if (child.nodeType !== 1) return;
+
+        if (child.namespaceURI === ODF_NAMESPACES.draw) {
+            if (child.localName === 'frame' || child.localName === 'image') dropped.images++;
+            return;
+        }
+        if (child.namespaceURI === ODF_NAMESPACES.office) return; // Comments
+
+        if (child.namespaceURI === ODF_NAMESPACES.text) {
+            switch (child.localName) {
+                case 's':
+                    text += ' '.repeat(Number(child.getAttributeNS(ODF_NAMESPACES.text, 'c')) || 1);
+                    return;
+                case 'tab':
+                    text += '\t';
+                    return;
+                case 'line-break':
+                    text += '\n';
+                    return;
+                case 'note':
+                case 'tracked-changes':
+                case 'change':
+                    return;
+            }
+        }
+
+        text += odtInlineText(child, dropped);
+    });
+
+    return text;
+}
+
+/**
+ * Reads the paragraphs of an OpenDocument text body, leaving tables out
+ * @param {Element} node - office:text or a block-level element inside it
+ * @param {Array<string>} paragraphs - Paragraph text, appended to
+ * @param {Object} dropped - Result of emptyDropped(), updated in place
+ */
+function odtBlocks(node, paragraphs, dropped) {
+    Array.from(node.children).forEach(child => {
+        if (child.namespaceURI === ODF_NAMESPACES.table && child.localName === 'table') {
+            dropped.tables++;
+        } else if (child.namespaceURI === ODF_NAMESPACES.draw) {
+            dropped.images++;
+        } else if (child.namespaceURI === ODF_NAMESPACES.text && (child.localName === 'p' || child.localName === 'h')) {
+            paragraphs.push(odtInlineText(child, dropped).trim());
+        } else if (child.namespaceURI === ODF_NAMESPACES.text &&
+            ['list', 'list-item', 'list-header', 'section', 'soft-page-break'].includes(child.localName)) {
+            odtBlocks(child, paragraphs, dropped);
+        }
+    });
+}
+
+/**
+ * Converts an OpenDocument text file to text
+ * @param {Uint8Array} bytes - .odt file contents
+ * @returns {Promise<{text: string, dropped: Object}>}
+ */
+async function textFromOdt(bytes) {
+    const doc = parseXml(await readZipText(bytes, readZipDirectory(bytes), 'content.xml'));
+    const body = doc.getElementsByTagNameNS(ODF_NAMESPACES.office, 'text')[0];
+    const paragraphs = [];
+    const dropped = emptyDropped();
+
+    if (body) odtBlocks(body, paragraphs, dropped);
+    return { text: paragraphs.join('\n\n'), dropped };
+}
+
+// ============================================================================
+// RICH TEXT (.RTF)
+// ============================================================================
+
+// Groups that hold formatting tables, metadata or hidden text rather than the document
+const RTF_SKIPPED_GROUPS = new Set([
+    'fonttbl', 'colortbl', 'stylesheet', 'listtable', 'listoverridetable', 'revtbl', 'rsidtbl',
+    'info', 'generator', 'xmlnstbl', 'filetbl', 'themedata', 'colorschememapping', 'latentstyles',
+    'datastore', 'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf',
+    'footnote', 'annotation', 'fldinst', 'nonshppict', 'pgdsctbl', 'bkmkstart', 'bkmkend',
+]);
+
+// Control words that stand for a character
+const RTF_CHARACTERS = {
+    tab: '\t',
+    line: '\n',
+    emdash: '—',
+    endash: '–',
+    lquote: '‘',
+    rquote: '’',
+    ldblquote: '“',
+    rdblquote: '”',
+    bullet: '•',
+    emspace: ' ',
+    enspace: ' ',
+};
+
+/**
+ * Converts a Rich Text Format document to text
+ * @param {string} rtf - RTF source, decoded byte for byte (as Latin-1)
+ * @returns {{text: string, dropped: Object}}
+ * @throws {Error} - When the file isn't RTF
+ */
+function textFromRtf(rtf) {
+    if (!/^\s*{\\rtf/.test(rtf)) {
+        throw new Error('The file is damaged or is not really an RTF file');
+    }
+
+    const dropped = emptyDropped();
+    const paragraphs = [];
+    const groups = [];
+    let state = { skip: false, optional: false, unicodeSkip: 1 };
+    let paragraph = '';
+    let pendingBytes = [];
+    let codePage = 'windows-1252';
+    let skipFallback = 0; // Characters still to skip after a \u escape
+    let inTable = false; // The current paragraph is a table cell
+    let tableOpen = false; // The last paragraph was part of a table
+
+    const emit = text => {
+        if (state.skip) return;
+        if (skipFallback > 0) {
+            const skipped = Math.min(skipFallback, text.length);
+            skipFallback -= skipped;
+            text = text.slice(skipped);
+        }
+        paragraph += text;
+    };
+    const flushBytes = () => {
+        if (pendingBytes.length === 0) return;
+        let decoded;
+        try {
+            decoded = new TextDecoder(codePage).decode(new Uint8Array(pendingBytes));
+        } catch (error) {
+            decoded = new TextDecoder('windows-1252').decode(new Uint8Array(pendingBytes));
+        }
+        pendingBytes = [];
+        paragraph += decoded;
+    };
+    const endParagraph = () => {
+        flushBytes();
+        if (inTable) {
+            if (!tableOpen) dropped.tables++;
+            tableOpen = true;
+        } else {
+            paragraphs.push(paragraph);
+            if (paragraph.trim()) tableOpen = false;
+        }
+        paragraph = '';
+    };
+
+    const token = /\\([a-zA-Z]+)(-?\d+)? ?|\\'([0-9a-fA-F]{2})|\\([^a-zA-Z])|([{}])|[\r\n]+|([^\\{}\r\n]+)/g;
+    let match;
+
+    while ((match = token.exec(rtf)) !== null) {
+        const [, word, parameter, hex, symbol, brace, text] = match;
+
+        if (hex !== undefined) {
+            if (state.skip) continue;
+            if (skipFallback > 0) {
+                skipFallback--;
+                continue;
+            }
+            pendingBytes.push(parseInt(hex, 16));
+            continue;
+        }
+        flushBytes();
+
+        if (brace === '{') {
+            groups.push(state);
+            state = { ...state };
+        } else if (brace === '}') {
+            state = groups.pop() || state;
+        } else if (text !== undefined) {
+            emit(text);
+        } else if (symbol !== undefined) {
+            if (symbol === '*') state.optional = true;
+            else if (symbol === '~') emit(' ');
+            else if (symbol === '_') emit('-');
+            else if (symbol === '\\' || symbol === '{' || symbol === '}') emit(symbol);
+            else if (symbol === '\n' || symbol === '\r') endParagraph();
+        } else if (word !== undefined && state.optional) {
+            // An optional group: only pictures in it matter to this reader
+            if (word === 'shppict' && !state.skip) dropped.images++;
+            state.optional = false;
+            state.skip = true;
+        } else if (word !== undefined) {
+            if (RTF_SKIPPED_GROUPS.has(word)) {
+                state.skip = true;
+            } else if (word === 'pict' || word === 'object') {
+                if (!state.skip) dropped.images++;
+                state.skip = true;
+            } else if (word === 'bin') {
+                token.lastIndex += Number(parameter) || 0; // Raw binary data
+            } else if (word === 'ansicpg' && parameter) {
+                codePage = `windows-${parameter}`;
+            } else if (word === 'uc') {
+                state.unicodeSkip = Number(parameter) || 0;
+            } else if (word === 'u' && parameter !== undefined) {
+                const code = Number(parameter);
+                emit(String.fromCharCode(code < 0 ? code + 65536 : code));
+                if (!state.skip) skipFallback = state.unicodeSkip;
+            } else if (word === 'par' || word === 'sect' || word === 'page' || word === 'cell') {
+                if (!state.skip) endParagraph();
+            } else if (word === 'pard') {
+                inTable = false;
+            } else if (word === 'intbl') {
+                inTable = true;
+            } else if (RTF_CHARACTERS[word]) {
+                emit(RTF_CHARACTERS[word]);
+            }
+        }
+    }
+
+    flushBytes();
+    if (!inTable) paragraphs.push(paragraph);
+
+    return { text: paragraphs.map(text => text.trim()).join('\n\n'), dropped };
+}
+
+// ============================================================================
+// HTML
+// ============================================================================
+
+const HTML_BLOCK_ELEMENTS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt', 'fieldset',
+    'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr',
+    'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'ul',
+]);
+const HTML_MEDIA_ELEMENTS = new Set(['img', 'svg', 'video', 'audio', 'canvas', 'iframe', 'object', 'embed', 'picture']);
+const HTML_SKIPPED_ELEMENTS = new Set(['head', 'script', 'style', 'noscript', 'template', 'button', 'select', 'textarea']);
+
+/**
+ * Converts an HTML page (e.g. saved from Google Docs) to text
+ * @param {string} html - HTML source
+ * @returns {{text: string, dropped: Object}}
+ */
+function textFromHtml(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const dropped = emptyDropped();
+    const paragraphs = [];
+    let paragraph = '';
+
+    const endParagraph = () => {
+        paragraphs.push(paragraph);
+        paragraph = '';
+    };
+    const walk = (node, preformatted) => {
+        Array.from(node.childNodes).forEach(child => {
+            if (child.nodeType === 3) {
+                const text = preformatted ? child.nodeValue : child.nodeValue.replace(/\s+/g, ' ');
+                paragraph += paragraph.endsWith(' ') && !preformatted ? text.replace(/^ /, '') : text;
+                return;
+            }
+            if (child.nodeType !== 1) return;
+
+            const name = child.localName;
+            if (HTML_SKIPPED_ELEMENTS.has(name)) return;
+            if (HTML_MEDIA_ELEMENTS.has(name)) {
+                dropped.images++;
+                return;
+            }
+            if (name === 'table') {
+                dropped.tables++;
+                endParagraph();
+                return;
+            }
+            if (name === 'math') {
+                dropped.equations++;
+                return;
+            }
+            if (name === 'br') {
+                paragraph += '\n';
+                return;
+            }
+
+            if (HTML_BLOCK_ELEMENTS.has(name)) {
+                endParagraph();
+                walk(child, preformatted || name === 'pre');
+                endParagraph();
+            } else {
+                walk(child, preformatted);
+            }
+        });
+    };
+
+    walk(doc.body, false);
+    endParagraph();
+
+    return {
+        text: paragraphs.map(text => text.replace(/^ +| +$/gm, '')).filter(text => text.trim()).join('\n\n'),
+        dropped,
+    };
+}
+
+// ============================================================================
+// MARKDOWN
+// ============================================================================
+
+/**
+ * Removes inline Markdown from a line of text
+ * @param {string} line - Markdown text
+ * @param {Object} dropped - Result of emptyDropped(), updated in place
+ * @returns {string}
+ */
+function stripInlineMarkdown(line, dropped) {
+    return line
+        .replace(/!\[[^\]]*\](?:\([^)]*\)|\[[^\]]*\])/g, () => {
+            dropped.images++;
+            return '';
+        })
+        .replace(/<img\b[^>]*>/gi, () => {
+            dropped.images++;
+            return '';
+        })
+        .replace(/\[([^\]]+)\](?:\([^)]*\)|\[[^\]]*\])/g, '$1')
+        .replace(/<((?:https?|mailto):[^>\s]+)>/g, '$1')
+        .replace(/<\/?[a-zA-Z][^>]*>/g, '')
+        .replace(/`([^`]+)`/g, '$1')
+        .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '$2')
+        .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '$1')
+        .replace(/\*(?=\S)(.+?)(?<=\S)\*/g, '$1')
+        .replace(/(^|[^\p{L}\p{N}_])_(?=\S)(.+?)(?<=\S)_(?![\p{L}\p{N}_])/gu, '$1$2')
+        .replace(/\\([\\`*_{}[\]()#+\-.!|~<>])/g, '$1');
+}
+
+/**
+ * Converts Markdown to text: headings, lists and quotes become plain
+ * paragraphs and lines; tables and images are left out
+ * @param {string} markdown - Markdown source
+ * @returns {{text: string, dropped: Object}}
+ */
+function textFromMarkdown(markdown) {
+    const dropped = emptyDropped();
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const paragraphs = [];
+    let paragraph = [];
+    let fence = null;
+
+    const endParagraph = () => {
+        if (paragraph.length > 0) paragraphs.push(paragraph.join('\n'));
+        paragraph = [];
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (fence) {
+            if (line.trim().startsWith(fence)) {
+                fence = null;
+                endParagraph();
+            } else {
+                paragraph.push(line);
+            }
+            continue;
+        }
+
+        const fenceMatch = /^\s*(`{3,}|~{3,})/.exec(line);
+        if (fenceMatch) {
+            endParagraph();
+            fence = fenceMatch[1];
+            continue;
+        }
+
+        // A table is a row of cells followed by a |---|---| divider row
+        if (line.includes('|') && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)+\|?\s*$/.test(lines[i + 1] || '')) {
+            endParagraph();
+            dropped.tables++;
+            while (i + 1 < lines.length && lines[i + 1].includes('|')) i++;
+            continue;
+        }
+
+        const content = line.replace(/^(\s{0,3}>\s?)+/, '');
+        if (!content.trim() || /^\s*([-*_])(\s*\1){2,}\s*$/.test(content) || /^\s*\[[^\]]+\]:\s*\S+/.test(content)) {
+            // Blank lines, horizontal rules and link definitions
+            endParagraph();
+            continue;
+        }
+        if (/^\s*(=+|-+)\s*$/.test(content) && paragraph.length > 0) {
+            // The underline of a heading
+            endParagraph();
+            continue;
+        }
+
+        const heading = /^\s{0,3}#{1,6}\s+(.*?)(\s+#+)?\s*$/.exec(content);
+        if (heading) {
+            endParagraph();
+            paragraphs.push(stripInlineMarkdown(heading[1], dropped));
+            continue;
+        }
+
+        const listItem = /^\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/.exec(content);
+        const text = stripInlineMarkdown((listItem ? listItem[1] : content).trim(), dropped);
+        const last = paragraph.length - 1;
+        if (listItem || last < 0 || /( {2}|\\)$/.test(lines[i - 1])) {
+            // List items and hard line breaks start a new line
+            if (last >= 0) paragraph[last] = paragraph[last].replace(/\\$/, '');
+            paragraph.push(text);
+        } else {
+            // Other lines are soft-wrapped parts of the same line
+            paragraph[last] = `${paragraph[last]} ${text}`;
+        }
+    }
+    endParagraph();
+
+    return { text: paragraphs.join('\n\n'), dropped };
+}
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+/**
+ * Describes what an import left out, for a warning
+ * @param {Object} dropped - Counts from emptyDropped()
+ * @returns {string|null} - e.g. "2 tables and 1 image", or null if nothing was left out
+ */
+function describeDropped(dropped) {
+    const parts = [
+        [dropped.tables, 'table'],
+        [dropped.images, 'image'],
+        [dropped.equations, 'equation'],
+    ]
+        .filter(([count]) => count > 0)
+        .map(([count, name]) => `${count} ${name}${count === 1 ? '' : 's'}`);
+
+    if (parts.length === 0) return null;
+    return parts.length === 1 ? parts[0] : `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+}
+
+/**
+ * Converts an uploaded file to draft text
+ * @param {string} fileName - File name, which decides the format
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Promise<{text: string, dropped: Object}>} - Cleaned text and
+ *   counts of the tables, images and equations left out
+ * @throws {Error} - When the file is unsupported, too large or can't be read
+ */
+async function importDraft(fileName, bytes) {
+    const format = importFormatOf(fileName);
+    if (!format) {
+        throw new Error(`Only these files can be opened: ${importAcceptList().split(',').join(', ')}`);
+    }
+    if (bytes.length > MAX_IMPORT_FILE_BYTES) {
+        throw new Error(`The file is larger than ${MAX_IMPORT_FILE_BYTES / 1024 / 1024} MB`);
+    }
+
+    let result;
+    switch (format) {
+        case 'docx':
+            result = await textFromDocx(bytes);
+            break;
+        case 'odt':
+            result = await textFromOdt(bytes);
+            break;
+        case 'rtf':
+            result = textFromRtf(new TextDecoder('windows-1252').decode(bytes));
+            break;
+        case 'html':
+            result = textFromHtml(decodeText(bytes));
+            break;
+        case 'markdown':
+            result = textFromMarkdown(decodeText(bytes));
+            break;
+        default:
+            result = { text: decodeText(bytes), dropped: emptyDropped() };
+    }
+
+    return { text: cleanImportedText(result.text), dropped: result.dropped };
+}
+
+// Allow use from Node (tests, tooling) as well as the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MAX_IMPORT_FILE_BYTES,
+        importFormatOf,
+        importAcceptList,
+        describeDropped,
+        textFromRtf,
+        textFromMarkdown,
+        importDraft,
+    };
+}
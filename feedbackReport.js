@@ -0,0 +1,797 @@
+/**
+ * Student English Checker - Feedback Reports
+ * Turns a feedback report (built from the analysis data by buildFeedbackReport()
+ * in script.js) into downloadable files: plain text, Markdown, JSON, a
+ * print-friendly HTML page (saved as PDF from the print dialog) and a Word
+ * document (.docx)
+ */
+
+const REPORT_FORMAT = 'student-english-checker-feedback';
+const REPORT_VERSION = 1;
+
+// Badge colours, matching the rating colours in style.css
+const RATING_COLOURS = {
+    'Exceeding': '48BB78',
+    'Accomplished': '4299E1',
+    'Developing': 'ED8936',
+    'Not Evident': 'F56565',
+};
+
+// Markdown has no colour, so ratings get a coloured marker instead
+const RATING_MARKERS = {
+    'Exceeding': '🟢',
+    'Accomplished': '🔵',
+    'Developing': '🟠',
+    'Not Evident': '🔴',
+};
+
+// Headings for each kind of writing issue, in report order
+const ISSUE_TYPES = {
+    spelling: 'Spelling',
+    longSentences: 'Long sentences',
+    repeatedWords: 'Repeated words',
+    passiveVoice: 'Passive voice',
+};
+
+/**
+ * Formats an ISO timestamp for a report
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string}
+ */
+function formatReportDate(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, {
+        dateStyle: 'medium',
+        timeStyle: 'short'
+    });
+}
+
+/**
+ * Lists the label and value of each writing analytic
+ * @param {Object} analytics - report.analytics
+ * @returns {Array<Array<string>>} - [label, value] pairs
+ */
+function analyticsRows(analytics) {
+    return [
+        ['Words', analytics.words.toLocaleString()],
+        ['Characters', analytics.characters.toLocaleString()],
+        ['Sentences', analytics.sentences.toLocaleString()],
+        ['Average sentence length', `${analytics.averageSentenceLength} words`],
+        ['Longest sentence', `${analytics.longestSentence} words`],
+        ['Reading time', analytics.readingTime],
+    ];
+}
+
+/**
+ * Lists the label and value of each readability index
+ * @param {Object} readability - report.readability
+ * @returns {Array<Array<string>>} - [label, value] pairs
+ */
+function readabilityRows(readability) {
+    return [
+        ['Flesch Reading Ease', `${readability.fleschReadingEase} (${readability.readingEase})`],
+        ['Flesch-Kincaid Grade', String(readability.fleschKincaidGrade)],
+        ['Gunning Fog', String(readability.gunningFog)],
+        ['SMOG', `${readability.smog}${readability.smogReliable ? '' : ' (rough - fewer than 30 sentences)'}`],
+        ['Coleman-Liau', String(readability.colemanLiau)],
+    ];
+}
+
+/**
+ * Groups the writing issues by type, skipping types with none
+ * @param {Array<Object>} issues - report.issues
+ * @returns {Array<{label: string, issues: Array<Object>}>}
+ */
+function issueSections(issues) {
+    return Object.keys(ISSUE_TYPES)
+        .map(type => ({ label: ISSUE_TYPES[type], issues: issues.filter(issue => issue.type === type) }))
+        .filter(section => section.issues.length > 0);
+}
+
+/**
+ * Labels the overall rating, noting when criterion weights were applied
+ * @param {Object} overall - report.feedback.overall
+ * @returns {string}
+ */
+function overallLabel(overall) {
+    return `Overall${overall.weighted ? ' (weighted)' : ''}`;
+}
+
+/**
+ * Splits the draft into its paragraphs (runs of non-blank lines)
+ * @param {string} draft - report.draft
+ * @returns {Array<string>}
+ */
+function draftParagraphs(draft) {
+    return draft.trim().split(/\n\s*\n/).filter(paragraph => paragraph.trim());
+}
+
+// ============================================================================
+// PLAIN TEXT
+// ============================================================================
+
+/**
+ * Writes a report as plain text
+ * @param {Object} report - Result of buildFeedbackReport()
+ * @returns {string}
+ */
+function reportToText(report) {
+    let content = '=== STUDENT ENGLISH CHECKER - FEEDBACK REPORT ===\n\n';
+    content += `Document: ${report.title}\n`;
+    content += `Date: ${formatReportDate(report.generatedAt)}\n`;
+    if (report.feedback) {
+        content += `Checked: ${formatReportDate(report.feedback.analysedAt)}\n`;
+    }
+    content += '\n';
+
+    content += '=== WRITING ANALYTICS ===\n';
+    analyticsRows(report.analytics).forEach(([label, value]) => {
+        content += `${label}: ${value}\n`;
+    });
+    content += '\n';
+
+    if (report.readability) {
+        content += '=== READABILITY ===\n';
+        readabilityRows(report.readability).forEach(([label, value]) => {
+            content += `${label}: ${value}\n`;
+        });
+        content += `${report.readability.summary}\n\n`;
+    }
+
+    const feedback = report.feedback;
+    if (feedback) {
+        if (feedback.overall) {
+            content += `${overallLabel(feedback.overall)}: ${feedback.overall.rating} ${feedback.overall.score} / 4\n\n`;
+        }
+
+        if (feedback.groups.length > 0) {
+            content += '=== GROUPS ===\n';
+            feedback.groups.forEach(group => {
+                content += `${group.name} (Criteria ${group.criterionNumbers.join(', ')}): ${group.rating}, ${group.score} / 4\n`;
+            });
+            content += '\n';
+        }
+
+        content += '=== OVERALL SUMMARY ===\n';
+        feedback.summary.forEach((point, i) => {
+            content += `${i + 1}. ${point}\n`;
+        });
+        content += '\n';
+
+        content += '=== DETAILED CRITERIA FEEDBACK ===\n';
+        feedback.criteria.forEach(item => {
+            content += `\n${item.criterionNumber}. ${item.criterion}\n`;
+            if (item.group) content += `Group: ${item.group}\n`;
+            content += `Rating: ${item.rating}\nFeedback: ${item.feedback}\n`;
+            if (item.evidence.length > 0) {
+                content += `Evidence: ${item.evidence.map(passage => `"${passage.quote}"`).join('; ')}\n`;
+            }
+        });
+        content += '\n';
+    }
+
+    if (report.quickCheck) {
+        const points = list => list.map((point, i) => `${i + 1}. ${point}\n`).join('');
+
+        content += '=== QUICK CHECK ===\n';
+        content += `${report.quickCheck.impression}\n\n`;
+        content += `Strengths:\n${points(report.quickCheck.strengths)}\n`;
+        content += `Areas to improve:\n${points(report.quickCheck.improvements)}\n`;
+    }
+
+    const sections = issueSections(report.issues);
+    if (sections.length > 0) {
+        content += '=== WRITING ISSUES ===\n';
+        sections.forEach(section => {
+            content += `${section.label}:\n`;
+            section.issues.forEach(issue => {
+                content += `- ${issue.message} "${issue.quote}"\n`;
+            });
+        });
+        content += '\n';
+    }
+
+    content += '=== YOUR DRAFT ===\n';
+    content += report.draft.trim();
+
+    return content;
+}
+
+// ============================================================================
+// MARKDOWN
+// ============================================================================
+
+/**
+ * Escapes text so Markdown shows it as written
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+function escapeMarkdown(text) {
+    return String(text)
+        .replace(/([\\`*_[\]<>|~])/g, '\\$1')
+        // Lines that would start a heading or list, or underline a heading
+        .replace(/^(\s*)([-+=#])(?=\s|$)/gm, '$1\\$2')
+        .replace(/^(\s*\d+)\.(?=\s)/gm, '$1\\.');
+}
+
+/**
+ * Writes a Markdown table
+ * @param {Array<string>} header - Column headings
+ * @param {Array<Array<string>>} rows - Cell text
+ * @returns {string}
+ */
+function markdownTable(header, rows) {
+    const line = cells => `| ${cells.map(cell => escapeMarkdown(cell).replace(/\n/g, ' ')).join(' | ')} |\n`;
+    return line(header) + `|${header.map(() => ' --- |').join('')}\n` + rows.map(line).join('');
+}
+
+/**
+ * Writes a rating with its colour marker, e.g. "🟢 **Exceeding**"
+ * @param {string} rating - Rating name
+ * @returns {string}
+ */
+function markdownRating(rating) {
+    return `${RATING_MARKERS[rating] || ''} **${rating}**`.trim();
+}
+
+/**
+ * Writes a report as Markdown
+ * @param {Object} report - Result of buildFeedbackReport()
+ * @returns {string}
+ */
+function reportToMarkdown(report) {
+    const lines = [`# Feedback Report: ${escapeMarkdown(report.title)}`, ''];
+    lines.push(`*Exported ${formatReportDate(report.generatedAt)}*` +
+        (report.feedback ? ` · *Checked ${formatReportDate(report.feedback.analysedAt)}*` : ''), '');
+
+    const feedback = report.feedback;
+    if (feedback) {
+        if (feedback.overall) {
+            lines.push(`**${overallLabel(feedback.overall)}:** ${markdownRating(feedback.overall.rating)} ` +
+                `(${feedback.overall.score} / 4)`, '');
+        }
+
+        if (feedback.groups.length > 0) {
+            lines.push('## Groups', '');
+            lines.push(markdownTable(['Group', 'Criteria', 'Rating', 'Score'], feedback.groups.map(group => [
+                group.name, group.criterionNumbers.join(', '), `${RATING_MARKERS[group.rating] || ''} ${group.rating}`.trim(), `${group.score} / 4`,
+            ])));
+        }
+
+        lines.push('## Overall Summary', '');
+        feedback.summary.forEach((point, i) => lines.push(`${i + 1}. ${escapeMarkdown(point)}`));
+        lines.push('');
+
+        lines.push('## Detailed Criteria Feedback', '');
+        feedback.criteria.forEach(item => {
+            lines.push(`### ${item.criterionNumber}. ${escapeMarkdown(item.criterion)}`, '');
+            lines.push(`${markdownRating(item.rating)}` + (item.group ? ` · Group: ${escapeMarkdown(item.group)}` : ''), '');
+            lines.push(escapeMarkdown(item.feedback), '');
+            item.evidence.forEach(passage => lines.push(`> ${escapeMarkdown(passage.quote).replace(/\n/g, ' ')}`, ''));
+        });
+    }
+
+    if (report.quickCheck) {
+        const points = list => list.map((point, i) => `${i + 1}. ${escapeMarkdown(point)}`);
+
+        lines.push('## Quick Check', '', escapeMarkdown(report.quickCheck.impression), '');
+        lines.push('### Strengths', '', ...points(report.quickCheck.strengths), '');
+        lines.push('### Areas to Improve', '', ...points(report.quickCheck.improvements), '');
+    }
+
+    lines.push('## Writing Analytics', '');
+    lines.push(markdownTable(['Measure', 'Value'], analyticsRows(report.analytics)));
+
+    if (report.readability) {
+        lines.push('## Readability', '');
+        lines.push(markdownTable(['Index', 'Score'], readabilityRows(report.readability)));
+        lines.push(escapeMarkdown(report.readability.summary), '');
+    }
+
+    const sections = issueSections(report.issues);
+    if (sections.length > 0) {
+        lines.push('## Writing Issues', '');
+        sections.forEach(section => {
+            lines.push(`### ${section.label}`, '');
+            section.issues.forEach(issue => {
+                lines.push(`- ${escapeMarkdown(issue.message)} “${escapeMarkdown(issue.quote).replace(/\n/g, ' ')}”`);
+            });
+            lines.push('');
+        });
+    }
+
+    lines.push('## Draft', '');
+    draftParagraphs(report.draft).forEach(paragraph => {
+        // Two trailing spaces keep the draft's line breaks inside a paragraph
+        lines.push(escapeMarkdown(paragraph).split('\n').join('  \n'), '');
+    });
+
+    return lines.join('\n');
+}
+
+// ============================================================================
+// JSON
+// ============================================================================
+
+/**
+ * Writes a report as JSON for other tools. The format and version fields
+ * identify the layout; the version goes up when fields change meaning or go.
+ * @param {Object} report - Result of buildFeedbackReport()
+ * @returns {string}
+ */
+function reportToJson(report) {
+    return JSON.stringify({ format: REPORT_FORMAT, version: REPORT_VERSION, ...report }, null, 2);
+}
+
+// ============================================================================
+// HTML (PRINT / PDF)
+// ============================================================================
+
+/**
+ * Escapes text for HTML
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+function escapeReportHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Writes a coloured rating badge
+ * @param {string} rating - Rating name
+ * @returns {string} - HTML
+ */
+function htmlBadge(rating) {
+    return `<span class="badge" style="background: #${RATING_COLOURS[rating] || '718096'}">${escapeReportHtml(rating)}</span>`;
+}
+
+/**
+ * Writes a two-column table of [label, value] rows
+ * @param {Array<Array<string>>} rows - Rows
+ * @returns {string} - HTML
+ */
+function htmlFacts(rows) {
+    return `<table class="facts">${rows.map(([label, value]) =>
+        `<tr><th>${escapeReportHtml(label)}</th><td>${escapeReportHtml(value)}</td></tr>`).join('')}</table>`;
+}
+
+const REPORT_STYLES = `
+    @page { margin: 18mm; }
+    * { box-sizing: border-box; }
+    body { font: 11pt/1.5 -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #2d3748; margin: 0 auto; max-width: 800px; padding: 24px; }
+    h1 { font-size: 20pt; margin: 0 0 4px; }
+    h2 { font-size: 14pt; border-bottom: 2px solid #e2e8f0; padding-bottom: 4px; margin: 24px 0 12px; break-after: avoid; }
+    h3 { font-size: 12pt; margin: 12px 0 6px; break-after: avoid; }
+    .meta { color: #718096; margin: 0 0 16px; }
+    .badge { display: inline-block; color: white; font-size: 9pt; font-weight: 600; text-transform: uppercase; letter-spacing: 0.5px; padding: 2px 10px; border-radius: 10px; }
+    .badge, .criterion { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    .overall { font-size: 13pt; margin: 0 0 8px; }
+    .score { color: #718096; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 12px; }
+    th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+    .facts th { width: 45%; font-weight: 500; }
+    .criterion { border-left: 4px solid #cbd5e0; padding: 8px 12px; margin-bottom: 12px; break-inside: avoid; }
+    .criterion-header { display: flex; gap: 8px; align-items: baseline; justify-content: space-between; }
+    .criterion p { margin: 6px 0; }
+    .group { color: #718096; font-size: 9pt; }
+    blockquote { margin: 4px 0; padding-left: 12px; border-left: 2px solid #cbd5e0; font-style: italic; color: #4a5568; }
+    .draft p { margin: 0 0 10px; white-space: pre-wrap; }
+    ul, ol { padding-left: 24px; }
+    li { margin-bottom: 4px; }
+`;
+
+/**
+ * Writes a report as a standalone, print-friendly HTML page
+ * @param {Object} report - Result of buildFeedbackReport()
+ * @returns {string} - HTML document
+ */
+function reportToHtml(report) {
+    const parts = [];
+    const feedback = report.feedback;
+
+    parts.push(`<h1>Feedback Report: ${escapeReportHtml(report.title)}</h1>`);
+    parts.push(`<p class="meta">Exported ${escapeReportHtml(formatReportDate(report.generatedAt))}` +
+        (feedback ? ` · Checked ${escapeReportHtml(formatReportDate(feedback.analysedAt))}` : '') + '</p>');
+
+    if (feedback) {
+        if (feedback.overall) {
+            parts.push(`<p class="overall">${overallLabel(feedback.overall)}: ${htmlBadge(feedback.overall.rating)} ` +
+                `<span class="score">${feedback.overall.score} / 4</span></p>`);
+        }
+
+        if (feedback.groups.length > 0) {
+            parts.push('<h2>Groups</h2><table><tr><th>Group</th><th>Criteria</th><th>Rating</th><th>Score</th></tr>' +
+                feedback.groups.map(group => `<tr><td>${escapeReportHtml(group.name)}</td>` +
+                    `<td>${group.criterionNumbers.join(', ')}</td><td>${htmlBadge(group.rating)}</td>` +
+                    `<td>${group.score} / 4</td></tr>`).join('') +
+                '</table>');
+        }
+
+        parts.push('<h2>Overall Summary</h2><ul>' +
+            feedback.summary.map(point => `<li>${escapeReportHtml(point)}</li>`).join('') + '</ul>');
+
+        parts.push('<h2>Detailed Criteria Feedback</h2>');
+        feedback.criteria.forEach(item => {
+            parts.push(`<div class="criterion" style="border-left-color: #${RATING_COLOURS[item.rating] || 'CBD5E0'}">` +
+                '<div class="criterion-header">' +
+                `<strong>${item.criterionNumber}. ${escapeReportHtml(item.criterion)}</strong>${htmlBadge(item.rating)}</div>` +
+                (item.group ? `<div class="group">${escapeReportHtml(item.group)}</div>` : '') +
+                `<p>${escapeReportHtml(item.feedback)}</p>` +
+                item.evidence.map(passage => `<blockquote>“${escapeReportHtml(passage.quote)}”</blockquote>`).join('') +
+                '</div>');
+        });
+    }
+
+    if (report.quickCheck) {
+        const points = list => `<ol>${list.map(point => `<li>${escapeReportHtml(point)}</li>`).join('')}</ol>`;
+        parts.push(`<h2>Quick Check</h2><p>${escapeReportHtml(report.quickCheck.impression)}</p>` +
+            `<h3>Strengths</h3>${points(report.quickCheck.strengths)}` +
+            `<h3>Areas to Improve</h3>${points(report.quickCheck.improvements)}`);
+    }
+
+    parts.push(`<h2>Writing Analytics</h2>${htmlFacts(analyticsRows(report.analytics))}`);
+
+    if (report.readability) {
+        parts.push(`<h2>Readability</h2>${htmlFacts(readabilityRows(report.readability))}` +
+            `<p>${escapeReportHtml(report.readability.summary)}</p>`);
+    }
+
+    const sections = issueSections(report.issues);
+    if (sections.length > 0) {
+        parts.push('<h2>Writing Issues</h2>' + sections.map(section => `<h3>${section.label}</h3><ul>` +
+            section.issues.map(issue => `<li>${escapeReportHtml(issue.message)} <em>“${escapeReportHtml(issue.quote)}”</em></li>`).join('') +
+            '</ul>').join(''));
+    }
+
+    parts.push('<h2>Draft</h2><div class="draft">' +
+        draftParagraphs(report.draft).map(paragraph => `<p>${escapeReportHtml(paragraph)}</p>`).join('') + '</div>');
+
+    return '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="UTF-8">\n' +
+        `<title>Feedback Report - ${escapeReportHtml(report.title)}</title>\n` +
+        `<style>${REPORT_STYLES}</style>\n</head>\n<body>\n${parts.join('\n')}\n</body>\n</html>\n`;
+}
+
+// ============================================================================
+// WORD (.DOCX)
+// ============================================================================
+
+/**
+ * Escapes text for XML, dropping control characters XML can't hold
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Writes a WordprocessingML run of text; line breaks become <w:br/>
+ * @param {string} text - Run text
+ * @param {Object} [format] - { bold, italic, colour, fill } (colours as RRGGBB)
+ * @returns {string}
+ */
+function docxRun(text, { bold, italic, colour, fill } = {}) {
+    const properties = (bold ? '<w:b/>' : '') + (italic ? '<w:i/>' : '') +
+        (colour ? `<w:color w:val="${colour}"/>` : '') +
+        (fill ? `<w:shd w:val="clear" w:color="auto" w:fill="${fill}"/>` : '');
+    const content = String(text).split('\n')
+        .map(line => `<w:t xml:space="preserve">${escapeXml(line)}</w:t>`)
+        .join('<w:br/>');
+    return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}${content}</w:r>`;
+}
+
+/**
+ * Writes a WordprocessingML paragraph
+ * @param {string|Array<string>} runs - Plain text, or runs from docxRun()
+ * @param {string} [style] - Paragraph style ID from DOCX_STYLES
+ * @returns {string}
+ */
+function docxParagraph(runs, style) {
+    const content = Array.isArray(runs) ? runs.join('') : docxRun(runs);
+    return `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}${content}</w:p>`;
+}
+
+/**
+ * Writes a rating badge: white bold text on the rating colour
+ * @param {string} rating - Rating name
+ * @returns {string} - Run
+ */
+function docxBadge(rating) {
+    return docxRun(` ${rating.toUpperCase()} `, { bold: true, colour: 'FFFFFF', fill: RATING_COLOURS[rating] || '718096' });
+}
+
+/**
+ * Writes a table with a bordered grid
+ * @param {Array<Array<string|Array<string>>>} rows - Cells: plain text or runs
+ * @param {Array<number>} widths - Column widths in twentieths of a point
+ * @param {boolean} [header] - Whether the first row is a heading row
+ * @returns {string}
+ */
+function docxTable(rows, widths, header = false) {
+    const border = side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="CBD5E0"/>`;
+    const borders = ['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('');
+
+    return '<w:tbl>' +
+        `<w:tblPr><w:tblW w:w="${widths.reduce((sum, width) => sum + width, 0)}" w:type="dxa"/>` +
+        `<w:tblBorders>${borders}</w:tblBorders>` +
+        '<w:tblCellMar><w:left w:w="100" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar></w:tblPr>' +
+        `<w:tblGrid>${widths.map(width => `<w:gridCol w:w="${width}"/>`).join('')}</w:tblGrid>` +
+        rows.map((row, rowIndex) => '<w:tr>' + row.map((cell, column) => {
+            const runs = Array.isArray(cell) ? cell : [docxRun(cell, { bold: header && rowIndex === 0 })];
+            return `<w:tc><w:tcPr><w:tcW w:w="${widths[column]}" w:type="dxa"/></w:tcPr>${docxParagraph(runs)}</w:tc>`;
+        }).join('') + '</w:tr>').join('') +
+        '</w:tbl>' +
+        // Word needs a paragraph between a table and whatever follows it
+        docxParagraph([]);
+}
+
+// Paragraph styles used by the report (IDs match Word's built-in styles)
+const DOCX_STYLES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+    '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/>' +
+    '<w:sz w:val="22"/><w:szCs w:val="22"/><w:lang w:val="en-GB"/></w:rPr></w:rPrDefault>' +
+    '<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+    '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+    '<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>' +
+    '<w:pPr><w:spacing w:after="60"/></w:pPr><w:rPr><w:b/><w:color w:val="2D3748"/><w:sz w:val="40"/><w:szCs w:val="40"/></w:rPr></w:style>' +
+    '<w:style w:type="paragraph" w:styleId="Subtitle"><w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>' +
+    '<w:rPr><w:color w:val="718096"/></w:rPr></w:style>' +
+    '<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>' +
+    '<w:pPr><w:keepNext/><w:pBdr><w:bottom w:val="single" w:sz="8" w:space="2" w:color="E2E8F0"/></w:pBdr><w:spacing w:before="360" w:after="120"/><w:outlineLvl w:val="0"/></w:pPr>' +
+    '<w:rPr><w:b/><w:color w:val="2D3748"/><w:sz w:val="28"/><w:szCs w:val="28"/></w:rPr></w:style>' +
+    '<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>' +
+    '<w:pPr><w:keepNext/><w:spacing w:before="240" w:after="60"/><w:outlineLvl w:val="1"/></w:pPr>' +
+    '<w:rPr><w:b/><w:color w:val="2D3748"/><w:sz w:val="24"/><w:szCs w:val="24"/></w:rPr></w:style>' +
+    '<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>' +
+    '<w:pPr><w:pBdr><w:left w:val="single" w:sz="12" w:space="8" w:color="CBD5E0"/></w:pBdr><w:ind w:left="360"/></w:pPr>' +
+    '<w:rPr><w:i/><w:color w:val="4A5568"/></w:rPr></w:style>' +
+    '<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/>' +
+    '<w:pPr><w:spacing w:after="60"/><w:ind w:left="360" w:hanging="360"/></w:pPr></w:style>' +
+    '</w:styles>';
+
+const DOCX_CONTENT_TYPES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+    '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+    '</Types>';
+
+const DOCX_PACKAGE_RELATIONSHIPS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+    '</Relationships>';
+
+const DOCX_DOCUMENT_RELATIONSHIPS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+    '</Relationships>';
+
+/**
+ * Writes the body of the Word document
+ * @param {Object} report - Result of buildFeedbackReport()
+ * @returns {string} - word/document.xml
+ */
+function docxDocument(report) {
+    const body = [];
+    const feedback = report.feedback;
+    const list = items => items.map((item, i) => docxParagraph(`${i + 1}.\t${item}`, 'ListParagraph')).join('');
+
+    body.push(docxParagraph(`Feedback Report: ${report.title}`, 'Title'));
+    body.push(docxParagraph(`Exported ${formatReportDate(report.generatedAt)}` +
+        (feedback ? ` · Checked ${formatReportDate(feedback.analysedAt)}` : ''), 'Subtitle'));
+
+    if (feedback) {
+        if (feedback.overall) {
+            body.push(docxParagraph([
+                docxRun(`${overallLabel(feedback.overall)}: `, { bold: true }),
+                docxBadge(feedback.overall.rating),
+                docxRun(`  ${feedback.overall.score} / 4`, { colour: '718096' }),
+            ]));
+        }
+
+        if (feedback.groups.length > 0) {
+            body.push(docxParagraph('Groups', 'Heading1'));
+            body.push(docxTable([
+                ['Group', 'Criteria', 'Rating', 'Score'],
+                ...feedback.groups.map(group => [
+                    group.name, group.criterionNumbers.join(', '), [docxBadge(group.rating)], `${group.score} / 4`,
+                ]),
+            ], [3600, 1800, 2200, 1400], true));
+        }
+
+        body.push(docxParagraph('Overall Summary', 'Heading1'));
+        body.push(list(feedback.summary));
+
+        body.push(docxParagraph('Detailed Criteria Feedback', 'Heading1'));
+        feedback.criteria.forEach(item => {
+            body.push(docxParagraph([
+                docxRun(`${item.criterionNumber}. ${item.criterion}  `),
+                docxBadge(item.rating),
+            ], 'Heading2'));
+            if (item.group) {
+                body.push(docxParagraph([docxRun(`Group: ${item.group}`, { colour: '718096' })]));
+            }
+            body.push(docxParagraph(item.feedback));
+            item.evidence.forEach(passage => body.push(docxParagraph(`“${passage.quote}”`, 'Quote')));
+        });
+    }
+
+    if (report.quickCheck) {
+        body.push(docxParagraph('Quick Check', 'Heading1'));
+        body.push(docxParagraph(report.quickCheck.impression));
+        body.push(docxParagraph('Strengths', 'Heading2'));
+        body.push(list(report.quickCheck.strengths));
+        body.push(docxParagraph('Areas to Improve', 'Heading2'));
+        body.push(list(report.quickCheck.improvements));
+    }
+
+    body.push(docxParagraph('Writing Analytics', 'Heading1'));
+    body.push(docxTable(analyticsRows(report.analytics), [4500, 4500]));
+
+    if (report.readability) {
+        body.push(docxParagraph('Readability', 'Heading1'));
+        body.push(docxTable(readabilityRows(report.readability), [4500, 4500]));
+        body.push(docxParagraph(report.readability.summary));
+    }
+
+    const sections = issueSections(report.issues);
+    if (sections.length > 0) {
+        body.push(docxParagraph('Writing Issues', 'Heading1'));
+        sections.forEach(section => {
+            body.push(docxParagraph(section.label, 'Heading2'));
+            section.issues.forEach(issue => body.push(docxParagraph([
+                docxRun('•\t'),
+                docxRun(`${issue.message} `),
+                docxRun(`“${issue.quote}”`, { italic: true }),
+            ], 'ListParagraph')));
+        });
+    }
+
+    body.push(docxParagraph('Draft', 'Heading1'));
+    draftParagraphs(report.draft).forEach(paragraph => body.push(docxParagraph(paragraph)));
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+        body.join('') +
+        '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/>' +
+        '<w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr>' +
+        '</w:body></w:document>';
+}
+
+/**
+ * Writes a report as a Word document
+ * @param {Object} report - Result of buildFeedbackReport()
+ * @returns {Uint8Array} - .docx file contents
+ */
+function reportToDocx(report) {
+    return createZip([
+        { name: '[Content_Types].xml', data: DOCX_CONTENT_TYPES },
+        { name: '_rels/.rels', data: DOCX_PACKAGE_RELATIONSHIPS },
+        { name: 'word/document.xml', data: docxDocument(report) },
+        { name: 'word/_rels/document.xml.rels', data: DOCX_DOCUMENT_RELATIONSHIPS },
+        { name: 'word/styles.xml', data: DOCX_STYLES },
+    ], new Date(report.generatedAt));
+}
+
+// ============================================================================
+// ZIP
+// ============================================================================
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} - CRC-32 checksum
+ */
+function crc32(bytes) {
+    let crc = -1;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Packs files into an uncompressed ZIP archive, which is all a .docx needs
+ * @param {Array<{name: string, data: string|Uint8Array}>} files - Files, in
+ *   order; strings are written as UTF-8
+ * @param {Date} [modified] - Modification time recorded for every file
+ * @returns {Uint8Array}
+ */
+function createZip(files, modified = new Date()) {
+    const encoder = new TextEncoder();
+    const time = (modified.getHours() << 11) | (modified.getMinutes() << 5) | (modified.getSeconds() >> 1);
+    const date = ((Math.max(modified.getFullYear(), 1980) - 1980) << 9) | ((modified.getMonth() + 1) << 5) | modified.getDate();
+
+    const entries = files.map(file => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        return { name, data, crc: crc32(data) };
+    });
+
+    const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+    const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+    const bytes = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(bytes.buffer);
+    let offset = 0;
+
+    // Writes the fields shared by local and central headers, from "version needed"
+    const writeCommon = entry => {
+        view.setUint16(offset, 20, true);
+        view.setUint16(offset + 2, 0x0800, true); // File names are UTF-8
+        view.setUint16(offset + 4, 0, true); // Stored, not compressed
+        view.setUint16(offset + 6, time, true);
+        view.setUint16(offset + 8, date, true);
+        view.setUint32(offset + 10, entry.crc, true);
+        view.setUint32(offset + 14, entry.data.length, true);
+        view.setUint32(offset + 18, entry.data.length, true);
+        view.setUint16(offset + 22, entry.name.length, true);
+        view.setUint16(offset + 24, 0, true);
+        offset += 26;
+    };
+
+    entries.forEach(entry => {
+        entry.offset = offset;
+        view.setUint32(offset, 0x04034b50, true);
+        offset += 4;
+        writeCommon(entry);
+        bytes.set(entry.name, offset);
+        offset += entry.name.length;
+        bytes.set(entry.data, offset);
+        offset += entry.data.length;
+    });
+
+    const centralOffset = offset;
+    entries.forEach(entry => {
+        view.setUint32(offset, 0x02014b50, true);
+        view.setUint16(offset + 4, 20, true);
+        offset += 6;
+        writeCommon(entry);
+        // Comment length, disk number, internal and external attributes are all zero
+        view.setUint32(offset + 10, entry.offset, true);
+        offset += 14;
+        bytes.set(entry.name, offset);
+        offset += entry.name.length;
+    });
+
+    view.setUint32(offset, 0x06054b50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, centralSize, true);
+    view.setUint32(offset + 16, centralOffset, true);
+
+    return bytes;
+}
+
+// Allow use from Node (tests, tooling) as well as the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REPORT_FORMAT,
+        REPORT_VERSION,
+        reportToText,
+        reportToMarkdown,
+        reportToJson,
+        reportToHtml,
+        reportToDocx,
+        createZip,
+    };
+}
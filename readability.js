@@ -0,0 +1,133 @@
+/**
+ * Student English Checker - Readability
+ * Syllable counting and the standard readability indices: Flesch Reading
+ * Ease, Flesch-Kincaid Grade, Gunning Fog, SMOG and Coleman-Liau
+ */
+
+// Words whose syllable count the vowel-group rule gets wrong
+const SYLLABLE_EXCEPTIONS = {
+    area: 3, idea: 3, every: 2, everything: 3, everyone: 3, different: 3,
+    business: 2, family: 3, people: 2, poem: 2, science: 2, quiet: 2,
+    being: 2, doing: 2, going: 2, seeing: 2, create: 2, created: 3,
+    real: 1, really: 2, toward: 2, towards: 2, naive: 2, the: 1,
+};
+
+// SMOG is only calibrated for samples of at least this many sentences
+const SMOG_MIN_SENTENCES = 30;
+
+// The tokenizer is a separate script in the browser and a module in Node
+const readabilityTokenizer = typeof module !== 'undefined' && module.exports
+    ? require('./sentenceTokenizer')
+    : { tokenizeWords, tokenizeSentences };
+
+/**
+ * Estimates the number of syllables in an English word
+ * @param {string} word - A single word
+ * @returns {number} - At least 1 for any word containing a letter
+ */
+function countSyllables(word) {
+    let lower = word.toLowerCase().replace(/[^a-z]/g, '');
+    if (!lower) return 0;
+    if (SYLLABLE_EXCEPTIONS[lower]) return SYLLABLE_EXCEPTIONS[lower];
+    if (lower.length <= 3) return 1;
+
+    // Drop silent endings: "makes", "played", "make"
+    // (but not "boxes", "wanted", "table" or "free")
+    if (/[^aeiouy]le$/.test(lower)) {
+        // "-le" after a consonant is its own syllable
+    } else if (/(?:[^sxzcgh]|[^cs]h)es$/.test(lower)) {
+        lower = lower.slice(0, -2);
+    } else if (/[^td]ed$/.test(lower)) {
+        lower = lower.slice(0, -2);
+    } else if (/[^e]e$/.test(lower)) {
+        lower = lower.slice(0, -1);
+    }
+
+    // A leading "y" is a consonant ("yellow")
+    lower = lower.replace(/^y/, '');
+
+    const groups = lower.match(/[aeiouy]+/g);
+    return Math.max(1, groups ? groups.length : 0);
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * Computes readability statistics for a piece of text
+ * @param {string} text - The draft text
+ * @returns {Object|null} - Counts and index scores, or null if there are no words
+ */
+function computeReadability(text) {
+    const words = readabilityTokenizer.tokenizeWords(text).filter(word => /\p{L}/u.test(word));
+    const sentenceCount = Math.max(1, readabilityTokenizer.tokenizeSentences(text).length);
+
+    if (words.length === 0) return null;
+
+    const syllableCounts = words.map(countSyllables);
+    const syllables = syllableCounts.reduce((sum, count) => sum + count, 0);
+    const polysyllables = syllableCounts.filter(count => count >= 3).length;
+    const letters = words.reduce((sum, word) => sum + word.replace(/[^\p{L}]/gu, '').length, 0);
+
+    const wordsPerSentence = words.length / sentenceCount;
+    const syllablesPerWord = syllables / words.length;
+
+    return {
+        words: words.length,
+        sentences: sentenceCount,
+        syllables,
+        polysyllables,
+        fleschReadingEase: round(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord),
+        fleschKincaidGrade: round(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59),
+        gunningFog: round(0.4 * (wordsPerSentence + 100 * (polysyllables / words.length))),
+        smog: round(1.043 * Math.sqrt(polysyllables * (30 / sentenceCount)) + 3.1291),
+        smogReliable: sentenceCount >= SMOG_MIN_SENTENCES,
+        colemanLiau: round(
+            0.0588 * (letters / words.length * 100) -
+            0.296 * (sentenceCount / words.length * 100) -
+            15.8
+        ),
+    };
+}
+
+/**
+ * Describes a Flesch Reading Ease score in plain language
+ * @param {number} score - Flesch Reading Ease
+ * @returns {string}
+ */
+function describeReadingEase(score) {
+    if (score >= 90) return 'very easy to read';
+    if (score >= 80) return 'easy to read';
+    if (score >= 70) return 'fairly easy to read';
+    if (score >= 60) return 'plain English';
+    if (score >= 50) return 'fairly difficult to read';
+    if (score >= 30) return 'difficult to read';
+    return 'very difficult to read';
+}
+
+/**
+ * Summarises readability for students: a reading age and what it means
+ * @param {Object} readability - Result of computeReadability()
+ * @returns {string}
+ */
+function describeReadability(readability) {
+    // Average the grade-level indices for a single, steadier estimate
+    const grades = [readability.fleschKincaidGrade, readability.gunningFog, readability.colemanLiau];
+    if (readability.smogReliable) grades.push(readability.smog);
+    const grade = Math.max(1, Math.round(grades.reduce((sum, g) => sum + g, 0) / grades.length));
+
+    return `Your writing is ${describeReadingEase(readability.fleschReadingEase)}. ` +
+        `It suits readers at about US grade ${grade} (UK Year ${grade + 1}, age ${grade + 5}-${grade + 6}). ` +
+        'Shorter sentences and simpler words make it easier; longer sentences and longer words make it harder.';
+}
+
+// Allow use from Node (tests, tooling) as well as the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        countSyllables,
+        computeReadability,
+        describeReadingEase,
+        describeReadability,
+    };
+}
@@ -0,0 +1,343 @@
+/**
+ * Student English Checker - Rubrics
+ * Built-in rubric templates, rubric validation, JSON/CSV import and export,
+ * and the weighted overall rating for a set of criterion results
+ */
+
+const MAX_RUBRIC_CRITERIA = 15;
+const MAX_CRITERION_LENGTH = 200;
+const MAX_CRITERION_WEIGHT = 10;
+const MAX_GROUP_NAME_LENGTH = 100;
+
+// Points for each rating, used for the weighted overall rating
+const RATING_POINTS = {
+    'Exceeding': 4,
+    'Accomplished': 3,
+    'Developing': 2,
+    'Not Evident': 1,
+};
+
+// Templates shipped with the app; they can be used and exported but not deleted
+const RUBRIC_TEMPLATES = [
+    {
+        id: 'template-persuasive',
+        name: 'Persuasive essay',
+        description: 'Argues a clear position and convinces the reader with evidence and persuasive techniques.',
+        criteria: [
+            { text: 'States a clear position in the introduction', weight: 2, group: 'Argument' },
+            { text: 'Supports each argument with relevant evidence or examples', weight: 2, group: 'Argument' },
+            { text: 'Addresses and rebuts at least one counter-argument', weight: 1, group: 'Argument' },
+            { text: 'Links paragraphs with connectives that build the argument', weight: 1, group: 'Structure' },
+            { text: 'Ends with a conclusion that restates the position and calls the reader to act', weight: 1, group: 'Structure' },
+            { text: 'Uses persuasive techniques such as rhetorical questions, emotive language and the rule of three', weight: 1, group: 'Language' },
+            { text: 'Uses accurate spelling, punctuation and grammar', weight: 1, group: 'Language' },
+        ],
+    },
+    {
+        id: 'template-narrative',
+        name: 'Narrative',
+        description: 'Tells an engaging story with developed characters, setting and structure.',
+        criteria: [
+            { text: 'Opens with a hook that makes the reader want to continue', weight: 1, group: 'Structure' },
+            { text: 'Follows a clear structure with rising action, climax and resolution', weight: 2, group: 'Structure' },
+            { text: 'Develops characters through dialogue, actions and thoughts', weight: 2, group: 'Characters and setting' },
+            { text: 'Builds a vivid setting using sensory detail', weight: 1, group: 'Characters and setting' },
+            { text: 'Varies sentence length and openings for effect', weight: 1, group: 'Language' },
+            { text: 'Punctuates dialogue correctly', weight: 1, group: 'Language' },
+        ],
+    },
+    {
+        id: 'template-literary-analysis',
+        name: 'Literary analysis',
+        description: 'Analyses how a writer uses language, structure and form to create meaning.',
+        criteria: [
+            { text: 'Presents a clear thesis about the text', weight: 2, group: 'Argument' },
+            { text: 'Uses analytical paragraphs (point, evidence, explanation)', weight: 1, group: 'Argument' },
+            { text: 'Embeds short, relevant quotations as evidence', weight: 2, group: 'Analysis' },
+            { text: 'Analyses the effect of specific language choices, naming techniques accurately', weight: 2, group: 'Analysis' },
+            { text: 'Comments on structure and form, not only language', weight: 1, group: 'Analysis' },
+            { text: 'Links the text to its context where relevant', weight: 1, group: 'Analysis' },
+            { text: 'Writes in a formal academic register', weight: 1, group: 'Style' },
+        ],
+    },
+    {
+        id: 'template-report',
+        name: 'Report',
+        description: 'Presents factual information clearly and objectively for a defined audience.',
+        criteria: [
+            { text: 'States the purpose of the report in the introduction', weight: 1, group: 'Content' },
+            { text: 'Presents accurate, relevant facts and data', weight: 2, group: 'Content' },
+            { text: 'Ends with conclusions or recommendations drawn from the findings', weight: 1, group: 'Content' },
+            { text: 'Organises information under clear headings', weight: 2, group: 'Presentation' },
+            { text: 'Maintains an objective, impersonal tone', weight: 1, group: 'Presentation' },
+            { text: 'Uses subject-specific vocabulary correctly', weight: 1, group: 'Presentation' },
+        ],
+    },
+];
+
+/**
+ * Coerces a loosely-shaped rubric (from a file or storage) into the standard
+ * shape without validating it
+ * @param {Object} raw - Rubric with name, description and criteria
+ * @returns {{name: string, description: string, criteria: Array<{text: string, weight: number, group: string}>}}
+ */
+function normalizeRubric(raw) {
+    const criteria = Array.isArray(raw.criteria) ? raw.criteria : [];
+
+    return {
+        name: String(raw.name || '').trim(),
+        description: String(raw.description || '').trim(),
+        criteria: criteria.map(item => {
+            // Plain strings are criteria with the default weight
+            const entry = typeof item === 'string' ? { text: item } : (item || {});
+            const text = entry.text !== undefined ? entry.text : entry.criterion;
+            const weight = entry.weight === undefined || entry.weight === '' ? 1 : Number(entry.weight);
+            return { text: String(text || '').trim(), weight, group: String(entry.group || '').trim() };
+        }),
+    };
+}
+
+/**
+ * Checks a normalized rubric
+ * @param {Object} rubric - Result of normalizeRubric()
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateRubric(rubric) {
+    if (!rubric.name) {
+        return 'A rubric needs a name';
+    }
+
+    if (rubric.criteria.length === 0) {
+        return `"${rubric.name}" has no criteria`;
+    }
+
+    if (rubric.criteria.length > MAX_RUBRIC_CRITERIA) {
+        return `"${rubric.name}" has more than ${MAX_RUBRIC_CRITERIA} criteria`;
+    }
+
+    for (let i = 0; i < rubric.criteria.length; i++) {
+        const { text, weight, group } = rubric.criteria[i];
+
+        if (!text) {
+            return `"${rubric.name}": criterion ${i + 1} is empty`;
+        }
+        if (text.length > MAX_CRITERION_LENGTH) {
+            return `"${rubric.name}": criterion ${i + 1} is longer than ${MAX_CRITERION_LENGTH} characters`;
+        }
+        if (!Number.isFinite(weight) || weight <= 0 || weight > MAX_CRITERION_WEIGHT) {
+            return `"${rubric.name}": criterion ${i + 1} needs a weight between 0 and ${MAX_CRITERION_WEIGHT}`;
+        }
+        if (group.length > MAX_GROUP_NAME_LENGTH) {
+            return `"${rubric.name}": criterion ${i + 1} has a group name longer than ${MAX_GROUP_NAME_LENGTH} characters`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Exports a rubric as JSON
+ * @param {Object} rubric - Rubric to export
+ * @returns {string}
+ */
+function rubricToJson(rubric) {
+    const { name, description, criteria } = normalizeRubric(rubric);
+    
+    // Ungrouped criteria are written without a group
+    const entries = criteria.map(({ text, weight, group }) => (group ? { text, weight, group } : { text, weight }));
+    return JSON.stringify({ name, description, criteria: entries }, null, 2);
+}
+
+function csvCell(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exports a rubric as CSV with one row per criterion. The name is repeated
+ * on every row so the file still imports after sorting in a spreadsheet.
+ * @param {Object} rubric - Rubric to export
+ * @returns {string}
+ */
+function rubricToCsv(rubric) {
+    const { name, description, criteria } = normalizeRubric(rubric);
+    const rows = [['name', 'description', 'criterion', 'weight', 'group']];
+
+    criteria.forEach((criterion, index) => {
+        rows.push([name, index === 0 ? description : '', criterion.text, criterion.weight, criterion.group]);
+    });
+
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Splits CSV text into rows of cells (RFC 4180 quoting)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Non-blank rows
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    row.push(cell);
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+/**
+ * Reads rubrics from CSV. Needs a "criterion" column; "name", "description",
+ * "weight" and "group" are optional. Rows with a blank name belong to the rubric above.
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} - Normalized rubrics, in file order
+ */
+function parseRubricCsv(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+        throw new Error('The CSV file is empty');
+    }
+
+    const columns = header.map(title => title.trim().toLowerCase());
+    const column = names => columns.findIndex(title => names.includes(title));
+    const nameColumn = column(['name', 'rubric']);
+    const descriptionColumn = column(['description']);
+    const criterionColumn = column(['criterion', 'criteria', 'text']);
+    const weightColumn = column(['weight', 'weighting']);
+    const groupColumn = column(['group']);
+
+    if (criterionColumn === -1) {
+        throw new Error('The CSV file needs a "criterion" column');
+    }
+
+    const rubrics = [];
+    let current = null;
+
+    rows.forEach(cells => {
+        const cellAt = index => (index === -1 ? '' : (cells[index] || '').trim());
+        const name = cellAt(nameColumn) || (current ? current.name : 'Imported rubric');
+
+        if (!current || current.name !== name) {
+            current = { name, description: '', criteria: [] };
+            rubrics.push(current);
+        }
+
+        current.description = current.description || cellAt(descriptionColumn);
+        current.criteria.push({ text: cellAt(criterionColumn), weight: cellAt(weightColumn), group: cellAt(groupColumn) });
+    });
+
+    return rubrics.map(normalizeRubric);
+}
+
+/**
+ * Reads rubrics from JSON: a single rubric, an array of rubrics, or
+ * { "rubrics": [...] }
+ * @param {string} text - JSON text
+ * @returns {Array<Object>} - Normalized rubrics
+ */
+function parseRubricJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('The file is not valid JSON');
+    }
+
+    const list = Array.isArray(data) ? data : (data && Array.isArray(data.rubrics) ? data.rubrics : [data]);
+    return list.map(item => normalizeRubric(item && typeof item === 'object' ? item : {}));
+}
+
+/**
+ * Reads and validates every rubric in an imported file
+ * @param {string} text - File contents
+ * @param {string} fileName - File name; ".csv" files are read as CSV, anything else as JSON
+ * @returns {Array<Object>} - Valid, normalized rubrics
+ * @throws {Error} - When the file can't be read or any rubric in it is invalid
+ */
+function parseRubricFile(text, fileName) {
+    const content = text.replace(/^\uFEFF/, '');
+    const rubrics = /\.csv$/i.test(fileName) ? parseRubricCsv(content) : parseRubricJson(content);
+
+    if (rubrics.length === 0) {
+        throw new Error('No rubrics found in the file');
+    }
+
+    rubrics.forEach(rubric => {
+        const error = validateRubric(rubric);
+        if (error) throw new Error(error);
+    });
+
+    return rubrics;
+}
+
+/**
+ * Combines criterion ratings into one overall rating using their weights
+ * @param {Array<{rating: string}>} results - Criterion results
+ * @param {Array<number>} weights - Weight for each result (missing weights count as 1)
+ * @returns {{score: number, rating: string}|null} - Score out of 4 and the
+ *   nearest rating, or null if there are no rated results
+ */
+function weightedRating(results, weights) {
+    let total = 0;
+    let weightSum = 0;
+
+    results.forEach((result, index) => {
+        const points = RATING_POINTS[result.rating];
+        if (!points) return;
+
+        const weight = Number.isFinite(weights[index]) ? weights[index] : 1;
+        total += points * weight;
+        weightSum += weight;
+    });
+
+    if (weightSum === 0) return null;
+
+    const score = Math.round(total / weightSum * 10) / 10;
+    const rating = Object.keys(RATING_POINTS)
+        .reduce((best, name) => (Math.abs(RATING_POINTS[name] - score) < Math.abs(RATING_POINTS[best] - score) ? name : best));
+
+    return { score, rating };
+}
+
+// Allow use from Node (tests, tooling) as well as the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RUBRIC_TEMPLATES,
+        RATING_POINTS,
+        normalizeRubric,
+        validateRubric,
+        rubricToJson,
+        rubricToCsv,
+        parseRubricFile,
+        weightedRating,
+    };
+}
@@ -7,20 +7,46 @@
 // CONSTANTS & CONFIGURATION
 // ============================================================================
 
-const WORDS_PER_MINUTE = 225;
 const AUTOSAVE_DELAY = 1000; // milliseconds
 const ANALYSIS_DEBOUNCE = 500; // milliseconds
 const MAX_CRITERIA = 15;
 const API_BASE_URL = '';
+const DEFAULT_SPELLING_LOCALE = 'en-GB';
+const MAX_VERSIONS = 50; // Oldest versions are dropped beyond this
+const VERSIONS_STORAGE_KEY = 'studentEnglishCheckerVersions'; // One key per document: <key>:<document id>
+const DOCUMENTS_STORAGE_KEY = 'studentEnglishCheckerDocuments';
+const DEFAULT_DOCUMENT_TITLE = 'Untitled document';
+const RUBRICS_STORAGE_KEY = 'studentEnglishCheckerRubrics';
+const MAX_YEAR_LEVEL = 13;
+const MIN_FEEDBACK_WORDS = 10;
+const MAX_FEEDBACK_WORDS = 100;
+const FEEDBACK_TONES = { encouraging: 'Encouraging', 'exam-strict': 'Exam-strict' };
+const FEEDBACK_LANGUAGE_PATTERN = /^[\p{L}][\p{L} ()-]{0,39}$/u; // Same rule as the backend
+const CLASS_CODE_PATTERN = /^[A-Za-z0-9-]{3,32}$/; // Same rule as the backend
+const MAX_STUDENT_NAME_LENGTH = 60;
+const MAX_DRAFT_LENGTH = 50000; // Same as the editor's maxlength
 
-// Common English stopwords to exclude from word frequency
-const STOPWORDS = new Set([
-    'the', 'be', 'to', 'of', 'and', 'a', 'in', 'that', 'have', 'i',
-    'it', 'for', 'not', 'on', 'with', 'he', 'as', 'you', 'do', 'at',
-    'this', 'but', 'his', 'by', 'from', 'they', 'we', 'say', 'her', 'she',
-    'or', 'an', 'will', 'my', 'one', 'all', 'would', 'there', 'their', 'was',
-    'is', 'are', 'been', 'has', 'had', 'were', 'can', 'could', 'should', 'may'
-]);
+// Shown while the server refuses AI checks, by the limit it reports
+const COOLDOWN_MESSAGES = {
+    'ip-rate': 'That was a lot of AI checks in a short time. Use the break to work on your feedback!',
+    'class-rate': 'Your class is running lots of AI checks right now.',
+    'ip-daily': "You've used all of today's AI checks.",
+    'class-daily': "Your class has used all of today's AI checks."
+};
+
+// Error codes the server sends when the AI service is struggling and
+// says when to try again; the AI buttons pause like they do for a limit
+const TRY_LATER_MESSAGES = {
+    MODEL_RATE_LIMITED: 'The AI service is very busy right now.',
+    MODEL_UNAVAILABLE: 'The AI service is not responding right now.'
+};
+
+// What to tell the student for other error codes from the AI endpoints
+const AI_ERROR_MESSAGES = {
+    MODEL_TIMEOUT: 'The AI took too long to answer. Please try again in a moment.',
+    MODEL_AUTH_FAILED: "The server's AI key isn't working. Please tell your teacher.",
+    MODEL_OUTPUT_INVALID: 'The AI sent its feedback back in an unexpected form. Please try again.'
+};
 
 // ============================================================================
 // STATE MANAGEMENT
@@ -28,7 +54,28 @@ const STOPWORDS = new Set([
 
 let debounceTimer = null;
 let autosaveTimer = null;
-let criteria = [];
+let criteria = []; // Success criteria of the active document: { text, weight, group }, ordered by group
+let criterionGroups = []; // Group names of the active document, in order; criteria with group '' are ungrouped
+let draggedCriterionIndex = null; // Criterion being dragged in the criteria list
+let analysisController = null; // AbortController for the running AI analysis
+let highlightRanges = []; // Issue ranges currently drawn in the editor backdrop
+let evidenceHighlight = null; // Evidence passage highlighted in the editor: { start, end, message }
+let spellChecker = null; // Loaded dictionary; null while loading or if it failed to load
+let spellingLocale = DEFAULT_SPELLING_LOCALE;
+let personalDictionary = []; // Lowercase words the student has told us are correct
+const suggestionCache = new Map();
+let versions = []; // Saved snapshots of the active document's draft, oldest first
+let documents = []; // Every document; the active one's draft and criteria live in draftInput/criteria while open
+let activeDocumentId = null;
+let analysisDocumentId = null; // Document the running AI analysis belongs to
+let savedRubrics = []; // Rubrics the user saved or imported (templates live in rubrics.js)
+let feedbackProfile = {}; // How AI feedback is pitched: { yearLevel, tone, language, maxFeedbackWords }, all optional
+let classCode = ''; // Sent with AI requests so the server can apply the class's limits
+let cooldownTimer = null; // Counts down while the server is refusing AI requests
+let cooldownUntil = 0;
+let cooldownMessage = '';
+let classInfo = null; // Class a teacher created with the class code: { code, name, teacherName, rubric }
+let studentName = ''; // Sent with submissions so the teacher knows whose draft it is
 
 // ============================================================================
 // DOM ELEMENTS
@@ -40,6 +87,15 @@ const uploadBtn = document.getElementById('uploadBtn');
 const downloadBtn = document.getElementById('downloadBtn');
 const clearBtn = document.getElementById('clearBtn');
 const fileInput = document.getElementById('fileInput');
+const editorWrapper = document.querySelector('.editor-wrapper');
+const importNotice = document.getElementById('importNotice');
+const draftHighlights = document.getElementById('draftHighlights');
+const issueTooltip = document.getElementById('issueTooltip');
+const documentTitle = document.getElementById('documentTitle');
+
+// Documents sidebar
+const newDocumentBtn = document.getElementById('newDocumentBtn');
+const documentList = document.getElementById('documentList');
 
 // Analytics elements
 const wordCount = document.getElementById('wordCount');
@@ -48,10 +104,21 @@ const sentenceCount = document.getElementById('sentenceCount');
 const avgSentenceLength = document.getElementById('avgSentenceLength');
 const longestSentence = document.getElementById('longestSentence');
 const readingTime = document.getElementById('readingTime');
+const fleschReadingEase = document.getElementById('fleschReadingEase');
+const fleschReadingEaseHint = document.getElementById('fleschReadingEaseHint');
+const fleschKincaidGrade = document.getElementById('fleschKincaidGrade');
+const gunningFog = document.getElementById('gunningFog');
+const smogIndex = document.getElementById('smogIndex');
+const smogIndexHint = document.getElementById('smogIndexHint');
+const colemanLiau = document.getElementById('colemanLiau');
+const readabilitySummary = document.getElementById('readabilitySummary');
 
 // Issues elements
 const issuesSummary = document.getElementById('issuesSummary');
 const issuesList = document.getElementById('issuesList');
+const spellingLocaleSelect = document.getElementById('spellingLocaleSelect');
+const personalDictionaryCount = document.getElementById('personalDictionaryCount');
+const personalDictionaryList = document.getElementById('personalDictionaryList');
 
 // Word frequency
 const wordFrequency = document.getElementById('wordFrequency');
@@ -59,18 +126,75 @@ const wordFrequency = document.getElementById('wordFrequency');
 // Sentence table
 const sentenceTable = document.getElementById('sentenceTable');
 
+// Paragraph structure
+const paragraphSummary = document.getElementById('paragraphSummary');
+const paragraphMap = document.getElementById('paragraphMap');
+
 // Criteria elements
 const criterionInput = document.getElementById('criterionInput');
 const addCriterionBtn = document.getElementById('addCriterionBtn');
+const criterionGroupSelect = document.getElementById('criterionGroupSelect');
+const groupInput = document.getElementById('groupInput');
+const addGroupBtn = document.getElementById('addGroupBtn');
 const criteriaList = document.getElementById('criteriaList');
+const criteriaAnnouncer = document.getElementById('criteriaAnnouncer');
 const analyseBtn = document.getElementById('analyseBtn');
 const analysisLoading = document.getElementById('analysisLoading');
+const analysisStatus = document.getElementById('analysisStatus');
+const cancelAnalysisBtn = document.getElementById('cancelAnalysisBtn');
+const quickCheckBtn = document.getElementById('quickCheckBtn');
+
+// Feedback settings elements
+const feedbackSettingsSummary = document.getElementById('feedbackSettingsSummary');
+const yearLevelSelect = document.getElementById('yearLevelSelect');
+const feedbackToneSelect = document.getElementById('feedbackToneSelect');
+const feedbackLanguageInput = document.getElementById('feedbackLanguageInput');
+const maxFeedbackWordsInput = document.getElementById('maxFeedbackWordsInput');
+const classCodeInput = document.getElementById('classCodeInput');
+const studentNameInput = document.getElementById('studentNameInput');
+const quotaStatus = document.getElementById('quotaStatus');
+
+// Class elements
+const classInfoPanel = document.getElementById('classInfo');
+const classInfoText = document.getElementById('classInfoText');
+const useClassRubricBtn = document.getElementById('useClassRubricBtn');
+const submitToTeacherBtn = document.getElementById('submitToTeacherBtn');
+
+// Rubric library elements
+const rubricSelect = document.getElementById('rubricSelect');
+const rubricDescription = document.getElementById('rubricDescription');
+const useRubricBtn = document.getElementById('useRubricBtn');
+const deleteRubricBtn = document.getElementById('deleteRubricBtn');
+const saveRubricBtn = document.getElementById('saveRubricBtn');
+const importRubricBtn = document.getElementById('importRubricBtn');
+const exportRubricJsonBtn = document.getElementById('exportRubricJsonBtn');
+const exportRubricCsvBtn = document.getElementById('exportRubricCsvBtn');
+const rubricFileInput = document.getElementById('rubricFileInput');
 
 // Results elements
 const resultsSection = document.getElementById('resultsSection');
+const resultsTimestamp = document.getElementById('resultsTimestamp');
+const weightedRatingElement = document.getElementById('weightedRating');
+const groupResults = document.getElementById('groupResults');
+
+// Quick check elements
+const quickCheckSection = document.getElementById('quickCheckSection');
+const quickCheckTimestamp = document.getElementById('quickCheckTimestamp');
+const quickCheckImpression = document.getElementById('quickCheckImpression');
+const quickCheckStrengths = document.getElementById('quickCheckStrengths');
+const quickCheckImprovements = document.getElementById('quickCheckImprovements');
 const summaryList = document.getElementById('summaryList');
 const criteriaResults = document.getElementById('criteriaResults');
-const exportFeedbackBtn = document.getElementById('exportFeedbackBtn');
+const exportFeedbackButtons = document.querySelectorAll('[data-export-format]');
+const recheckBtn = document.getElementById('recheckBtn');
+
+// Version history elements
+const saveVersionBtn = document.getElementById('saveVersionBtn');
+const versionList = document.getElementById('versionList');
+const compareFromSelect = document.getElementById('compareFromSelect');
+const compareToSelect = document.getElementById('compareToSelect');
+const versionDiffSummary = document.getElementById('versionDiffSummary');
+const versionDiff = document.getElementById('versionDiff');
 
 // Footer
 const clearAllBtn = document.getElementById('clearAllBtn');
@@ -88,6 +212,16 @@ function initializeApp() {
     setupEventListeners();
     updateAnalytics();
     renderCriteria();
+    renderRubricLibrary();
+    renderFeedbackSettings();
+    renderSpellingOptions();
+    loadSpellingDictionary();
+    renderVersions();
+    renderDocumentList();
+    showDocumentResults();
+    showDocumentQuickCheck();
+    loadQuota();
+    loadClassInfo();
 }
 
 // ============================================================================
@@ -97,39 +231,113 @@ function initializeApp() {
 function setupEventListeners() {
     // Draft input
     draftInput.addEventListener('input', handleDraftInput);
+    draftInput.addEventListener('scroll', syncHighlightScroll);
+    draftInput.addEventListener('mousemove', handleEditorHover);
+    draftInput.addEventListener('mouseleave', hideIssueTooltip);
     
     // Theme toggle
     themeToggle.addEventListener('click', toggleTheme);
     
+    // Documents
+    newDocumentBtn.addEventListener('click', createNewDocument);
+    documentList.addEventListener('click', handleDocumentListClick);
+    
     // File operations
     uploadBtn.addEventListener('click', () => fileInput.click());
     fileInput.addEventListener('change', handleFileUpload);
+    editorWrapper.addEventListener('dragover', handleEditorDragOver);
+    editorWrapper.addEventListener('dragleave', () => editorWrapper.classList.remove('drag-over'));
+    editorWrapper.addEventListener('drop', handleEditorDrop);
     downloadBtn.addEventListener('click', downloadDraft);
     clearBtn.addEventListener('click', clearDraft);
     
+    // Jump from an issue in the list to its place in the draft
+    issuesList.addEventListener('click', handleIssueClick);
+    
+    // Paragraph map
+    paragraphMap.addEventListener('click', handleParagraphClick);
+    
+    // Spelling
+    spellingLocaleSelect.addEventListener('change', changeSpellingLocale);
+    personalDictionaryList.addEventListener('click', handlePersonalDictionaryClick);
+    
     // Criteria management
     addCriterionBtn.addEventListener('click', addCriterion);
     criterionInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') addCriterion();
     });
+    addGroupBtn.addEventListener('click', addGroup);
+    groupInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') addGroup();
+    });
+    criteriaList.addEventListener('click', handleCriteriaListClick);
+    criteriaList.addEventListener('change', handleCriteriaListChange);
+    criteriaList.addEventListener('keydown', handleCriteriaListKeydown);
+    criteriaList.addEventListener('dragstart', handleCriterionDragStart);
+    criteriaList.addEventListener('dragover', handleCriterionDragOver);
+    criteriaList.addEventListener('drop', handleCriterionDrop);
+    criteriaList.addEventListener('dragend', handleCriterionDragEnd);
+    
+    // Rubric library
+    rubricSelect.addEventListener('change', renderRubricDescription);
+    useRubricBtn.addEventListener('click', useSelectedRubric);
+    deleteRubricBtn.addEventListener('click', deleteSelectedRubric);
+    saveRubricBtn.addEventListener('click', saveCriteriaAsRubric);
+    importRubricBtn.addEventListener('click', () => rubricFileInput.click());
+    rubricFileInput.addEventListener('change', handleRubricImport);
+    exportRubricJsonBtn.addEventListener('click', () => exportSelectedRubric('json'));
+    exportRubricCsvBtn.addEventListener('click', () => exportSelectedRubric('csv'));
+    
+    // Feedback settings
+    [yearLevelSelect, feedbackToneSelect, feedbackLanguageInput, maxFeedbackWordsInput]
+        .forEach(input => input.addEventListener('change', handleFeedbackSettingsChange));
+    classCodeInput.addEventListener('change', handleClassCodeChange);
+    studentNameInput.addEventListener('change', handleStudentNameChange);
+    
+    // Class
+    useClassRubricBtn.addEventListener('click', useClassRubric);
+    submitToTeacherBtn.addEventListener('click', submitToTeacher);
     
     // Analysis
-    analyseBtn.addEventListener('click', analyzeWithAI);
+    analyseBtn.addEventListener('click', () => analyzeWithAI());
+    recheckBtn.addEventListener('click', () => analyzeWithAI(true));
+    cancelAnalysisBtn.addEventListener('click', cancelAnalysis);
+    quickCheckBtn.addEventListener('click', runQuickCheck);
+    
+    // Evidence quotes in the results
+    criteriaResults.addEventListener('click', handleCriteriaResultsClick);
     
     // Export
-    exportFeedbackBtn.addEventListener('click', exportFeedback);
+    exportFeedbackButtons.forEach(button => {
+        button.addEventListener('click', () => exportFeedback(button.dataset.exportFormat));
+    });
+    
+    // Version history
+    saveVersionBtn.addEventListener('click', handleSaveVersionClick);
+    versionList.addEventListener('click', handleVersionListClick);
+    compareFromSelect.addEventListener('change', renderVersionDiff);
+    compareToSelect.addEventListener('change', renderVersionDiff);
     
     // Clear all
     clearAllBtn.addEventListener('click', clearAllData);
 }
 
 function handleDraftInput() {
+    // Old highlight positions no longer match the text; redraw after the debounce
+    evidenceHighlight = null;
+    renderHighlights(null);
+    
     clearTimeout(debounceTimer);
     debounceTimer = setTimeout(() => {
         updateAnalytics();
         checkGrammarAndSpelling();
         updateWordFrequency();
         updateSentenceTable();
+        updateParagraphMap();
+        
+        if (compareFromSelect.value === 'current' || compareToSelect.value === 'current') {
+            renderVersionDiff();
+        }
     }, ANALYSIS_DEBOUNCE);
     
     clearTimeout(autosaveTimer);
@@ -148,39 +356,35 @@ function updateAnalytics() {
         return;
     }
     
-    // Count words
-    const words = text.split(/\s+/).filter(word => word.length > 0);
-    const wordCountValue = words.length;
+    const analytics = measureWriting(text);
     
-    // Count characters
-    const charCountValue = text.length;
-    
-    // Count sentences
-    const sentences = getSentences(text);
-    const sentenceCountValue = sentences.length;
-    
-    // Average sentence length
-    const avgLength = sentenceCountValue > 0 
-        ? Math.round(wordCountValue / sentenceCountValue) 
-        : 0;
-    
-    // Longest sentence
-    const longestLength = sentences.reduce((max, sentence) => {
-        const sentenceWords = sentence.split(/\s+/).filter(w => w.length > 0).length;
-        return Math.max(max, sentenceWords);
-    }, 0);
+    // Update DOM
+    wordCount.textContent = analytics.words.toLocaleString();
+    charCount.textContent = analytics.characters.toLocaleString();
+    sentenceCount.textContent = analytics.sentences.toLocaleString();
+    avgSentenceLength.textContent = analytics.averageSentenceLength;
+    longestSentence.textContent = analytics.longestSentence;
+    readingTime.textContent = analytics.readingTime;
+    
+    updateReadability(text);
+}
+
+function updateReadability(text) {
+    const readability = computeReadability(text);
     
-    // Reading time
-    const minutes = Math.floor(wordCountValue / WORDS_PER_MINUTE);
-    const seconds = Math.round((wordCountValue % WORDS_PER_MINUTE) / WORDS_PER_MINUTE * 60);
+    if (!readability) {
+        resetReadability();
+        return;
+    }
     
-    // Update DOM
-    wordCount.textContent = wordCountValue.toLocaleString();
-    charCount.textContent = charCountValue.toLocaleString();
-    sentenceCount.textContent = sentenceCountValue.toLocaleString();
-    avgSentenceLength.textContent = avgLength;
-    longestSentence.textContent = longestLength;
-    readingTime.textContent = `${minutes}m ${seconds}s`;
+    fleschReadingEase.textContent = readability.fleschReadingEase;
+    fleschReadingEaseHint.textContent = describeReadingEase(readability.fleschReadingEase);
+    fleschKincaidGrade.textContent = readability.fleschKincaidGrade;
+    gunningFog.textContent = readability.gunningFog;
+    smogIndex.textContent = readability.smog;
+    smogIndexHint.textContent = readability.smogReliable ? 'US grade' : 'rough (under 30 sentences)';
+    colemanLiau.textContent = readability.colemanLiau;
+    readabilitySummary.textContent = describeReadability(readability);
 }
 
 function resetAnalytics() {
@@ -190,14 +394,16 @@ function resetAnalytics() {
     avgSentenceLength.textContent = '0';
     longestSentence.textContent = '0';
     readingTime.textContent = '0m 0s';
+    resetReadability();
 }
 
-function getSentences(text) {
-    // Split on sentence-ending punctuation
-    return text
-        .split(/[.!?]+/)
-        .map(s => s.trim())
-        .filter(s => s.length > 0);
+function resetReadability() {
+    [fleschReadingEase, fleschKincaidGrade, gunningFog, smogIndex, colemanLiau].forEach(element => {
+        element.textContent = '–';
+    });
+    fleschReadingEaseHint.textContent = '';
+    smogIndexHint.textContent = 'US grade';
+    readabilitySummary.textContent = 'Start typing to see how easy your writing is to read.';
 }
 
 // ============================================================================
@@ -205,72 +411,16 @@ function getSentences(text) {
 // ============================================================================
 
 function checkGrammarAndSpelling() {
-    const text = draftInput.value.trim();
+    const text = draftInput.value;
     
-    if (!text) {
+    if (!text.trim()) {
         issuesSummary.innerHTML = 'Start typing to see feedback...';
         issuesList.innerHTML = '';
+        renderHighlights(null);
         return;
     }
     
-    const issues = {
-        spelling: [],
-        longSentences: [],
-        repeatedWords: [],
-        passiveVoice: [],
-    };
-    
-    const sentences = getSentences(text);
-    
-    // Check each sentence
-    sentences.forEach((sentence, index) => {
-        const words = sentence.split(/\s+/);
-        
-        // Check for long sentences (> 30 words)
-        if (words.length > 30) {
-            issues.longSentences.push({
-                sentence: index + 1,
-                text: sentence.substring(0, 100) + (sentence.length > 100 ? '...' : ''),
-                wordCount: words.length
-            });
-        }
-        
-        // Check for repeated words
-        const repeatedPattern = /\b(\w+)\s+\1\b/gi;
-        if (repeatedPattern.test(sentence)) {
-            issues.repeatedWords.push({
-                sentence: index + 1,
-                text: sentence.substring(0, 100) + (sentence.length > 100 ? '...' : '')
-            });
-        }
-        
-        // Check for passive voice patterns
-        const passivePatterns = [
-            /\b(is|are|was|were|been|being)\s+\w+ed\b/i,
-            /\b(is|are|was|were|been|being)\s+(given|taken|made|done|shown|seen)\b/i
-        ];
-        
-        if (passivePatterns.some(pattern => pattern.test(sentence))) {
-            issues.passiveVoice.push({
-                sentence: index + 1,
-                text: sentence.substring(0, 100) + (sentence.length > 100 ? '...' : '')
-            });
-        }
-    });
-    
-    // Basic spelling check (very simple - checks for common patterns)
-    const words = text.toLowerCase().split(/\s+/);
-    const suspiciousWords = words.filter(word => {
-        // Remove punctuation
-        word = word.replace(/[^a-z]/g, '');
-        // Check for repeated letters (potential typo)
-        if (/(.)\1{3,}/.test(word)) return true;
-        return false;
-    });
-    
-    if (suspiciousWords.length > 0) {
-        issues.spelling = suspiciousWords.slice(0, 10).map(word => ({ word }));
-    }
+    const issues = findIssues(text, spellingOptions());
     
     // Display summary
     const totalIssues = 
@@ -286,6 +436,31 @@ function checkGrammarAndSpelling() {
         issuesSummary.innerHTML = `Found ${totalIssues} potential issue${totalIssues !== 1 ? 's' : ''}`;
         displayIssues(issues);
     }
+    
+    renderHighlights(issues);
+}
+
+/**
+ * The spell checker for findIssues(), with the personal dictionary and
+ * cached suggestions
+ * @returns {Object|null} - null until the dictionary has loaded
+ */
+function spellingOptions() {
+    if (!spellChecker) return null;
+    
+    return {
+        checker: spellChecker,
+        suggest: getSuggestions,
+        ignoredWords: personalDictionary,
+        dictionaryName: SPELLING_LOCALES[spellingLocale],
+    };
+}
+
+function getSuggestions(word) {
+    if (!suggestionCache.has(word)) {
+        suggestionCache.set(word, spellChecker.suggest(word));
+    }
+    return suggestionCache.get(word);
 }
 
 function displayIssues(issues) {
@@ -296,8 +471,8 @@ function displayIssues(issues) {
         html += '<h4>⚠️ Long Sentences</h4>';
         html += '<ul>';
         issues.longSentences.forEach(issue => {
-            html += `<li>Sentence ${issue.sentence}: ${issue.wordCount} words<br>`;
-            html += `<span class="issue-text">"${issue.text}"</span></li>`;
+            html += `<li ${issueLocationAttributes(issue)}>Sentence ${issue.sentence}: ${issue.wordCount} words<br>`;
+            html += `<span class="issue-text">"${escapeHtml(issue.text)}"</span></li>`;
         });
         html += '</ul></div>';
     }
@@ -307,8 +482,8 @@ function displayIssues(issues) {
         html += '<h4>🔄 Repeated Words</h4>';
         html += '<ul>';
         issues.repeatedWords.forEach(issue => {
-            html += `<li>Sentence ${issue.sentence}:<br>`;
-            html += `<span class="issue-text">"${issue.text}"</span></li>`;
+            html += `<li ${issueLocationAttributes(issue)}>Sentence ${issue.sentence}:<br>`;
+            html += `<span class="issue-text">"${escapeHtml(issue.text)}"</span></li>`;
         });
         html += '</ul></div>';
     }
@@ -318,8 +493,8 @@ function displayIssues(issues) {
         html += '<h4>📝 Possible Passive Voice</h4>';
         html += '<ul>';
         issues.passiveVoice.forEach(issue => {
-            html += `<li>Sentence ${issue.sentence}:<br>`;
-            html += `<span class="issue-text">"${issue.text}"</span></li>`;
+            html += `<li ${issueLocationAttributes(issue)}>Sentence ${issue.sentence}:<br>`;
+            html += `<span class="issue-text">"${escapeHtml(issue.text)}"</span></li>`;
         });
         html += '</ul></div>';
     }
@@ -329,7 +504,16 @@ function displayIssues(issues) {
         html += '<h4>✏️ Potential Spelling Issues</h4>';
         html += '<ul>';
         issues.spelling.forEach(issue => {
-            html += `<li>${issue.word}</li>`;
+            html += `<li ${issueLocationAttributes(issue)} data-word="${escapeHtml(issue.word)}">`;
+            html += `<strong>${escapeHtml(issue.word)}</strong>`;
+            html += '<div class="spelling-actions">';
+            issue.suggestions.forEach(suggestion => {
+                html += `<button class="suggestion-btn" data-replacement="${escapeHtml(suggestion)}" title="Replace with this word">${escapeHtml(suggestion)}</button>`;
+            });
+            if (spellChecker) {
+                html += '<button class="btn-link add-word-btn" title="Stop flagging this word">+ Add to dictionary</button>';
+            }
+            html += '</div></li>';
         });
         html += '</ul></div>';
     }
@@ -337,260 +521,2287 @@ function displayIssues(issues) {
     issuesList.innerHTML = html;
 }
 
-// ============================================================================
-// WORD FREQUENCY
-// ============================================================================
+function issueLocationAttributes(issue) {
+    return `class="issue-item" data-start="${issue.start}" data-end="${issue.end}" title="Click to show in your draft"`;
+}
 
-function updateWordFrequency() {
-    const text = draftInput.value.trim().toLowerCase();
+function handleIssueClick(event) {
+    const item = event.target.closest('.issue-item');
+    if (!item) return;
     
-    if (!text) {
-        wordFrequency.innerHTML = 'Start typing to see word frequency...';
+    const start = Number(item.dataset.start);
+    const end = Number(item.dataset.end);
+    
+    const suggestion = event.target.closest('.suggestion-btn');
+    if (suggestion) {
+        applySuggestion(start, end, item.dataset.word, suggestion.dataset.replacement);
         return;
     }
     
-    // Count word frequency
-    const words = text.split(/\s+/).map(word => 
-        word.replace(/[^a-z]/g, '')
-    ).filter(word => 
-        word.length > 3 && !STOPWORDS.has(word)
-    );
-    
-    const frequency = {};
-    words.forEach(word => {
-        frequency[word] = (frequency[word] || 0) + 1;
-    });
-    
-    // Sort by frequency
-    const sorted = Object.entries(frequency)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 10);
-    
-    if (sorted.length === 0) {
-        wordFrequency.innerHTML = 'No significant words found yet...';
+    if (event.target.closest('.add-word-btn')) {
+        addToPersonalDictionary(item.dataset.word);
         return;
     }
     
-    // Display as bars
-    const maxCount = sorted[0][1];
-    let html = '<div class="freq-bars">';
-    sorted.forEach(([word, count]) => {
-        const percentage = (count / maxCount) * 100;
-        html += `
-            <div class="freq-item">
-                <span class="freq-word">${word}</span>
-                <div class="freq-bar-container">
-                    <div class="freq-bar" style="width: ${percentage}%"></div>
-                </div>
-                <span class="freq-count">${count}</span>
-            </div>
-        `;
-    });
-    html += '</div>';
-    
-    wordFrequency.innerHTML = html;
+    focusDraftRange(start, end);
 }
 
 // ============================================================================
-// SENTENCE TABLE
+// FEEDBACK SETTINGS
 // ============================================================================
 
-function updateSentenceTable() {
-    const text = draftInput.value.trim();
+/**
+ * Keeps only the settings the backend accepts, dropping unset or invalid ones
+ * @param {Object} profile - Saved or entered settings
+ * @returns {Object} - { yearLevel?, tone?, language?, maxFeedbackWords? }
+ */
+function normalizeFeedbackProfile(profile) {
+    const normalized = {};
     
-    if (!text) {
-        sentenceTable.innerHTML = 'Start typing to see sentence breakdown...';
-        return;
+    const yearLevel = Number(profile.yearLevel);
+    if (Number.isInteger(yearLevel) && yearLevel >= 1 && yearLevel <= MAX_YEAR_LEVEL) {
+        normalized.yearLevel = yearLevel;
     }
     
-    const sentences = getSentences(text);
+    if (FEEDBACK_TONES.hasOwnProperty(profile.tone)) {
+        normalized.tone = profile.tone;
+    }
     
-    if (sentences.length === 0) {
-        sentenceTable.innerHTML = 'No complete sentences found yet...';
-        return;
+    const language = typeof profile.language === 'string' ? profile.language.trim() : '';
+    if (FEEDBACK_LANGUAGE_PATTERN.test(language)) {
+        normalized.language = language;
     }
     
-    let html = '<table class="sentence-table">';
-    html += '<thead><tr><th>#</th><th>Sentence Preview</th><th>Words</th><th>Flag</th></tr></thead>';
-    html += '<tbody>';
+    // Out-of-range lengths are clamped rather than dropped
+    const maxWords = Math.round(Number(profile.maxFeedbackWords));
+    if (profile.maxFeedbackWords !== '' && profile.maxFeedbackWords !== undefined && Number.isFinite(maxWords)) {
+        normalized.maxFeedbackWords = Math.min(Math.max(maxWords, MIN_FEEDBACK_WORDS), MAX_FEEDBACK_WORDS);
+    }
     
-    sentences.forEach((sentence, index) => {
-        const words = sentence.split(/\s+/).filter(w => w.length > 0);
-        const wordCount = words.length;
-        const isLong = wordCount > 30;
-        const preview = sentence.substring(0, 80) + (sentence.length > 80 ? '...' : '');
-        
-        html += `
-            <tr class="${isLong ? 'long-sentence' : ''}">
-                <td>${index + 1}</td>
-                <td>${preview}</td>
-                <td>${wordCount}</td>
-                <td>${isLong ? '⚠️ Long' : '✓'}</td>
-            </tr>
-        `;
+    return normalized;
+}
+
+/**
+ * @returns {Object|undefined} - Profile for AI requests, or undefined if nothing is set
+ */
+function profileForRequest() {
+    return Object.keys(feedbackProfile).length > 0 ? { ...feedbackProfile } : undefined;
+}
+
+function renderFeedbackSettings() {
+    if (yearLevelSelect.options.length === 0) {
+        const years = Array.from({ length: MAX_YEAR_LEVEL }, (_, i) => `<option value="${i + 1}">Year ${i + 1}</option>`);
+        yearLevelSelect.innerHTML = '<option value="">Not set</option>' + years.join('');
+    }
+    
+    yearLevelSelect.value = feedbackProfile.yearLevel || '';
+    feedbackToneSelect.value = feedbackProfile.tone || '';
+    feedbackLanguageInput.value = feedbackProfile.language || '';
+    maxFeedbackWordsInput.value = feedbackProfile.maxFeedbackWords || '';
+    classCodeInput.value = classCode;
+    studentNameInput.value = studentName;
+    
+    const parts = [
+        feedbackProfile.yearLevel && `Year ${feedbackProfile.yearLevel}`,
+        feedbackProfile.tone && FEEDBACK_TONES[feedbackProfile.tone],
+        feedbackProfile.language,
+        feedbackProfile.maxFeedbackWords && `≤${feedbackProfile.maxFeedbackWords} words`
+    ].filter(Boolean);
+    feedbackSettingsSummary.textContent = parts.length > 0 ? `(${parts.join(', ')})` : '';
+}
+
+function handleFeedbackSettingsChange() {
+    const language = feedbackLanguageInput.value.trim();
+    if (language && !FEEDBACK_LANGUAGE_PATTERN.test(language)) {
+        alert('Please enter a language name using letters only, e.g. "Spanish"');
+    }
+    
+    feedbackProfile = normalizeFeedbackProfile({
+        yearLevel: yearLevelSelect.value,
+        tone: feedbackToneSelect.value,
+        language: language,
+        maxFeedbackWords: maxFeedbackWordsInput.value
     });
     
-    html += '</tbody></table>';
-    sentenceTable.innerHTML = html;
+    renderFeedbackSettings();
+    saveToLocalStorage();
 }
 
 // ============================================================================
-// SUCCESS CRITERIA MANAGEMENT
+// USAGE LIMITS
 // ============================================================================
 
-function addCriterion() {
-    const value = criterionInput.value.trim();
-    
-    if (!value) {
-        alert('Please enter a criterion');
-        return;
+/**
+ * @returns {Object} - Headers for AI requests, with the class code if one is set
+ */
+function apiHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (classCode) {
+        headers['X-Class-Code'] = classCode;
     }
-    
-    if (criteria.length >= MAX_CRITERIA) {
-        alert(`Maximum ${MAX_CRITERIA} criteria allowed`);
+    return headers;
+}
+
+function handleClassCodeChange() {
+    const code = classCodeInput.value.trim().toUpperCase();
+    if (code && !CLASS_CODE_PATTERN.test(code)) {
+        alert('Class codes are 3-32 letters, numbers or hyphens. Please check the code from your teacher.');
+        classCodeInput.value = classCode;
         return;
     }
     
-    criteria.push(value);
-    criterionInput.value = '';
-    renderCriteria();
+    classCode = code;
+    classCodeInput.value = code;
     saveToLocalStorage();
+    loadQuota();
+    loadClassInfo();
 }
 
-function removeCriterion(index) {
-    criteria.splice(index, 1);
-    renderCriteria();
-    saveToLocalStorage();
+/**
+ * Enables the AI buttons unless a check is running or the server has asked us to wait
+ */
+function updateAIButtons() {
+    const busy = analysisController !== null || cooldownTimer !== null;
+    analyseBtn.disabled = busy || criteria.length === 0;
+    quickCheckBtn.disabled = busy;
 }
 
-function editCriterion(index) {
-    const newValue = prompt('Edit criterion:', criteria[index]);
-    if (newValue !== null && newValue.trim()) {
-        criteria[index] = newValue.trim();
-        renderCriteria();
-        saveToLocalStorage();
+/**
+ * Fetches how many AI checks are left today, without using one
+ */
+async function loadQuota() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/quota`, { headers: apiHeaders() });
+        const result = await response.json();
+        renderQuota(response.ok ? result.data : null);
+    } catch (error) {
+        // The quota is only informative; the checks themselves report real errors
+        console.error('Failed to load quota:', error);
     }
 }
 
-function renderCriteria() {
-    if (criteria.length === 0) {
-        criteriaList.innerHTML = '<li class="empty-state">No criteria added yet. Add some above!</li>';
-        analyseBtn.disabled = true;
+/**
+ * Updates the quota shown from the headers of an AI response
+ * @param {Response} response - Response from an AI endpoint
+ */
+function updateQuota(response) {
+    const limit = response.headers.get('X-Quota-Limit');
+    if (limit === null) return;
+    
+    renderQuota({
+        limit: Number(limit),
+        remaining: Number(response.headers.get('X-Quota-Remaining')),
+        resetAt: response.headers.get('X-Quota-Reset')
+    });
+}
+
+/**
+ * @param {Object|null} quota - { limit, remaining, resetAt }, or null when there is no daily limit
+ */
+function renderQuota(quota) {
+    if (cooldownTimer) return; // The cooldown message says more
+    
+    quotaStatus.classList.remove('cooldown');
+    if (!quota) {
+        quotaStatus.textContent = '';
+    } else if (quota.remaining > 0) {
+        quotaStatus.textContent = `AI checks left today: ${quota.remaining} of ${quota.limit}`;
+    } else {
+        const reset = new Date(quota.resetAt).toLocaleTimeString(undefined, { timeStyle: 'short' });
+        quotaStatus.textContent = `You've used all ${quota.limit} AI checks for today. More are available from ${reset}.`;
+    }
+}
+
+/**
+ * Pauses the AI buttons after the server refused a request (429) or said
+ * the AI service is struggling, counting down until it says to try again
+ * @param {Response|null} response - The error response, or null for an
+ *   error event in a stream
+ * @param {Object} result - The error body: { error, code, limit, retryAfter }
+ */
+function startCooldown(response, result) {
+    const seconds = (response && Number(response.headers.get('Retry-After'))) || result.retryAfter || 60;
+    cooldownUntil = Date.now() + seconds * 1000;
+    cooldownMessage = COOLDOWN_MESSAGES[result.limit] || TRY_LATER_MESSAGES[result.code] ||
+        result.error || 'Too many AI checks in a short time.';
+    
+    clearInterval(cooldownTimer);
+    cooldownTimer = setInterval(renderCooldown, 1000);
+    updateAIButtons();
+    renderCooldown();
+}
+
+function renderCooldown() {
+    const secondsLeft = Math.ceil((cooldownUntil - Date.now()) / 1000);
+    
+    if (secondsLeft <= 0) {
+        clearInterval(cooldownTimer);
+        cooldownTimer = null;
+        updateAIButtons();
+        loadQuota();
         return;
     }
     
-    analyseBtn.disabled = false;
-    
-    let html = '';
-    criteria.forEach((criterion, index) => {
-        html += `
-            <li class="criterion-item">
-                <span class="criterion-number">${index + 1}.</span>
-                <span class="criterion-text">${criterion}</span>
-                <div class="criterion-actions">
-                    <button onclick="editCriterion(${index})" class="btn-icon" title="Edit">✏️</button>
-                    <button onclick="removeCriterion(${index})" class="btn-icon" title="Delete">🗑️</button>
-                </div>
-            </li>
-        `;
-    });
-    
-    criteriaList.innerHTML = html;
+    quotaStatus.classList.add('cooldown');
+    quotaStatus.textContent = `⏳ ${cooldownMessage} You can try again in ${formatDuration(secondsLeft)}.`;
+}
+
+/**
+ * Reports whether an error body from the AI endpoints means the AI buttons
+ * should pause until the server says to try again
+ * @param {number} status - HTTP status (200 for an error event in a stream)
+ * @param {Object} result - The error body: { error, code, retryAfter }
+ * @returns {boolean}
+ */
+function shouldCoolDown(status, result) {
+    return status === 429 || result.code in TRY_LATER_MESSAGES;
+}
+
+/**
+ * Builds an Error from an error body of the AI endpoints, keeping its code
+ * @param {Object} result - The error body: { error, code, retryAfter }
+ * @param {string} fallbackMessage - Used when the body has no message
+ * @returns {Error} - With code and retryAfter properties
+ */
+function apiError(result, fallbackMessage) {
+    const error = new Error(result.error || fallbackMessage);
+    error.code = result.code || null;
+    error.retryAfter = result.retryAfter || null;
+    return error;
+}
+
+/**
+ * Words the alert shown when an AI check fails
+ * @param {string} action - What failed, e.g. "Failed to analyze draft"
+ * @param {Error} error - The failure, from apiError() or fetch()
+ * @returns {string}
+ */
+function aiErrorMessage(action, error) {
+    if (AI_ERROR_MESSAGES[error.code]) {
+        return `${action}: ${AI_ERROR_MESSAGES[error.code]}`;
+    }
+    if (error.code) {
+        return `${action}: ${error.message}`; // The server answered, so the checklist doesn't apply
+    }
+    return `${action}: ${error.message}\n\nPlease check that:\n1. The backend server is running\n2. Your OpenAI API key is configured\n3. You have internet connection`;
 }
 
-// Make functions available globally for inline event handlers
-window.removeCriterion = removeCriterion;
-window.editCriterion = editCriterion;
+/**
+ * @param {number} seconds - Whole seconds
+ * @returns {string} - e.g. "45s", "2m 05s" or "3h 20m"
+ */
+function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor(seconds % 3600 / 60);
+    const secs = String(seconds % 60).padStart(2, '0');
+    
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m ${secs}s`;
+    return `${seconds}s`;
+}
 
 // ============================================================================
-// AI ANALYSIS
+// CLASS SUBMISSIONS
 // ============================================================================
 
-async function analyzeWithAI() {
-    const draft = draftInput.value.trim();
+/**
+ * Looks up the class a teacher created with the class code. The server
+ * refuses AI checks sent with a code that has no class, so say so now.
+ */
+async function loadClassInfo() {
+    classInfo = null;
+    renderClassInfo();
+    if (!classCode) return;
     
-    if (!draft) {
-        alert('Please enter a draft first');
-        return;
+    const code = classCode;
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/classes/${encodeURIComponent(code)}`);
+        const result = await response.json();
+        
+        // Ignore the answer if the code changed while it was loading
+        if (response.ok && code === classCode) {
+            classInfo = result.data;
+            renderClassInfo();
+        } else if (response.status === 404 && code === classCode) {
+            alert(`No class has the code ${code}. Please check the code from your teacher under "Feedback settings".`);
+        }
+    } catch (error) {
+        console.error('Failed to load class:', error);
+    }
+}
+
+function renderClassInfo() {
+    classInfoPanel.hidden = !classInfo;
+    submitToTeacherBtn.hidden = !classInfo;
+    if (!classInfo) return;
+    
+    const teacher = classInfo.teacherName ? ` with ${classInfo.teacherName}` : '';
+    const count = classInfo.rubric.criteria.length;
+    classInfoText.textContent = `🏫 ${classInfo.name}${teacher} · Class rubric: ${classInfo.rubric.name} (${count} criteri${count === 1 ? 'on' : 'a'})`;
+}
+
+function useClassRubric() {
+    if (classInfo) {
+        applyRubric(normalizeRubric(classInfo.rubric));
     }
+}
+
+function handleStudentNameChange() {
+    studentName = studentNameInput.value.trim().slice(0, MAX_STUDENT_NAME_LENGTH);
+    studentNameInput.value = studentName;
+    saveToLocalStorage();
+}
+
+/**
+ * Finds the draft the active document's feedback was written for: the
+ * latest version saved before it was checked
+ * @param {Object} doc - Active document
+ * @returns {string} - Checked draft (the current one if no version is left)
+ */
+function checkedDraft(doc) {
+    const checked = versions.filter(version => version.timestamp <= doc.analysedAt).pop();
+    return checked ? checked.draft : draftInput.value;
+}
+
+/**
+ * Hands the checked draft and its AI feedback in to the class teacher
+ */
+async function submitToTeacher() {
+    const doc = getActiveDocument();
+    if (!classInfo || !doc.results) return;
     
-    if (criteria.length === 0) {
-        alert('Please add at least one success criterion');
+    const draft = checkedDraft(doc);
+    if (draft !== draftInput.value &&
+        !confirm('You have changed your draft since it was checked. Submit the version that was checked?\n\nTo submit your latest changes, check your draft again first.')) {
         return;
     }
     
-    // Show loading state
-    analyseBtn.disabled = true;
-    analysisLoading.style.display = 'block';
-    resultsSection.style.display = 'none';
+    if (!studentName) {
+        const name = prompt('Your name, so your teacher knows whose draft this is:', '');
+        if (name === null || !name.trim()) return;
+        studentName = name.trim().slice(0, MAX_STUDENT_NAME_LENGTH);
+        renderFeedbackSettings();
+    }
     
+    submitToTeacherBtn.disabled = true;
     try {
-        const response = await fetch(`${API_BASE_URL}/api/analyse`, {
+        const response = await fetch(`${API_BASE_URL}/api/classes/${encodeURIComponent(classInfo.code)}/submissions`, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
+            headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
+                studentName: studentName,
+                title: doc.title,
                 draft: draft,
-                criteria: criteria
+                results: doc.results,
+                resultToken: doc.results.resultToken
             })
         });
-        
         const result = await response.json();
-        
         if (!response.ok) {
-            throw new Error(result.error || 'Analysis failed');
-        }
-        
-        if (!result.success) {
-            throw new Error(result.error || 'Analysis failed');
+            throw new Error(result.error || 'Submission failed');
         }
         
-        displayResults(result.data);
-        
+        doc.submission = {
+            id: result.data.id,
+            classCode: classInfo.code,
+            className: classInfo.name,
+            submittedAt: result.data.submittedAt,
+            analysedAt: doc.analysedAt
+        };
+        saveToLocalStorage();
+        renderResultsTimestamp(doc);
+        alert(`Submitted "${doc.title}" to ${classInfo.name}. Your teacher can now see your draft and its feedback.`);
     } catch (error) {
-        console.error('Analysis error:', error);
-        alert(`Failed to analyze draft: ${error.message}\n\nPlease check that:\n1. The backend server is running\n2. Your OpenAI API key is configured\n3. You have internet connection`);
+        console.error('Submission error:', error);
+        alert(`Failed to submit your draft: ${error.message}`);
     } finally {
-        analyseBtn.disabled = false;
-        analysisLoading.style.display = 'none';
+        submitToTeacherBtn.disabled = false;
     }
 }
 
-function displayResults(data) {
-    // Display summary
-    summaryList.innerHTML = '';
-    if (data.summary && data.summary.length > 0) {
-        data.summary.forEach(point => {
-            const li = document.createElement('li');
+// ============================================================================
+// SPELLING DICTIONARY
+// ============================================================================
+
+function renderSpellingOptions() {
+    spellingLocaleSelect.innerHTML = Object.entries(SPELLING_LOCALES)
+        .map(([locale, label]) => `<option value="${locale}">${label}</option>`)
+        .join('');
+    spellingLocaleSelect.value = spellingLocale;
+    renderPersonalDictionary();
+}
+
+async function loadSpellingDictionary() {
+    const locale = spellingLocale;
+    spellChecker = null;
+    suggestionCache.clear();
+    
+    try {
+        const checker = await loadSpellChecker(locale);
+        // Ignore a slow load if the student has switched locale since
+        if (locale !== spellingLocale) return;
+        spellChecker = checker;
+    } catch (error) {
+        console.error('Failed to load spelling dictionary:', error);
+    }
+    
+    checkGrammarAndSpelling();
+}
+
+function changeSpellingLocale() {
+    spellingLocale = spellingLocaleSelect.value;
+    saveToLocalStorage();
+    loadSpellingDictionary();
+}
+
+/**
+ * Replaces a misspelled word in the draft with a suggestion
+ * @param {number} start - Start offset of the word
+ * @param {number} end - End offset of the word
+ * @param {string} original - The word as it was when the issue was found
+ * @param {string} replacement - Suggested spelling
+ */
+function applySuggestion(start, end, original, replacement) {
+    // The draft may have changed since the issue list was drawn
+    if (draftInput.value.slice(start, end) !== original) {
+        checkGrammarAndSpelling();
+        return;
+    }
+    
+    draftInput.setRangeText(replacement, start, end, 'end');
+    draftInput.focus();
+    handleDraftInput();
+}
+
+function addToPersonalDictionary(word) {
+    const lower = word.toLowerCase();
+    if (!personalDictionary.includes(lower)) {
+        personalDictionary.push(lower);
+        personalDictionary.sort();
+    }
+    
+    renderPersonalDictionary();
+    saveToLocalStorage();
+    checkGrammarAndSpelling();
+}
+
+function handlePersonalDictionaryClick(event) {
+    const button = event.target.closest('.remove-word-btn');
+    if (!button) return;
+    
+    personalDictionary = personalDictionary.filter(word => word !== button.dataset.word);
+    renderPersonalDictionary();
+    saveToLocalStorage();
+    checkGrammarAndSpelling();
+}
+
+function renderPersonalDictionary() {
+    personalDictionaryCount.textContent = personalDictionary.length;
+    
+    if (personalDictionary.length === 0) {
+        personalDictionaryList.innerHTML = '<li class="empty-state">No words added yet.</li>';
+        return;
+    }
+    
+    personalDictionaryList.innerHTML = personalDictionary.map(word => `
+        <li class="dictionary-word">
+            ${escapeHtml(word)}
+            <button class="btn-icon remove-word-btn" data-word="${escapeHtml(word)}" title="Remove from dictionary">✖</button>
+        </li>
+    `).join('');
+}
+
+// ============================================================================
+// INLINE HIGHLIGHTING
+// ============================================================================
+
+// Issue types in priority order: when underlines overlap, the first wins
+const HIGHLIGHT_TYPES = [
+    { key: 'spelling', className: 'hl-spelling' },
+    { key: 'repeatedWords', className: 'hl-repeated' },
+    { key: 'passiveVoice', className: 'hl-passive' },
+    { key: 'longSentences', className: 'hl-long' },
+];
+
+/**
+ * Mirrors the draft into the backdrop behind the textarea, wrapping
+ * each issue's characters in a <mark> so it appears underlined in place
+ * @param {Object|null} issues - Result of findIssues(), or null to clear
+ */
+function renderHighlights(issues) {
+    hideIssueTooltip();
+    highlightRanges = [];
+    
+    if (!issues) {
+        draftHighlights.innerHTML = '';
+        return;
+    }
+    
+    HIGHLIGHT_TYPES.forEach(({ key, className }) => {
+        issues[key].forEach(issue => {
+            if (issue.end > issue.start) {
+                highlightRanges.push({ start: issue.start, end: issue.end, className, message: issue.message });
+            }
+        });
+    });
+    
+    if (evidenceHighlight) {
+        highlightRanges.push({ ...evidenceHighlight, className: 'hl-evidence' });
+    }
+    
+    const text = draftInput.value;
+    const boundaries = new Set([0, text.length]);
+    highlightRanges.forEach(range => {
+        boundaries.add(range.start);
+        boundaries.add(range.end);
+    });
+    const points = Array.from(boundaries).sort((a, b) => a - b);
+    
+    let html = '';
+    for (let i = 0; i < points.length - 1; i++) {
+        const from = points[i];
+        const to = points[i + 1];
+        const segment = escapeHtml(text.slice(from, to));
+        const covering = [];
+        highlightRanges.forEach((range, index) => {
+            if (range.start <= from && range.end >= to) covering.push(index);
+        });
+        
+        if (covering.length === 0) {
+            html += segment;
+        } else {
+            const classes = covering.map(index => highlightRanges[index].className);
+            html += `<mark class="${Array.from(new Set(classes)).join(' ')}" data-start="${from}" data-ranges="${covering.join(',')}">${segment}</mark>`;
+        }
+    }
+    
+    // A trailing newline keeps the backdrop as tall as the textarea content
+    draftHighlights.innerHTML = html + '\n';
+    syncHighlightScroll();
+}
+
+function syncHighlightScroll() {
+    draftHighlights.scrollTop = draftInput.scrollTop;
+    draftHighlights.scrollLeft = draftInput.scrollLeft;
+}
+
+/**
+ * Shows the explanation for the underline under the mouse pointer.
+ * The textarea sits above the backdrop, so marks are hit-tested by position.
+ */
+function handleEditorHover(event) {
+    const marks = draftHighlights.querySelectorAll('mark');
+    
+    for (const mark of marks) {
+        for (const rect of mark.getClientRects()) {
+            if (event.clientX >= rect.left && event.clientX <= rect.right &&
+                event.clientY >= rect.top && event.clientY <= rect.bottom) {
+                const messages = mark.dataset.ranges
+                    .split(',')
+                    .map(index => highlightRanges[Number(index)].message);
+                showIssueTooltip(messages, event.clientX, rect.bottom);
+                return;
+            }
+        }
+    }
+    
+    hideIssueTooltip();
+}
+
+function showIssueTooltip(messages, x, y) {
+    issueTooltip.innerHTML = messages.map(message => `<p>${escapeHtml(message)}</p>`).join('');
+    issueTooltip.style.left = `${x}px`;
+    issueTooltip.style.top = `${y + 6}px`;
+    issueTooltip.hidden = false;
+}
+
+function hideIssueTooltip() {
+    issueTooltip.hidden = true;
+}
+
+/**
+ * Selects a range of the draft and scrolls it into view
+ * @param {number} start - Start offset in draftInput.value
+ * @param {number} end - End offset in draftInput.value
+ */
+function focusDraftRange(start, end) {
+    draftInput.focus();
+    draftInput.setSelectionRange(start, end);
+    
+    // Scroll the textarea so the selection is visible
+    const mark = Array.from(draftHighlights.querySelectorAll('mark'))
+        .find(m => Number(m.dataset.start) >= start);
+    if (mark) {
+        draftInput.scrollTop = Math.max(0, mark.offsetTop - draftInput.clientHeight / 3);
+        syncHighlightScroll();
+    }
+    
+    draftInput.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+// ============================================================================
+// WORD FREQUENCY
+// ============================================================================
+
+function updateWordFrequency() {
+    const text = draftInput.value.trim();
+    
+    if (!text) {
+        wordFrequency.innerHTML = 'Start typing to see word frequency...';
+        return;
+    }
+    
+    const sorted = countWordFrequency(text);
+    
+    if (sorted.length === 0) {
+        wordFrequency.innerHTML = 'No significant words found yet...';
+        return;
+    }
+    
+    // Display as bars
+    const maxCount = sorted[0][1];
+    let html = '<div class="freq-bars">';
+    sorted.forEach(([word, count]) => {
+        const percentage = (count / maxCount) * 100;
+        html += `
+            <div class="freq-item">
+                <span class="freq-word">${word}</span>
+                <div class="freq-bar-container">
+                    <div class="freq-bar" style="width: ${percentage}%"></div>
+                </div>
+                <span class="freq-count">${count}</span>
+            </div>
+        `;
+    });
+    html += '</div>';
+    
+    wordFrequency.innerHTML = html;
+}
+
+// ============================================================================
+// SENTENCE TABLE
+// ============================================================================
+
+function updateSentenceTable() {
+    const text = draftInput.value.trim();
+    
+    if (!text) {
+        sentenceTable.innerHTML = 'Start typing to see sentence breakdown...';
+        return;
+    }
+    
+    const sentences = tokenizeSentences(text);
+    
+    if (sentences.length === 0) {
+        sentenceTable.innerHTML = 'No complete sentences found yet...';
+        return;
+    }
+    
+    let html = '<table class="sentence-table">';
+    html += '<thead><tr><th>#</th><th title="Paragraph">¶</th><th>Sentence Preview</th><th>Words</th><th>Flag</th></tr></thead>';
+    html += '<tbody>';
+    
+    sentences.forEach((sentence, index) => {
+        const wordCount = countWords(sentence.text);
+        const isLong = wordCount > 30;
+        const preview = sentence.text.substring(0, 80) + (sentence.text.length > 80 ? '...' : '');
+        
+        html += `
+            <tr class="${isLong ? 'long-sentence' : ''}">
+                <td>${index + 1}</td>
+                <td>${sentence.paragraph + 1}</td>
+                <td>${escapeHtml(preview)}</td>
+                <td>${wordCount}</td>
+                <td>${isLong ? '⚠️ Long' : '✓'}</td>
+            </tr>
+        `;
+    });
+    
+    html += '</tbody></table>';
+    sentenceTable.innerHTML = html;
+}
+
+// ============================================================================
+// PARAGRAPH STRUCTURE
+// ============================================================================
+
+function updateParagraphMap() {
+    const text = draftInput.value;
+    
+    if (!text.trim()) {
+        paragraphSummary.innerHTML = '';
+        paragraphMap.innerHTML = 'Start typing to see paragraph structure...';
+        return;
+    }
+    
+    const paragraphs = analyzeParagraphs(text);
+    const singles = paragraphs.filter(p => p.flag === 'single-sentence').length;
+    const walls = paragraphs.filter(p => p.flag === 'wall').length;
+    
+    let summary = `${paragraphs.length} paragraph${paragraphs.length !== 1 ? 's' : ''}`;
+    if (singles > 0) summary += ` · ${singles} one-sentence`;
+    if (walls > 0) summary += ` · ${walls} wall${walls !== 1 ? 's' : ''} of text`;
+    if (paragraphs.length === 1 && countWords(text) > LONG_PARAGRAPH_WORDS / 2) {
+        summary += ' · Try breaking your writing into paragraphs with a blank line';
+    }
+    paragraphSummary.textContent = summary;
+    
+    // Bar widths are relative to the longest paragraph
+    const maxWords = Math.max(...paragraphs.map(p => p.wordCount), 1);
+    
+    paragraphMap.innerHTML = '<ul class="paragraph-list">' + paragraphs.map(paragraph => {
+        const preview = paragraph.topicSentence.substring(0, 90) + (paragraph.topicSentence.length > 90 ? '...' : '');
+        const flagLabels = {
+            heading: '📌 Heading',
+            wall: '⚠️ Wall of text - consider splitting',
+            'single-sentence': '⚠️ Only one sentence - develop or merge'
+        };
+        const flagLabel = flagLabels[paragraph.flag] || '✓';
+        
+        return `
+            <li class="paragraph-item ${paragraph.flag ? `paragraph-${paragraph.flag}` : ''}" data-start="${paragraph.start}" data-end="${paragraph.end}" title="Click to show in your draft">
+                <div class="paragraph-header">
+                    <span class="paragraph-number">¶${paragraph.number}</span>
+                    <span class="paragraph-stats">${paragraph.sentenceCount} sentence${paragraph.sentenceCount !== 1 ? 's' : ''} · ${paragraph.wordCount} words</span>
+                    <span class="paragraph-flag">${flagLabel}</span>
+                </div>
+                <div class="paragraph-bar-container">
+                    <div class="paragraph-bar" style="width: ${(paragraph.wordCount / maxWords) * 100}%"></div>
+                </div>
+                <p class="paragraph-topic"><strong>Topic sentence:</strong> ${escapeHtml(preview)}</p>
+            </li>
+        `;
+    }).join('') + '</ul>';
+}
+
+function handleParagraphClick(event) {
+    const item = event.target.closest('.paragraph-item');
+    if (!item) return;
+    
+    focusDraftRange(Number(item.dataset.start), Number(item.dataset.end));
+}
+
+// ============================================================================
+// SUCCESS CRITERIA MANAGEMENT
+// ============================================================================
+
+function addCriterion() {
+    const value = criterionInput.value.trim();
+    
+    if (!value) {
+        alert('Please enter a criterion');
+        return;
+    }
+    
+    if (criteria.length >= MAX_CRITERIA) {
+        alert(`Maximum ${MAX_CRITERIA} criteria allowed`);
+        return;
+    }
+    
+    criteria.push({ text: value, weight: 1, group: criterionGroupSelect.value });
+    sortCriteria();
+    criterionInput.value = '';
+    renderCriteria();
+    saveToLocalStorage();
+}
+
+function removeCriterion(index) {
+    criteria.splice(index, 1);
+    renderCriteria();
+    saveToLocalStorage();
+}
+
+function editCriterion(index) {
+    const textElement = criteriaList.querySelector(`.criterion-item[data-index="${index}"] .criterion-text`);
+    
+    editInline(textElement, criteria[index].text, MAX_CRITERION_LENGTH, `Criterion ${index + 1}`, text => {
+        criteria[index].text = text;
+        renderCriteria();
+        saveToLocalStorage();
+    });
+}
+
+function setCriterionWeight(index, value) {
+    const weight = Number(value);
+    
+    if (Number.isFinite(weight) && weight > 0 && weight <= MAX_CRITERION_WEIGHT) {
+        criteria[index].weight = weight;
+        saveToLocalStorage();
+    }
+    renderCriteria();
+}
+
+/**
+ * Swaps an element for a text box so its value can be edited in place.
+ * Enter or leaving the box saves; Escape cancels.
+ * @param {HTMLElement} element - Element showing the current value
+ * @param {string} value - Current value
+ * @param {number} maxLength - Longest allowed value
+ * @param {string} label - Accessible name for the text box
+ * @param {Function} onSave - Called with the new value when it changed and isn't blank
+ */
+function editInline(element, value, maxLength, label, onSave) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'inline-edit';
+    input.value = value;
+    input.maxLength = maxLength;
+    input.setAttribute('aria-label', label);
+    
+    // Enter saves and then blurs the removed box; only finish once
+    let finished = false;
+    const finish = save => {
+        if (finished) return;
+        finished = true;
+        
+        const newValue = input.value.trim();
+        if (save && newValue && newValue !== value) {
+            onSave(newValue);
+        } else {
+            renderCriteria();
+        }
+    };
+    
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            finish(true);
+        } else if (e.key === 'Escape') {
+            finish(false);
+        }
+    });
+    input.addEventListener('blur', () => finish(true));
+    
+    element.replaceWith(input);
+    input.focus();
+    input.select();
+}
+
+/**
+ * Converts a stored criterion to { text, weight, group }; documents saved
+ * before weightings existed store plain strings
+ * @param {string|Object} criterion - Stored criterion
+ * @returns {{text: string, weight: number, group: string}}
+ */
+function toCriterion(criterion) {
+    if (typeof criterion === 'string') {
+        return { text: criterion, weight: 1, group: '' };
+    }
+    return { text: criterion.text, weight: criterion.weight || 1, group: criterion.group || '' };
+}
+
+/**
+ * Orders criteria by group: ungrouped first, then each group in order.
+ * Criteria keep their order within a group. Criterion numbers follow this
+ * order, which is also how the API numbers grouped criteria.
+ */
+function sortCriteria() {
+    const order = ['', ...criterionGroups];
+    criteria.sort((a, b) => order.indexOf(a.group) - order.indexOf(b.group));
+}
+
+/**
+ * Lists the groups used by some criteria, in the order they first appear.
+ * Group names that differ only in case are merged into the first spelling.
+ * @param {Array<Object>} list - Criteria (their group names may be updated)
+ * @returns {Array<string>}
+ */
+function collectGroups(list) {
+    const names = [];
+    
+    list.forEach(criterion => {
+        if (!criterion.group) return;
+        
+        const existing = names.find(name => name.toLowerCase() === criterion.group.toLowerCase());
+        if (existing) {
+            criterion.group = existing;
+        } else {
+            names.push(criterion.group);
+        }
+    });
+    
+    return names;
+}
+
+/**
+ * Finds a group by name, ignoring case
+ * @param {string} name - Group name
+ * @returns {number} - Index in criterionGroups, or -1
+ */
+function findGroupIndex(name) {
+    return criterionGroups.findIndex(group => group.toLowerCase() === name.toLowerCase());
+}
+
+function addGroup() {
+    const name = groupInput.value.trim();
+    
+    if (!name) {
+        alert('Please enter a group name');
+        return;
+    }
+    
+    if (findGroupIndex(name) !== -1) {
+        alert(`There is already a group called "${name}"`);
+        return;
+    }
+    
+    criterionGroups.push(name);
+    groupInput.value = '';
+    renderCriteria();
+    criterionGroupSelect.value = name;
+    saveToLocalStorage();
+}
+
+function renameGroup(groupIndex) {
+    const oldName = criterionGroups[groupIndex];
+    const nameElement = criteriaList.querySelector(`.criteria-group[data-group-index="${groupIndex}"] .criteria-group-name`);
+    
+    editInline(nameElement, oldName, MAX_GROUP_NAME_LENGTH, `Name of group "${oldName}"`, name => {
+        const existing = findGroupIndex(name);
+        if (existing !== -1 && existing !== groupIndex) {
+            alert(`There is already a group called "${name}"`);
+            renderCriteria();
+            return;
+        }
+        
+        criterionGroups[groupIndex] = name;
+        criteria.forEach(criterion => {
+            if (criterion.group === oldName) criterion.group = name;
+        });
+        renderCriteria();
+        saveToLocalStorage();
+    });
+}
+
+function removeGroup(groupIndex) {
+    const name = criterionGroups[groupIndex];
+    const count = criteria.filter(criterion => criterion.group === name).length;
+    
+    if (count > 0 && !confirm(`Delete the group "${name}"? Its ${count} criteria will be kept as ungrouped criteria.`)) {
+        return;
+    }
+    
+    criterionGroups.splice(groupIndex, 1);
+    criteria.forEach(criterion => {
+        if (criterion.group === name) criterion.group = '';
+    });
+    sortCriteria();
+    renderCriteria();
+    saveToLocalStorage();
+}
+
+function moveGroup(groupIndex, direction) {
+    const newIndex = groupIndex + direction;
+    if (newIndex < 0 || newIndex >= criterionGroups.length) return;
+    
+    const [name] = criterionGroups.splice(groupIndex, 1);
+    criterionGroups.splice(newIndex, 0, name);
+    sortCriteria();
+    renderCriteria();
+    saveToLocalStorage();
+    
+    // Keep keyboard focus on the moved group's buttons; at the top or bottom
+    // the pressed button is disabled, so use the other one
+    const buttons = criteriaList.querySelectorAll(`.criteria-group[data-group-index="${newIndex}"] [data-action^="group-"]`);
+    const pressed = buttons[direction < 0 ? 0 : 1];
+    (pressed.disabled ? buttons[direction < 0 ? 1 : 0] : pressed).focus();
+}
+
+/**
+ * Moves a criterion into a group
+ * @param {number} index - Criterion to move
+ * @param {string} group - Group to move it into ('' for ungrouped)
+ * @param {number|null} beforeIndex - Criterion to place it before, or null
+ *   for the end of the group
+ * @returns {number} - The criterion's new index
+ */
+function moveCriterion(index, group, beforeIndex) {
+    const criterion = criteria[index];
+    const before = beforeIndex === null ? null : criteria[beforeIndex];
+    if (before === criterion) return index;
+    
+    criteria.splice(index, 1);
+    criterion.group = group;
+    criteria.splice(before ? criteria.indexOf(before) : criteria.length, 0, criterion);
+    sortCriteria();
+    renderCriteria();
+    saveToLocalStorage();
+    
+    return criteria.indexOf(criterion);
+}
+
+/**
+ * Moves a criterion one place up or down. At the edge of a group it moves
+ * into the neighbouring group instead, including empty groups.
+ * @param {number} index - Criterion to move
+ * @param {number} direction - -1 for up, 1 for down
+ */
+function moveCriterionByKey(index, direction) {
+    const criterion = criteria[index];
+    const neighbour = criteria[index + direction];
+    let newIndex;
+    
+    if (neighbour && neighbour.group === criterion.group) {
+        newIndex = moveCriterion(index, criterion.group, direction < 0 ? index - 1 : nextInGroup(index + 1));
+    } else {
+        const order = ['', ...criterionGroups];
+        const group = order[order.indexOf(criterion.group) + direction];
+        if (group === undefined) return;
+        
+        // Moving up lands at the end of the group above; moving down, at the start of the group below
+        const first = criteria.findIndex(c => c.group === group);
+        newIndex = moveCriterion(index, group, direction < 0 || first === -1 ? null : first);
+    }
+    
+    criteriaList.querySelector(`.criterion-item[data-index="${newIndex}"] .drag-handle`).focus();
+    announceCriterionPosition(newIndex);
+}
+
+/**
+ * Finds the criterion after a position within the same group
+ * @param {number} index - Index of the criterion to look past
+ * @returns {number|null} - Index of the next criterion in its group, or null at the end
+ */
+function nextInGroup(index) {
+    const next = criteria[index + 1];
+    return next && next.group === criteria[index].group ? index + 1 : null;
+}
+
+function announceCriterionPosition(index) {
+    const criterion = criteria[index];
+    const members = criteria.filter(c => c.group === criterion.group);
+    const where = criterion.group ? `group "${criterion.group}"` : 'ungrouped criteria';
+    
+    criteriaAnnouncer.textContent = `Criterion ${index + 1} moved to position ${members.indexOf(criterion) + 1} of ${members.length} in ${where}`;
+}
+
+function groupOfElement(element) {
+    const groupIndex = Number(element.closest('.criteria-group').dataset.groupIndex);
+    return groupIndex === -1 ? '' : criterionGroups[groupIndex];
+}
+
+function handleCriteriaListClick(event) {
+    const button = event.target.closest('[data-action]');
+    if (!button) return;
+    
+    const item = button.closest('.criterion-item');
+    const index = item ? Number(item.dataset.index) : null;
+    const groupIndex = Number(button.closest('.criteria-group').dataset.groupIndex);
+    
+    switch (button.dataset.action) {
+        case 'edit':
+            editCriterion(index);
+            break;
+        case 'delete':
+            removeCriterion(index);
+            break;
+        case 'rename-group':
+            renameGroup(groupIndex);
+            break;
+        case 'delete-group':
+            removeGroup(groupIndex);
+            break;
+        case 'group-up':
+            moveGroup(groupIndex, -1);
+            break;
+        case 'group-down':
+            moveGroup(groupIndex, 1);
+            break;
+    }
+}
+
+function handleCriteriaListChange(event) {
+    if (event.target.dataset.action !== 'weight') return;
+    
+    setCriterionWeight(Number(event.target.closest('.criterion-item').dataset.index), event.target.value);
+}
+
+function handleCriteriaListKeydown(event) {
+    if (!event.target.classList.contains('drag-handle')) return;
+    if (event.key !== 'ArrowUp' && event.key !== 'ArrowDown') return;
+    
+    event.preventDefault();
+    const index = Number(event.target.closest('.criterion-item').dataset.index);
+    moveCriterionByKey(index, event.key === 'ArrowUp' ? -1 : 1);
+}
+
+function handleCriterionDragStart(event) {
+    const item = event.target.closest('.criterion-item');
+    if (!item) return;
+    
+    draggedCriterionIndex = Number(item.dataset.index);
+    item.classList.add('dragging');
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', criteria[draggedCriterionIndex].text); // Firefox only drags with data set
+    event.dataTransfer.setDragImage(item, 0, 0);
+}
+
+/**
+ * Works out where a dragged criterion would land
+ * @param {DragEvent} event - dragover or drop event
+ * @returns {{group: string, item: HTMLElement|null, before: boolean}|null} -
+ *   The target group, the criterion under the pointer and which half of it
+ *   the pointer is over, or null outside every group
+ */
+function criterionDropTarget(event) {
+    const list = event.target.closest('.criteria-group-list');
+    if (!list) return null;
+    
+    const item = event.target.closest('.criterion-item');
+    const box = item ? item.getBoundingClientRect() : null;
+    return {
+        group: groupOfElement(list),
+        item: item,
+        before: box ? event.clientY < box.top + box.height / 2 : false
+    };
+}
+
+function clearDropIndicators() {
+    criteriaList.querySelectorAll('.drop-before, .drop-after, .drop-target').forEach(element => {
+        element.classList.remove('drop-before', 'drop-after', 'drop-target');
+    });
+}
+
+function handleCriterionDragOver(event) {
+    if (draggedCriterionIndex === null) return;
+    
+    const target = criterionDropTarget(event);
+    if (!target) return;
+    
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    clearDropIndicators();
+    if (target.item) {
+        target.item.classList.add(target.before ? 'drop-before' : 'drop-after');
+    } else {
+        event.target.closest('.criteria-group-list').classList.add('drop-target');
+    }
+}
+
+function handleCriterionDrop(event) {
+    if (draggedCriterionIndex === null) return;
+    
+    const target = criterionDropTarget(event);
+    if (!target) return;
+    
+    event.preventDefault();
+    let beforeIndex = null;
+    if (target.item) {
+        const index = Number(target.item.dataset.index);
+        beforeIndex = target.before ? index : nextInGroup(index);
+    }
+    
+    const newIndex = moveCriterion(draggedCriterionIndex, target.group, beforeIndex);
+    announceCriterionPosition(newIndex);
+}
+
+function handleCriterionDragEnd() {
+    draggedCriterionIndex = null;
+    clearDropIndicators();
+    criteriaList.querySelectorAll('.dragging').forEach(element => element.classList.remove('dragging'));
+}
+
+function renderCriteria() {
+    updateAIButtons();
+    renderGroupOptions();
+    
+    if (criteria.length === 0 && criterionGroups.length === 0) {
+        criteriaList.innerHTML = '<p class="empty-state">No criteria added yet. Add some above!</p>';
+        return;
+    }
+    
+    criteriaList.innerHTML = renderCriteriaGroup('', -1) + criterionGroups.map(renderCriteriaGroup).join('');
+}
+
+/**
+ * Builds the HTML for one group of the criteria list
+ * @param {string} name - Group name ('' for the ungrouped criteria)
+ * @param {number} groupIndex - Index in criterionGroups (-1 for ungrouped)
+ * @returns {string}
+ */
+function renderCriteriaGroup(name, groupIndex) {
+    const members = criteria
+        .map((criterion, index) => ({ criterion, index }))
+        .filter(entry => entry.criterion.group === name);
+    
+    let header = '';
+    if (name) {
+        header = `
+            <div class="criteria-group-header">
+                <span class="criteria-group-name" data-action="rename-group" title="Click to rename">${escapeHtml(name)}</span>
+                <span class="criteria-group-count">${members.length} ${members.length === 1 ? 'criterion' : 'criteria'}</span>
+                <div class="criterion-actions">
+                    <button class="btn-icon" data-action="group-up" title="Move group up" ${groupIndex === 0 ? 'disabled' : ''}>⬆️</button>
+                    <button class="btn-icon" data-action="group-down" title="Move group down" ${groupIndex === criterionGroups.length - 1 ? 'disabled' : ''}>⬇️</button>
+                    <button class="btn-icon" data-action="rename-group" title="Rename group">✏️</button>
+                    <button class="btn-icon" data-action="delete-group" title="Delete group">🗑️</button>
+                </div>
+            </div>
+        `;
+    } else if (criterionGroups.length > 0) {
+        header = '<div class="criteria-group-header"><span class="criteria-group-name">Ungrouped</span></div>';
+    }
+    
+    const items = members.length > 0
+        ? members.map(entry => renderCriterionItem(entry.criterion, entry.index)).join('')
+        : `<li class="criteria-group-empty">${name ? 'Drag criteria here, or choose this group when adding one' : 'Drag criteria here to take them out of their group'}</li>`;
+    
+    return `
+        <section class="criteria-group${name ? ' named' : ''}" data-group-index="${groupIndex}">
+            ${header}
+            <ul class="criteria-group-list">${items}</ul>
+        </section>
+    `;
+}
+
+function renderCriterionItem(criterion, index) {
+    return `
+        <li class="criterion-item" data-index="${index}">
+            <button class="drag-handle" draggable="true" title="Drag to reorder"
+                aria-label="Move criterion ${index + 1} (use the up and down arrow keys)">⠿</button>
+            <span class="criterion-number">${index + 1}.</span>
+            <span class="criterion-text" data-action="edit" title="Click to edit">${escapeHtml(criterion.text)}</span>
+            <label class="criterion-weight" title="Weighting: how much this criterion counts towards the overall rating">
+                ×<input type="number" min="0.5" max="${MAX_CRITERION_WEIGHT}" step="0.5" value="${criterion.weight}"
+                    data-action="weight" aria-label="Weighting for criterion ${index + 1}">
+            </label>
+            <div class="criterion-actions">
+                <button class="btn-icon" data-action="edit" title="Edit">✏️</button>
+                <button class="btn-icon" data-action="delete" title="Delete">🗑️</button>
+            </div>
+        </li>
+    `;
+}
+
+function renderGroupOptions() {
+    const selected = criterionGroupSelect.value;
+    
+    criterionGroupSelect.innerHTML = '<option value="">No group</option>' +
+        criterionGroups.map(name => `<option>${escapeHtml(name)}</option>`).join('');
+    criterionGroupSelect.value = criterionGroups.includes(selected) ? selected : '';
+    criterionGroupSelect.hidden = criterionGroups.length === 0;
+}
+
+// ============================================================================
+// RUBRIC LIBRARY
+// ============================================================================
+
+function findRubric(id) {
+    return RUBRIC_TEMPLATES.concat(savedRubrics).find(rubric => rubric.id === id);
+}
+
+/**
+ * Fills the rubric dropdown with the templates and saved rubrics
+ * @param {string} [selectedId] - Rubric to select (defaults to the current selection)
+ */
+function renderRubricLibrary(selectedId = rubricSelect.value) {
+    const option = rubric => `<option value="${rubric.id}">${escapeHtml(rubric.name)} (${rubric.criteria.length})</option>`;
+    
+    rubricSelect.innerHTML = `
+        <optgroup label="Templates">${RUBRIC_TEMPLATES.map(option).join('')}</optgroup>
+        ${savedRubrics.length > 0 ? `<optgroup label="My rubrics">${savedRubrics.map(option).join('')}</optgroup>` : ''}
+    `;
+    
+    if (findRubric(selectedId)) {
+        rubricSelect.value = selectedId;
+    }
+    renderRubricDescription();
+}
+
+function renderRubricDescription() {
+    const rubric = findRubric(rubricSelect.value);
+    rubricDescription.textContent = rubric ? rubric.description : '';
+    
+    // Built-in templates can't be deleted
+    deleteRubricBtn.disabled = !rubric || rubric.id.startsWith('template-');
+}
+
+function useSelectedRubric() {
+    const rubric = findRubric(rubricSelect.value);
+    if (rubric) {
+        applyRubric(rubric);
+    }
+}
+
+/**
+ * Replaces the criteria with a rubric's, after asking if there are criteria to lose
+ * @param {Object} rubric - Normalized rubric
+ */
+function applyRubric(rubric) {
+    if (criteria.length > 0 && !confirm(`Replace your ${criteria.length} criteria with "${rubric.name}"?`)) {
+        return;
+    }
+    
+    criteria = rubric.criteria.map(toCriterion);
+    criterionGroups = collectGroups(criteria);
+    sortCriteria();
+    renderCriteria();
+    saveToLocalStorage();
+}
+
+function saveCriteriaAsRubric() {
+    if (criteria.length === 0) {
+        alert('Add some criteria first, then save them as a rubric');
+        return;
+    }
+    
+    const name = prompt('Rubric name:', getActiveDocument().title);
+    if (name === null || !name.trim()) return;
+    
+    const description = prompt('Description (optional):', '');
+    if (description === null) return;
+    
+    const rubric = addSavedRubric(normalizeRubric({ name: name, description: description, criteria: criteria }));
+    saveRubrics();
+    renderRubricLibrary(rubric.id);
+}
+
+/**
+ * Adds a rubric to the library, replacing a saved rubric with the same name
+ * @param {Object} rubric - Normalized rubric
+ * @returns {Object} - The stored rubric (with an id)
+ */
+function addSavedRubric(rubric) {
+    const existing = savedRubrics.find(saved => saved.name.toLowerCase() === rubric.name.toLowerCase());
+    const stored = {
+        ...rubric,
+        id: existing ? existing.id : `rubric-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+    };
+    
+    if (existing) {
+        savedRubrics[savedRubrics.indexOf(existing)] = stored;
+    } else {
+        savedRubrics.push(stored);
+    }
+    
+    return stored;
+}
+
+function deleteSelectedRubric() {
+    const rubric = findRubric(rubricSelect.value);
+    if (!rubric || rubric.id.startsWith('template-')) return;
+    
+    if (!confirm(`Delete the rubric "${rubric.name}"?`)) return;
+    
+    savedRubrics = savedRubrics.filter(saved => saved.id !== rubric.id);
+    saveRubrics();
+    renderRubricLibrary();
+}
+
+function handleRubricImport(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        try {
+            const rubrics = parseRubricFile(e.target.result, file.name);
+            const stored = rubrics.map(addSavedRubric);
+            
+            saveRubrics();
+            renderRubricLibrary(stored[0].id);
+            alert(`Imported ${rubrics.length} rubric${rubrics.length === 1 ? '' : 's'}: ${rubrics.map(r => r.name).join(', ')}`);
+        } catch (error) {
+            alert(`Could not import rubric: ${error.message}`);
+        }
+    };
+    reader.readAsText(file);
+    
+    // Reset file input
+    rubricFileInput.value = '';
+}
+
+function exportSelectedRubric(format) {
+    const rubric = findRubric(rubricSelect.value);
+    if (!rubric) return;
+    
+    const fileName = rubric.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'rubric';
+    const content = format === 'csv' ? rubricToCsv(rubric) : rubricToJson(rubric);
+    
+    const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${fileName}.${format}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// ============================================================================
+// AI ANALYSIS
+// ============================================================================
+
+/**
+ * Runs the AI analysis of the draft against the criteria, streaming results
+ * @param {boolean} [refresh] - Ask the AI again even if the server has
+ *   feedback for the same draft and criteria
+ */
+async function analyzeWithAI(refresh = false) {
+    const draft = draftInput.value.trim();
+    
+    if (!draft) {
+        alert('Please enter a draft first');
+        return;
+    }
+    
+    if (criteria.length === 0) {
+        alert('Please add at least one success criterion');
+        return;
+    }
+    
+    // Keep a record of every draft that was assessed
+    saveVersion('analysis');
+    analysisDocumentId = activeDocumentId;
+    
+    // Show loading state
+    analysisController = new AbortController();
+    updateAIButtons();
+    analysisLoading.style.display = 'block';
+    analysisStatus.textContent = 'Analyzing your draft with AI... This may take a moment.';
+    resultsSection.style.display = 'none';
+    resetResults();
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/analyse/stream`, {
+            method: 'POST',
+            headers: apiHeaders(),
+            body: JSON.stringify({
+                // Untrimmed, so evidence offsets match the editor
+                draft: draftInput.value,
+                ...criteriaForRequest(),
+                metrics: computeReadability(draft),
+                profile: profileForRequest(),
+                refresh: refresh
+            }),
+            signal: analysisController.signal
+        });
+        
+        updateQuota(response);
+        
+        if (!response.ok) {
+            const result = await response.json();
+            if (shouldCoolDown(response.status, result)) {
+                startCooldown(response, result);
+                showDocumentResults(); // Bring back the previous feedback
+                return;
+            }
+            throw apiError(result, 'Analysis failed');
+        }
+        
+        await readEventStream(response, handleAnalysisEvent);
+        
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            analysisStatus.textContent = 'Analysis cancelled.';
+            return;
+        }
+        if (error.code in TRY_LATER_MESSAGES) {
+            // The stream had started, so the server sent the error as an event
+            startCooldown(null, { error: error.message, code: error.code, retryAfter: error.retryAfter });
+            showDocumentResults();
+            return;
+        }
+        console.error('Analysis error:', error);
+        alert(aiErrorMessage('Failed to analyze draft', error));
+    } finally {
+        analysisController = null;
+        updateAIButtons();
+        analysisLoading.style.display = 'none';
+    }
+}
+
+function cancelAnalysis() {
+    if (analysisController) {
+        analysisController.abort();
+    }
+}
+
+/**
+ * Reads a Server-Sent Events response body, calling onEvent for each event.
+ * Throws if the stream ends without a "done" or "error" event, which means
+ * the connection dropped part way through.
+ * @param {Response} response - Fetch response with a text/event-stream body
+ * @param {function(string, Object)} onEvent - Receives the event name and parsed data
+ */
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let finished = false;
+    
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        
+        buffer += decoder.decode(value, { stream: true });
+        
+        // Events are separated by a blank line
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const frame = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            
+            let event = 'message';
+            let data = '';
+            frame.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) data += line.slice(5).trim();
+            });
+            
+            if (data) {
+                finished = finished || event === 'done' || event === 'error';
+                onEvent(event, JSON.parse(data));
+            }
+        }
+    }
+    
+    if (!finished) {
+        throw new Error('The connection to the server closed before the analysis finished');
+    }
+}
+
+function handleAnalysisEvent(event, data) {
+    switch (event) {
+        case 'chunk':
+            analysisStatus.textContent = `Your draft is long, so it is being checked in ${data.chunks} parts: ${data.chunk} done...`;
+            break;
+        case 'criterion':
+            renderCriterionResult(data);
+            analysisStatus.textContent = `Received ${criteriaResults.children.length} of ${criteria.length} criteria...`;
+            if (resultsSection.style.display === 'none') {
+                resultsSection.style.display = 'block';
+                resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
+            break;
+        case 'summary':
+            renderSummary(data.summary);
+            break;
+        case 'done':
+            saveDocumentResults(analysisDocumentId, data, criteria.map(criterion => criterion.weight));
+            displayResults(data);
+            break;
+        case 'error':
+            throw apiError(data, 'Analysis failed');
+    }
+}
+
+/**
+ * Splits the criteria into the request's ungrouped criteria and groups.
+ * The API numbers ungrouped criteria first, then each group in order,
+ * which is the order sortCriteria() keeps.
+ * @returns {{criteria: Array<Object>, groups: Array<Object>}}
+ */
+function criteriaForRequest() {
+    const forRequest = criterion => ({ text: criterion.text, weight: criterion.weight });
+    
+    return {
+        criteria: criteria.filter(criterion => !criterion.group).map(forRequest),
+        groups: criterionGroups
+            .map(name => ({ name: name, criteria: criteria.filter(criterion => criterion.group === name).map(forRequest) }))
+            .filter(group => group.criteria.length > 0)
+    };
+}
+
+function resetResults() {
+    summaryList.innerHTML = '';
+    criteriaResults.innerHTML = '';
+    resultsTimestamp.textContent = '';
+    weightedRatingElement.innerHTML = '';
+    groupResults.innerHTML = '';
+}
+
+function displayResults(data) {
+    resetResults();
+    renderResultsTimestamp(getActiveDocument());
+    renderSummary(data.summary);
+    
+    if (data.criteria && data.criteria.length > 0) {
+        data.criteria.forEach(renderCriterionResult);
+        renderWeightedRating(data.criteria, criteria.map(criterion => criterion.weight));
+    }
+    renderGroupResults(data.groups || []);
+    
+    // Show results section
+    if (resultsSection.style.display === 'none') {
+        resultsSection.style.display = 'block';
+        resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+/**
+ * Shows the overall rating, combining criterion ratings by their weightings
+ * @param {Array<Object>} results - Criterion results
+ * @param {Array<number>} weights - Weight of each criterion, by criterion number
+ */
+function renderWeightedRating(results, weights) {
+    const overall = weightedRating(results, results.map(result => weights[result.criterionNumber - 1]));
+    if (!overall) {
+        weightedRatingElement.innerHTML = '';
+        return;
+    }
+    
+    const weighted = weights.some(weight => weight !== 1);
+    const ratingClass = `rating-${overall.rating.toLowerCase().replace(' ', '-')}`;
+    weightedRatingElement.innerHTML = `
+        <span>Overall${weighted ? ' (weighted)' : ''}:</span>
+        <span class="rating-badge ${ratingClass}">${overall.rating}</span>
+        <span class="weighted-score">${overall.score} / 4</span>
+    `;
+}
+
+/**
+ * Shows the rolled-up rating of each criterion group
+ * @param {Array<Object>} groups - Group results from the API ({ name, criterionNumbers, rating, score })
+ */
+function renderGroupResults(groups) {
+    if (groups.length === 0) {
+        groupResults.innerHTML = '';
+        return;
+    }
+    
+    groupResults.innerHTML = '<h3>Groups</h3>' + groups.map(group => {
+        // Everything here came over the network, so none of it is trusted as HTML
+        const rating = String(group.rating);
+        const ratingClass = `rating-${rating.toLowerCase().replace(/[^a-z]+/g, '-')}`;
+        return `
+            <div class="group-result">
+                <span class="group-result-name">${escapeHtml(group.name)}</span>
+                <span class="group-result-criteria">Criteria ${escapeHtml(group.criterionNumbers.join(', '))}</span>
+                <span class="rating-badge ${ratingClass}">${escapeHtml(rating)}</span>
+                <span class="weighted-score">${escapeHtml(String(group.score))} / 4</span>
+            </div>
+        `;
+    }).join('');
+}
+
+function renderSummary(summary) {
+    summaryList.innerHTML = '';
+    if (summary && summary.length > 0) {
+        summary.forEach(point => {
+            const li = document.createElement('li');
             li.textContent = point;
             summaryList.appendChild(li);
         });
     }
+}
+
+/**
+ * Adds a criterion result card, keeping cards ordered by criterion number.
+ * A card for the same criterion is replaced.
+ * @param {Object} item - Criterion result from the API
+ */
+function renderCriterionResult(item) {
+    const ratingClass = `rating-${item.rating.toLowerCase().replace(' ', '-')}`;
+    const card = document.createElement('div');
+    const evidence = item.evidence || [];
+    card.className = `criterion-result ${ratingClass}${evidence.length > 0 ? ' has-evidence' : ''}`;
+    card.dataset.criterionNumber = item.criterionNumber;
+    if (evidence.length > 0) {
+        card.title = 'Click to highlight the evidence in your draft';
+    }
+    
+    card.innerHTML = `
+        <div class="criterion-result-header">
+            <span class="criterion-result-number">${item.criterionNumber}.</span>
+            <span class="criterion-result-text">${escapeHtml(item.criterion)}</span>
+            ${item.group ? `<span class="criterion-result-group">${escapeHtml(item.group)}</span>` : ''}
+            <span class="rating-badge ${ratingClass}">${item.rating}</span>
+        </div>
+        <p class="criterion-feedback">${escapeHtml(item.feedback)}</p>
+        ${evidence.length > 0 ? `
+            <div class="criterion-evidence">
+                <span class="evidence-label">Evidence:</span>
+                ${evidence.map(passage => `
+                    <button class="evidence-quote" data-start="${passage.start}" data-end="${passage.end}">
+                        “<span class="evidence-text">${escapeHtml(passage.quote)}</span>”
+                    </button>
+                `).join('')}
+            </div>
+        ` : ''}
+    `;
+    
+    const cards = Array.from(criteriaResults.children);
+    const existing = cards.find(c => Number(c.dataset.criterionNumber) === item.criterionNumber);
+    if (existing) {
+        existing.replaceWith(card);
+        return;
+    }
+    
+    const next = cards.find(c => Number(c.dataset.criterionNumber) > item.criterionNumber);
+    criteriaResults.insertBefore(card, next || null);
+}
+
+/**
+ * Highlights the evidence for a criterion result: the quote that was
+ * clicked, or the card's first quote
+ */
+function handleCriteriaResultsClick(event) {
+    const card = event.target.closest('.criterion-result');
+    if (!card) return;
+    
+    const quote = event.target.closest('.evidence-quote') || card.querySelector('.evidence-quote');
+    if (!quote) return;
+    
+    criteriaResults.querySelectorAll('.evidence-quote.active').forEach(button => button.classList.remove('active'));
+    quote.classList.add('active');
+    highlightEvidence(
+        Number(quote.dataset.start),
+        Number(quote.dataset.end),
+        quote.querySelector('.evidence-text').textContent,
+        card.dataset.criterionNumber
+    );
+}
+
+/**
+ * Highlights a quoted passage in the draft. The offsets refer to the draft
+ * as it was checked; if it has been edited since, the quote is looked up again.
+ * @param {number} start - Start offset of the quote when it was checked
+ * @param {number} end - End offset of the quote when it was checked
+ * @param {string} quote - The passage as written in the draft
+ * @param {string} criterionNumber - Criterion the quote is evidence for
+ */
+function highlightEvidence(start, end, quote, criterionNumber) {
+    const text = draftInput.value;
+    
+    if (text.slice(start, end) !== quote) {
+        start = text.indexOf(quote);
+        end = start + quote.length;
+    }
+    
+    if (start === -1) {
+        alert('This passage is no longer in your draft. It may have changed since the feedback was given.');
+        return;
+    }
+    
+    evidenceHighlight = { start: start, end: end, message: `Evidence for criterion ${criterionNumber}` };
+    checkGrammarAndSpelling();
+    focusDraftRange(start, end);
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// ============================================================================
+// QUICK CHECK
+// ============================================================================
+
+async function runQuickCheck() {
+    const draft = draftInput.value.trim();
+    
+    if (!draft) {
+        alert('Please enter a draft first');
+        return;
+    }
+    
+    saveVersion('quickCheck');
+    analysisDocumentId = activeDocumentId;
+    
+    // Show loading state
+    analysisController = new AbortController();
+    updateAIButtons();
+    analysisLoading.style.display = 'block';
+    analysisStatus.textContent = 'Getting quick feedback from AI...';
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/quick-check`, {
+            method: 'POST',
+            headers: apiHeaders(),
+            body: JSON.stringify({ draft: draft, profile: profileForRequest() }),
+            signal: analysisController.signal
+        });
+        
+        updateQuota(response);
+        
+        const result = await response.json();
+        if (shouldCoolDown(response.status, result)) {
+            startCooldown(response, result);
+            return;
+        }
+        if (!response.ok) {
+            throw apiError(result, 'Quick check failed');
+        }
+        
+        saveDocumentQuickCheck(analysisDocumentId, result.data);
+        displayQuickCheck(result.data);
+        
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            return;
+        }
+        console.error('Quick check error:', error);
+        alert(aiErrorMessage('Failed to get quick feedback', error));
+    } finally {
+        analysisController = null;
+        updateAIButtons();
+        analysisLoading.style.display = 'none';
+    }
+}
+
+/**
+ * Stores a finished quick check with the document it was run on
+ * @param {string} documentId - Document that was checked
+ * @param {Object} data - Quick check result ({ impression, strengths, improvements })
+ */
+function saveDocumentQuickCheck(documentId, data) {
+    const doc = findDocument(documentId);
+    if (!doc) return; // Deleted while the check was running
+    
+    doc.quickCheck = data;
+    doc.quickCheckedAt = new Date().toISOString();
+    saveToLocalStorage();
+}
+
+function displayQuickCheck(data) {
+    const activeDocument = getActiveDocument();
+    quickCheckTimestamp.textContent = activeDocument.quickCheckedAt
+        ? `Checked ${formatTimestamp(activeDocument.quickCheckedAt)}`
+        : '';
+    quickCheckImpression.textContent = data.impression;
+    quickCheckStrengths.innerHTML = data.strengths.map(renderQuickCheckCard).join('');
+    quickCheckImprovements.innerHTML = data.improvements.map(renderQuickCheckCard).join('');
+    
+    if (quickCheckSection.style.display === 'none') {
+        quickCheckSection.style.display = 'block';
+        quickCheckSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+function renderQuickCheckCard(point, index) {
+    return `
+        <div class="quick-check-card">
+            <span class="quick-check-number">${index + 1}</span>
+            <p class="quick-check-text">${escapeHtml(point)}</p>
+        </div>
+    `;
+}
+
+function showDocumentQuickCheck() {
+    const activeDocument = getActiveDocument();
+    
+    if (!activeDocument.quickCheck) {
+        quickCheckSection.style.display = 'none';
+        return;
+    }
     
-    // Display criteria results
-    criteriaResults.innerHTML = '';
-    if (data.criteria && data.criteria.length > 0) {
-        data.criteria.forEach(item => {
-            const card = document.createElement('div');
-            card.className = `criterion-result rating-${item.rating.toLowerCase().replace(' ', '-')}`;
-            
-            card.innerHTML = `
-                <div class="criterion-result-header">
-                    <span class="criterion-result-number">${item.criterionNumber}.</span>
-                    <span class="criterion-result-text">${item.criterion}</span>
-                    <span class="rating-badge rating-${item.rating.toLowerCase().replace(' ', '-')}">${item.rating}</span>
+    // Switching documents shouldn't scroll the page
+    quickCheckSection.style.display = 'block';
+    displayQuickCheck(activeDocument.quickCheck);
+}
+
+// ============================================================================
+// DOCUMENTS
+// ============================================================================
+
+/**
+ * Creates a new, unsaved document
+ * @param {string} title - Document title
+ * @param {string} [draft] - Initial draft text
+ * @param {Array<Object>} [documentCriteria] - Initial success criteria ({ text, weight, group })
+ * @param {Array<string>} [documentGroups] - Criterion group names, in order
+ * @returns {Object} - Document
+ */
+function createDocument(title, draft = '', documentCriteria = [], documentGroups = []) {
+    const now = new Date().toISOString();
+    return {
+        id: `doc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        title: title,
+        draft: draft,
+        criteria: documentCriteria,
+        groups: documentGroups,
+        results: null, // Last AI analysis: { criteria, groups, summary, weights }
+        quickCheck: null, // Last quick check: { impression, strengths, improvements }
+        createdAt: now,
+        updatedAt: now,
+        analysedAt: null,
+        quickCheckedAt: null
+    };
+}
+
+function findDocument(id) {
+    return documents.find(doc => doc.id === id);
+}
+
+function getActiveDocument() {
+    return findDocument(activeDocumentId);
+}
+
+/**
+ * Suggests a title from the first line of a draft
+ * @param {string} draft - Draft text
+ * @returns {string}
+ */
+function titleFromDraft(draft) {
+    const firstLine = draft.trim().split('\n')[0].trim();
+    if (!firstLine) return DEFAULT_DOCUMENT_TITLE;
+    return firstLine.length > 40 ? `${firstLine.slice(0, 40).trim()}…` : firstLine;
+}
+
+/**
+ * Loads the active document's draft, criteria and versions into the editor state
+ */
+function applyActiveDocument() {
+    const activeDocument = getActiveDocument();
+    draftInput.value = activeDocument.draft;
+    criteria = activeDocument.criteria.map(toCriterion);
+    criterionGroups = (activeDocument.groups || []).slice();
+    sortCriteria();
+    versions = loadVersions(activeDocument.id);
+    documentTitle.textContent = activeDocument.title;
+}
+
+/**
+ * Shows the active document in every panel
+ */
+function showActiveDocument() {
+    importNotice.hidden = true;
+    applyActiveDocument();
+    renderCriteria();
+    renderVersions();
+    showDocumentResults();
+    showDocumentQuickCheck();
+    handleDraftInput();
+}
+
+function openDocument(id) {
+    if (id === activeDocumentId || !findDocument(id)) return;
+    
+    cancelAnalysis();
+    saveToLocalStorage(); // Keep the latest edits to the document being left
+    activeDocumentId = id;
+    showActiveDocument();
+    saveToLocalStorage();
+}
+
+function createNewDocument() {
+    const title = prompt('Name your new document:', DEFAULT_DOCUMENT_TITLE);
+    if (title === null) return;
+    
+    const newDocument = createDocument(title.trim() || DEFAULT_DOCUMENT_TITLE);
+    documents.unshift(newDocument);
+    openDocument(newDocument.id);
+    draftInput.focus();
+}
+
+function renameDocument(id) {
+    const doc = findDocument(id);
+    const title = prompt('Rename document:', doc.title);
+    if (title === null || !title.trim()) return;
+    
+    doc.title = title.trim();
+    if (id === activeDocumentId) {
+        documentTitle.textContent = doc.title;
+    }
+    saveToLocalStorage();
+}
+
+function duplicateDocument(id) {
+    saveToLocalStorage(); // Make sure the copy includes unsaved edits
+    
+    const original = findDocument(id);
+    const copy = createDocument(
+        `${original.title} (copy)`,
+        original.draft,
+        original.criteria.map(toCriterion),
+        (original.groups || []).slice()
+    );
+    copy.results = original.results;
+    copy.analysedAt = original.analysedAt;
+    copy.quickCheck = original.quickCheck || null;
+    copy.quickCheckedAt = original.quickCheckedAt || null;
+    
+    documents.splice(documents.indexOf(original) + 1, 0, copy);
+    openDocument(copy.id);
+}
+
+function deleteDocument(id) {
+    const doc = findDocument(id);
+    if (!confirm(`Delete "${doc.title}"? Its draft, criteria, feedback and version history will be removed.`)) {
+        return;
+    }
+    
+    documents.splice(documents.indexOf(doc), 1);
+    localStorage.removeItem(versionsStorageKey(id));
+    
+    // There is always at least one document to type into
+    if (documents.length === 0) {
+        documents.push(createDocument(DEFAULT_DOCUMENT_TITLE));
+    }
+    
+    if (id === activeDocumentId) {
+        cancelAnalysis();
+        activeDocumentId = documents[0].id;
+        showActiveDocument();
+    }
+    saveToLocalStorage();
+}
+
+function handleDocumentListClick(event) {
+    const button = event.target.closest('[data-action]');
+    const item = event.target.closest('[data-document-id]');
+    if (!button || !item) return;
+    
+    const id = item.dataset.documentId;
+    switch (button.dataset.action) {
+        case 'open':
+            openDocument(id);
+            break;
+        case 'rename':
+            renameDocument(id);
+            break;
+        case 'duplicate':
+            duplicateDocument(id);
+            break;
+        case 'delete':
+            deleteDocument(id);
+            break;
+    }
+}
+
+function renderDocumentList() {
+    documentList.innerHTML = documents.map(doc => {
+        const details = [`Created ${formatTimestamp(doc.createdAt)}`];
+        if (doc.analysedAt) details.push(`Last AI check ${formatTimestamp(doc.analysedAt)}`);
+        
+        return `
+            <li class="document-item${doc.id === activeDocumentId ? ' active' : ''}" data-document-id="${doc.id}">
+                <button class="document-open" data-action="open" title="${details.join(' · ')}">
+                    <span class="document-name">${escapeHtml(doc.title)}</span>
+                    <span class="document-meta">${countWords(doc.draft).toLocaleString()} words · ${formatTimestamp(doc.updatedAt)}</span>
+                </button>
+                <div class="document-actions">
+                    <button class="btn-icon" data-action="rename" title="Rename">✏️</button>
+                    <button class="btn-icon" data-action="duplicate" title="Duplicate">📄</button>
+                    <button class="btn-icon" data-action="delete" title="Delete">🗑️</button>
                 </div>
-                <p class="criterion-feedback">${item.feedback}</p>
-            `;
-            
-            criteriaResults.appendChild(card);
-        });
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Stores the results of a finished AI analysis with the document it was run on
+ * @param {string} documentId - Document that was analysed
+ * @param {Object} data - Analysis result ({ criteria, groups, summary })
+ * @param {Array<number>} weights - Criterion weightings at the time of the analysis
+ */
+function saveDocumentResults(documentId, data, weights) {
+    const doc = findDocument(documentId);
+    if (!doc) return; // Deleted while the analysis was running
+    
+    doc.results = {
+        criteria: data.criteria,
+        groups: data.groups || [],
+        summary: data.summary,
+        weights: weights,
+        chunking: data.chunking,
+        cached: data.cached,
+        resultToken: data.resultToken // Needed to hand the feedback in to a class
+    };
+    doc.analysedAt = new Date().toISOString();
+    saveToLocalStorage();
+}
+
+function showDocumentResults() {
+    const activeDocument = getActiveDocument();
+    resetResults();
+    
+    if (!activeDocument.results) {
+        resultsSection.style.display = 'none';
+        return;
     }
     
-    // Show results section
+    renderResultsTimestamp(activeDocument);
+    renderSummary(activeDocument.results.summary);
+    activeDocument.results.criteria.forEach(renderCriterionResult);
+    renderWeightedRating(activeDocument.results.criteria, activeDocument.results.weights || []);
+    renderGroupResults(activeDocument.results.groups || []);
     resultsSection.style.display = 'block';
-    resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function renderResultsTimestamp(doc) {
+    const results = doc && doc.results;
+    recheckBtn.style.display = results && results.cached ? '' : 'none';
+    
+    if (!doc || !doc.analysedAt) {
+        resultsTimestamp.textContent = '';
+        return;
+    }
+    
+    const notes = [];
+    // Long drafts are assessed in parts by the server and the ratings combined
+    if (results && results.chunking) {
+        notes.push(`Long draft, assessed in ${results.chunking.chunks} parts and combined`);
+    }
+    // The server reuses its feedback for an unchanged draft and criteria
+    if (results && results.cached) {
+        notes.push('Nothing changed since the last check, so the same feedback was reused');
+    }
+    if (doc.submission && doc.submission.analysedAt === doc.analysedAt) {
+        notes.push(`Submitted to ${doc.submission.className} ${formatTimestamp(doc.submission.submittedAt)}`);
+    }
+    resultsTimestamp.textContent = [`Checked ${formatTimestamp(doc.analysedAt)}`, ...notes].join(' · ');
+}
+
+function formatTimestamp(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, {
+        dateStyle: 'medium',
+        timeStyle: 'short'
+    });
+}
+
+// ============================================================================
+// VERSION HISTORY
+// ============================================================================
+
+// Why each version was saved
+const VERSION_SOURCES = {
+    manual: 'Saved by you',
+    analysis: 'AI check',
+    quickCheck: 'Quick check',
+    restore: 'Before restore',
+    import: 'Before import',
+};
+
+/**
+ * Saves the current draft as a new version, unless it is empty or
+ * identical to the latest version
+ * @param {string} source - Key of VERSION_SOURCES
+ * @returns {boolean} - Whether a version was saved
+ */
+function saveVersion(source) {
+    const draft = draftInput.value;
+    const latest = versions[versions.length - 1];
+    
+    if (!draft.trim() || (latest && latest.draft === draft)) {
+        return false;
+    }
+    
+    versions.push({
+        id: latest ? latest.id + 1 : 1,
+        timestamp: new Date().toISOString(),
+        source: source,
+        draft: draft,
+        words: countWords(draft)
+    });
+    
+    if (versions.length > MAX_VERSIONS) {
+        versions.splice(0, versions.length - MAX_VERSIONS);
+    }
+    
+    saveVersions();
+    renderVersions();
+    return true;
+}
+
+function handleSaveVersionClick() {
+    if (saveVersion('manual')) return;
+    
+    alert(draftInput.value.trim()
+        ? 'This draft is already saved as the latest version'
+        : 'Please enter a draft first');
+}
+
+function handleVersionListClick(event) {
+    const button = event.target.closest('[data-version-id]');
+    if (!button) return;
+    
+    const version = findVersion(button.dataset.versionId);
+    if (!version) return;
+    
+    if (draftInput.value !== version.draft) {
+        if (!confirm('Replace your draft with this version? Your current draft will be saved as a version first.')) {
+            return;
+        }
+        saveVersion('restore');
+    }
+    
+    draftInput.value = version.draft;
+    handleDraftInput();
+    saveToLocalStorage();
+    draftInput.focus();
+}
+
+function findVersion(id) {
+    return versions.find(version => String(version.id) === String(id));
+}
+
+function renderVersions() {
+    if (versions.length === 0) {
+        versionList.innerHTML = '<li class="version-empty">No versions saved yet</li>';
+    } else {
+        versionList.innerHTML = versions.slice().reverse().map(version => `
+            <li class="version-item">
+                <span class="version-time">#${version.id} · ${formatTimestamp(version.timestamp)}</span>
+                <span class="version-source">${VERSION_SOURCES[version.source] || ''}</span>
+                <span class="version-words">${version.words.toLocaleString()} words</span>
+                <button class="btn-link" data-version-id="${version.id}">↩ Restore</button>
+            </li>
+        `).join('');
+    }
+    
+    renderCompareOptions();
+    renderVersionDiff();
+}
+
+/**
+ * Fills both compare dropdowns with the current draft and every version,
+ * keeping the existing selections where those versions still exist
+ */
+function renderCompareOptions() {
+    const options = '<option value="current">Current draft</option>' +
+        versions.slice().reverse().map(version =>
+            `<option value="${version.id}">#${version.id} · ${formatTimestamp(version.timestamp)}</option>`
+        ).join('');
+    
+    const latest = versions[versions.length - 1];
+    const previousFrom = compareFromSelect.value;
+    const previousTo = compareToSelect.value;
+    
+    compareFromSelect.innerHTML = options;
+    compareToSelect.innerHTML = options;
+    
+    // By default, show what has changed since the latest version
+    compareFromSelect.value = findVersion(previousFrom) ? previousFrom : (latest ? latest.id : 'current');
+    compareToSelect.value = previousTo === 'current' || findVersion(previousTo) ? previousTo : 'current';
+}
+
+function getCompareText(select) {
+    if (select.value === 'current') {
+        return draftInput.value;
+    }
+    const version = findVersion(select.value);
+    return version ? version.draft : '';
+}
+
+function renderVersionDiff() {
+    if (versions.length === 0) {
+        versionDiffSummary.textContent = 'Versions you save will appear here so you can compare them.';
+        versionDiff.innerHTML = '';
+        return;
+    }
+    
+    const segments = diffWords(getCompareText(compareFromSelect), getCompareText(compareToSelect));
+    const { added, removed } = summarizeDiff(segments);
+    
+    if (segments.every(segment => segment.type === 'same')) {
+        versionDiffSummary.textContent = 'No differences.';
+    } else if (added === 0 && removed === 0) {
+        versionDiffSummary.textContent = 'Only punctuation or spacing changed.';
+    } else {
+        versionDiffSummary.textContent = `${added.toLocaleString()} words added, ${removed.toLocaleString()} words removed`;
+    }
+    
+    versionDiff.innerHTML = segments.map(segment => {
+        const text = escapeHtml(segment.text);
+        if (segment.type === 'added') return `<ins class="diff-added">${text}</ins>`;
+        if (segment.type === 'removed') return `<del class="diff-removed">${text}</del>`;
+        return text;
+    }).join('');
 }
 
 // ============================================================================
@@ -599,22 +2810,72 @@ function displayResults(data) {
 
 function handleFileUpload(event) {
     const file = event.target.files[0];
-    if (!file) return;
     
-    if (!file.name.endsWith('.txt')) {
-        alert('Please upload a .txt file');
+    // Reset file input
+    fileInput.value = '';
+    
+    if (file) importDraftFile(file);
+}
+
+function handleEditorDragOver(event) {
+    // Dragged text is left to the textarea; only files are imported
+    if (!event.dataTransfer.types.includes('Files')) return;
+    
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    editorWrapper.classList.add('drag-over');
+}
+
+function handleEditorDrop(event) {
+    if (!event.dataTransfer.types.includes('Files')) return;
+    
+    event.preventDefault();
+    editorWrapper.classList.remove('drag-over');
+    
+    const file = event.dataTransfer.files[0];
+    if (file) importDraftFile(file);
+}
+
+/**
+ * Replaces the draft with the text of an uploaded or dropped file, saving
+ * the current draft as a version first
+ * @param {File} file - A .txt, .md, .html, .rtf, .docx or .odt file
+ */
+async function importDraftFile(file) {
+    let result;
+    try {
+        result = await importDraft(file.name, new Uint8Array(await file.arrayBuffer()));
+    } catch (error) {
+        alert(`Could not open ${file.name}: ${error.message}`);
         return;
     }
     
-    const reader = new FileReader();
-    reader.onload = (e) => {
-        draftInput.value = e.target.result;
-        handleDraftInput();
-    };
-    reader.readAsText(file);
+    if (!result.text) {
+        alert(`Could not open ${file.name}: there is no text in it`);
+        return;
+    }
+    if (result.text.length > MAX_DRAFT_LENGTH) {
+        alert(`Could not open ${file.name}: its text is ${result.text.length.toLocaleString()} characters long, ` +
+            `and drafts can be up to ${MAX_DRAFT_LENGTH.toLocaleString()}`);
+        return;
+    }
     
-    // Reset file input
-    fileInput.value = '';
+    if (draftInput.value.trim() && draftInput.value !== result.text) {
+        if (!confirm(`Replace your draft with the text of ${file.name}? Your current draft will be saved as a version first.`)) {
+            return;
+        }
+        saveVersion('import');
+    }
+    
+    draftInput.value = result.text;
+    handleDraftInput();
+    saveToLocalStorage();
+    
+    const dropped = describeDropped(result.dropped);
+    importNotice.textContent = dropped
+        ? `⚠️ ${dropped} in ${file.name} could not be brought in. Add anything you need from them by hand.`
+        : '';
+    importNotice.hidden = !dropped;
 }
 
 function downloadDraft() {
@@ -636,52 +2897,119 @@ function downloadDraft() {
     URL.revokeObjectURL(url);
 }
 
-function exportFeedback() {
-    const draft = draftInput.value.trim();
-    const summary = Array.from(summaryList.children).map(li => li.textContent);
-    const results = Array.from(criteriaResults.children).map(card => {
-        const number = card.querySelector('.criterion-result-number').textContent;
-        const text = card.querySelector('.criterion-result-text').textContent;
-        const rating = card.querySelector('.rating-badge').textContent;
-        const feedback = card.querySelector('.criterion-feedback').textContent;
-        return `${number} ${text}\nRating: ${rating}\nFeedback: ${feedback}`;
-    });
-    
-    let content = '=== STUDENT ENGLISH CHECKER - FEEDBACK REPORT ===\n\n';
-    content += `Date: ${new Date().toLocaleString()}\n\n`;
-    
-    content += '=== WRITING ANALYTICS ===\n';
-    content += `Words: ${wordCount.textContent}\n`;
-    content += `Characters: ${charCount.textContent}\n`;
-    content += `Sentences: ${sentenceCount.textContent}\n`;
-    content += `Average Sentence Length: ${avgSentenceLength.textContent} words\n`;
-    content += `Reading Time: ${readingTime.textContent}\n\n`;
+// How each export format is written and downloaded; PDF goes through the print dialog
+const FEEDBACK_EXPORTS = {
+    docx: { write: reportToDocx, type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+    md: { write: reportToMarkdown, type: 'text/markdown' },
+    json: { write: reportToJson, type: 'application/json' },
+    txt: { write: reportToText, type: 'text/plain' },
+};
+
+/**
+ * Collects what a feedback report shows for the active document from its
+ * saved analysis and the draft, rather than from the page
+ * @returns {Object} - Report for the writers in feedbackReport.js
+ */
+function buildFeedbackReport() {
+    const doc = getActiveDocument();
+    const draft = draftInput.value;
+    const readability = computeReadability(draft.trim());
+    const issues = findIssues(draft, spellingOptions());
+    
+    const report = {
+        title: doc.title,
+        generatedAt: new Date().toISOString(),
+        analytics: measureWriting(draft.trim()),
+        readability: readability && {
+            ...readability,
+            readingEase: describeReadingEase(readability.fleschReadingEase),
+            summary: describeReadability(readability),
+        },
+        // Offsets refer to the draft below
+        issues: Object.keys(issues).flatMap(type => issues[type].map(issue => {
+            const quote = draft.slice(issue.start, issue.end);
+            return {
+                type,
+                message: issue.message,
+                quote: quote.length > 100 ? `${quote.substring(0, 100)}...` : quote,
+                start: issue.start,
+                end: issue.end,
+            };
+        })),
+        feedback: null,
+        quickCheck: doc.quickCheck ? { ...doc.quickCheck, checkedAt: doc.quickCheckedAt } : null,
+        draft,
+    };
     
-    content += '=== OVERALL SUMMARY ===\n';
-    summary.forEach((point, i) => {
-        content += `${i + 1}. ${point}\n`;
-    });
-    content += '\n';
+    if (doc.results) {
+        const weights = doc.results.weights || [];
+        const weightOf = item => (Number.isFinite(weights[item.criterionNumber - 1]) ? weights[item.criterionNumber - 1] : 1);
+        const overall = weightedRating(doc.results.criteria, doc.results.criteria.map(weightOf));
+        
+        report.feedback = {
+            analysedAt: doc.analysedAt,
+            overall: overall && { ...overall, weighted: weights.some(weight => weight !== 1) },
+            groups: doc.results.groups || [],
+            summary: doc.results.summary || [],
+            criteria: doc.results.criteria.map(item => ({
+                criterionNumber: item.criterionNumber,
+                criterion: item.criterion,
+                group: item.group || null,
+                weight: weightOf(item),
+                rating: item.rating,
+                feedback: item.feedback,
+                evidence: item.evidence || [],
+            })),
+        };
+    }
     
-    content += '=== DETAILED CRITERIA FEEDBACK ===\n';
-    results.forEach((result, i) => {
-        content += `\n${result}\n`;
-    });
+    return report;
+}
+
+/**
+ * Downloads the active document's feedback report
+ * @param {string} format - 'pdf' or a key of FEEDBACK_EXPORTS
+ */
+function exportFeedback(format) {
+    const report = buildFeedbackReport();
     
-    content += '\n=== YOUR DRAFT ===\n';
-    content += draft;
+    if (format === 'pdf') {
+        printReport(reportToHtml(report));
+        return;
+    }
     
-    const blob = new Blob([content], { type: 'text/plain' });
+    const { write, type } = FEEDBACK_EXPORTS[format];
+    const blob = new Blob([write(report)], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `feedback_${new Date().toISOString().slice(0, 10)}.txt`;
+    a.download = `feedback_${report.generatedAt.slice(0, 10)}.${format}`;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
 }
 
+/**
+ * Opens the print dialog for a report page in a hidden frame, so it can be
+ * printed or saved as a PDF without leaving the checker
+ * @param {string} html - Result of reportToHtml()
+ */
+function printReport(html) {
+    document.querySelectorAll('.report-print-frame').forEach(frame => frame.remove());
+    
+    const frame = document.createElement('iframe');
+    frame.className = 'report-print-frame';
+    frame.setAttribute('aria-hidden', 'true');
+    frame.addEventListener('load', () => {
+        frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+    });
+    frame.srcdoc = html;
+    document.body.appendChild(frame);
+}
+
 function clearDraft() {
     if (draftInput.value.trim() && !confirm('Are you sure you want to clear the draft?')) {
         return;
@@ -724,40 +3052,180 @@ function loadTheme() {
 // ============================================================================
 
 function saveToLocalStorage() {
-    const data = {
-        draft: draftInput.value,
-        criteria: criteria,
+    // Copy the editor state into the active document
+    const activeDocument = getActiveDocument();
+    const draftChanged = activeDocument.draft !== draftInput.value;
+    const criteriaChanged = JSON.stringify(activeDocument.criteria) !== JSON.stringify(criteria) ||
+        JSON.stringify(activeDocument.groups || []) !== JSON.stringify(criterionGroups);
+    
+    if (draftChanged || criteriaChanged) {
+        activeDocument.draft = draftInput.value;
+        activeDocument.criteria = criteria.map(toCriterion);
+        activeDocument.groups = criterionGroups.slice();
+        activeDocument.updatedAt = new Date().toISOString();
+    }
+    
+    saveDocuments();
+    
+    // Settings shared by every document
+    const settings = {
+        personalDictionary: personalDictionary,
+        spellingLocale: spellingLocale,
+        feedbackProfile: feedbackProfile,
+        classCode: classCode,
+        studentName: studentName,
         timestamp: new Date().toISOString()
     };
-    localStorage.setItem('studentEnglishChecker', JSON.stringify(data));
+    localStorage.setItem('studentEnglishChecker', JSON.stringify(settings));
+    
+    renderDocumentList();
+}
+
+function saveDocuments() {
+    localStorage.setItem(DOCUMENTS_STORAGE_KEY, JSON.stringify({
+        activeDocumentId: activeDocumentId,
+        documents: documents
+    }));
+}
+
+function saveRubrics() {
+    localStorage.setItem(RUBRICS_STORAGE_KEY, JSON.stringify(savedRubrics));
+}
+
+function versionsStorageKey(documentId) {
+    return `${VERSIONS_STORAGE_KEY}:${documentId}`;
+}
+
+function saveVersions() {
+    // Drop the oldest versions if the browser runs out of storage space
+    while (versions.length > 0) {
+        try {
+            localStorage.setItem(versionsStorageKey(activeDocumentId), JSON.stringify(versions));
+            return;
+        } catch (e) {
+            console.error('Failed to save version history:', e);
+            if (versions.length === 1) return;
+            versions.shift();
+        }
+    }
+}
+
+function loadVersions(documentId) {
+    const saved = localStorage.getItem(versionsStorageKey(documentId));
+    if (!saved) return [];
+    
+    try {
+        return JSON.parse(saved);
+    } catch (e) {
+        console.error('Failed to load version history:', e);
+        return [];
+    }
 }
 
 function loadFromLocalStorage() {
+    let settings = {};
     const saved = localStorage.getItem('studentEnglishChecker');
     if (saved) {
         try {
-            const data = JSON.parse(saved);
-            draftInput.value = data.draft || '';
-            criteria = data.criteria || [];
+            settings = JSON.parse(saved);
+            personalDictionary = settings.personalDictionary || [];
+            if (SPELLING_LOCALES[settings.spellingLocale]) {
+                spellingLocale = settings.spellingLocale;
+            }
+            feedbackProfile = normalizeFeedbackProfile(settings.feedbackProfile || {});
+            if (CLASS_CODE_PATTERN.test(settings.classCode || '')) {
+                classCode = settings.classCode;
+            }
+            studentName = String(settings.studentName || '').slice(0, MAX_STUDENT_NAME_LENGTH);
         } catch (e) {
             console.error('Failed to load saved data:', e);
         }
     }
+    
+    const savedRubricData = localStorage.getItem(RUBRICS_STORAGE_KEY);
+    if (savedRubricData) {
+        try {
+            savedRubrics = JSON.parse(savedRubricData);
+        } catch (e) {
+            console.error('Failed to load rubrics:', e);
+        }
+    }
+    
+    loadDocuments(settings);
+    applyActiveDocument();
     loadTheme();
 }
 
+/**
+ * Loads every document, moving data saved by the single-draft version of
+ * the app into a first document
+ * @param {Object} legacy - Contents of the old 'studentEnglishChecker' key
+ */
+function loadDocuments(legacy) {
+    const saved = localStorage.getItem(DOCUMENTS_STORAGE_KEY);
+    if (saved) {
+        try {
+            const data = JSON.parse(saved);
+            documents = data.documents || [];
+            activeDocumentId = data.activeDocumentId;
+        } catch (e) {
+            console.error('Failed to load documents:', e);
+        }
+    }
+    
+    if (documents.length === 0) {
+        const firstDocument = createDocument(
+            titleFromDraft(legacy.draft || ''),
+            legacy.draft || '',
+            legacy.criteria || []
+        );
+        if (legacy.timestamp) {
+            firstDocument.createdAt = legacy.timestamp;
+            firstDocument.updatedAt = legacy.timestamp;
+        }
+        documents = [firstDocument];
+        activeDocumentId = firstDocument.id;
+        
+        // Version history used to be a single list for the single draft
+        const legacyVersions = localStorage.getItem(VERSIONS_STORAGE_KEY);
+        if (legacyVersions) {
+            localStorage.setItem(versionsStorageKey(firstDocument.id), legacyVersions);
+            localStorage.removeItem(VERSIONS_STORAGE_KEY);
+        }
+        
+        saveDocuments();
+    }
+    
+    if (!getActiveDocument()) {
+        activeDocumentId = documents[0].id;
+    }
+}
+
 function clearAllData() {
-    if (!confirm('Are you sure you want to clear all data? This will remove your draft, criteria, and settings.')) {
+    if (!confirm('Are you sure you want to clear all data? This will remove all your documents, their version history, criteria, saved rubrics, and settings.')) {
         return;
     }
     
-    draftInput.value = '';
-    criteria = [];
+    cancelAnalysis();
+    documents.forEach(doc => localStorage.removeItem(versionsStorageKey(doc.id)));
+    localStorage.removeItem(DOCUMENTS_STORAGE_KEY);
+    localStorage.removeItem(RUBRICS_STORAGE_KEY);
     localStorage.removeItem('studentEnglishChecker');
     
-    renderCriteria();
-    handleDraftInput();
-    resultsSection.style.display = 'none';
+    documents = [createDocument(DEFAULT_DOCUMENT_TITLE)];
+    activeDocumentId = documents[0].id;
+    personalDictionary = [];
+    savedRubrics = [];
+    feedbackProfile = {};
+    classCode = '';
+    studentName = '';
+    
+    showActiveDocument();
+    renderPersonalDictionary();
+    renderRubricLibrary();
+    renderFeedbackSettings();
+    loadQuota();
+    loadClassInfo();
     
     alert('All data cleared successfully');
 }
@@ -0,0 +1,182 @@
+/**
+ * Student English Checker - Sentence Tokenizer
+ * Splits a draft into paragraphs and sentences with character offsets.
+ * Every analytics and issue check uses this so they all agree on what a
+ * sentence is.
+ */
+
+// Abbreviations that are followed by a full stop but never end a sentence
+const ABBREVIATIONS = new Set([
+    'mr', 'mrs', 'ms', 'mx', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'rev', 'hon',
+    'capt', 'col', 'gen', 'lt', 'sgt', 'gov', 'pres', 'vs', 'v', 'e.g', 'i.e',
+    'cf', 'approx', 'fig', 'figs', 'no', 'nos', 'vol', 'p', 'pp', 'ch', 'ed',
+    'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec',
+]);
+
+// Abbreviations that may end a sentence, but only if a capital letter follows
+const SOFT_ABBREVIATIONS = new Set(['etc', 'inc', 'ltd', 'co', 'corp', 'a.m', 'p.m']);
+
+const CLOSING_PUNCTUATION = '"\'”’)]';
+const OPENING_PUNCTUATION = '"\'“‘([';
+
+/**
+ * Splits text into paragraphs separated by one or more blank lines
+ * @param {string} text - Text to split (offsets are relative to this string)
+ * @returns {Array<{text: string, start: number, end: number}>}
+ */
+function splitParagraphs(text) {
+    const paragraphs = [];
+    const pattern = /\S(?:[^\n]|\n(?![ \t]*\n))*/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const trimmed = match[0].trimEnd();
+        paragraphs.push({
+            text: trimmed,
+            start: match.index,
+            end: match.index + trimmed.length,
+        });
+    }
+
+    return paragraphs;
+}
+
+/**
+ * Extracts the words from a piece of text. Hyphenated words and
+ * contractions are one word; stray punctuation such as dashes is skipped.
+ * @param {string} text - Text to split
+ * @returns {Array<string>}
+ */
+function tokenizeWords(text) {
+    return text.match(/[\p{L}\p{N}]+(?:['’.-][\p{L}\p{N}]+)*/gu) || [];
+}
+
+/**
+ * Counts the words in a piece of text (see tokenizeWords)
+ * @param {string} text - Text to count
+ * @returns {number}
+ */
+function countWords(text) {
+    return tokenizeWords(text).length;
+}
+
+/**
+ * Returns the word immediately before a position, including
+ * internal full stops (so "e.g" and "U.S" are read as one word)
+ */
+function wordBefore(text, position) {
+    let start = position;
+    while (start > 0 && /[\p{L}.]/u.test(text[start - 1])) start--;
+    return text.slice(start, position).replace(/^\.+/, '');
+}
+
+/**
+ * Decides whether the terminator run ending at `end` finishes a sentence
+ * @param {string} text - Line being tokenized
+ * @param {number} terminatorStart - Index of the first terminator character
+ * @param {number} end - Index just past the terminator and any closing quotes
+ * @returns {boolean}
+ */
+function isSentenceEnd(text, terminatorStart, end) {
+    const rest = text.slice(end);
+
+    // Terminators must be followed by whitespace or the end of the line
+    // ("3.5", "example.com" and "?!" run straight on)
+    if (rest.length > 0 && !/^\s/.test(rest)) return false;
+
+    const next = rest.trimStart();
+    if (next.length === 0) return true;
+
+    const nextLetter = next.replace(new RegExp(`^[${OPENING_PUNCTUATION}]+`), '')[0] || '';
+    const startsLower = nextLetter !== nextLetter.toUpperCase();
+    const terminators = text.slice(terminatorStart, end);
+
+    if (terminators[0] === '.' && !/^\.{2,}/.test(terminators)) {
+        const word = wordBefore(text, terminatorStart);
+        const lower = word.toLowerCase();
+
+        // Initials such as "J. K. Rowling"
+        if (/^\p{Lu}$/u.test(word)) return false;
+        if (ABBREVIATIONS.has(lower)) return false;
+        if (SOFT_ABBREVIATIONS.has(lower) && startsLower) return false;
+    }
+
+    // An ellipsis that trails into lowercase text continues the sentence
+    if ((/^\.{2,}/.test(terminators) || terminators[0] === '…') && startsLower) {
+        return false;
+    }
+
+    // Dialogue: "Stop!" she said.
+    const closedQuote = /[”’"']$/.test(terminators);
+    if (closedQuote && startsLower) return false;
+
+    return true;
+}
+
+/**
+ * Splits text into sentences. Handles abbreviations, initials, decimals,
+ * ellipses, quoted dialogue and paragraph/line breaks.
+ * @param {string} text - Text to split (offsets are relative to this string)
+ * @returns {Array<{text: string, start: number, end: number, paragraph: number}>}
+ *   Sentences with their trimmed text, character offsets and paragraph index
+ */
+function tokenizeSentences(text) {
+    const sentences = [];
+
+    splitParagraphs(text).forEach((paragraph, paragraphIndex) => {
+        // A line break inside a paragraph also ends a sentence (headings, lists)
+        const linePattern = /[^\n]+/g;
+        let line;
+
+        while ((line = linePattern.exec(paragraph.text)) !== null) {
+            const lineText = line[0];
+            const lineOffset = paragraph.start + line.index;
+            let sentenceStart = 0;
+
+            const terminatorPattern = /[.!?…]+/g;
+            let match;
+
+            while ((match = terminatorPattern.exec(lineText)) !== null) {
+                let end = match.index + match[0].length;
+                while (end < lineText.length && CLOSING_PUNCTUATION.includes(lineText[end])) end++;
+
+                if (!isSentenceEnd(lineText, match.index, end)) continue;
+
+                pushSentence(sentences, lineText, sentenceStart, end, lineOffset, paragraphIndex);
+                sentenceStart = end;
+                terminatorPattern.lastIndex = end;
+            }
+
+            // Text after the last terminator is an unfinished sentence
+            pushSentence(sentences, lineText, sentenceStart, lineText.length, lineOffset, paragraphIndex);
+        }
+    });
+
+    return sentences;
+}
+
+function pushSentence(sentences, lineText, from, to, lineOffset, paragraph) {
+    const raw = lineText.slice(from, to);
+    const trimmed = raw.trim();
+
+    // Ignore fragments with no words, e.g. a lone "..." or "-"
+    if (countWords(trimmed) === 0) return;
+
+    const start = lineOffset + from + raw.indexOf(trimmed);
+    sentences.push({
+        text: trimmed,
+        start,
+        end: start + trimmed.length,
+        paragraph,
+    });
+}
+
+// Allow use from Node (tests, tooling) as well as the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        splitParagraphs,
+        tokenizeWords,
+        countWords,
+        tokenizeSentences,
+    };
+}
@@ -0,0 +1,349 @@
+/**
+ * Student English Checker - Spell Checker
+ * Reads Hunspell-format dictionaries (.aff + .dic) and checks words against
+ * them, including words formed with the dictionary's prefix and suffix rules
+ */
+
+// Dictionaries bundled in /dictionaries, keyed by locale
+const SPELLING_LOCALES = {
+    'en-GB': 'English (UK)',
+    'en-US': 'English (US)',
+};
+
+const MAX_SUGGESTIONS = 5;
+
+// Words longer than this only get single-edit suggestions (keeps lookups fast)
+const MAX_SECOND_EDIT_LENGTH = 10;
+
+/**
+ * Parses the parts of a Hunspell .aff file used for checking and suggesting
+ * @param {string} affText - Contents of the .aff file
+ * @returns {Object} - Affix rules by flag, replacement table and special flags
+ */
+function parseAffix(affText) {
+    const affix = {
+        rules: {}, // flag -> { isPrefix, crossProduct, entries }
+        replacements: [],
+        alphabet: 'abcdefghijklmnopqrstuvwxyz\'',
+        flags: {},
+    };
+
+    affText.split(/\r?\n/).forEach(line => {
+        const parts = line.trim().split(/\s+/);
+        const [keyword] = parts;
+
+        switch (keyword) {
+            case 'PFX':
+            case 'SFX': {
+                const isPrefix = keyword === 'PFX';
+                const flag = parts[1];
+
+                // Header: "SFX flag Y count"; rule: "SFX flag strip add condition"
+                if (parts.length === 4 && /^\d+$/.test(parts[3])) {
+                    affix.rules[flag] = { isPrefix, crossProduct: parts[2] === 'Y', entries: [] };
+                    return;
+                }
+                if (parts.length < 5 || !affix.rules[flag]) return;
+
+                affix.rules[flag].entries.push({
+                    strip: parts[2] === '0' ? '' : parts[2],
+                    add: parts[3] === '0' ? '' : parts[3].split('/')[0],
+                    condition: parts[4] === '.'
+                        ? null
+                        : new RegExp(isPrefix ? `^${parts[4]}` : `${parts[4]}$`),
+                });
+                return;
+            }
+            case 'REP':
+                // The first REP line only holds the table size
+                if (parts.length >= 3) {
+                    affix.replacements.push([parts[1], parts[2].replace(/_/g, ' ')]);
+                }
+                return;
+            case 'TRY':
+                affix.alphabet = Array.from(new Set(parts[1].toLowerCase())).join('');
+                return;
+            case 'NOSUGGEST':
+            case 'ONLYINCOMPOUND':
+            case 'NEEDAFFIX':
+                affix.flags[keyword] = parts[1];
+                return;
+            default:
+                return;
+        }
+    });
+
+    return affix;
+}
+
+/**
+ * Applies one affix rule to a stem
+ * @returns {string|null} - The derived word, or null if the rule doesn't apply
+ */
+function applyAffix(stem, entry, isPrefix) {
+    if (entry.condition && !entry.condition.test(stem)) return null;
+
+    if (isPrefix) {
+        if (!stem.startsWith(entry.strip)) return null;
+        return entry.add + stem.slice(entry.strip.length);
+    }
+
+    if (!stem.endsWith(entry.strip)) return null;
+    return stem.slice(0, stem.length - entry.strip.length) + entry.add;
+}
+
+/**
+ * Expands a Hunspell .dic file into every word form its affix flags allow
+ * @param {string} dicText - Contents of the .dic file
+ * @param {Object} affix - Result of parseAffix()
+ * @returns {{ words: Set<string>, noSuggest: Set<string> }}
+ */
+function expandDictionary(dicText, affix) {
+    const words = new Set();
+    const noSuggest = new Set();
+    const { ONLYINCOMPOUND, NEEDAFFIX, NOSUGGEST } = affix.flags;
+    const lines = dicText.split(/\r?\n/);
+
+    // The first line is the word count
+    for (let i = 1; i < lines.length; i++) {
+        const line = lines[i].split(/\s/)[0];
+        if (!line) continue;
+
+        const slash = line.indexOf('/');
+        const stem = slash === -1 ? line : line.slice(0, slash);
+        const flags = slash === -1 ? [] : Array.from(line.slice(slash + 1));
+
+        // Compound-only entries (e.g. the parts of "21st") are not words by themselves
+        if (ONLYINCOMPOUND && flags.includes(ONLYINCOMPOUND)) continue;
+
+        const target = NOSUGGEST && flags.includes(NOSUGGEST) ? noSuggest : words;
+        if (!(NEEDAFFIX && flags.includes(NEEDAFFIX))) target.add(stem);
+
+        const rules = flags.map(flag => affix.rules[flag]).filter(Boolean);
+        const suffixed = [];
+
+        rules.filter(rule => !rule.isPrefix).forEach(rule => {
+            rule.entries.forEach(entry => {
+                const word = applyAffix(stem, entry, false);
+                if (word) {
+                    target.add(word);
+                    if (rule.crossProduct) suffixed.push(word);
+                }
+            });
+        });
+
+        rules.filter(rule => rule.isPrefix).forEach(rule => {
+            rule.entries.forEach(entry => {
+                const word = applyAffix(stem, entry, true);
+                if (word) target.add(word);
+
+                if (rule.crossProduct) {
+                    suffixed.forEach(form => {
+                        const combined = applyAffix(form, entry, true);
+                        if (combined) target.add(combined);
+                    });
+                }
+            });
+        });
+    }
+
+    return { words, noSuggest };
+}
+
+/**
+ * Counts how many edits a suggestion needs, treating common student slips
+ * (doubled letters, missing apostrophes, wrong vowels) as part of an edit
+ * @param {string} candidate - Suggested word
+ * @param {string} word - Misspelled word (lowercase)
+ * @param {number} edits - Raw number of single-character edits
+ * @returns {number}
+ */
+function suggestionCost(candidate, word, edits) {
+    const undoubled = text => text.replace(/(.)\1+/g, '$1');
+    const consonants = text => text.replace(/[aeiouy']/g, '');
+
+    if (undoubled(candidate) === undoubled(word)) return edits * 0.4;
+    if (candidate.replace(/'/g, '') === word.replace(/'/g, '')) return edits * 0.4;
+    if (consonants(candidate) === consonants(word)) return edits * 0.6;
+    return edits;
+}
+
+/**
+ * Creates a spell checker from Hunspell dictionary data
+ * @param {string} affText - Contents of the .aff file
+ * @param {string} dicText - Contents of the .dic file
+ * @returns {{ check: function(string): boolean, suggest: function(string): Array<string> }}
+ */
+function createSpellChecker(affText, dicText) {
+    const affix = parseAffix(affText);
+    const { words, noSuggest } = expandDictionary(dicText, affix);
+
+    function isKnownForm(word) {
+        return words.has(word) || noSuggest.has(word);
+    }
+
+    /**
+     * Checks a word, allowing capitalised and all-caps forms of lowercase words
+     * @param {string} word - Word to check
+     * @returns {boolean}
+     */
+    function check(word) {
+        const normalized = word.replace(/’/g, '\'');
+        if (isKnownForm(normalized)) return true;
+
+        const lower = normalized.toLowerCase();
+        if (normalized === lower) return false;
+
+        const capitalized = lower.charAt(0).toUpperCase() + lower.slice(1);
+        if (normalized === normalized.toUpperCase() && isKnownForm(capitalized)) {
+            return true;
+        }
+
+        return isKnownForm(lower);
+    }
+
+    function singleEdits(word) {
+        const edits = new Set();
+        const letters = affix.alphabet;
+
+        for (let i = 0; i <= word.length; i++) {
+            const head = word.slice(0, i);
+            const tail = word.slice(i);
+
+            if (tail) edits.add(head + tail.slice(1));                               // delete
+            if (tail.length > 1) edits.add(head + tail[1] + tail[0] + tail.slice(2)); // transpose
+
+            for (const letter of letters) {
+                if (tail) edits.add(head + letter + tail.slice(1));                  // replace
+                edits.add(head + letter + tail);                                     // insert
+            }
+        }
+
+        edits.delete(word);
+        return edits;
+    }
+
+    /**
+     * Suggests corrections for a misspelled word, best first
+     * @param {string} word - Misspelled word
+     * @returns {Array<string>} - Up to MAX_SUGGESTIONS corrections
+     */
+    function suggest(word) {
+        const lower = word.replace(/’/g, '\'').toLowerCase();
+        const costs = new Map();
+
+        function consider(candidate, edits) {
+            const valid = candidate.split(' ').every(part => words.has(part) ||
+                words.has(part.charAt(0).toUpperCase() + part.slice(1)));
+            if (!valid) return;
+
+            const cost = suggestionCost(candidate, lower, edits);
+            if (!costs.has(candidate) || costs.get(candidate) > cost) {
+                costs.set(candidate, cost);
+            }
+        }
+
+        // A proper noun typed in lowercase ("paris" -> "Paris")
+        consider(lower, 0);
+
+        // Common misspelling patterns from the dictionary's REP table
+        affix.replacements.forEach(([from, to]) => {
+            let index = lower.indexOf(from);
+            while (index !== -1) {
+                consider(lower.slice(0, index) + to + lower.slice(index + from.length), 0.5);
+                index = lower.indexOf(from, index + 1);
+            }
+        });
+
+        const firstEdits = singleEdits(lower);
+        firstEdits.forEach(candidate => consider(candidate, 1));
+
+        // Two-edit corrections are only worth the cost when one edit found little
+        if (costs.size < 2 && lower.length <= MAX_SECOND_EDIT_LENGTH) {
+            firstEdits.forEach(edit => {
+                singleEdits(edit).forEach(candidate => {
+                    if (!costs.has(candidate)) consider(candidate, 2);
+                });
+            });
+        }
+
+        // Prefer cheaper edits, then the same first letter, then a similar length
+        return Array.from(costs.entries())
+            .map(([candidate, cost]) => ({
+                candidate,
+                rank: cost * 10 +
+                    (candidate[0] === lower[0] ? 0 : 3) +
+                    Math.abs(candidate.length - lower.length)
+            }))
+            .sort((a, b) => a.rank - b.rank || a.candidate.localeCompare(b.candidate))
+            .slice(0, MAX_SUGGESTIONS)
+            .map(({ candidate }) => toDictionaryCase(candidate, words))
+            .map(candidate => matchCase(candidate, word));
+    }
+
+    return { check, suggest };
+}
+
+/**
+ * Restores the dictionary's capitalisation for proper nouns ("paris" -> "Paris")
+ */
+function toDictionaryCase(candidate, words) {
+    if (words.has(candidate)) return candidate;
+    return candidate.split(' ')
+        .map(part => (words.has(part) ? part : part.charAt(0).toUpperCase() + part.slice(1)))
+        .join(' ');
+}
+
+/**
+ * Copies the capitalisation style of the original word onto a suggestion
+ * @param {string} suggestion - Suggested word (as stored in the dictionary)
+ * @param {string} original - Word the student typed
+ * @returns {string}
+ */
+function matchCase(suggestion, original) {
+    if (original.length > 1 && original === original.toUpperCase()) {
+        return suggestion.toUpperCase();
+    }
+    if (original[0] === original[0].toUpperCase() && original[0] !== original[0].toLowerCase()) {
+        return suggestion.charAt(0).toUpperCase() + suggestion.slice(1);
+    }
+    return suggestion;
+}
+
+const spellCheckerCache = {};
+
+/**
+ * Downloads a bundled dictionary and builds a spell checker for it
+ * @param {string} locale - Key of SPELLING_LOCALES
+ * @returns {Promise<Object>} - Spell checker (cached per locale)
+ */
+function loadSpellChecker(locale) {
+    if (!SPELLING_LOCALES[locale]) {
+        return Promise.reject(new Error(`No dictionary for locale "${locale}"`));
+    }
+
+    if (!spellCheckerCache[locale]) {
+        const fetchText = file => fetch(`dictionaries/${locale}/${file}`).then(response => {
+            if (!response.ok) throw new Error(`Failed to load ${file} for ${locale}`);
+            return response.text();
+        });
+
+        spellCheckerCache[locale] = Promise.all([fetchText('index.aff'), fetchText('index.dic')])
+            .then(([aff, dic]) => createSpellChecker(aff, dic))
+            .catch(error => {
+                delete spellCheckerCache[locale];
+                throw error;
+            });
+    }
+
+    return spellCheckerCache[locale];
+}
+
+// Allow use from Node (tests, tooling) as well as the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SPELLING_LOCALES,
+        createSpellChecker,
+        loadSpellChecker,
+    };
+}
@@ -0,0 +1,647 @@
+/**
+ * Student English Checker - Teacher Dashboard
+ * Teacher sign-in, classes with join codes and assigned rubrics, the class
+ * roster and each submitted draft with its AI feedback
+ */
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const API_BASE_URL = '';
+const TEACHER_STORAGE_KEY = 'studentEnglishCheckerTeacher';
+const RUBRICS_STORAGE_KEY = 'studentEnglishCheckerRubrics'; // Rubrics saved in the checker on this browser
+const IMPORT_RUBRIC_OPTION = 'import';
+
+// ============================================================================
+// STATE MANAGEMENT
+// ============================================================================
+
+let session = null; // { token, teacher } while signed in
+let importedRubrics = []; // Rubrics imported from files on this page
+let rosterClass = null; // Class shown in the roster
+let rubricSelectForImport = null; // Select that asked for a rubric file
+
+// ============================================================================
+// DOM ELEMENTS
+// ============================================================================
+
+const themeToggle = document.getElementById('themeToggle');
+
+// Sign in
+const accountSection = document.getElementById('accountSection');
+const signInForm = document.getElementById('signInForm');
+const signUpForm = document.getElementById('signUpForm');
+
+// Classes
+const classesSection = document.getElementById('classesSection');
+const teacherName = document.getElementById('teacherName');
+const signOutBtn = document.getElementById('signOutBtn');
+const classList = document.getElementById('classList');
+const createClassForm = document.getElementById('createClassForm');
+const classNameInput = document.getElementById('classNameInput');
+const classRubricSelect = document.getElementById('classRubricSelect');
+const rubricFileInput = document.getElementById('rubricFileInput');
+
+// Roster
+const rosterSection = document.getElementById('rosterSection');
+const rosterTitle = document.getElementById('rosterTitle');
+const rosterDescription = document.getElementById('rosterDescription');
+const rosterRubricSelect = document.getElementById('rosterRubricSelect');
+const assignRubricBtn = document.getElementById('assignRubricBtn');
+const rosterTable = document.getElementById('rosterTable');
+
+// Submission
+const submissionSection = document.getElementById('submissionSection');
+const backToRosterLink = document.getElementById('backToRosterLink');
+const submissionTitle = document.getElementById('submissionTitle');
+const submissionDetails = document.getElementById('submissionDetails');
+const submissionRating = document.getElementById('submissionRating');
+const submissionSummary = document.getElementById('submissionSummary');
+const submissionCriteria = document.getElementById('submissionCriteria');
+const submissionDraft = document.getElementById('submissionDraft');
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    initializeDashboard();
+});
+
+function initializeDashboard() {
+    loadTheme();
+    loadSession();
+    setupEventListeners();
+    renderRubricOptions(classRubricSelect);
+    renderRubricOptions(rosterRubricSelect);
+    showPage();
+}
+
+function setupEventListeners() {
+    themeToggle.addEventListener('click', toggleTheme);
+
+    // Sign in
+    signInForm.addEventListener('submit', handleSignIn);
+    signUpForm.addEventListener('submit', handleSignUp);
+    signOutBtn.addEventListener('click', signOut);
+
+    // Classes
+    createClassForm.addEventListener('submit', handleCreateClass);
+    classRubricSelect.addEventListener('change', handleRubricSelectChange);
+    rosterRubricSelect.addEventListener('change', handleRubricSelectChange);
+    rubricFileInput.addEventListener('change', handleRubricImport);
+    assignRubricBtn.addEventListener('click', assignRubric);
+
+    // Pages are addressed by the URL hash, so roster and draft links can be bookmarked
+    window.addEventListener('hashchange', showPage);
+}
+
+// ============================================================================
+// API
+// ============================================================================
+
+/**
+ * Calls the backend as the signed-in teacher
+ * @param {string} path - API path, e.g. '/api/classes'
+ * @param {Object} [options]
+ * @param {string} [options.method] - HTTP method (defaults to GET)
+ * @param {Object} [options.body] - JSON body
+ * @returns {Promise<*>} - The response's data
+ * @throws {Error} - With the server's error message
+ */
+async function apiRequest(path, { method = 'GET', body } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (session) {
+        headers.Authorization = `Bearer ${session.token}`;
+    }
+
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        method: method,
+        headers: headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const result = await response.json();
+
+    // The session expired or was ended elsewhere
+    if (response.status === 401 && session) {
+        clearSession();
+        showPage();
+    }
+
+    if (!response.ok) {
+        throw new Error(result.error || 'Request failed');
+    }
+    return result.data;
+}
+
+// ============================================================================
+// SIGN IN
+// ============================================================================
+
+function loadSession() {
+    const saved = localStorage.getItem(TEACHER_STORAGE_KEY);
+    if (!saved) return;
+
+    try {
+        session = JSON.parse(saved);
+    } catch (e) {
+        console.error('Failed to load teacher session:', e);
+    }
+}
+
+/**
+ * @param {Object} data - { teacher, token } from sign-in or sign-up
+ */
+function saveSession(data) {
+    session = { token: data.token, teacher: data.teacher };
+    localStorage.setItem(TEACHER_STORAGE_KEY, JSON.stringify(session));
+}
+
+function clearSession() {
+    session = null;
+    localStorage.removeItem(TEACHER_STORAGE_KEY);
+}
+
+async function handleSignIn(event) {
+    event.preventDefault();
+
+    try {
+        saveSession(await apiRequest('/api/teachers/login', {
+            method: 'POST',
+            body: {
+                email: document.getElementById('signInEmail').value,
+                password: document.getElementById('signInPassword').value
+            }
+        }));
+        signInForm.reset();
+        showPage();
+    } catch (error) {
+        alert(`Could not sign in: ${error.message}`);
+    }
+}
+
+async function handleSignUp(event) {
+    event.preventDefault();
+
+    try {
+        saveSession(await apiRequest('/api/teachers', {
+            method: 'POST',
+            body: {
+                name: document.getElementById('signUpName').value,
+                email: document.getElementById('signUpEmail').value,
+                password: document.getElementById('signUpPassword').value,
+                signupCode: document.getElementById('signUpCode').value
+            }
+        }));
+        signUpForm.reset();
+        showPage();
+    } catch (error) {
+        alert(`Could not create your account: ${error.message}`);
+    }
+}
+
+async function signOut() {
+    try {
+        await apiRequest('/api/teachers/logout', { method: 'POST' });
+    } catch (error) {
+        // Signing out on this browser matters more than ending the session on the server
+        console.error('Sign out error:', error);
+    }
+
+    clearSession();
+    location.hash = '';
+    showPage();
+}
+
+// ============================================================================
+// PAGES
+// ============================================================================
+
+/**
+ * Reads the page from the URL hash: '' (classes), '#class=CODE' (roster)
+ * or '#class=CODE&submission=ID' (one draft)
+ * @returns {{ code: string|null, submission: string|null }}
+ */
+function currentPage() {
+    const params = new URLSearchParams(location.hash.slice(1));
+    return { code: params.get('class'), submission: params.get('submission') };
+}
+
+function showPage() {
+    const page = currentPage();
+    const signedIn = session !== null;
+
+    accountSection.hidden = signedIn;
+    classesSection.hidden = !signedIn || page.code !== null;
+    rosterSection.hidden = !signedIn || page.code === null || page.submission !== null;
+    submissionSection.hidden = !signedIn || page.submission === null;
+
+    if (!signedIn) return;
+
+    teacherName.textContent = `Signed in as ${session.teacher.name}`;
+    if (page.submission) {
+        showSubmission(page.code, page.submission);
+    } else if (page.code) {
+        showRoster(page.code);
+    } else {
+        loadClasses();
+    }
+}
+
+/**
+ * @param {string} code - Class join code
+ * @param {string} [submissionId] - Submission to open
+ * @returns {string} - Link to the roster, or to one submission
+ */
+function pageLink(code, submissionId) {
+    const params = new URLSearchParams({ class: code });
+    if (submissionId) {
+        params.set('submission', submissionId);
+    }
+    return `#${params.toString()}`;
+}
+
+// ============================================================================
+// RUBRICS
+// ============================================================================
+
+/**
+ * @returns {Array<Object>} - Rubrics saved in the checker on this browser
+ */
+function checkerRubrics() {
+    try {
+        return JSON.parse(localStorage.getItem(RUBRICS_STORAGE_KEY)) || [];
+    } catch (e) {
+        console.error('Failed to load saved rubrics:', e);
+        return [];
+    }
+}
+
+/**
+ * Every rubric that can be assigned, keyed by the value of its option
+ * @returns {Map<string, Object>}
+ */
+function availableRubrics() {
+    const rubrics = new Map();
+    RUBRIC_TEMPLATES.forEach(rubric => rubrics.set(rubric.id, rubric));
+    checkerRubrics().forEach(rubric => rubrics.set(rubric.id, rubric));
+    importedRubrics.forEach((rubric, index) => rubrics.set(`imported-${index}`, rubric));
+    return rubrics;
+}
+
+/**
+ * Fills a rubric dropdown with the templates, the rubrics saved in the
+ * checker and any imported here
+ * @param {HTMLSelectElement} select - Dropdown to fill
+ * @param {string} [selected] - Option to select (defaults to the current selection)
+ */
+function renderRubricOptions(select, selected = select.value) {
+    const option = ([value, rubric]) => `<option value="${escapeHtml(value)}">${escapeHtml(rubric.name)} (${rubric.criteria.length})</option>`;
+    const entries = Array.from(availableRubrics().entries());
+    const group = (label, prefix) => {
+        const items = entries.filter(([value]) => value.startsWith(prefix));
+        return items.length > 0 ? `<optgroup label="${label}">${items.map(option).join('')}</optgroup>` : '';
+    };
+
+    select.innerHTML = `
+        ${group('Templates', 'template-')}
+        ${group('My rubrics', 'rubric-')}
+        ${group('Imported', 'imported-')}
+        <option value="${IMPORT_RUBRIC_OPTION}">📥 Import from a file…</option>
+    `;
+
+    if (selected && availableRubrics().has(selected)) {
+        select.value = selected;
+    }
+}
+
+function handleRubricSelectChange(event) {
+    if (event.target.value !== IMPORT_RUBRIC_OPTION) return;
+
+    rubricSelectForImport = event.target;
+    event.target.selectedIndex = 0;
+    rubricFileInput.click();
+}
+
+function handleRubricImport(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        try {
+            const rubrics = parseRubricFile(e.target.result, file.name);
+            importedRubrics = importedRubrics.concat(rubrics);
+
+            const selected = `imported-${importedRubrics.length - rubrics.length}`;
+            renderRubricOptions(classRubricSelect, rubricSelectForImport === classRubricSelect ? selected : undefined);
+            renderRubricOptions(rosterRubricSelect, rubricSelectForImport === rosterRubricSelect ? selected : undefined);
+        } catch (error) {
+            alert(`Could not import rubric: ${error.message}`);
+        }
+    };
+    reader.readAsText(file);
+
+    // Reset file input
+    rubricFileInput.value = '';
+}
+
+/**
+ * @param {HTMLSelectElement} select - Rubric dropdown
+ * @returns {Object|null} - The selected rubric, ready to send
+ */
+function selectedRubric(select) {
+    const rubric = availableRubrics().get(select.value);
+    if (!rubric) return null;
+
+    const { name, description, criteria } = normalizeRubric(rubric);
+    return { name, description, criteria };
+}
+
+// ============================================================================
+// CLASSES
+// ============================================================================
+
+async function loadClasses() {
+    try {
+        renderClassList(await apiRequest('/api/classes'));
+    } catch (error) {
+        console.error('Failed to load classes:', error);
+        classList.innerHTML = `<li class="empty-state">Could not load your classes: ${escapeHtml(error.message)}</li>`;
+    }
+}
+
+/**
+ * @param {Array<Object>} classes - The teacher's classes
+ */
+function renderClassList(classes) {
+    if (classes.length === 0) {
+        classList.innerHTML = '<li class="empty-state">No classes yet. Create one below, then give your students its code.</li>';
+        return;
+    }
+
+    classList.innerHTML = classes.map(item => `
+        <li class="class-item">
+            <a href="${pageLink(item.code)}" class="class-item-name">${escapeHtml(item.name)}</a>
+            <span class="class-code" title="Students enter this code in the checker">${escapeHtml(item.code)}</span>
+            <span class="class-item-details">
+                ${escapeHtml(item.rubric.name)} ·
+                ${item.studentCount} student${item.studentCount === 1 ? '' : 's'},
+                ${item.submissionCount} submission${item.submissionCount === 1 ? '' : 's'}
+            </span>
+        </li>
+    `).join('');
+}
+
+async function handleCreateClass(event) {
+    event.preventDefault();
+
+    const rubric = selectedRubric(classRubricSelect);
+    if (!rubric) {
+        alert('Please choose a rubric for the class');
+        return;
+    }
+
+    try {
+        const created = await apiRequest('/api/classes', {
+            method: 'POST',
+            body: { name: classNameInput.value, rubric: rubric }
+        });
+        createClassForm.reset();
+        renderRubricOptions(classRubricSelect);
+        loadClasses();
+        alert(`Created ${created.name}. Students join it with the code ${created.code}.`);
+    } catch (error) {
+        alert(`Could not create the class: ${error.message}`);
+    }
+}
+
+// ============================================================================
+// ROSTER
+// ============================================================================
+
+/**
+ * @param {string} code - Class join code
+ */
+async function showRoster(code) {
+    rosterTitle.textContent = 'Loading…';
+    rosterDescription.textContent = '';
+    rosterTable.innerHTML = '';
+
+    try {
+        const roster = await apiRequest(`/api/classes/${encodeURIComponent(code)}/roster`);
+        rosterClass = roster.class;
+        renderRoster(roster);
+    } catch (error) {
+        rosterClass = null;
+        rosterTitle.textContent = 'Class not found';
+        rosterDescription.textContent = error.message;
+    }
+}
+
+/**
+ * @param {Object} roster - { class, criteria, students } from the API
+ */
+function renderRoster(roster) {
+    const weights = roster.class.rubric.criteria.map(criterion => criterion.weight);
+
+    rosterTitle.textContent = `${roster.class.name} · Code ${roster.class.code}`;
+    rosterDescription.textContent = `Rubric: ${roster.class.rubric.name}. ` + (roster.students.length > 0
+        ? `${roster.students.length} student${roster.students.length === 1 ? ' has' : 's have'} submitted. Ratings are from each student's latest submission.`
+        : `Nobody has submitted yet. Students enter the code ${roster.class.code} under "Feedback settings" in the checker.`);
+
+    if (roster.students.length === 0) {
+        rosterTable.innerHTML = '';
+        return;
+    }
+
+    const header = roster.criteria.map(criterion =>
+        `<th scope="col" title="${escapeHtml(criterion.text)}">${criterion.criterionNumber}</th>`).join('');
+
+    const rows = roster.students.map(student => {
+        const ratings = student.latest.ratings;
+        const cells = ratings.map(rating => `<td>${rating ? ratingBadge(rating) : '<span class="roster-missing" title="Not assessed">—</span>'}</td>`);
+        const overall = weightedRating(
+            ratings.map(rating => ({ rating })).filter(result => result.rating),
+            ratings.map((rating, index) => weights[index]).filter((weight, index) => ratings[index])
+        );
+        const drafts = student.submissions.map((submission, index) =>
+            `<a href="${pageLink(roster.class.code, submission.id)}" title="${escapeHtml(submission.title || 'Untitled')}">${index === 0 ? 'Latest' : formatTimestamp(submission.submittedAt)}</a>`);
+
+        return `
+            <tr>
+                <th scope="row">${escapeHtml(student.studentName)}</th>
+                <td>${formatTimestamp(student.latest.submittedAt)}</td>
+                ${cells.join('')}
+                <td>${overall ? ratingBadge(overall.rating) : ''}</td>
+                <td class="roster-drafts">${drafts.join(' ')}</td>
+            </tr>
+        `;
+    });
+
+    rosterTable.innerHTML = `
+        <thead>
+            <tr>
+                <th scope="col">Student</th>
+                <th scope="col">Submitted</th>
+                ${header}
+                <th scope="col">Overall</th>
+                <th scope="col">Drafts</th>
+            </tr>
+        </thead>
+        <tbody>${rows.join('')}</tbody>
+        <caption>${roster.criteria.map(criterion => `${criterion.criterionNumber}. ${escapeHtml(criterion.text)}`).join(' · ')}</caption>
+    `;
+}
+
+async function assignRubric() {
+    if (!rosterClass) return;
+
+    const rubric = selectedRubric(rosterRubricSelect);
+    if (!rubric) {
+        alert('Please choose a rubric');
+        return;
+    }
+    if (!confirm(`Assign "${rubric.name}" to ${rosterClass.name}? Students will see it the next time they open the checker.`)) {
+        return;
+    }
+
+    try {
+        await apiRequest(`/api/classes/${encodeURIComponent(rosterClass.code)}/rubric`, {
+            method: 'PUT',
+            body: { rubric: rubric }
+        });
+        showRoster(rosterClass.code);
+    } catch (error) {
+        alert(`Could not assign the rubric: ${error.message}`);
+    }
+}
+
+// ============================================================================
+// SUBMISSION
+// ============================================================================
+
+/**
+ * @param {string} code - Class join code
+ * @param {string} id - Submission id
+ */
+async function showSubmission(code, id) {
+    backToRosterLink.href = pageLink(code);
+    submissionTitle.textContent = 'Loading…';
+    submissionDetails.textContent = '';
+    submissionRating.innerHTML = '';
+    submissionSummary.innerHTML = '';
+    submissionCriteria.innerHTML = '';
+    submissionDraft.innerHTML = '';
+
+    try {
+        renderSubmission(await apiRequest(`/api/classes/${encodeURIComponent(code)}/submissions/${encodeURIComponent(id)}`));
+    } catch (error) {
+        submissionTitle.textContent = 'Submission not found';
+        submissionDetails.textContent = error.message;
+    }
+}
+
+/**
+ * @param {Object} submission - Stored submission from the API
+ */
+function renderSubmission(submission) {
+    const results = submission.results;
+
+    submissionTitle.textContent = `${submission.studentName}: ${submission.title || 'Untitled'}`;
+    submissionDetails.textContent = `Submitted ${formatTimestamp(submission.submittedAt)}`;
+
+    const overall = weightedRating(results.criteria, results.criteria.map(result => results.weights[result.criterionNumber - 1]));
+    submissionRating.innerHTML = overall
+        ? `<span>Overall:</span> ${ratingBadge(overall.rating)} <span class="weighted-score">${overall.score} / 4</span>`
+        : '';
+
+    submissionSummary.innerHTML = results.summary.map(point => `<li>${escapeHtml(point)}</li>`).join('');
+    submissionCriteria.innerHTML = results.criteria.map(item => `
+        <div class="criterion-result ${ratingClass(item.rating)}">
+            <div class="criterion-result-header">
+                <span class="criterion-result-number">${item.criterionNumber}.</span>
+                <span class="criterion-result-text">${escapeHtml(item.criterion)}</span>
+                ${item.group ? `<span class="criterion-result-group">${escapeHtml(item.group)}</span>` : ''}
+                ${ratingBadge(item.rating)}
+            </div>
+            <p class="criterion-feedback">${escapeHtml(item.feedback)}</p>
+        </div>
+    `).join('');
+
+    submissionDraft.innerHTML = markEvidence(submission.draft, results.criteria);
+}
+
+/**
+ * Marks the evidence quoted in the feedback within the draft
+ * @param {string} draft - Submitted draft
+ * @param {Array<Object>} results - Criterion results with evidence offsets
+ * @returns {string} - HTML
+ */
+function markEvidence(draft, results) {
+    const ranges = [];
+    results.forEach(result => result.evidence.forEach(passage => {
+        if (passage.start >= 0 && passage.end <= draft.length && passage.start < passage.end) {
+            ranges.push({ start: passage.start, end: passage.end, criterionNumber: result.criterionNumber });
+        }
+    }));
+    ranges.sort((a, b) => a.start - b.start);
+
+    let html = '';
+    let position = 0;
+    ranges.forEach(range => {
+        if (range.start < position) return; // Overlaps an earlier quote
+        html += escapeHtml(draft.slice(position, range.start));
+        html += `<mark class="evidence-mark" title="Evidence for criterion ${range.criterionNumber}">${escapeHtml(draft.slice(range.start, range.end))}</mark>`;
+        position = range.end;
+    });
+
+    return html + escapeHtml(draft.slice(position));
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * @param {string} rating - e.g. 'Not Evident'
+ * @returns {string} - e.g. 'rating-not-evident'
+ */
+function ratingClass(rating) {
+    return `rating-${rating.toLowerCase().replace(' ', '-')}`;
+}
+
+function ratingBadge(rating) {
+    return `<span class="rating-badge ${ratingClass(rating)}">${rating}</span>`;
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function formatTimestamp(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, {
+        dateStyle: 'medium',
+        timeStyle: 'short'
+    });
+}
+
+// ============================================================================
+// THEME MANAGEMENT
+// ============================================================================
+
+function toggleTheme() {
+    const dark = document.body.classList.toggle('dark-theme');
+    themeToggle.textContent = dark ? '☀️' : '🌙';
+    localStorage.setItem('theme', dark ? 'dark' : 'light');
+}
+
+function loadTheme() {
+    if (localStorage.getItem('theme') === 'dark') {
+        document.body.classList.add('dark-theme');
+        themeToggle.textContent = '☀️';
+    }
+}
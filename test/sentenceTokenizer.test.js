@@ -0,0 +1,80 @@
+/**
+ * Sentence Tokenizer tests
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { splitParagraphs, countWords, tokenizeSentences } = require('../sentenceTokenizer');
+
+describe('tokenizeSentences', () => {
+    it('splits sentences with their offsets and paragraph', () => {
+        const text = 'The storm came. We ran!\n\nWas anyone hurt?';
+
+        assert.deepEqual(tokenizeSentences(text), [
+            { text: 'The storm came.', start: 0, end: 15, paragraph: 0 },
+            { text: 'We ran!', start: 16, end: 23, paragraph: 0 },
+            { text: 'Was anyone hurt?', start: 25, end: 41, paragraph: 1 },
+        ]);
+    });
+
+    it('does not end a sentence at an abbreviation', () => {
+        const sentences = tokenizeSentences('Dr. Smith met Mrs. Jones on Main St. at noon. They talked.');
+
+        assert.deepEqual(sentences.map(sentence => sentence.text), [
+            'Dr. Smith met Mrs. Jones on Main St. at noon.',
+            'They talked.',
+        ]);
+    });
+
+    it('ends a sentence at a soft abbreviation followed by a capital', () => {
+        const sentences = tokenizeSentences('We left at 3 p.m. Then it rained. Bring pens, paper, etc. if you can.');
+
+        assert.deepEqual(sentences.map(sentence => sentence.text), [
+            'We left at 3 p.m.',
+            'Then it rained.',
+            'Bring pens, paper, etc. if you can.',
+        ]);
+    });
+
+    it('keeps closing quotes with their sentence', () => {
+        const sentences = tokenizeSentences('She asked, "Is it late?" He shrugged.');
+
+        assert.deepEqual(sentences.map(sentence => sentence.text), ['She asked, "Is it late?"', 'He shrugged.']);
+    });
+
+    it('does not split decimals or ellipses', () => {
+        const sentences = tokenizeSentences('It cost 3.50 dollars... and then some. Fine.');
+
+        assert.equal(sentences.length, 2);
+        assert.equal(sentences[0].text, 'It cost 3.50 dollars... and then some.');
+    });
+
+    it('counts text without closing punctuation as a sentence', () => {
+        assert.deepEqual(tokenizeSentences('No full stop here'), [
+            { text: 'No full stop here', start: 0, end: 17, paragraph: 0 },
+        ]);
+    });
+
+    it('returns nothing for blank text', () => {
+        assert.deepEqual(tokenizeSentences('  \n\n '), []);
+    });
+});
+
+describe('splitParagraphs', () => {
+    it('splits at blank lines', () => {
+        const paragraphs = splitParagraphs('First line\nstill first.\n\n  \nSecond.');
+
+        assert.deepEqual(paragraphs.map(paragraph => paragraph.text), ['First line\nstill first.', 'Second.']);
+        assert.equal(paragraphs[1].start, 28);
+    });
+});
+
+describe('countWords', () => {
+    it('counts contractions and hyphenated words once', () => {
+        assert.equal(countWords("It's a well-known, top-ten fact."), 5);
+    });
+
+    it('returns 0 for blank text', () => {
+        assert.equal(countWords(''), 0);
+    });
+});
@@ -0,0 +1,180 @@
+/**
+ * Writing Analytics tests
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSpellChecker } = require('../spellchecker');
+const {
+    LONG_PARAGRAPH_WORDS,
+    measureWriting,
+    findIssues,
+    countWordFrequency,
+    analyzeParagraphs,
+} = require('../writingAnalytics');
+
+/**
+ * Text of n words, as one sentence
+ * @param {number} n - Number of words
+ * @returns {string}
+ */
+function sentenceOf(n) {
+    return `${Array.from({ length: n }, (_, index) => `word${index}`).join(' ')}.`;
+}
+
+/**
+ * A spell checker that knows only a few words
+ * @param {Array<string>} [ignoredWords] - Words to accept anyway
+ * @returns {Object} - Options for findIssues()
+ */
+function tinySpelling(ignoredWords = []) {
+    const words = ['the', 'cat', 'sat', 'on', 'mat', 'and', 'slept'];
+    const checker = createSpellChecker('SET UTF-8\nTRY esianrtolcdugmphbyfvkwz\n', `${words.length}\n${words.join('\n')}\n`);
+
+    return {
+        checker,
+        suggest: word => checker.suggest(word),
+        ignoredWords,
+        dictionaryName: 'English (UK)',
+    };
+}
+
+describe('measureWriting', () => {
+    it('counts words, characters and sentences', () => {
+        assert.deepEqual(measureWriting('The cat sat. It was a very sunny day outside.'), {
+            words: 10,
+            characters: 45,
+            sentences: 2,
+            averageSentenceLength: 5,
+            longestSentence: 7,
+            readingTime: '0m 3s',
+        });
+    });
+
+    it('estimates reading time at 225 words a minute', () => {
+        const text = Array.from({ length: 45 }, () => sentenceOf(10)).join(' ');
+
+        assert.equal(measureWriting(text).readingTime, '2m 0s');
+    });
+});
+
+describe('findIssues', () => {
+    it('finds nothing in clean writing', () => {
+        assert.deepEqual(findIssues('The cat sat on the mat.'), {
+            spelling: [],
+            longSentences: [],
+            repeatedWords: [],
+            passiveVoice: [],
+        });
+    });
+
+    it('flags sentences over 30 words', () => {
+        const text = `Short one. ${sentenceOf(31)}`;
+        const [issue] = findIssues(text).longSentences;
+
+        assert.equal(issue.sentence, 2);
+        assert.equal(issue.wordCount, 31);
+        assert.equal(issue.start, 11);
+        assert.equal(issue.end, text.length);
+        assert.equal(findIssues(sentenceOf(30)).longSentences.length, 0);
+    });
+
+    it('flags a word written twice in a row, with its position', () => {
+        const text = 'It was the the best day.';
+        const [issue] = findIssues(text).repeatedWords;
+
+        assert.equal(text.slice(issue.start, issue.end), 'the the');
+        assert.equal(issue.message, 'The word "the" is repeated. Remove one of them.');
+    });
+
+    it('flags likely passive voice', () => {
+        const text = 'The ball was kicked by Sam. The prize was given to Sam.';
+        const issues = findIssues(text).passiveVoice;
+
+        assert.deepEqual(issues.map(issue => text.slice(issue.start, issue.end)), ['was kicked', 'was given']);
+    });
+
+    it('flags words with a letter repeated four times until a dictionary is loaded', () => {
+        const text = 'That was sooo good. No, it was soooo good.';
+        const issues = findIssues(text).spelling;
+
+        assert.deepEqual(issues.map(issue => issue.word), ['soooo']);
+        assert.equal(text.slice(issues[0].start, issues[0].end), 'soooo');
+    });
+
+    it('checks spelling against the dictionary, with suggestions', () => {
+        const text = 'The catt sat on the mat.';
+        const [issue] = findIssues(text, tinySpelling()).spelling;
+
+        assert.equal(issue.word, 'catt');
+        assert.equal(text.slice(issue.start, issue.end), 'catt');
+        assert.equal(issue.suggestions[0], 'cat');
+        assert.equal(issue.message, '"catt" may be misspelled. Did you mean "cat"?');
+    });
+
+    it('names the dictionary when there is no suggestion', () => {
+        const [issue] = findIssues('The cat sat on the xylophone.', tinySpelling()).spelling;
+
+        assert.equal(issue.message, '"xylophone" is not in the English (UK) dictionary.');
+    });
+
+    it('accepts words from the personal dictionary and ignores numbers', () => {
+        const issues = findIssues('The cat Whiskers sat on 3 mats.', tinySpelling(['whiskers'])).spelling;
+
+        assert.deepEqual(issues.map(issue => issue.word), ['mats']);
+    });
+
+    it('leaves quotation marks out of the word', () => {
+        const text = "The cat sat on the 'matt'.";
+        const [issue] = findIssues(text, tinySpelling()).spelling;
+
+        assert.equal(issue.word, 'matt');
+        assert.equal(text.slice(issue.start, issue.end), 'matt');
+    });
+
+    it('reports at most 20 misspellings', () => {
+        const text = Array.from({ length: 25 }, () => 'zzqx').join(' ');
+
+        assert.equal(findIssues(text, tinySpelling()).spelling.length, 20);
+    });
+});
+
+describe('countWordFrequency', () => {
+    it('counts words, most used first', () => {
+        const text = 'Dragons fly. The dragons sleep; dragons ROAR. Sleep well!';
+
+        assert.deepEqual(countWordFrequency(text), [['dragons', 3], ['sleep', 2], ['roar', 1], ['well', 1]]);
+    });
+
+    it('leaves out stopwords and words of three letters or fewer', () => {
+        assert.deepEqual(countWordFrequency('They would have been there with the cat and dog.'), []);
+    });
+
+    it('returns at most ten words', () => {
+        const text = Array.from({ length: 12 }, (_, index) => `word${'s'.repeat(index)}`).join(' ');
+
+        assert.equal(countWordFrequency(text).length, 10);
+    });
+});
+
+describe('analyzeParagraphs', () => {
+    it('summarises each paragraph with its topic sentence', () => {
+        const text = 'My Holiday\n\nWe went to the beach. It was hot.\n\nThe end came too soon.';
+        const paragraphs = analyzeParagraphs(text);
+
+        assert.deepEqual(paragraphs.map(({ number, sentenceCount, wordCount, flag }) => ({ number, sentenceCount, wordCount, flag })), [
+            { number: 1, sentenceCount: 1, wordCount: 2, flag: 'heading' },
+            { number: 2, sentenceCount: 2, wordCount: 8, flag: null },
+            { number: 3, sentenceCount: 1, wordCount: 5, flag: 'single-sentence' },
+        ]);
+        assert.equal(paragraphs[1].topicSentence, 'We went to the beach.');
+        assert.equal(text.slice(paragraphs[1].start, paragraphs[1].end), 'We went to the beach. It was hot.');
+    });
+
+    it('flags a paragraph that is too long as a wall of text', () => {
+        const longParagraph = `${sentenceOf(LONG_PARAGRAPH_WORDS)} ${sentenceOf(5)}`;
+        const manySentences = Array.from({ length: 9 }, () => 'It rained.').join(' ');
+
+        assert.deepEqual(analyzeParagraphs(`${longParagraph}\n\n${manySentences}`).map(paragraph => paragraph.flag), ['wall', 'wall']);
+    });
+});
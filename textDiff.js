@@ -0,0 +1,167 @@
+/**
+ * Student English Checker - Text Diff
+ * Word-level comparison of two drafts (Myers' shortest edit script), used by
+ * the version history to show what changed between redrafts
+ */
+
+// Beyond this many edits the drafts are treated as completely rewritten
+const MAX_DIFF_EDITS = 3000;
+
+/**
+ * Splits text into words, runs of whitespace and single punctuation marks,
+ * so a diff never splits a word and "dog," -> "dog." only changes the comma
+ * @param {string} text - Text to split
+ * @returns {Array<string>} - Tokens that join back into the original text
+ */
+function tokenizeForDiff(text) {
+    return text.match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*|\s+|[^\s\p{L}\p{N}]/gu) || [];
+}
+
+/**
+ * Finds the shortest edit script between two token lists
+ * @returns {Array<{type: string, token: string}>|null} - Operations in order,
+ *   or null if the lists differ by more than MAX_DIFF_EDITS
+ */
+function shortestEditScript(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const offset = n + m + 1;
+    const v = new Int32Array(2 * offset + 1);
+    const trace = [];
+
+    for (let d = 0; d <= Math.min(n + m, MAX_DIFF_EDITS); d++) {
+        // Keep the furthest points reached with d - 1 edits for backtracking
+        trace.push(v.slice(offset - d, offset + d + 1));
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+
+            if (x >= n && y >= m) {
+                return backtrack(trace, a, b);
+            }
+        }
+    }
+
+    return null;
+}
+
+function backtrack(trace, a, b) {
+    const operations = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d > 0; d--) {
+        const previous = trace[d];
+        const k = x - y;
+        const at = index => previous[index + d];
+
+        const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            operations.push({ type: 'same', token: a[--x] });
+            y--;
+        }
+
+        if (prevK === k + 1) {
+            operations.push({ type: 'added', token: b[--y] });
+        } else {
+            operations.push({ type: 'removed', token: a[--x] });
+        }
+    }
+
+    while (x > 0 && y > 0) {
+        operations.push({ type: 'same', token: a[--x] });
+        y--;
+    }
+
+    return operations.reverse();
+}
+
+/**
+ * Compares two texts word by word
+ * @param {string} before - Older text
+ * @param {string} after - Newer text
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>} - Segments
+ *   in reading order; within each changed passage removals come first
+ */
+function diffWords(before, after) {
+    const a = tokenizeForDiff(before);
+    const b = tokenizeForDiff(after);
+    const operations = shortestEditScript(a, b) || [
+        ...a.map(token => ({ type: 'removed', token })),
+        ...b.map(token => ({ type: 'added', token })),
+    ];
+
+    const segments = [];
+    let removed = '';
+    let added = '';
+
+    const flushChanges = () => {
+        if (removed) segments.push({ type: 'removed', text: removed });
+        if (added) segments.push({ type: 'added', text: added });
+        removed = '';
+        added = '';
+    };
+
+    operations.forEach((operation, index) => {
+        if (operation.type === 'same') {
+            // A space between two changes belongs to the changed passage,
+            // so "big dog" -> "small cat" reads as one replacement
+            const next = operations[index + 1];
+            const betweenChanges = (removed || added) && next && next.type !== 'same';
+            if (betweenChanges && /^\s+$/.test(operation.token)) {
+                removed += operation.token;
+                added += operation.token;
+                return;
+            }
+
+            flushChanges();
+            const last = segments[segments.length - 1];
+            if (last && last.type === 'same') {
+                last.text += operation.token;
+            } else {
+                segments.push({ type: 'same', text: operation.token });
+            }
+            return;
+        }
+
+        if (operation.type === 'removed') removed += operation.token;
+        else added += operation.token;
+    });
+    flushChanges();
+
+    return segments;
+}
+
+/**
+ * Counts the words added and removed in a diff
+ * @param {Array<Object>} segments - Result of diffWords()
+ * @returns {{added: number, removed: number}}
+ */
+function summarizeDiff(segments) {
+    const words = text => (text.match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || []).length;
+
+    return segments.reduce((totals, segment) => {
+        if (segment.type !== 'same') totals[segment.type] += words(segment.text);
+        return totals;
+    }, { added: 0, removed: 0 });
+}
+
+// Allow use from Node (tests, tooling) as well as the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        diffWords,
+        summarizeDiff,
+    };
+}
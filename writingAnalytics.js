@@ -0,0 +1,282 @@
+/**
+ * Student English Checker - Writing Analytics
+ * Counts, issue checks, word frequency and paragraph structure for a draft.
+ * These only read the text, so the app and the tests share them.
+ */
+
+const WORDS_PER_MINUTE = 225;
+const MAX_SPELLING_ISSUES = 20;
+const MAX_FREQUENT_WORDS = 10;
+const LONG_PARAGRAPH_WORDS = 200; // Paragraphs longer than this are flagged as walls of text
+const LONG_PARAGRAPH_SENTENCES = 8;
+
+// Common English stopwords to exclude from word frequency
+const STOPWORDS = new Set([
+    'the', 'be', 'to', 'of', 'and', 'a', 'in', 'that', 'have', 'i',
+    'it', 'for', 'not', 'on', 'with', 'he', 'as', 'you', 'do', 'at',
+    'this', 'but', 'his', 'by', 'from', 'they', 'we', 'say', 'her', 'she',
+    'or', 'an', 'will', 'my', 'one', 'all', 'would', 'there', 'their', 'was',
+    'is', 'are', 'been', 'has', 'had', 'were', 'can', 'could', 'should', 'may'
+]);
+
+// The tokenizer is a separate script in the browser and a module in Node
+const analyticsTokenizer = typeof module !== 'undefined' && module.exports
+    ? require('./sentenceTokenizer')
+    : { splitParagraphs, countWords, tokenizeSentences };
+
+/**
+ * Measures the length of a draft
+ * @param {string} text - The trimmed draft text
+ * @returns {Object} - { words, characters, sentences, averageSentenceLength,
+ *   longestSentence, readingTime }
+ */
+function measureWriting(text) {
+    // Count words
+    const wordCountValue = analyticsTokenizer.countWords(text);
+    
+    // Count characters
+    const charCountValue = text.length;
+    
+    // Count sentences
+    const sentences = analyticsTokenizer.tokenizeSentences(text);
+    const sentenceCountValue = sentences.length;
+    
+    // Average sentence length
+    const avgLength = sentenceCountValue > 0 
+        ? Math.round(wordCountValue / sentenceCountValue) 
+        : 0;
+    
+    // Longest sentence
+    const longestLength = sentences.reduce((max, sentence) => {
+        return Math.max(max, analyticsTokenizer.countWords(sentence.text));
+    }, 0);
+    
+    // Reading time
+    const minutes = Math.floor(wordCountValue / WORDS_PER_MINUTE);
+    const seconds = Math.round((wordCountValue % WORDS_PER_MINUTE) / WORDS_PER_MINUTE * 60);
+    
+    return {
+        words: wordCountValue,
+        characters: charCountValue,
+        sentences: sentenceCountValue,
+        averageSentenceLength: avgLength,
+        longestSentence: longestLength,
+        readingTime: `${minutes}m ${seconds}s`,
+    };
+}
+
+/**
+ * Finds writing issues and their exact character positions
+ * @param {string} text - The draft text
+ * @param {Object|null} [spelling] - Spell checker to use (see findMisspellings());
+ *   without one, only words with a letter repeated many times are flagged
+ * @returns {Object} - Issues grouped by type; each has start, end and message
+ */
+function findIssues(text, spelling = null) {
+    const issues = {
+        spelling: [],
+        longSentences: [],
+        repeatedWords: [],
+        passiveVoice: [],
+    };
+    
+    const sentences = analyticsTokenizer.tokenizeSentences(text);
+    
+    // Check each sentence
+    sentences.forEach((sentence, index) => {
+        const wordCountValue = analyticsTokenizer.countWords(sentence.text);
+        const preview = sentence.text.substring(0, 100) + (sentence.text.length > 100 ? '...' : '');
+        
+        // Check for long sentences (> 30 words)
+        if (wordCountValue > 30) {
+            issues.longSentences.push({
+                sentence: index + 1,
+                text: preview,
+                wordCount: wordCountValue,
+                start: sentence.start,
+                end: sentence.end,
+                message: `Long sentence (${wordCountValue} words). Try splitting it into shorter sentences.`
+            });
+        }
+        
+        // Check for repeated words
+        const repeated = /\b(\w+)\s+\1\b/i.exec(sentence.text);
+        if (repeated) {
+            issues.repeatedWords.push({
+                sentence: index + 1,
+                text: preview,
+                start: sentence.start + repeated.index,
+                end: sentence.start + repeated.index + repeated[0].length,
+                message: `The word "${repeated[1]}" is repeated. Remove one of them.`
+            });
+        }
+        
+        // Check for passive voice patterns
+        const passivePatterns = [
+            /\b(is|are|was|were|been|being)\s+\w+ed\b/i,
+            /\b(is|are|was|were|been|being)\s+(given|taken|made|done|shown|seen)\b/i
+        ];
+        
+        const passive = passivePatterns
+            .map(pattern => pattern.exec(sentence.text))
+            .find(result => result !== null);
+        
+        if (passive) {
+            issues.passiveVoice.push({
+                sentence: index + 1,
+                text: preview,
+                start: sentence.start + passive.index,
+                end: sentence.start + passive.index + passive[0].length,
+                message: `"${passive[0]}" may be passive voice. Consider saying who does the action.`
+            });
+        }
+    });
+    
+    issues.spelling = spelling
+        ? findMisspellings(text, spelling)
+        : findRepeatedLetterWords(text);
+    
+    return issues;
+}
+
+/**
+ * Finds words the dictionary doesn't know, with suggested corrections
+ * @param {string} text - The draft text
+ * @param {Object} spelling - Spell checker to use
+ * @param {Object} spelling.checker - Dictionary with check(word) (see createSpellChecker())
+ * @param {function(string): Array<string>} spelling.suggest - Suggested corrections for a word
+ * @param {Array<string>} spelling.ignoredWords - Lowercase words to accept anyway
+ * @param {string} spelling.dictionaryName - Dictionary name for messages, e.g. "English (UK)"
+ * @returns {Array<Object>} - Spelling issues with start, end, message and suggestions
+ */
+function findMisspellings(text, { checker, suggest, ignoredWords, dictionaryName }) {
+    const misspellings = [];
+    const wordPattern = /[\p{L}\p{N}’']+/gu;
+    let match;
+    
+    while ((match = wordPattern.exec(text)) !== null && misspellings.length < MAX_SPELLING_ISSUES) {
+        // Quotation marks are not part of the word
+        const word = match[0].replace(/^['’]+|['’]+$/g, '');
+        if (!word || /\d/.test(word)) continue;
+        if (ignoredWords.includes(word.toLowerCase())) continue;
+        if (checker.check(word)) continue;
+        
+        const start = match.index + match[0].indexOf(word);
+        const suggestions = suggest(word);
+        
+        misspellings.push({
+            word,
+            start,
+            end: start + word.length,
+            suggestions,
+            message: suggestions.length > 0
+                ? `"${word}" may be misspelled. Did you mean "${suggestions[0]}"?`
+                : `"${word}" is not in the ${dictionaryName} dictionary.`
+        });
+    }
+    
+    return misspellings;
+}
+
+/**
+ * Fallback used until the dictionary has loaded: flags words with the
+ * same letter four or more times in a row
+ * @param {string} text - The draft text
+ * @returns {Array<Object>} - Spelling issues with start, end and message
+ */
+function findRepeatedLetterWords(text) {
+    const suspicious = [];
+    const wordPattern = /\S+/g;
+    let match;
+    
+    while ((match = wordPattern.exec(text)) !== null && suspicious.length < 10) {
+        // Remove punctuation
+        const word = match[0].toLowerCase().replace(/[^a-z]/g, '');
+        // Check for repeated letters (potential typo)
+        if (/(.)\1{3,}/.test(word)) {
+            suspicious.push({
+                word: match[0],
+                start: match.index,
+                end: match.index + match[0].length,
+                suggestions: [],
+                message: `"${match[0]}" repeats the same letter several times. Check the spelling.`
+            });
+        }
+    }
+    
+    return suspicious;
+}
+
+/**
+ * Counts how often each word is used, leaving out short words and stopwords
+ * @param {string} text - The draft text
+ * @returns {Array<Array>} - Up to MAX_FREQUENT_WORDS [word, count] pairs,
+ *   most used first
+ */
+function countWordFrequency(text) {
+    const words = text.trim().toLowerCase().split(/\s+/).map(word => 
+        word.replace(/[^a-z]/g, '')
+    ).filter(word => 
+        word.length > 3 && !STOPWORDS.has(word)
+    );
+    
+    const frequency = {};
+    words.forEach(word => {
+        frequency[word] = (frequency[word] || 0) + 1;
+    });
+    
+    // Sort by frequency
+    return Object.entries(frequency)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_FREQUENT_WORDS);
+}
+
+/**
+ * Summarises each paragraph of the draft and flags structural problems
+ * @param {string} text - The draft text
+ * @returns {Array<Object>} - One entry per paragraph with counts, topic sentence and flag
+ */
+function analyzeParagraphs(text) {
+    const sentences = analyticsTokenizer.tokenizeSentences(text);
+    
+    return analyticsTokenizer.splitParagraphs(text).map((paragraph, index) => {
+        const paragraphSentences = sentences.filter(sentence => sentence.paragraph === index);
+        const wordCountValue = analyticsTokenizer.countWords(paragraph.text);
+        const sentenceCountValue = paragraphSentences.length;
+        
+        // A short line with no closing punctuation is a title or heading
+        const isHeading = sentenceCountValue === 1 &&
+            wordCountValue <= 10 &&
+            !/[.!?…"'”’)]$/.test(paragraph.text);
+        
+        let flag = null;
+        if (isHeading) {
+            flag = 'heading';
+        } else if (wordCountValue > LONG_PARAGRAPH_WORDS || sentenceCountValue > LONG_PARAGRAPH_SENTENCES) {
+            flag = 'wall';
+        } else if (sentenceCountValue === 1) {
+            flag = 'single-sentence';
+        }
+        
+        return {
+            number: index + 1,
+            start: paragraph.start,
+            end: paragraph.end,
+            sentenceCount: sentenceCountValue,
+            wordCount: wordCountValue,
+            topicSentence: paragraphSentences.length > 0 ? paragraphSentences[0].text : paragraph.text,
+            flag
+        };
+    });
+}
+
+// Allow use from Node (tests, tooling) as well as the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LONG_PARAGRAPH_WORDS,
+        measureWriting,
+        findIssues,
+        countWordFrequency,
+        analyzeParagraphs,
+    };
+}